@@ -0,0 +1,372 @@
+// finance/accounts.js
+
+const { ObjectId } = require("mongodb");
+const financeData = require("./finance_data");
+
+// Balances are signed: money owed on credit cards and loans makes them negative, so the
+// net worth is the sum of all balances. Paying a card is a transfer, not an expense.
+const ACCOUNT_TYPES = [
+  "checking",
+  "savings",
+  "credit",
+  "cash",
+  "investment",
+  "loan",
+];
+
+/**
+ * Converts an account ID to an ObjectId.
+ * @param {ObjectId | string} accountId ID of the account.
+ * @returns {ObjectId} Account ID.
+ * @throws {Error} If the ID is not a valid ObjectId.
+ */
+function toAccountId(accountId) {
+  if (typeof accountId === "string" && !ObjectId.isValid(accountId)) {
+    throw new Error("Invalid accountId provided.");
+  }
+  return typeof accountId === "string" ? ObjectId(accountId) : accountId;
+}
+
+/**
+ * Converts an optional date to a Date.
+ * @param {Date|string} [date] Date.
+ * @param {string} label Name of the date in error messages.
+ * @returns {Date} The date, or now if none was given.
+ * @throws {Error} If the date is not valid.
+ */
+function toDate(date, label) {
+  const value =
+    date === undefined || date === null ? new Date() : new Date(date);
+  if (isNaN(value.getTime())) {
+    throw new Error(`${label} must be a valid date.`);
+  }
+  return value;
+}
+
+/**
+ * Retrieves an account that is still open.
+ * @param {ObjectId | string} accountId ID of the account.
+ * @returns {Promise<Object>} Account.
+ * @throws {Error} If the account does not exist or is closed.
+ */
+async function getOpenAccount(accountId) {
+  if (!accountId) {
+    throw new Error("An accountId is required.");
+  }
+  const [account] = await financeData.retrieveAccounts({
+    _id: toAccountId(accountId),
+  });
+  if (!account) {
+    throw new Error(`Account ${accountId} not found.`);
+  }
+  if (account.closedAt) {
+    throw new Error(`Account "${account.name}" is closed.`);
+  }
+  return account;
+}
+
+/**
+ * Creates an account.
+ * @param {Object} accountData Account details (name, type, openingBalance, openingDate).
+ * `type` is one of ACCOUNT_TYPES; `openingBalance` (default 0) is the balance on
+ * `openingDate` (default now), negative for money owed.
+ * @returns {Promise<string>} Confirmation message with the account ID.
+ */
+async function createAccount(accountData) {
+  try {
+    if (!accountData.name || typeof accountData.name !== "string") {
+      throw new Error("Account name is required and must be a string.");
+    }
+    if (!ACCOUNT_TYPES.includes(accountData.type)) {
+      throw new Error(
+        `Account type must be one of: ${ACCOUNT_TYPES.join(", ")}.`
+      );
+    }
+    const openingBalance = accountData.openingBalance || 0;
+    if (typeof openingBalance !== "number" || !isFinite(openingBalance)) {
+      throw new Error("Account opening balance must be a number.");
+    }
+    const existing = await financeData.retrieveAccounts({
+      name: accountData.name,
+      closedAt: null,
+    });
+    if (existing.length) {
+      throw new Error(`An open account named "${accountData.name}" exists.`);
+    }
+
+    const accountId = await financeData.storeAccount({
+      name: accountData.name,
+      type: accountData.type,
+      openingBalance,
+      openingDate: toDate(accountData.openingDate, "Account opening date"),
+      closedAt: null,
+      createdAt: new Date(),
+    });
+    return `Account created successfully with ID: ${accountId}`;
+  } catch (error) {
+    console.error(
+      `Error creating account with data ${JSON.stringify(accountData)}: ${
+        error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Lists the accounts.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeClosed=false] Whether to list closed accounts too.
+ * @returns {Promise<Array<Object>>} Accounts.
+ */
+async function listAccounts(options = {}) {
+  try {
+    return await financeData.retrieveAccounts(
+      options.includeClosed ? {} : { closedAt: null }
+    );
+  } catch (error) {
+    console.error("Error listing accounts:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Closes an account. Its records are kept, so past balances still include it. Closed
+ * accounts leave the net worth, so the balance must be zero: transfer what is left first.
+ * @param {ObjectId | string} accountId ID of the account.
+ * @param {Date|string} [closedAt] When the account was closed (defaults to now).
+ * @returns {Promise<string>} Confirmation message.
+ * @throws {Error} If the closing date is before the opening date or before some of the
+ * account's records, or if the balance on the closing date is not zero.
+ */
+async function closeAccount(accountId, closedAt) {
+  try {
+    const account = await getOpenAccount(accountId);
+    const date = toDate(closedAt, "Account closing date");
+    if (date < account.openingDate) {
+      throw new Error(
+        "Account closing date must not be before its opening date."
+      );
+    }
+    const after = { $gt: date };
+    const laterRecords = [
+      ...(await financeData.retrieveIncomeInRange(
+        { accountId: account._id },
+        after
+      )),
+      ...(await financeData.retrieveExpensesInRange(
+        { accountId: account._id },
+        after
+      )),
+      ...(await financeData.retrieveTransfers({
+        $or: [{ fromAccountId: account._id }, { toAccountId: account._id }],
+        date: after,
+      })),
+    ];
+    if (laterRecords.length) {
+      throw new Error(
+        `Account "${account.name}" has ${laterRecords.length} record(s) dated after the closing date; move or delete them first.`
+      );
+    }
+    const balance = (await getAccountBalances(date)).find((entry) =>
+      entry.accountId.equals(account._id)
+    );
+    if (balance && balance.balance !== 0) {
+      throw new Error(
+        `Account "${account.name}" has a balance of ${balance.balance.toFixed(
+          2
+        )}; transfer it before closing the account.`
+      );
+    }
+    await financeData.updateAccount(account._id, { closedAt: date });
+    return `Account "${account.name}" closed successfully.`;
+  } catch (error) {
+    console.error(`Error closing account ${accountId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Moves money between two accounts. Transfers change both balances but are neither
+ * spending nor income, so they leave budgets and reports alone.
+ * @param {Object} transferData Transfer details (fromAccountId, toAccountId, amount, date, description).
+ * @returns {Promise<string>} Confirmation message.
+ */
+async function transferFunds(transferData) {
+  try {
+    if (typeof transferData.amount !== "number" || !(transferData.amount > 0)) {
+      throw new Error("Transfer amount must be a positive number.");
+    }
+    const from = await getOpenAccount(transferData.fromAccountId);
+    const to = await getOpenAccount(transferData.toAccountId);
+    if (from._id.equals(to._id)) {
+      throw new Error("Transfer accounts must be different.");
+    }
+
+    await financeData.storeTransfer({
+      fromAccountId: from._id,
+      toAccountId: to._id,
+      amount: transferData.amount,
+      date: toDate(transferData.date, "Transfer date"),
+      description: transferData.description || null,
+    });
+    return `Transferred ${transferData.amount.toFixed(2)} from "${
+      from.name
+    }" to "${to.name}" successfully.`;
+  } catch (error) {
+    console.error(
+      `Error transferring funds with data ${JSON.stringify(transferData)}: ${
+        error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Calculates the balance of every account as of a date: the opening balance plus income
+ * and incoming transfers, minus expenses and outgoing transfers, from the opening date
+ * (which the opening balance already covers) up to that date.
+ * @param {Date|string} [asOf] Date of the balances (defaults to now).
+ * @returns {Promise<Array<Object>>} `accountId`, `name`, `type` and `balance` of each account
+ * open on that date.
+ */
+async function getAccountBalances(asOf) {
+  try {
+    const date = toDate(asOf, "Balance date");
+    const accounts = (await financeData.retrieveAccounts({})).filter(
+      (account) =>
+        account.openingDate <= date &&
+        (!account.closedAt || account.closedAt > date)
+    );
+    const accountIds = accounts.map((account) => account._id);
+    const inRange = { $lte: date };
+
+    const openingDates = new Map(
+      accounts.map((account) => [String(account._id), account.openingDate])
+    );
+    const balances = new Map(
+      accounts.map((account) => [String(account._id), account.openingBalance])
+    );
+    const add = (accountId, amount, recordDate) => {
+      const key = String(accountId);
+      if (balances.has(key) && recordDate >= openingDates.get(key)) {
+        balances.set(key, balances.get(key) + amount);
+      }
+    };
+
+    const income = await financeData.retrieveIncomeInRange(
+      { accountId: { $in: accountIds } },
+      inRange
+    );
+    income.forEach((record) =>
+      add(record.accountId, record.amount, record.date)
+    );
+    const expenses = await financeData.retrieveExpensesInRange(
+      { accountId: { $in: accountIds } },
+      inRange
+    );
+    expenses.forEach((record) =>
+      add(record.accountId, -record.amount, record.date)
+    );
+    const transfers = await financeData.retrieveTransfers({
+      $or: [
+        { fromAccountId: { $in: accountIds } },
+        { toAccountId: { $in: accountIds } },
+      ],
+      date: inRange,
+    });
+    transfers.forEach((transfer) => {
+      add(transfer.fromAccountId, -transfer.amount, transfer.date);
+      add(transfer.toAccountId, transfer.amount, transfer.date);
+    });
+
+    return accounts.map((account) => ({
+      accountId: account._id,
+      name: account.name,
+      type: account.type,
+      balance: Math.round(balances.get(String(account._id)) * 100) / 100,
+    }));
+  } catch (error) {
+    console.error("Error calculating account balances:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Calculates the income minus the expenses logged before accounts existed and not
+ * attached to one since (see `attachUnassignedRecords`), up to a date.
+ * @param {Date} date Date of the balance.
+ * @returns {Promise<number>} Balance of the unattached records.
+ */
+async function getUnattachedBalance(date) {
+  const unattached = { accountId: { $exists: false } };
+  const inRange = { $lte: date };
+  const income = await financeData.retrieveIncomeInRange(unattached, inRange);
+  const expenses = await financeData.retrieveExpensesInRange(
+    unattached,
+    inRange
+  );
+  const balance =
+    income.reduce((sum, record) => sum + record.amount, 0) -
+    expenses.reduce((sum, record) => sum + record.amount, 0);
+  return Math.round(balance * 100) / 100;
+}
+
+/**
+ * Calculates the net worth as of a date: the sum of all account balances, plus the
+ * balance of the income and expenses that are not attached to an account.
+ * @param {Date|string} [asOf] Date of the net worth (defaults to now).
+ * @returns {Promise<Object>} `asOf`, `netWorth`, the `accounts` it is made of and the
+ * `unattached` balance.
+ */
+async function getNetWorth(asOf) {
+  try {
+    const date = toDate(asOf, "Net worth date");
+    const accounts = await getAccountBalances(date);
+    const unattached = await getUnattachedBalance(date);
+    const netWorth = accounts.reduce(
+      (sum, account) => sum + account.balance,
+      unattached
+    );
+    return {
+      asOf: date,
+      netWorth: Math.round(netWorth * 100) / 100,
+      accounts,
+      unattached,
+    };
+  } catch (error) {
+    console.error("Error calculating net worth:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Attaches the expenses and income logged before accounts existed to an account.
+ * @param {ObjectId | string} accountId ID of the account.
+ * @returns {Promise<string>} Confirmation message with the number of attached records.
+ */
+async function attachUnassignedRecords(accountId) {
+  try {
+    const account = await getOpenAccount(accountId);
+    const result = await financeData.assignUnattachedRecords(account._id);
+    return `Attached ${result.expenses} expense(s) and ${result.income} income record(s) to "${account.name}".`;
+  } catch (error) {
+    console.error(
+      `Error attaching records to account ${accountId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  getOpenAccount,
+  createAccount,
+  listAccounts,
+  closeAccount,
+  transferFunds,
+  getAccountBalances,
+  getNetWorth,
+  attachUnassignedRecords,
+};
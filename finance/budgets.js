@@ -0,0 +1,331 @@
+// finance/budgets.js
+
+const moment = require("moment-timezone");
+const financeData = require("./finance_data");
+const channels = require("../reminders/channels");
+
+// Calendar unit of each budget period; weeks start on Monday
+const PERIOD_UNITS = { monthly: "month", weekly: "isoWeek" };
+// What carries over from one period to the next: nothing, the unspent amount ("surplus"),
+// the overspent amount ("deficit", which lowers the next budget) or both
+const ROLLOVERS = ["none", "surplus", "deficit", "both"];
+const DEFAULT_THRESHOLDS = [80, 100]; // Percent of the available amount
+
+/**
+ * Rounds an amount to cents.
+ * @param {number} amount Amount.
+ * @returns {number} Rounded amount.
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Returns the bounds of the budget period that contains a date.
+ * @param {string} period "monthly" or "weekly".
+ * @param {Date} date Any date in the period.
+ * @returns {Object} Period `start` and `end` (exclusive), as Dates.
+ */
+function getPeriodBounds(period, date) {
+  const start = moment(date).startOf(PERIOD_UNITS[period]);
+  return {
+    start: start.toDate(),
+    end: start.clone().add(1, PERIOD_UNITS[period]).toDate(),
+  };
+}
+
+/**
+ * Validates a budget before it is stored.
+ * @param {Object} budget Budget details.
+ * @throws {Error} If validation fails.
+ */
+function validateBudget(budget) {
+  if (!budget.category || typeof budget.category !== "string") {
+    throw new Error("Budget category is required and must be a string.");
+  }
+  if (!PERIOD_UNITS[budget.period]) {
+    throw new Error(
+      `Budget period must be one of: ${Object.keys(PERIOD_UNITS).join(", ")}.`
+    );
+  }
+  if (typeof budget.amount !== "number" || !(budget.amount > 0)) {
+    throw new Error("Budget amount must be a positive number.");
+  }
+  if (budget.rollover !== undefined && !ROLLOVERS.includes(budget.rollover)) {
+    throw new Error(`Budget rollover must be one of: ${ROLLOVERS.join(", ")}.`);
+  }
+  if (
+    budget.thresholds !== undefined &&
+    (!Array.isArray(budget.thresholds) ||
+      !budget.thresholds.every(
+        (threshold) => typeof threshold === "number" && threshold > 0
+      ))
+  ) {
+    throw new Error("Budget thresholds must be an array of positive percents.");
+  }
+  if (budget.channels !== undefined && !Array.isArray(budget.channels)) {
+    throw new Error("Budget alert channels must be an array.");
+  }
+}
+
+/**
+ * Sets the budget of a category for a period, replacing any previous one. Rollover
+ * is counted from the period the budget is first set in.
+ * @param {Object} budget Includes category, period ("monthly" or "weekly"), amount, and
+ * optional rollover ("none", "surplus", "deficit" or "both"), thresholds (percents that
+ * trigger an alert, default [80, 100]) and channels (reminder channels for alerts).
+ * @returns {Promise<string>} Confirmation message.
+ */
+async function setBudget(budget) {
+  try {
+    validateBudget(budget);
+    const [existing] = await financeData.retrieveBudgets({
+      category: budget.category,
+      period: budget.period,
+    });
+    const now = new Date();
+    await financeData.saveBudget({
+      category: budget.category,
+      period: budget.period,
+      amount: budget.amount,
+      rollover: budget.rollover || "none",
+      thresholds: [...(budget.thresholds || DEFAULT_THRESHOLDS)].sort(
+        (a, b) => a - b
+      ),
+      channels: budget.channels || null,
+      since: existing
+        ? existing.since
+        : getPeriodBounds(budget.period, now).start,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    });
+    return `Budget for "${budget.category}" (${budget.period}) set successfully.`;
+  } catch (error) {
+    console.error(
+      `Error setting budget with data ${JSON.stringify(budget)}: ${
+        error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Lists the budgets.
+ * @param {string} [period] Only budgets of this period.
+ * @returns {Promise<Array<Object>>} Budgets.
+ */
+async function listBudgets(period) {
+  try {
+    return await financeData.retrieveBudgets(period ? { period } : {});
+  } catch (error) {
+    console.error("Error listing budgets:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Removes the budget of a category for a period.
+ * @param {string} category Expense category.
+ * @param {string} period "monthly" or "weekly".
+ * @returns {Promise<string>} Confirmation message.
+ */
+async function removeBudget(category, period) {
+  try {
+    const result = await financeData.deleteBudget(category, period);
+    if (!result.deletedCount) {
+      throw new Error(`No ${period} budget found for "${category}".`);
+    }
+    return `Budget for "${category}" (${period}) removed successfully.`;
+  } catch (error) {
+    console.error(`Error removing budget for "${category}": ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Works out the share of the available amount that is spent. With nothing available,
+ * any spending uses it all.
+ * @param {number} spent Amount spent.
+ * @param {number} available Amount available.
+ * @returns {number} Percent used (not rounded).
+ */
+function getPercentUsed(spent, available) {
+  if (available > 0) return (spent / available) * 100;
+  return spent ? 100 : 0;
+}
+
+/**
+ * Works out where a budget stands in the period that contains a date.
+ * @param {Object} budget Stored budget.
+ * @param {Date} date Any date in the period.
+ * @param {Date} now Current time, for the projection.
+ * @returns {Promise<Object>} Budget status.
+ */
+async function computeBudgetStatus(budget, date, now) {
+  const { start, end } = getPeriodBounds(budget.period, date);
+  const rollsOver = budget.rollover !== "none";
+  const since = rollsOver && budget.since < start ? budget.since : start;
+  const expenses = await financeData.retrieveExpensesInRange(
+    { category: budget.category },
+    { $gte: since, $lt: end }
+  );
+
+  // Carry the leftover of every earlier period forward, one period at a time
+  let carriedOver = 0;
+  let spent = 0;
+  for (
+    let periodStart = since;
+    periodStart < end;
+    periodStart = getPeriodBounds(budget.period, periodStart).end
+  ) {
+    const periodEnd = getPeriodBounds(budget.period, periodStart).end;
+    spent = expenses
+      .filter(
+        (expense) => expense.date >= periodStart && expense.date < periodEnd
+      )
+      .reduce((sum, expense) => sum + expense.amount, 0);
+    if (periodEnd >= end) break;
+
+    const leftover = budget.amount + carriedOver - spent;
+    if (budget.rollover === "surplus") carriedOver = Math.max(leftover, 0);
+    else if (budget.rollover === "deficit") carriedOver = Math.min(leftover, 0);
+    else carriedOver = leftover;
+  }
+
+  const available = budget.amount + carriedOver;
+  // Spending is projected at the pace so far; periods that are over keep what was spent
+  const elapsed = Math.min(Math.max(now - start, 0), end - start);
+  const projected = elapsed ? (spent * (end - start)) / elapsed : spent;
+  return {
+    category: budget.category,
+    period: budget.period,
+    periodStart: start,
+    periodEnd: end,
+    budgeted: budget.amount,
+    carriedOver: roundAmount(carriedOver),
+    available: roundAmount(available),
+    spent: roundAmount(spent),
+    remaining: roundAmount(available - spent),
+    percentUsed: Math.round(getPercentUsed(spent, available)),
+    projected: roundAmount(projected),
+  };
+}
+
+/**
+ * Reports spending against the budgets of a period: spent, remaining and projected
+ * end-of-period spend for each category.
+ * @param {string} period "monthly" or "weekly".
+ * @param {Date|string} [date] Any date in the period to report on (defaults to now).
+ * @returns {Promise<Object>} Period bounds, per-category `budgets` and `totals`.
+ */
+async function getBudgetStatus(period, date) {
+  try {
+    if (!PERIOD_UNITS[period]) {
+      throw new Error(
+        `Budget period must be one of: ${Object.keys(PERIOD_UNITS).join(", ")}.`
+      );
+    }
+    const now = new Date();
+    const reportDate = date ? new Date(date) : now;
+    if (isNaN(reportDate.getTime())) {
+      throw new Error("Budget status date must be a valid date.");
+    }
+    const budgets = await financeData.retrieveBudgets({ period });
+    const statuses = [];
+    for (const budget of budgets) {
+      statuses.push(await computeBudgetStatus(budget, reportDate, now));
+    }
+
+    const total = (field) =>
+      roundAmount(statuses.reduce((sum, status) => sum + status[field], 0));
+    const { start, end } = getPeriodBounds(period, reportDate);
+    return {
+      period,
+      periodStart: start,
+      periodEnd: end,
+      budgets: statuses,
+      totals: {
+        available: total("available"),
+        spent: total("spent"),
+        remaining: total("remaining"),
+        projected: total("projected"),
+      },
+    };
+  } catch (error) {
+    console.error(`Error getting ${period} budget status:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sends an alert for each budget of the expense's category that the expense pushed over
+ * one of its thresholds. Each threshold alerts once per period; when several are crossed
+ * at once, only the highest is announced. A threshold counts as alerted once the alert
+ * reached at least one channel.
+ * @param {Object} expense Logged expense.
+ * @returns {Promise<Array<Object>>} Statuses of the budgets that alerted, with the `threshold`.
+ */
+async function checkBudgetAlerts(expense) {
+  const now = new Date();
+  const date = expense.date ? new Date(expense.date) : now;
+  const budgets = await financeData.retrieveBudgets({
+    category: expense.category,
+  });
+
+  const alerts = [];
+  for (const budget of budgets) {
+    const status = await computeBudgetStatus(budget, date, now);
+    const percentUsed = getPercentUsed(status.spent, status.available);
+    const periodAlert = {
+      category: budget.category,
+      period: budget.period,
+      periodStart: status.periodStart,
+    };
+    const alerted = (await financeData.retrieveBudgetAlerts(periodAlert)).map(
+      (alert) => alert.threshold
+    );
+    const crossed = budget.thresholds.filter(
+      (threshold) => percentUsed >= threshold && !alerted.includes(threshold)
+    );
+    if (!crossed.length) continue;
+
+    const threshold = Math.max(...crossed);
+    const results = await channels.deliver(
+      {
+        title: threshold >= 100 ? "Budget exceeded" : "Budget alert",
+        message: `${status.percentUsed}% of the ${budget.period} "${
+          budget.category
+        }" budget used: spent ${status.spent.toFixed(
+          2
+        )} of ${status.available.toFixed(2)}.`,
+      },
+      budget.channels || undefined
+    );
+    if (!results.some((result) => result.delivered)) {
+      console.error(
+        `The alert for the "${budget.category}" budget was not delivered; it is sent again with the next expense.`
+      );
+      continue;
+    }
+    for (const crossedThreshold of crossed) {
+      await financeData.recordBudgetAlert({
+        ...periodAlert,
+        threshold: crossedThreshold,
+      });
+    }
+    alerts.push({ ...status, threshold });
+  }
+  return alerts;
+}
+
+module.exports = {
+  PERIOD_UNITS,
+  ROLLOVERS,
+  getPeriodBounds,
+  setBudget,
+  listBudgets,
+  removeBudget,
+  getBudgetStatus,
+  checkBudgetAlerts,
+};
@@ -9,9 +9,21 @@ const MONGODB_URI = config.mongodb.uri;
 const DATABASE_NAME = config.mongodb.dbName;
 const EXPENSES_COLLECTION_NAME = "expenses"; // Collection for expenses
 const INCOME_COLLECTION_NAME = "income"; // Collection for income
+const BUDGETS_COLLECTION_NAME = "budgets"; // Collection for category budgets
+const BUDGET_ALERTS_COLLECTION_NAME = "budgetAlerts"; // Thresholds already alerted on
+const ACCOUNTS_COLLECTION_NAME = "accounts"; // Collection for accounts
+const TRANSFERS_COLLECTION_NAME = "transfers"; // Collection for transfers between accounts
 
 let client; // MongoDB client instance
 
+// Comparison of each range operator accepted by `retrieveExpensesInRange`
+const RANGE_CHECKS = {
+  $gte: (date, bound) => date >= bound,
+  $gt: (date, bound) => date > bound,
+  $lte: (date, bound) => date <= bound,
+  $lt: (date, bound) => date < bound,
+};
+
 /**
  * Connects to the MongoDB database if not already connected.
  * @returns {Promise<MongoClient>} MongoDB client object.
@@ -101,6 +113,63 @@ async function retrieveExpenses(query) {
   }
 }
 
+/**
+ * Retrieves the records of a collection dated within a range. Records logged before dates
+ * were stored as Dates have string dates, which range operators on Dates do not match, so
+ * those are parsed and checked against the range here.
+ * @param {string} collectionName Collection to read.
+ * @param {Object} query Other filters.
+ * @param {Object} range Range operators on the date (`$gte`, `$gt`, `$lte`, `$lt`), with Date bounds.
+ * @returns {Promise<Array<Object>>} Records, with `date` as a Date.
+ */
+async function retrieveDatedRecords(collectionName, query, range) {
+  const client = await connectToDatabase();
+  const db = client.db(DATABASE_NAME);
+  const collection = db.collection(collectionName);
+  const records = await collection
+    .find({
+      $and: [query, { $or: [{ date: range }, { date: { $type: "string" } }] }],
+    })
+    .toArray();
+  return records
+    .map((record) => ({ ...record, date: new Date(record.date) }))
+    .filter((record) =>
+      Object.entries(range).every(([operator, bound]) =>
+        RANGE_CHECKS[operator](record.date, bound)
+      )
+    );
+}
+
+/**
+ * Retrieves the expenses dated within a range, including those stored with a string date.
+ * @param {Object} query Filters like category.
+ * @param {Object} range Range operators on the date (`$gte`, `$gt`, `$lte`, `$lt`), with Date bounds.
+ * @returns {Promise<Array<Object>>} Array of expense records, with `date` as a Date.
+ */
+async function retrieveExpensesInRange(query, range) {
+  try {
+    return await retrieveDatedRecords(EXPENSES_COLLECTION_NAME, query, range);
+  } catch (error) {
+    console.error("Error retrieving expenses:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves the income dated within a range, including income stored with a string date.
+ * @param {Object} query Filters like source.
+ * @param {Object} range Range operators on the date (`$gte`, `$gt`, `$lte`, `$lt`), with Date bounds.
+ * @returns {Promise<Array<Object>>} Array of income records, with `date` as a Date.
+ */
+async function retrieveIncomeInRange(query, range) {
+  try {
+    return await retrieveDatedRecords(INCOME_COLLECTION_NAME, query, range);
+  } catch (error) {
+    console.error("Error retrieving income:", error.message);
+    throw error;
+  }
+}
+
 /**
  * Retrieves income based on filters.
  * @param {Object} query Filters like date range, source.
@@ -173,13 +242,256 @@ async function deleteExpense(expenseId) {
   }
 }
 
+/**
+ * Stores a budget, replacing the budget of the same category and period.
+ * @param {Object} budget Budget details (category, period, amount, rollover, thresholds).
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function saveBudget(budget) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(BUDGETS_COLLECTION_NAME);
+    return await collection.replaceOne(
+      { category: budget.category, period: budget.period },
+      budget,
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error("Error storing budget:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves budgets based on filters.
+ * @param {Object} query Filters like category, period.
+ * @returns {Promise<Array<Object>>} Array of budgets, sorted by category.
+ */
+async function retrieveBudgets(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(BUDGETS_COLLECTION_NAME);
+    return await collection.find(query).sort({ category: 1 }).toArray();
+  } catch (error) {
+    console.error("Error retrieving budgets:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes the budget of a category and period.
+ * @param {string} category Expense category.
+ * @param {string} period Budget period ("monthly" or "weekly").
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function deleteBudget(category, period) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(BUDGETS_COLLECTION_NAME);
+    return await collection.deleteOne({ category, period });
+  } catch (error) {
+    console.error("Error deleting budget:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves the budget alerts already recorded.
+ * @param {Object} query Query (e.g. category, period and periodStart).
+ * @returns {Promise<Array<Object>>} Recorded alerts.
+ */
+async function retrieveBudgetAlerts(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(BUDGET_ALERTS_COLLECTION_NAME);
+    return await collection.find(query).toArray();
+  } catch (error) {
+    console.error("Error retrieving budget alerts:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Records that a budget threshold was crossed in a period, unless it already was.
+ * @param {Object} alert Alert details (category, period, periodStart, threshold).
+ * @returns {Promise<boolean>} True if the alert is new and should be sent.
+ */
+async function recordBudgetAlert(alert) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(BUDGET_ALERTS_COLLECTION_NAME);
+    const result = await collection.updateOne(
+      alert,
+      { $setOnInsert: { alertedAt: new Date() } },
+      { upsert: true }
+    );
+    return result.upsertedCount === 1;
+  } catch (error) {
+    console.error("Error recording budget alert:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores an account.
+ * @param {Object} accountData Details of the account.
+ * @returns {Promise<ObjectId>} ID of the inserted account.
+ */
+async function storeAccount(accountData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(ACCOUNTS_COLLECTION_NAME);
+    const result = await collection.insertOne(accountData);
+    return result.insertedId;
+  } catch (error) {
+    console.error("Error storing account:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves accounts based on filters.
+ * @param {Object} query Filters like type, closedAt.
+ * @returns {Promise<Array<Object>>} Array of accounts, sorted by name.
+ */
+async function retrieveAccounts(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(ACCOUNTS_COLLECTION_NAME);
+    return await collection.find(query).sort({ name: 1 }).toArray();
+  } catch (error) {
+    console.error("Error retrieving accounts:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates an existing account.
+ * @param {ObjectId | string} accountId Unique identifier of the account.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateAccount(accountId, updatedData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(ACCOUNTS_COLLECTION_NAME);
+
+    // Validate ObjectId
+    if (typeof accountId === "string" && !ObjectId.isValid(accountId)) {
+      throw new Error("Invalid accountId provided.");
+    }
+
+    const result = await collection.updateOne(
+      { _id: typeof accountId === "string" ? ObjectId(accountId) : accountId },
+      { $set: updatedData }
+    );
+    return result;
+  } catch (error) {
+    console.error("Error updating account:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores a transfer between two accounts.
+ * @param {Object} transferData Details of the transfer.
+ * @returns {Promise<ObjectId>} ID of the inserted transfer.
+ */
+async function storeTransfer(transferData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TRANSFERS_COLLECTION_NAME);
+    const result = await collection.insertOne(transferData);
+    return result.insertedId;
+  } catch (error) {
+    console.error("Error storing transfer:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves transfers based on filters.
+ * @param {Object} query Filters like date range, accounts.
+ * @returns {Promise<Array<Object>>} Array of transfers.
+ */
+async function retrieveTransfers(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TRANSFERS_COLLECTION_NAME);
+    return await collection.find(query).toArray();
+  } catch (error) {
+    console.error("Error retrieving transfers:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Attaches the expenses and income that have no account to an account. Their string dates,
+ * from before dates were stored as Dates, are converted on the way.
+ * @param {ObjectId} accountId Account to attach them to.
+ * @returns {Promise<Object>} Number of updated `expenses` and `income` records.
+ */
+async function assignUnattachedRecords(accountId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const filter = { accountId: { $exists: false } };
+    const counts = {};
+    for (const [name, collectionName] of [
+      ["expenses", EXPENSES_COLLECTION_NAME],
+      ["income", INCOME_COLLECTION_NAME],
+    ]) {
+      const collection = db.collection(collectionName);
+      const stringDated = await collection
+        .find({ ...filter, date: { $type: "string" } })
+        .toArray();
+      for (const record of stringDated) {
+        const date = new Date(record.date);
+        if (isNaN(date.getTime())) continue; // Left as it is rather than lost
+        await collection.updateOne({ _id: record._id }, { $set: { date } });
+      }
+      const result = await collection.updateMany(filter, {
+        $set: { accountId },
+      });
+      counts[name] = result.modifiedCount;
+    }
+    return counts;
+  } catch (error) {
+    console.error("Error assigning records to account:", error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   connectToDatabase,
   closeConnection,
   storeExpense,
   storeIncome,
   retrieveExpenses,
+  retrieveExpensesInRange,
   retrieveIncome,
+  retrieveIncomeInRange,
   updateExpense,
   deleteExpense,
+  saveBudget,
+  retrieveBudgets,
+  deleteBudget,
+  retrieveBudgetAlerts,
+  recordBudgetAlert,
+  storeAccount,
+  retrieveAccounts,
+  updateAccount,
+  storeTransfer,
+  retrieveTransfers,
+  assignUnattachedRecords,
 };
@@ -1,15 +1,50 @@
 // finance/finance_manager.js
 
 const financeData = require("./finance_data");
+const budgets = require("./budgets");
+const accounts = require("./accounts");
 
 /**
- * Logs an expense.
- * @param {Object} expenseData Expense details (amount, category, date, description).
+ * Converts a time frame to a date range, as stored dates are Dates.
+ * @param {Object} timeFrame Time frame (start date and end date, as Dates or strings).
+ * @returns {Object} `$gte` and `$lte` Dates.
+ * @throws {Error} If a date is missing or not valid.
+ */
+function toDateRange(timeFrame) {
+  const range = {
+    $gte: new Date(timeFrame.startDate),
+    $lte: new Date(timeFrame.endDate),
+  };
+  if (isNaN(range.$gte.getTime()) || isNaN(range.$lte.getTime())) {
+    throw new Error("Time frame needs a valid start date and end date.");
+  }
+  return range;
+}
+
+/**
+ * Logs an expense, then alerts on any budget of its category that it pushed over a threshold.
+ * @param {Object} expenseData Expense details (accountId, amount, category, date, description).
+ * `date` defaults to now.
  * @returns {Promise<string>} Confirmation message.
  */
 async function logExpense(expenseData) {
   try {
-    await financeData.storeExpense(expenseData);
+    const account = await accounts.getOpenAccount(expenseData.accountId);
+    const expense = {
+      ...expenseData,
+      accountId: account._id,
+      date: expenseData.date ? new Date(expenseData.date) : new Date(),
+    };
+    if (isNaN(expense.date.getTime())) {
+      throw new Error("Expense date must be a valid date."); // Budgets could never count it
+    }
+    await financeData.storeExpense(expense);
+    try {
+      await budgets.checkBudgetAlerts(expense);
+    } catch (error) {
+      // The expense is logged; a failed alert must not make it look otherwise
+      console.error("Error checking budget alerts:", error.message);
+    }
     return "Expense logged successfully.";
   } catch (error) {
     console.error("Error logging expense:", error.message);
@@ -18,19 +53,23 @@ async function logExpense(expenseData) {
 }
 
 /**
- * Calculates the current balance.
+ * Calculates the current balance of an account, or the net worth across all accounts
+ * (with the income and expenses not attached to an account yet).
+ * @param {ObjectId | string} [accountId] Account to get the balance of.
  * @returns {Promise<number>} Current balance amount.
  */
-async function getCurrentBalance() {
+async function getCurrentBalance(accountId) {
   try {
-    const expenses = await financeData.retrieveExpenses({}); // Fetch all expenses
-    const income = await financeData.retrieveIncome({}); // Fetch all income
-    const totalExpenses = expenses.reduce(
-      (sum, expense) => sum + expense.amount,
-      0
+    if (!accountId) {
+      const { netWorth } = await accounts.getNetWorth();
+      return netWorth;
+    }
+    const account = await accounts.getOpenAccount(accountId);
+    const balances = await accounts.getAccountBalances();
+    const balance = balances.find((entry) =>
+      entry.accountId.equals(account._id)
     );
-    const totalIncome = income.reduce((sum, income) => sum + income.amount, 0);
-    return totalIncome - totalExpenses;
+    return balance ? balance.balance : 0; // Accounts opening later have no balance yet
   } catch (error) {
     console.error("Error calculating balance:", error.message);
     throw error;
@@ -39,12 +78,22 @@ async function getCurrentBalance() {
 
 /**
  * Logs incoming funds (income).
- * @param {Object} incomeData Income details (amount, source, date, description).
+ * @param {Object} incomeData Income details (accountId, amount, source, date, description).
+ * `date` defaults to now.
  * @returns {Promise<string>} Confirmation message.
  */
 async function addIncome(incomeData) {
   try {
-    await financeData.storeIncome(incomeData);
+    const account = await accounts.getOpenAccount(incomeData.accountId);
+    const income = {
+      ...incomeData,
+      accountId: account._id,
+      date: incomeData.date ? new Date(incomeData.date) : new Date(),
+    };
+    if (isNaN(income.date.getTime())) {
+      throw new Error("Income date must be a valid date."); // Balances could never count it
+    }
+    await financeData.storeIncome(income);
     return "Income added successfully.";
   } catch (error) {
     console.error("Error adding income:", error.message);
@@ -59,10 +108,10 @@ async function addIncome(incomeData) {
  */
 async function getExpenseReport(timeFrame) {
   try {
-    const expenses = await financeData.retrieveExpenses({
-      date: { $gte: timeFrame.startDate, $lte: timeFrame.endDate },
-    });
-    return expenses;
+    return await financeData.retrieveExpensesInRange(
+      {},
+      toDateRange(timeFrame)
+    );
   } catch (error) {
     console.error("Error generating expense report:", error.message);
     throw error;
@@ -76,9 +125,10 @@ async function getExpenseReport(timeFrame) {
  */
 async function getSpendingByCategory(timeFrame) {
   try {
-    const expenses = await financeData.retrieveExpenses({
-      date: { $gte: timeFrame.startDate, $lte: timeFrame.endDate },
-    });
+    const expenses = await financeData.retrieveExpensesInRange(
+      {},
+      toDateRange(timeFrame)
+    );
     const spendingByCategory = {};
     expenses.forEach((expense) => {
       if (spendingByCategory[expense.category]) {
@@ -100,4 +150,15 @@ module.exports = {
   addIncome,
   getExpenseReport,
   getSpendingByCategory,
+  setBudget: budgets.setBudget,
+  listBudgets: budgets.listBudgets,
+  removeBudget: budgets.removeBudget,
+  getBudgetStatus: budgets.getBudgetStatus,
+  createAccount: accounts.createAccount,
+  listAccounts: accounts.listAccounts,
+  closeAccount: accounts.closeAccount,
+  transferFunds: accounts.transferFunds,
+  getAccountBalances: accounts.getAccountBalances,
+  getNetWorth: accounts.getNetWorth,
+  attachUnassignedRecords: accounts.attachUnassignedRecords,
 };
@@ -1,6 +1,7 @@
 // health/fitbit_api.js
 
 const fitbit = require("fitbit-node");
+const vault = require("../vault");
 const config = require("../config");
 
 const CLIENT_ID = config.fitbit.clientId;
@@ -8,7 +9,7 @@ const CLIENT_SECRET = config.fitbit.clientSecret;
 const REDIRECT_URI = config.fitbit.redirectUri;
 const SCOPE = config.fitbit.scope;
 
-let accessToken = null; // Store the access token
+const TOKEN_NAME = "fitbit"; // Name of the access token in the credential vault
 
 const client = new fitbit(CLIENT_ID, CLIENT_SECRET, {
   redirectUri: REDIRECT_URI,
@@ -36,11 +37,39 @@ function extractAccessToken(redirectUrl) {
 }
 
 /**
- * Sets the access token for the Fitbit API.
+ * Extracts the lifetime of the access token from the redirect URL.
+ * @param {string} redirectUrl Redirect URL received from Fitbit.
+ * @returns {number|null} Lifetime in seconds or null if not found.
+ */
+function extractExpiresIn(redirectUrl) {
+  const match = redirectUrl.match(/[#&]expires_in=(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Stores the access token for the Fitbit API in the credential vault.
  * @param {string} token Access token.
+ * @param {number} [expiresIn] Lifetime of the token in seconds (see `extractExpiresIn`).
+ * @returns {Promise<void>}
  */
-function setAccessToken(token) {
-  accessToken = token;
+async function setAccessToken(token, expiresIn) {
+  await vault.setCredential(TOKEN_NAME, token, {
+    expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
+    metadata: { scope: SCOPE },
+  });
+}
+
+/**
+ * Retrieves the stored access token.
+ * @returns {Promise<string>} Access token.
+ * @throws {Error} If no token is stored or it has expired.
+ */
+async function getAccessToken() {
+  const accessToken = await vault.getCredential(TOKEN_NAME);
+  if (!accessToken) {
+    throw new Error("Fitbit API not authenticated.");
+  }
+  return accessToken;
 }
 
 /**
@@ -50,9 +79,7 @@ function setAccessToken(token) {
  */
 async function fetchDailyMetrics(date) {
   try {
-    if (!accessToken) {
-      throw new Error("Fitbit API not authenticated.");
-    }
+    const accessToken = await getAccessToken();
 
     const [
       activityResponse,
@@ -91,9 +118,7 @@ async function fetchDailyMetrics(date) {
  */
 async function fetchSleepData(date) {
   try {
-    if (!accessToken) {
-      throw new Error("Fitbit API not authenticated.");
-    }
+    const accessToken = await getAccessToken();
 
     const response = await client.get(
       "/1.2/user/-/sleep/date/" + date + ".json",
@@ -109,6 +134,7 @@ async function fetchSleepData(date) {
 module.exports = {
   authenticateFitbit,
   extractAccessToken,
+  extractExpiresIn,
   setAccessToken,
   fetchDailyMetrics,
   fetchSleepData,
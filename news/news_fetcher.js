@@ -2,9 +2,25 @@
 
 const NewsAPI = require("newsapi");
 const axios = require("axios");
+const vault = require("../vault");
 const config = require("../config");
 
-const newsapi = new NewsAPI(config.newsapi.apiKey);
+/**
+ * Creates a NewsAPI client with the key from the credential vault ("newsapi").
+ * A key left in `config.newsapi.apiKey` is not used: it belongs in the vault.
+ * @returns {Promise<NewsAPI>} NewsAPI client.
+ */
+async function createClient() {
+  const apiKey = await vault.getCredential("newsapi");
+  if (!apiKey) {
+    throw new Error(
+      config.newsapi && config.newsapi.apiKey
+        ? `The NewsAPI key must be stored in the vault as "newsapi" instead of the configuration.`
+        : `No NewsAPI key is stored in the vault ("newsapi").`
+    );
+  }
+  return new NewsAPI(apiKey);
+}
 
 /**
  * Fetches latest news articles based on specified categories.
@@ -13,6 +29,7 @@ const newsapi = new NewsAPI(config.newsapi.apiKey);
  */
 async function fetchNewsArticles(categories) {
   try {
+    const newsapi = await createClient();
     const promises = categories.map(async (category) => {
       const response = await newsapi.v2.topHeadlines({
         category,
@@ -1,12 +1,25 @@
 // news/news_summarizer.js
 
 const { Configuration, OpenAIApi } = require("openai");
+const vault = require("../vault");
 const config = require("../config");
 
-const configuration = new Configuration({
-  apiKey: config.openai.apiKey,
-});
-const openai = new OpenAIApi(configuration);
+/**
+ * Creates an OpenAI client with the key from the credential vault ("openai").
+ * A key left in `config.openai.apiKey` is not used: it belongs in the vault.
+ * @returns {Promise<OpenAIApi>} OpenAI client.
+ */
+async function createClient() {
+  const apiKey = await vault.getCredential("openai");
+  if (!apiKey) {
+    throw new Error(
+      config.openai && config.openai.apiKey
+        ? `The OpenAI API key must be stored in the vault as "openai" instead of the configuration.`
+        : `No OpenAI API key is stored in the vault ("openai").`
+    );
+  }
+  return new OpenAIApi(new Configuration({ apiKey }));
+}
 
 /**
  * Generates a concise summary of the article and structures it with metadata.
@@ -35,6 +48,7 @@ async function summarizeArticle(articleContent, metadata) {
     ${JSON.stringify(metadata)}
     `;
 
+    const openai = await createClient();
     const response = await openai.createCompletion({
       model: "text-davinci-003", // You can choose a different model if needed
       prompt,
@@ -0,0 +1,106 @@
+// reminders/channels.js
+
+const config = require("../config");
+
+// Every channel implements `send(notification)`, which resolves once the notification is
+// delivered and rejects if it could not be. A notification has a `title`, a `message`,
+// and when it comes from a reminder also `reminderId`, `sourceType`, `sourceId`, `startsAt`
+// and `fireAt`.
+const CHANNEL_METHODS = ["send"];
+
+// Built-in channels, loaded on first use so unused channels need no setup
+const BUILT_IN_CHANNELS = {
+  console: "./channels/console_channel",
+  email: "./channels/email_channel",
+  webhook: "./channels/webhook_channel",
+  desktop: "./channels/desktop_channel",
+};
+
+const DEFAULT_CHANNELS = ["console"];
+
+const channels = new Map();
+
+/**
+ * Registers a delivery channel under a name, replacing any channel with that name.
+ * @param {string} name Channel name (e.g. "email").
+ * @param {Object} channel Object implementing every method of CHANNEL_METHODS.
+ * @throws {Error} If a method is missing.
+ */
+function registerChannel(name, channel) {
+  const missing = CHANNEL_METHODS.filter(
+    (method) => typeof channel[method] !== "function"
+  );
+  if (missing.length) {
+    throw new Error(
+      `Notification channel "${name}" is missing: ${missing.join(", ")}.`
+    );
+  }
+  channels.set(name, { ...channel, name });
+}
+
+/**
+ * Returns a delivery channel by name.
+ * @param {string} name Channel name.
+ * @returns {Object} Delivery channel.
+ * @throws {Error} If no channel has that name.
+ */
+function getChannel(name) {
+  if (!channels.has(name) && BUILT_IN_CHANNELS[name]) {
+    registerChannel(name, require(BUILT_IN_CHANNELS[name]));
+  }
+  if (!channels.has(name)) {
+    throw new Error(`Unknown notification channel "${name}".`);
+  }
+  return channels.get(name);
+}
+
+/**
+ * Checks that every channel in a list exists.
+ * @param {Array<string>} names Channel names.
+ * @throws {Error} If the list is empty or a channel is unknown.
+ */
+function validateChannels(names) {
+  if (!Array.isArray(names) || !names.length) {
+    throw new Error("Reminder channels must be a non-empty list of names.");
+  }
+  names.forEach((name) => getChannel(name));
+}
+
+/**
+ * Returns the channels used when none are given: `config.reminders.channels`, else the console.
+ * @returns {Array<string>} Channel names.
+ */
+function getDefaultChannels() {
+  return (config.reminders && config.reminders.channels) || DEFAULT_CHANNELS;
+}
+
+/**
+ * Sends a notification through several channels. A failing channel does not stop the others.
+ * @param {Object} notification Notification to deliver.
+ * @param {Array<string>} [names] Channel names (defaults to the configured channels).
+ * @returns {Promise<Array<Object>>} One `{ channel, delivered, error }` result per channel.
+ */
+async function deliver(notification, names = getDefaultChannels()) {
+  const results = [];
+  for (const name of names) {
+    try {
+      await getChannel(name).send(notification);
+      results.push({ channel: name, delivered: true });
+    } catch (error) {
+      console.error(
+        `Error delivering notification through "${name}": ${error.message}`
+      );
+      results.push({ channel: name, delivered: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  CHANNEL_METHODS,
+  registerChannel,
+  getChannel,
+  validateChannels,
+  getDefaultChannels,
+  deliver,
+};
@@ -0,0 +1,14 @@
+// reminders/channels/console_channel.js
+
+/**
+ * Prints a notification to the console.
+ * @param {Object} notification Notification with a `title` and a `message`.
+ * @returns {Promise<void>}
+ */
+async function send(notification) {
+  console.log(`[Reminder] ${notification.title}: ${notification.message}`);
+}
+
+module.exports = {
+  send,
+};
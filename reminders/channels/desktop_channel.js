@@ -0,0 +1,30 @@
+// reminders/channels/desktop_channel.js
+
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Shows a notification on the desktop, through `osascript` on macOS and `notify-send` elsewhere.
+ * @param {Object} notification Notification with a `title` and a `message`.
+ * @returns {Promise<void>}
+ * @throws {Error} If the notification command is missing or fails.
+ */
+async function send(notification) {
+  const { title, message } = notification;
+  if (process.platform === "darwin") {
+    await execFileAsync("osascript", [
+      "-e",
+      `display notification ${JSON.stringify(
+        message
+      )} with title ${JSON.stringify(title)}`,
+    ]);
+  } else {
+    await execFileAsync("notify-send", [title, message]);
+  }
+}
+
+module.exports = {
+  send,
+};
@@ -0,0 +1,63 @@
+// reminders/channels/email_channel.js
+
+const nodemailer = require("nodemailer");
+const config = require("../../config");
+
+// Defaults match a local SMTP stand-in (e.g. MailHog or smtp4dev) that accepts any mail
+const DEFAULT_HOST = "localhost";
+const DEFAULT_PORT = 1025;
+const DEFAULT_FROM = "assistant@localhost";
+
+let transporter; // Reused SMTP transport
+
+/**
+ * Returns the SMTP settings of `config.reminders.smtp`.
+ * @returns {Object} `host`, `port`, `secure`, `user`, `password`, `from` and `to`.
+ */
+function getSettings() {
+  return (config.reminders && config.reminders.smtp) || {};
+}
+
+/**
+ * Returns the SMTP transport, creating it on first use.
+ * @returns {Object} Nodemailer transport.
+ */
+function getTransporter() {
+  if (!transporter) {
+    const settings = getSettings();
+    transporter = nodemailer.createTransport({
+      host: settings.host || DEFAULT_HOST,
+      port: settings.port || DEFAULT_PORT,
+      secure: Boolean(settings.secure),
+      auth: settings.user
+        ? { user: settings.user, pass: settings.password }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Emails a notification to the configured recipient.
+ * @param {Object} notification Notification with a `title` and a `message`.
+ * @returns {Promise<void>}
+ * @throws {Error} If no recipient is configured or the mail is rejected.
+ */
+async function send(notification) {
+  const settings = getSettings();
+  if (!settings.to) {
+    throw new Error(
+      "No email recipient configured (config.reminders.smtp.to)."
+    );
+  }
+  await getTransporter().sendMail({
+    from: settings.from || DEFAULT_FROM,
+    to: settings.to,
+    subject: `Reminder: ${notification.title}`,
+    text: notification.message,
+  });
+}
+
+module.exports = {
+  send,
+};
@@ -0,0 +1,29 @@
+// reminders/channels/webhook_channel.js
+
+const axios = require("axios");
+const config = require("../../config");
+
+const TIMEOUT_MS = 10000;
+
+/**
+ * Posts a notification as JSON to the configured webhook URL.
+ * @param {Object} notification Notification to post.
+ * @returns {Promise<void>}
+ * @throws {Error} If no URL is configured or the request fails.
+ */
+async function send(notification) {
+  const settings = (config.reminders && config.reminders.webhook) || {};
+  if (!settings.url) {
+    throw new Error(
+      "No webhook URL configured (config.reminders.webhook.url)."
+    );
+  }
+  await axios.post(settings.url, notification, {
+    headers: settings.headers || {},
+    timeout: TIMEOUT_MS,
+  });
+}
+
+module.exports = {
+  send,
+};
@@ -0,0 +1,411 @@
+// reminders/index.js
+
+const moment = require("moment-timezone"); // For time zone handling
+const reminderData = require("./reminder_data");
+const reminderSources = require("./reminder_sources");
+const channels = require("./channels");
+const routineProfile = require("../time/routine_profile");
+const config = require("../config");
+
+// A reminder is "pending" until it is claimed ("sending") and then "sent", or "failed" once
+// every attempt failed. Snoozing makes it pending again; dismissed and cancelled reminders
+// are never sent. Cancelled reminders belong to items or events that moved or went away.
+const STATUSES = [
+  "pending",
+  "sending",
+  "sent",
+  "failed",
+  "dismissed",
+  "cancelled",
+];
+const SOURCE_TYPES = ["task", "todo", "study", "event"];
+const DEFAULT_INTERVAL_SECONDS = 60;
+const DEFAULT_LOOKAHEAD_HOURS = 7 * 24; // Reminders are created for what starts within a week
+const DEFAULT_SNOOZE_MINUTES = 10;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 5; // Multiplied by the number of failed attempts
+const CLAIM_TIMEOUT_MINUTES = 5; // Claims older than this were left by a stopped scheduler
+
+let schedulerTimer = null;
+let tickRunning = false;
+
+/**
+ * Creates the reminders of the tasks, to-dos, study sessions and events starting soon,
+ * and cancels pending ones whose item or event moved, was completed or was removed.
+ * Reminders that already exist are kept as they are, so snoozes and dismissals survive.
+ * @param {Object} [options]
+ * @param {number} [options.lookaheadHours=168] How far ahead to look for starts.
+ * @param {Date} [options.now] Current time.
+ * @returns {Promise<Object>} Counts of `created` and `cancelled` reminders.
+ */
+async function refreshReminders(options = {}) {
+  try {
+    const now = options.now || new Date();
+    const end = new Date(
+      now.getTime() +
+        (options.lookaheadHours || DEFAULT_LOOKAHEAD_HOURS) * 3600000
+    );
+    const { timeZone } = await routineProfile.getRoutineProfile();
+    const expected = [
+      ...(await reminderSources.collectItemReminders(now, end)),
+      ...(await reminderSources.collectEventReminders(now, end, timeZone)),
+    ];
+
+    let created = 0;
+    for (const reminder of expected) {
+      if (reminder.fireAt < now) continue; // Too late to remind of something new
+      const result = await reminderData.upsertReminder(
+        {
+          ...reminder,
+          channels: null, // Sent through the channels configured at that time
+          status: "pending",
+          attempts: 0,
+          snoozeCount: 0,
+          createdAt: now,
+        },
+        { title: reminder.title }
+      );
+      created += result.upsertedCount || 0;
+    }
+
+    const expectedKeys = expected.map((reminder) => reminder.key);
+    // Items moved back to a time they were already reminded of
+    await reminderData.updateReminders(
+      {
+        status: "cancelled",
+        key: { $in: expectedKeys },
+        fireAt: { $gte: now },
+      },
+      { status: "pending" }
+    );
+    const cancelled = await reminderData.updateReminders(
+      {
+        status: "pending",
+        sourceType: { $in: SOURCE_TYPES },
+        startsAt: { $gte: now, $lte: end },
+        key: { $nin: expectedKeys },
+      },
+      { status: "cancelled", cancelledAt: now }
+    );
+
+    return { created, cancelled: cancelled.modifiedCount || 0 };
+  } catch (error) {
+    console.error("Error refreshing reminders:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Schedules a one-off reminder that is not tied to an item or event.
+ * @param {Object} reminder Includes title, fireAt, and optional message and channels.
+ * @returns {Promise<string>} Confirmation with the reminder ID.
+ */
+async function scheduleReminder(reminder) {
+  try {
+    if (!reminder.title || typeof reminder.title !== "string") {
+      throw new Error("Reminder title is required and must be a string.");
+    }
+    if (!reminder.fireAt || isNaN(new Date(reminder.fireAt))) {
+      throw new Error("Reminder time is required and must be a valid date.");
+    }
+    if (reminder.channels !== undefined) {
+      channels.validateChannels(reminder.channels);
+    }
+
+    const reminderId = await reminderData.storeReminder({
+      sourceType: "custom",
+      title: reminder.title,
+      message: reminder.message || reminder.title,
+      fireAt: new Date(reminder.fireAt),
+      channels: reminder.channels || null,
+      status: "pending",
+      attempts: 0,
+      snoozeCount: 0,
+      createdAt: new Date(),
+    });
+    return `Reminder scheduled successfully with ID: ${reminderId}`;
+  } catch (error) {
+    console.error(
+      `Error scheduling reminder with data ${JSON.stringify(reminder)}: ${
+        error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Lists reminders, earliest fire time first.
+ * @param {Object} [query] Filters like `status`, `sourceType` or `sourceId`.
+ * @returns {Promise<Array<Object>>} Reminders.
+ */
+async function listReminders(query = {}) {
+  try {
+    return await reminderData.retrieveReminders(query);
+  } catch (error) {
+    console.error("Error listing reminders:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Loads a reminder, failing if it does not exist.
+ * @param {ObjectId | string} reminderId ID of the reminder.
+ * @returns {Promise<Object>} Reminder.
+ */
+async function loadReminder(reminderId) {
+  const reminder = await reminderData.retrieveReminderById(reminderId);
+  if (!reminder) {
+    throw new Error(`Reminder with ID ${reminderId} not found.`);
+  }
+  return reminder;
+}
+
+/**
+ * Snoozes a pending or sent reminder, sending it again after a delay.
+ * @param {ObjectId | string} reminderId ID of the reminder.
+ * @param {number} [minutes] Delay (defaults to `config.reminders.snoozeMinutes`, else 10).
+ * @returns {Promise<string>} Confirmation with the new reminder time.
+ */
+async function snoozeReminder(reminderId, minutes) {
+  try {
+    const delay = minutes === undefined ? getSnoozeMinutes() : minutes;
+    if (!Number.isInteger(delay) || delay <= 0) {
+      throw new Error("Snooze minutes must be a positive whole number.");
+    }
+    const reminder = await loadReminder(reminderId);
+    if (!["pending", "sent", "failed"].includes(reminder.status)) {
+      throw new Error(`A ${reminder.status} reminder cannot be snoozed.`);
+    }
+
+    const fireAt = new Date(Date.now() + delay * 60000);
+    await reminderData.updateReminder(reminderId, {
+      status: "pending",
+      fireAt,
+      attempts: 0,
+      snoozeCount: (reminder.snoozeCount || 0) + 1,
+    });
+    return `Reminder snoozed until ${fireAt.toISOString()}.`;
+  } catch (error) {
+    console.error(
+      `Error snoozing reminder with ID ${reminderId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Dismisses a reminder so that it is not sent (again).
+ * @param {ObjectId | string} reminderId ID of the reminder.
+ * @returns {Promise<string>} Dismissal confirmation.
+ */
+async function dismissReminder(reminderId) {
+  try {
+    const reminder = await loadReminder(reminderId);
+    if (reminder.status === "cancelled") {
+      throw new Error("A cancelled reminder cannot be dismissed.");
+    }
+    await reminderData.updateReminder(reminderId, {
+      status: "dismissed",
+      dismissedAt: new Date(),
+    });
+    return "Reminder dismissed successfully.";
+  } catch (error) {
+    console.error(
+      `Error dismissing reminder with ID ${reminderId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Returns the configured snooze delay.
+ * @returns {number} Minutes.
+ */
+function getSnoozeMinutes() {
+  return (
+    (config.reminders && config.reminders.snoozeMinutes) ||
+    DEFAULT_SNOOZE_MINUTES
+  );
+}
+
+/**
+ * Builds the notification sent for a reminder.
+ * @param {Object} reminder Reminder as stored.
+ * @param {Date} now Current time.
+ * @param {string} timeZone Time zone used to show the start time.
+ * @returns {Object} Notification.
+ */
+function buildNotification(reminder, now, timeZone) {
+  let message = reminder.message;
+  if (!message) {
+    const startsAt = moment.tz(reminder.startsAt, timeZone);
+    message =
+      startsAt.toDate() <= now
+        ? `Started at ${startsAt.format("ddd D MMM HH:mm")}.`
+        : `Starts ${startsAt.from(now)}, at ${startsAt.format(
+            "ddd D MMM HH:mm"
+          )}.`;
+  }
+  return {
+    reminderId: String(reminder._id),
+    title: reminder.title,
+    message,
+    sourceType: reminder.sourceType,
+    sourceId: reminder.sourceId,
+    startsAt: reminder.startsAt,
+    fireAt: reminder.fireAt,
+  };
+}
+
+/**
+ * Sends every due reminder through its channels. A reminder counts as sent once one
+ * channel delivered it; otherwise it is retried later, up to MAX_ATTEMPTS times.
+ * Reminders that came due while the app was stopped are sent late.
+ * @param {Date} [now] Current time.
+ * @returns {Promise<Object>} Counts of `sent`, `retried` and `failed` reminders.
+ */
+async function dispatchDueReminders(now = new Date()) {
+  try {
+    // Release reminders claimed by a scheduler that stopped while sending them
+    await reminderData.updateReminders(
+      {
+        status: "sending",
+        claimedAt: {
+          $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MINUTES * 60000),
+        },
+      },
+      { status: "pending" }
+    );
+
+    const { timeZone } = await routineProfile.getRoutineProfile();
+    const counts = { sent: 0, retried: 0, failed: 0 };
+    let reminder;
+    while ((reminder = await reminderData.claimDueReminder(now))) {
+      const deliveries = await channels.deliver(
+        buildNotification(reminder, now, timeZone),
+        reminder.channels || channels.getDefaultChannels()
+      );
+
+      if (deliveries.some((delivery) => delivery.delivered)) {
+        await reminderData.updateReminder(reminder._id, {
+          status: "sent",
+          sentAt: now,
+          deliveries,
+        });
+        counts.sent++;
+        continue;
+      }
+
+      const attempts = (reminder.attempts || 0) + 1;
+      if (attempts < MAX_ATTEMPTS) {
+        await reminderData.updateReminder(reminder._id, {
+          status: "pending",
+          attempts,
+          fireAt: new Date(
+            now.getTime() + RETRY_DELAY_MINUTES * attempts * 60000
+          ),
+          deliveries,
+        });
+        counts.retried++;
+      } else {
+        await reminderData.updateReminder(reminder._id, {
+          status: "failed",
+          attempts,
+          deliveries,
+        });
+        counts.failed++;
+      }
+    }
+    return counts;
+  } catch (error) {
+    console.error("Error dispatching due reminders:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sends a notification right away, without storing a reminder (e.g. for alerts).
+ * @param {string} title Notification title.
+ * @param {string} message Notification text.
+ * @param {Array<string>} [channelNames] Channels to use (defaults to the configured channels).
+ * @returns {Promise<Array<Object>>} One `{ channel, delivered, error }` result per channel.
+ */
+async function notify(title, message, channelNames) {
+  try {
+    if (channelNames !== undefined) {
+      channels.validateChannels(channelNames);
+    }
+    return await channels.deliver({ title, message }, channelNames);
+  } catch (error) {
+    console.error(`Error sending notification "${title}": ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Runs one round of the scheduler: refreshes the reminders, then sends the due ones.
+ * Errors are logged so that the next round still runs.
+ * @param {Object} options Options of `startScheduler`.
+ * @returns {Promise<void>}
+ */
+async function runSchedulerTick(options) {
+  if (tickRunning) return; // The previous round is still running
+  tickRunning = true;
+  try {
+    await refreshReminders(options);
+    await dispatchDueReminders();
+  } catch (error) {
+    console.error("Reminder scheduler round failed:", error.message);
+  } finally {
+    tickRunning = false;
+  }
+}
+
+/**
+ * Starts checking for due reminders at a fixed interval. Reminders are stored in MongoDB,
+ * so a restarted scheduler picks up where the previous one stopped.
+ * @param {Object} [options]
+ * @param {number} [options.intervalSeconds=60] Time between two checks.
+ * @param {number} [options.lookaheadHours=168] How far ahead reminders are created.
+ * @returns {string} Confirmation.
+ */
+function startScheduler(options = {}) {
+  if (schedulerTimer) {
+    throw new Error("Reminder scheduler is already running.");
+  }
+  const intervalSeconds = options.intervalSeconds || DEFAULT_INTERVAL_SECONDS;
+  schedulerTimer = setInterval(
+    () => runSchedulerTick(options),
+    intervalSeconds * 1000
+  );
+  runSchedulerTick(options);
+  return `Reminder scheduler started (checking every ${intervalSeconds} seconds).`;
+}
+
+/**
+ * Stops the reminder scheduler.
+ * @returns {string} Confirmation.
+ */
+function stopScheduler() {
+  if (!schedulerTimer) {
+    return "Reminder scheduler is not running.";
+  }
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+  return "Reminder scheduler stopped.";
+}
+
+module.exports = {
+  STATUSES,
+  refreshReminders,
+  scheduleReminder,
+  listReminders,
+  snoozeReminder,
+  dismissReminder,
+  dispatchDueReminders,
+  notify,
+  startScheduler,
+  stopScheduler,
+  registerChannel: channels.registerChannel,
+};
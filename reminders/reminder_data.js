@@ -0,0 +1,215 @@
+// reminders/reminder_data.js
+
+const { MongoClient, ObjectId } = require("mongodb");
+require("dotenv").config();
+
+const config = require("../config"); // Import configuration
+
+const MONGODB_URI = config.mongodb.uri;
+const DATABASE_NAME = config.mongodb.dbName;
+const COLLECTION_NAME = "reminders"; // Collection for reminder jobs
+
+let client; // MongoDB client instance
+
+/**
+ * Connects to the MongoDB database if not already connected.
+ * @returns {Promise<MongoClient>} MongoDB client object.
+ */
+async function connectToDatabase() {
+  try {
+    if (!client || !client.isConnected()) {
+      client = new MongoClient(MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      await client.connect();
+    }
+    return client;
+  } catch (error) {
+    console.error("Error connecting to MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Closes the MongoDB client connection if open.
+ * @returns {Promise<void>}
+ */
+async function closeConnection() {
+  if (client && client.isConnected()) {
+    try {
+      await client.close();
+      console.log("MongoDB connection closed.");
+    } catch (error) {
+      console.error("Error closing MongoDB connection:", error.message);
+    }
+  }
+}
+
+/**
+ * Converts a reminder ID to an ObjectId.
+ * @param {ObjectId | string} reminderId ID of the reminder.
+ * @returns {ObjectId} Reminder ID.
+ * @throws {Error} If the ID is not a valid ObjectId.
+ */
+function toObjectId(reminderId) {
+  if (typeof reminderId === "string" && !ObjectId.isValid(reminderId)) {
+    throw new Error("Invalid reminderId provided.");
+  }
+  return typeof reminderId === "string" ? ObjectId(reminderId) : reminderId;
+}
+
+/**
+ * Stores a reminder job.
+ * @param {Object} reminder Reminder details.
+ * @returns {Promise<ObjectId>} ID of the stored reminder.
+ */
+async function storeReminder(reminder) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    const result = await collection.insertOne(reminder);
+    return result.insertedId;
+  } catch (error) {
+    console.error("Error storing reminder:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores a reminder job under its key unless one with that key already exists.
+ * An existing reminder keeps its status and fire time; only the given fields are refreshed.
+ * @param {Object} reminder Reminder details, including its unique `key`.
+ * @param {Object} [refreshedFields] Fields updated on an existing reminder (e.g. its title).
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function upsertReminder(reminder, refreshedFields = {}) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    const insertedFields = { ...reminder };
+    Object.keys(refreshedFields).forEach((field) => {
+      delete insertedFields[field];
+    });
+    const update = { $setOnInsert: insertedFields };
+    if (Object.keys(refreshedFields).length) {
+      update.$set = refreshedFields;
+    }
+    return await collection.updateOne({ key: reminder.key }, update, {
+      upsert: true,
+    });
+  } catch (error) {
+    console.error("Error upserting reminder:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves a reminder by its ID.
+ * @param {ObjectId | string} reminderId ID of the reminder.
+ * @returns {Promise<Object|null>} Reminder, or null if it does not exist.
+ */
+async function retrieveReminderById(reminderId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    return await collection.findOne({ _id: toObjectId(reminderId) });
+  } catch (error) {
+    console.error("Error retrieving reminder:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves reminders, earliest fire time first.
+ * @param {Object} query Filters like status or source item.
+ * @returns {Promise<Array<Object>>} Array of reminders.
+ */
+async function retrieveReminders(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    return await collection.find(query).sort({ fireAt: 1 }).toArray();
+  } catch (error) {
+    console.error("Error retrieving reminders:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates a reminder.
+ * @param {ObjectId | string} reminderId ID of the reminder.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateReminder(reminderId, updatedData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    return await collection.updateOne(
+      { _id: toObjectId(reminderId) },
+      { $set: updatedData }
+    );
+  } catch (error) {
+    console.error("Error updating reminder:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates every reminder matching a query.
+ * @param {Object} query Filters selecting the reminders.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateReminders(query, updatedData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    return await collection.updateMany(query, { $set: updatedData });
+  } catch (error) {
+    console.error("Error updating reminders:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Claims the earliest pending reminder that is due, marking it as being sent so that
+ * no other scheduler instance delivers it too.
+ * @param {Date} now Current time.
+ * @returns {Promise<Object|null>} Claimed reminder, or null if none is due.
+ */
+async function claimDueReminder(now) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    const result = await collection.findOneAndUpdate(
+      { status: "pending", fireAt: { $lte: now } },
+      { $set: { status: "sending", claimedAt: now } },
+      { sort: { fireAt: 1 }, returnOriginal: false }
+    );
+    return result.value;
+  } catch (error) {
+    console.error("Error claiming due reminder:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  connectToDatabase,
+  closeConnection,
+  storeReminder,
+  upsertReminder,
+  retrieveReminderById,
+  retrieveReminders,
+  updateReminder,
+  updateReminders,
+  claimDueReminder,
+};
@@ -0,0 +1,129 @@
+// reminders/reminder_sources.js
+
+const tasksData = require("../tasks/tasks_data");
+const recurrence = require("../tasks/recurrence");
+const lifecycle = require("../tasks/lifecycle");
+const timeModule = require("../time");
+const recurringEvents = require("../time/recurring_events");
+const config = require("../config");
+
+// Offset used for events that rely on the calendar's default reminders (Google's own default)
+const DEFAULT_EVENT_OFFSETS = [10];
+
+/**
+ * Returns the reminder offsets of an event: its own reminder overrides, else the
+ * default ones (`config.reminders.defaultEventOffsets`, else 10 minutes).
+ * @param {Object} event Google Calendar-shaped event.
+ * @returns {Array<number>} Minutes before the start.
+ */
+function getEventOffsets(event) {
+  if (event.reminders && !event.reminders.useDefault) {
+    return (event.reminders.overrides || []).map(
+      (override) => override.minutes
+    );
+  }
+  return (
+    (config.reminders && config.reminders.defaultEventOffsets) ||
+    DEFAULT_EVENT_OFFSETS
+  );
+}
+
+/**
+ * Builds the reminders due for one occurrence of an item or event, one per offset.
+ * @param {Object} source Source with `sourceType`, `sourceId`, `title` and `startsAt`.
+ * @param {Array<number>} offsets Minutes before the start.
+ * @returns {Array<Object>} Reminders, each with a `key` unique to the source, occurrence and offset.
+ */
+function buildReminders(source, offsets) {
+  const startsAt = new Date(source.startsAt);
+  return [...new Set(offsets)].map((offsetMinutes) => ({
+    key: `${source.sourceType}:${
+      source.sourceId
+    }:${startsAt.toISOString()}:${offsetMinutes}`,
+    ...source,
+    startsAt,
+    offsetMinutes,
+    fireAt: new Date(startsAt.getTime() - offsetMinutes * 60000),
+  }));
+}
+
+/**
+ * Collects the reminders of open tasks, to-dos and study sessions starting within a range.
+ * An item starts at its scheduled start if it is scheduled, else at its date; recurring
+ * items are expanded into their occurrences.
+ * @param {Date} rangeStart Start of the range.
+ * @param {Date} rangeEnd End of the range.
+ * @returns {Promise<Array<Object>>} Reminders of the items.
+ */
+async function collectItemReminders(rangeStart, rangeEnd) {
+  const query = { reminderOffsets: { $exists: true, $ne: [] } };
+  const itemsByType = {
+    task: await tasksData.retrieveTasks(query),
+    todo: await tasksData.retrieveToDos(query),
+    study: await tasksData.retrieveStudies(query),
+  };
+
+  const reminders = [];
+  for (const [itemType, items] of Object.entries(itemsByType)) {
+    for (const item of items) {
+      const occurrences = item.recurrence
+        ? recurrence.expandSeries(item, rangeStart, rangeEnd)
+        : [{ ...item, date: item.scheduledStart || item.date }];
+      for (const occurrence of occurrences) {
+        const startsAt = new Date(occurrence.date);
+        if (
+          !occurrence.date ||
+          !lifecycle.isOpen(occurrence) ||
+          startsAt < rangeStart ||
+          startsAt > rangeEnd
+        ) {
+          continue;
+        }
+        reminders.push(
+          ...buildReminders(
+            {
+              sourceType: itemType,
+              sourceId: String(item._id),
+              title: item.title,
+              startsAt,
+            },
+            item.reminderOffsets
+          )
+        );
+      }
+    }
+  }
+  return reminders;
+}
+
+/**
+ * Collects the reminders of calendar events starting within a range, recurring events included.
+ * @param {Date} rangeStart Start of the range.
+ * @param {Date} rangeEnd End of the range.
+ * @param {string} timeZone Time zone of all-day events.
+ * @returns {Promise<Array<Object>>} Reminders of the events.
+ */
+async function collectEventReminders(rangeStart, rangeEnd, timeZone) {
+  const events = await timeModule.listEventInstances(rangeStart, rangeEnd, {
+    timeZone,
+  });
+  return events.flatMap((event) => {
+    const startsAt = recurringEvents.getEventBounds(event, timeZone).start;
+    if (startsAt < rangeStart || startsAt > rangeEnd) return [];
+    return buildReminders(
+      {
+        sourceType: "event",
+        sourceId: String(event._id || event.recurringMongoEventId),
+        title: event.summary || "(no title)",
+        startsAt,
+      },
+      getEventOffsets(event)
+    );
+  });
+}
+
+module.exports = {
+  getEventOffsets,
+  collectItemReminders,
+  collectEventReminders,
+};
@@ -0,0 +1,278 @@
+// tasks/dependencies.js
+
+const tasksData = require("./tasks_data");
+const lifecycle = require("./lifecycle");
+
+const ITEM_TYPES = ["task", "todo", "study"];
+
+/**
+ * Builds a key identifying an item across collections.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {ObjectId | string} itemId Unique identifier of the item.
+ * @returns {string} Key in the form "type:id".
+ */
+function itemKey(itemType, itemId) {
+  return `${itemType}:${String(itemId)}`;
+}
+
+/**
+ * Retrieves an item and fails if it does not exist.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {ObjectId | string} itemId Unique identifier of the item.
+ * @returns {Promise<Object>} Item data object.
+ */
+async function retrieveExistingItem(itemType, itemId) {
+  if (!ITEM_TYPES.includes(itemType)) {
+    throw new Error(`Unknown item type "${itemType}".`);
+  }
+  const item = await tasksData.retrieveItemById(itemType, itemId);
+  if (!item) {
+    throw new Error(`${itemType} with ID ${itemId} not found.`);
+  }
+  return item;
+}
+
+/**
+ * Retrieves the items an item directly depends on.
+ * Links to items that no longer exist are ignored.
+ * @param {Object} item Task, to-do or study session.
+ * @returns {Promise<Array<Object>>} Prerequisites, each tagged with `itemType`.
+ */
+async function getPrerequisites(item) {
+  const prerequisites = [];
+  for (const link of item.dependsOn || []) {
+    const prerequisite = await tasksData.retrieveItemById(
+      link.itemType,
+      link.itemId
+    );
+    if (prerequisite) {
+      prerequisites.push({ ...prerequisite, itemType: link.itemType });
+    }
+  }
+  return prerequisites;
+}
+
+/**
+ * Checks whether `targetKey` can be reached by following "depends on" links from an item.
+ * @param {string} itemType Type of the starting item.
+ * @param {ObjectId | string} itemId ID of the starting item.
+ * @param {string} targetKey Key of the item to look for.
+ * @returns {Promise<boolean>} True if the target is a (transitive) prerequisite.
+ */
+async function dependsOnTransitively(itemType, itemId, targetKey) {
+  const visited = new Set();
+  const stack = [{ itemType, itemId }];
+
+  while (stack.length) {
+    const current = stack.pop();
+    const key = itemKey(current.itemType, current.itemId);
+    if (key === targetKey) return true;
+    if (visited.has(key)) continue;
+    visited.add(key);
+
+    const item = await tasksData.retrieveItemById(
+      current.itemType,
+      current.itemId
+    );
+    if (item) stack.push(...(item.dependsOn || []));
+  }
+
+  return false;
+}
+
+/**
+ * Declares that an item cannot start until another item is done.
+ * @param {string} itemType Type of the dependent item ("task", "todo" or "study").
+ * @param {string} itemId ID of the dependent item.
+ * @param {string} prerequisiteType Type of the prerequisite item.
+ * @param {string} prerequisiteId ID of the prerequisite item.
+ * @returns {Promise<string>} Confirmation message.
+ * @throws {Error} If either item does not exist or the link would create a cycle.
+ */
+async function addDependency(
+  itemType,
+  itemId,
+  prerequisiteType,
+  prerequisiteId
+) {
+  try {
+    const item = await retrieveExistingItem(itemType, itemId);
+    const prerequisite = await retrieveExistingItem(
+      prerequisiteType,
+      prerequisiteId
+    );
+
+    const key = itemKey(itemType, item._id);
+    const prerequisiteKey = itemKey(prerequisiteType, prerequisite._id);
+    if (key === prerequisiteKey) {
+      throw new Error("An item cannot depend on itself.");
+    }
+
+    const dependsOn = item.dependsOn || [];
+    if (
+      dependsOn.some(
+        (link) => itemKey(link.itemType, link.itemId) === prerequisiteKey
+      )
+    ) {
+      return "Dependency already exists.";
+    }
+
+    if (await dependsOnTransitively(prerequisiteType, prerequisite._id, key)) {
+      throw new Error(
+        `Adding this dependency would create a cycle between ${key} and ${prerequisiteKey}.`
+      );
+    }
+
+    await tasksData.updateItemData(itemType, item._id, {
+      dependsOn: [
+        ...dependsOn,
+        { itemType: prerequisiteType, itemId: prerequisite._id },
+      ],
+    });
+    return "Dependency added successfully.";
+  } catch (error) {
+    console.error("Error adding dependency:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Removes a "depends on" link between two items.
+ * @param {string} itemType Type of the dependent item.
+ * @param {string} itemId ID of the dependent item.
+ * @param {string} prerequisiteType Type of the prerequisite item.
+ * @param {string} prerequisiteId ID of the prerequisite item.
+ * @returns {Promise<string>} Confirmation message.
+ */
+async function removeDependency(
+  itemType,
+  itemId,
+  prerequisiteType,
+  prerequisiteId
+) {
+  try {
+    const item = await retrieveExistingItem(itemType, itemId);
+    const prerequisiteKey = itemKey(prerequisiteType, prerequisiteId);
+
+    await tasksData.updateItemData(itemType, item._id, {
+      dependsOn: (item.dependsOn || []).filter(
+        (link) => itemKey(link.itemType, link.itemId) !== prerequisiteKey
+      ),
+    });
+    return "Dependency removed successfully.";
+  } catch (error) {
+    console.error("Error removing dependency:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Loads every open task, to-do and study session, keyed by item key.
+ * Done and cancelled items are kept in a separate set: they no longer block anything.
+ * @returns {Promise<Object>} `open` map of items and `done` set of keys.
+ */
+async function loadItemGraph() {
+  const collections = {
+    task: await tasksData.retrieveTasks({}),
+    todo: await tasksData.retrieveToDos({}),
+    study: await tasksData.retrieveStudies({}),
+  };
+
+  const open = new Map();
+  const done = new Set();
+  for (const [itemType, items] of Object.entries(collections)) {
+    for (const item of items) {
+      const key = itemKey(itemType, item._id);
+      if (!lifecycle.isOpen(item)) {
+        done.add(key);
+      } else {
+        open.set(key, { ...item, itemType });
+      }
+    }
+  }
+  return { open, done };
+}
+
+/**
+ * Lists open items that have at least one prerequisite that is not done yet.
+ * @returns {Promise<Array<Object>>} Blocked items, each tagged with `itemType` and `blockedBy` keys.
+ */
+async function getBlockedTasks() {
+  try {
+    const { open, done } = await loadItemGraph();
+    const blocked = [];
+    for (const item of open.values()) {
+      const blockedBy = (item.dependsOn || [])
+        .map((link) => itemKey(link.itemType, link.itemId))
+        .filter((key) => !done.has(key) && open.has(key));
+      if (blockedBy.length) {
+        blocked.push({ ...item, blockedBy });
+      }
+    }
+    return blocked;
+  } catch (error) {
+    console.error("Error retrieving blocked tasks:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Lists open items whose prerequisites are all done.
+ * @returns {Promise<Array<Object>>} Ready items, each tagged with `itemType`.
+ */
+async function getReadyTasks() {
+  try {
+    const { open, done } = await loadItemGraph();
+    return [...open.values()].filter((item) =>
+      (item.dependsOn || []).every((link) => {
+        const key = itemKey(link.itemType, link.itemId);
+        return done.has(key) || !open.has(key);
+      })
+    );
+  } catch (error) {
+    console.error("Error retrieving ready tasks:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Works out the earliest time an item may be scheduled, given its prerequisites.
+ * Prerequisites that are done or cancelled impose no constraint; scheduled ones must end first;
+ * prerequisites planned in the same run (see `plannedEnds`) count as scheduled.
+ * @param {Object} item Task, to-do or study session.
+ * @param {Map<string, Date>} [plannedEnds] Planned end times of items not yet committed, by item key.
+ * @returns {Promise<Object>} `blockedBy` keys of unscheduled prerequisites and `earliestStart` (Date or null).
+ */
+async function getSchedulingConstraint(item, plannedEnds = new Map()) {
+  const blockedBy = [];
+  let earliestStart = null;
+
+  for (const prerequisite of await getPrerequisites(item)) {
+    if (!lifecycle.isOpen(prerequisite)) continue;
+
+    const key = itemKey(prerequisite.itemType, prerequisite._id);
+    const end =
+      plannedEnds.get(key) ||
+      (prerequisite.scheduled && prerequisite.scheduledEnd
+        ? new Date(prerequisite.scheduledEnd)
+        : null);
+
+    if (!end) {
+      blockedBy.push(key);
+    } else if (!earliestStart || end > earliestStart) {
+      earliestStart = end;
+    }
+  }
+
+  return { blockedBy, earliestStart };
+}
+
+module.exports = {
+  itemKey,
+  addDependency,
+  removeDependency,
+  getPrerequisites,
+  getBlockedTasks,
+  getReadyTasks,
+  getSchedulingConstraint,
+};
@@ -0,0 +1,116 @@
+// tasks/lifecycle.js
+
+const tasksData = require("./tasks_data");
+
+const STATUSES = ["todo", "in-progress", "blocked", "done", "cancelled"];
+
+// Allowed status changes; anything else is rejected
+const TRANSITIONS = {
+  todo: ["in-progress", "blocked", "done", "cancelled"],
+  "in-progress": ["todo", "blocked", "done", "cancelled"],
+  blocked: ["todo", "in-progress", "done", "cancelled"],
+  done: ["todo", "in-progress"], // Reopen
+  cancelled: ["todo"], // Restore
+};
+
+/**
+ * Returns an item's status, mapping documents created before the lifecycle existed.
+ * @param {Object} item Task, to-do or study session.
+ * @returns {string} One of STATUSES.
+ */
+function getStatus(item) {
+  if (!item.status) return "todo";
+  if (item.status === "completed") return "done"; // Legacy status
+  return item.status;
+}
+
+/**
+ * Checks whether an item is done.
+ * @param {Object} item Task, to-do or study session.
+ * @returns {boolean} True if the item is done.
+ */
+function isDone(item) {
+  return getStatus(item) === "done";
+}
+
+/**
+ * Checks whether an item is still open (neither done nor cancelled).
+ * @param {Object} item Task, to-do or study session.
+ * @returns {boolean} True if the item is open.
+ */
+function isOpen(item) {
+  return !["done", "cancelled"].includes(getStatus(item));
+}
+
+/**
+ * Returns the status fields every new item starts with.
+ * @returns {Object} Initial `status` and `statusHistory`.
+ */
+function initialStatusFields() {
+  return {
+    status: "todo",
+    statusHistory: [{ from: null, to: "todo", changedAt: new Date() }],
+  };
+}
+
+/**
+ * Moves an item to a new status, recording the change in its history and
+ * setting `startedAt` (first time in progress) and `completedAt` (when done).
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {ObjectId | string} itemId Unique identifier of the item.
+ * @param {string} status New status.
+ * @param {string} [note] Optional reason stored with the history entry.
+ * @returns {Promise<Object>} Updated item.
+ * @throws {Error} If the item does not exist or the transition is not allowed.
+ */
+async function changeItemStatus(itemType, itemId, status, note) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${STATUSES.join(", ")}.`);
+  }
+
+  const item = await tasksData.retrieveItemById(itemType, itemId);
+  if (!item) {
+    throw new Error(`${itemType} with ID ${itemId} not found.`);
+  }
+
+  const from = getStatus(item);
+  if (from === status) {
+    return item;
+  }
+  if (!TRANSITIONS[from].includes(status)) {
+    throw new Error(
+      `Cannot change ${itemType} with ID ${itemId} from "${from}" to "${status}".`
+    );
+  }
+
+  const now = new Date();
+  const updatedData = { status };
+  if (status === "in-progress" && !item.startedAt) {
+    updatedData.startedAt = now;
+  }
+  if (status === "done") {
+    updatedData.completedAt = now;
+  } else if (from === "done") {
+    updatedData.completedAt = null;
+  }
+
+  const historyEntry = { from, to: status, changedAt: now };
+  if (note) historyEntry.note = note;
+
+  await tasksData.transitionItemStatus(
+    itemType,
+    item._id,
+    updatedData,
+    historyEntry
+  );
+  return { ...item, ...updatedData };
+}
+
+module.exports = {
+  STATUSES,
+  getStatus,
+  isDone,
+  isOpen,
+  initialStatusFields,
+  changeItemStatus,
+};
@@ -0,0 +1,276 @@
+// tasks/prioritization.js
+
+const moment = require("moment-timezone"); // For time zone handling
+const tasksData = require("./tasks_data");
+const recurrence = require("./recurrence");
+const dependencies = require("./dependencies");
+const lifecycle = require("./lifecycle");
+const spacedRepetition = require("./spaced_repetition");
+const timeModule = require("../time");
+
+const PRIORITIES = ["low", "medium", "high"];
+const PRIORITY_WEIGHTS = { low: 1, medium: 2, high: 3 };
+const MIN_EFFORT = 1; // Effort is a relative size: 1 (trivial) to 5 (very large)
+const MAX_EFFORT = 5;
+const URGENCY_HORIZON_DAYS = 7; // Items due further out than this are not urgent at all
+const URGENT_THRESHOLD = 0.5; // Urgency from which an item counts as urgent (due within 3.5 days)
+const SCORE_WEIGHTS = { importance: 0.5, urgency: 0.4, ease: 0.1 };
+const DEFAULT_TODO_DURATION = 0.5; // To-dos have no duration; assume half an hour
+
+/**
+ * Validates the optional planning fields of an item: priority, effort, due date and reminder offsets.
+ * @param {Object} itemData Item data to validate.
+ * @param {string} label Name of the item kind used in error messages (e.g. "Task").
+ * @throws {Error} If validation fails.
+ */
+function validatePlanningFields(itemData, label) {
+  if (
+    itemData.priority !== undefined &&
+    itemData.priority !== null &&
+    !PRIORITIES.includes(itemData.priority) &&
+    typeof itemData.priority !== "number"
+  ) {
+    throw new Error(
+      `${label} priority must be a number or one of: ${PRIORITIES.join(", ")}.`
+    );
+  }
+  if (
+    itemData.effort !== undefined &&
+    itemData.effort !== null &&
+    (!Number.isInteger(itemData.effort) ||
+      itemData.effort < MIN_EFFORT ||
+      itemData.effort > MAX_EFFORT)
+  ) {
+    throw new Error(
+      `${label} effort must be a whole number from ${MIN_EFFORT} to ${MAX_EFFORT}.`
+    );
+  }
+  if (
+    itemData.dueDate !== undefined &&
+    itemData.dueDate !== null &&
+    isNaN(new Date(itemData.dueDate))
+  ) {
+    throw new Error(`${label} due date must be a valid date.`);
+  }
+  if (
+    itemData.reminderOffsets !== undefined &&
+    itemData.reminderOffsets !== null &&
+    (!Array.isArray(itemData.reminderOffsets) ||
+      itemData.reminderOffsets.some(
+        (offset) => !Number.isInteger(offset) || offset < 0
+      ))
+  ) {
+    throw new Error(
+      `${label} reminder offsets must be a list of whole, non-negative minute counts.`
+    );
+  }
+}
+
+/**
+ * Returns the numeric weight of an item's priority (numbers are used as-is).
+ * @param {Object} item Task, to-do or study session.
+ * @returns {number} Priority weight; higher is more important.
+ */
+function getPriorityWeight(item) {
+  if (typeof item.priority === "number") {
+    return item.priority;
+  }
+  return PRIORITY_WEIGHTS[item.priority] || PRIORITY_WEIGHTS.medium;
+}
+
+/**
+ * Returns the latest time by which an item must be finished.
+ * An explicit `dueDate` wins; otherwise it is the end of the item's `date` day
+ * (for recurring items, of the next occurrence from today on), or of the day a
+ * study session's next review is due.
+ * @param {Object} item Task, to-do or study session.
+ * @param {string} timeZone User's time zone.
+ * @param {Date} [now] Reference time (defaults to now).
+ * @returns {Date|null} Deadline, or null if the item has none.
+ */
+function getDueDate(item, timeZone, now = new Date()) {
+  if (item.dueDate) {
+    return new Date(item.dueDate);
+  }
+  if (!item.date) {
+    return item.nextReviewDate
+      ? moment.tz(item.nextReviewDate, timeZone).endOf("day").toDate()
+      : null;
+  }
+
+  let date = item.date;
+  if (item.recurrence) {
+    const today = moment.tz(now, timeZone).startOf("day");
+    [date] = recurrence.generateOccurrences(
+      item.recurrence,
+      item.date,
+      today.toDate(),
+      today.clone().add(1, "year").toDate()
+    );
+    if (!date) return null; // The series has ended
+  }
+  return moment.tz(date, timeZone).endOf("day").toDate();
+}
+
+/**
+ * Scores an item by importance (priority), urgency (time left until it is due)
+ * and ease (low effort), and places it in an Eisenhower quadrant.
+ * @param {Object} item Task, to-do or study session.
+ * @param {Object} [options] Scoring options.
+ * @param {string} [options.timeZone="UTC"] User's time zone.
+ * @param {Date} [options.now] Reference time (defaults to now).
+ * @returns {Object} `score` (0-1), its `importance`, `urgency` and `ease` parts, `quadrant` and `deadline`.
+ */
+function scoreItem(item, options = {}) {
+  const timeZone = options.timeZone || "UTC";
+  const now = options.now ? new Date(options.now) : new Date();
+
+  const weight = getPriorityWeight(item);
+  const importance = Math.min(Math.max(weight / PRIORITY_WEIGHTS.high, 0), 1);
+
+  const deadline = getDueDate(item, timeZone, now);
+  let urgency = 0;
+  if (deadline) {
+    const daysLeft = (deadline - now) / (24 * 60 * 60 * 1000);
+    urgency = Math.min(Math.max(1 - daysLeft / URGENCY_HORIZON_DAYS, 0), 1);
+  }
+
+  const ease =
+    typeof item.effort === "number"
+      ? (MAX_EFFORT - item.effort) / (MAX_EFFORT - MIN_EFFORT)
+      : 0.5; // Unknown effort is neutral
+
+  const important = weight >= PRIORITY_WEIGHTS.high;
+  const urgent = urgency >= URGENT_THRESHOLD;
+  let quadrant;
+  if (important && urgent) quadrant = "do";
+  else if (important) quadrant = "schedule";
+  else if (urgent) quadrant = "delegate";
+  else quadrant = "eliminate";
+
+  const score =
+    SCORE_WEIGHTS.importance * importance +
+    SCORE_WEIGHTS.urgency * urgency +
+    SCORE_WEIGHTS.ease * ease;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    importance,
+    urgency,
+    ease,
+    quadrant,
+    deadline,
+  };
+}
+
+/**
+ * Ranks items from most to least pressing.
+ * Equal scores are ordered by the earliest deadline, then by title.
+ * @param {Array<Object>} items Tasks, to-dos and study sessions.
+ * @param {Object} [options] Scoring options (see `scoreItem`).
+ * @returns {Array<Object>} Items with their `score`, `quadrant` and `deadline`, best first.
+ */
+function rankItems(items, options = {}) {
+  return items
+    .map((item) => {
+      const { score, quadrant, deadline } = scoreItem(item, options);
+      return { ...item, score, quadrant, deadline };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (a.deadline ? a.deadline.getTime() : Infinity) -
+          (b.deadline ? b.deadline.getTime() : Infinity) ||
+        String(a.title).localeCompare(String(b.title))
+    );
+}
+
+/**
+ * Looks up the current free time window: the free interval (from the routine
+ * profile and calendar) that contains `now`, or else the next one today.
+ * @param {Date} now Reference time.
+ * @param {string} timeZone User's time zone.
+ * @returns {Promise<Object|null>} Window ({ start, end } as Dates), or null if nothing is free today.
+ */
+async function findCurrentFreeWindow(now, timeZone) {
+  const endOfDay = moment.tz(now, timeZone).endOf("day").toDate();
+  const events = await timeModule.fetchBusyEvents(now, endOfDay);
+  const profile = await timeModule.getRoutineProfile();
+  const [window] = timeModule.calculateFreeTimeIntervals(
+    events,
+    { start: now, end: endOfDay },
+    profile
+  );
+  return window || null;
+}
+
+/**
+ * Suggests what to work on next: open, unblocked tasks, to-dos and study sessions,
+ * ranked by `scoreItem`. Tasks broken down into subtasks are represented by their subtasks,
+ * and study sessions only show up once they are due for review.
+ * When a free time window is given (or looked up through `useCalendar`),
+ * only items that fit in the remaining part of the window are suggested.
+ * @param {number} [limit=5] Maximum number of suggestions.
+ * @param {Object} [context] Ranking context.
+ * @param {string} [context.timeZone="UTC"] User's time zone.
+ * @param {Date} [context.now] Reference time (defaults to now).
+ * @param {Object} [context.freeWindow] Free window with `start` and `end`.
+ * @param {boolean} [context.useCalendar] Look up the current free window from the time module.
+ * @returns {Promise<Array<Object>>} Suggested items, each tagged with `itemType`, `score`, `quadrant` and `deadline`.
+ */
+async function getNextActions(limit = 5, context = {}) {
+  try {
+    const timeZone = context.timeZone || "UTC";
+    const now = context.now ? new Date(context.now) : new Date();
+
+    let freeWindow = context.freeWindow || null;
+    if (!freeWindow && context.useCalendar) {
+      freeWindow = await findCurrentFreeWindow(now, timeZone);
+      if (!freeWindow) return []; // No free time left today
+    }
+
+    const readyItems = await dependencies.getReadyTasks();
+    const subtasks = await tasksData.retrieveTasks({
+      parentId: { $exists: true, $ne: null },
+    });
+    const parentIds = new Set(
+      subtasks
+        .filter((subtask) => lifecycle.isOpen(subtask))
+        .map((subtask) => String(subtask.parentId))
+    );
+
+    let candidates = readyItems.filter((item) =>
+      item.itemType === "task"
+        ? !parentIds.has(String(item._id))
+        : item.itemType !== "study" || spacedRepetition.isReviewDue(item, now)
+    );
+
+    if (freeWindow) {
+      const windowStart = new Date(
+        Math.max(new Date(freeWindow.start).getTime(), now.getTime())
+      );
+      const availableMs = new Date(freeWindow.end) - windowStart;
+      candidates = candidates.filter(
+        (item) =>
+          (item.duration || DEFAULT_TODO_DURATION) * 60 * 60 * 1000 <= // Hours to milliseconds
+          availableMs
+      );
+    }
+
+    return rankItems(candidates, { timeZone, now }).slice(0, limit);
+  } catch (error) {
+    console.error("Error retrieving next actions:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_TODO_DURATION,
+  validatePlanningFields,
+  getPriorityWeight,
+  getDueDate,
+  scoreItem,
+  rankItems,
+  getNextActions,
+};
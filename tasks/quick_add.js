@@ -0,0 +1,378 @@
+// tasks/quick_add.js
+
+const moment = require("moment-timezone"); // For time zone handling
+const tasksManager = require("./tasks_manager");
+const recurrence = require("./recurrence");
+const timeModule = require("../time");
+
+const WEEKDAY_PATTERN =
+  "(mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)";
+const MONTH_PATTERN =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const PRIORITY_ALIASES = {
+  high: "high",
+  h: "high",
+  1: "high",
+  medium: "medium",
+  med: "medium",
+  m: "medium",
+  2: "medium",
+  low: "low",
+  l: "low",
+  3: "low",
+};
+const DEFAULT_EVENT_DURATION_MINUTES = 60;
+
+/**
+ * Maps a weekday name or abbreviation to moment's day index (0 = Sunday).
+ * @param {string} name Weekday name such as "fri" or "Friday".
+ * @returns {number} Day index.
+ */
+function weekdayIndex(name) {
+  const prefix = name.slice(0, 2).toUpperCase();
+  return WEEKDAY_CODES.indexOf(prefix);
+}
+
+/**
+ * Removes the first match of a pattern from the remaining text.
+ * @param {Object} state Parser state holding the remaining `text`.
+ * @param {RegExp} pattern Pattern to look for (case-insensitive).
+ * @returns {Array|null} The match, or null if the pattern was not found.
+ */
+function take(state, pattern) {
+  const match = state.text.match(pattern);
+  if (match) {
+    state.text = (
+      state.text.slice(0, match.index) +
+      " " +
+      state.text.slice(match.index + match[0].length)
+    ).trim();
+  }
+  return match;
+}
+
+/**
+ * Extracts a recurrence such as "every friday", "every 2 weeks", "every weekday" or "daily".
+ * @param {Object} state Parser state.
+ * @returns {Object|null} Recurrence rule without time zone, or null.
+ */
+function takeRecurrence(state) {
+  const simple = take(state, /\b(daily|weekly|monthly)\b/i);
+  if (simple) {
+    const freq = simple[1].toLowerCase();
+    return { freq };
+  }
+
+  const weekdays = take(
+    state,
+    new RegExp(
+      `\\bevery\\s+${WEEKDAY_PATTERN}((?:\\s*(?:,|and)\\s*${WEEKDAY_PATTERN})*)\\b`,
+      "i"
+    )
+  );
+  if (weekdays) {
+    const names = weekdays[0]
+      .replace(/^every\s+/i, "")
+      .split(/\s*(?:,|and)\s*/i);
+    return {
+      freq: "weekly",
+      byWeekday: names.map((name) => WEEKDAY_CODES[weekdayIndex(name)]),
+    };
+  }
+
+  if (take(state, /\bevery\s+weekday\b/i)) {
+    return { freq: "weekly", byWeekday: ["MO", "TU", "WE", "TH", "FR"] };
+  }
+
+  const interval = take(
+    state,
+    /\bevery\s+(other\s+|\d+\s+)?(day|week|month)s?\b/i
+  );
+  if (interval) {
+    const freqs = { day: "daily", week: "weekly", month: "monthly" };
+    const rule = { freq: freqs[interval[2].toLowerCase()] };
+    if (interval[1]) {
+      rule.interval = /other/i.test(interval[1])
+        ? 2
+        : parseInt(interval[1], 10);
+    }
+    return rule;
+  }
+
+  return null;
+}
+
+/**
+ * Extracts a duration such as "for 45m", "for 2h", "1h30m" or "90 minutes".
+ * @param {Object} state Parser state.
+ * @returns {number|null} Duration in minutes, or null.
+ */
+function takeDuration(state) {
+  const hours = take(
+    state,
+    /(?:\bfor\s+)?\b(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)(?![a-z])(?:\s*(\d+)\s*(?:m|mins?|minutes?)\b)?/i
+  );
+  if (hours) {
+    return Math.round(
+      parseFloat(hours[1]) * 60 + (hours[2] ? parseInt(hours[2], 10) : 0)
+    );
+  }
+  const minutes = take(state, /(?:\bfor\s+)?\b(\d+)\s*(?:m|mins?|minutes?)\b/i);
+  return minutes ? parseInt(minutes[1], 10) : null;
+}
+
+/**
+ * Extracts a time of day such as "3pm", "at 3:30 pm", "15:30", "at 9", "noon" or "midnight".
+ * @param {Object} state Parser state.
+ * @returns {Object|null} Hour and minute, or null.
+ * @throws {Error} If the phrase has a time that does not exist, such as "13pm".
+ */
+function takeTime(state) {
+  if (take(state, /\b(?:at\s+)?noon\b/i)) return { hour: 12, minute: 0 };
+  if (take(state, /\b(?:at\s+)?midnight\b/i)) return { hour: 0, minute: 0 };
+
+  const match =
+    take(state, /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i) ||
+    take(state, /\b(?:at\s+)?([01]?\d|2[0-3]):(\d{2})\b/) ||
+    take(state, /\bat\s+(\d{1,2})\b/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] && match[3].toLowerCase();
+  if (hour > 23 || minute > 59 || (meridiem && (hour > 12 || hour === 0))) {
+    throw new Error(
+      `"${match[0].replace(/^at\s+/i, "")}" is not a valid time.`
+    );
+  }
+  if (meridiem === "pm" && hour < 12) hour += 12;
+  if (meridiem === "am" && hour === 12) hour = 0;
+  return { hour, minute };
+}
+
+/**
+ * Extracts a calendar day such as "today", "tomorrow", "friday", "next monday",
+ * "in 3 days", "2024-05-03", "may 3" or "3 may".
+ * @param {Object} state Parser state.
+ * @param {moment.Moment} today Start of today in the user's time zone.
+ * @returns {moment.Moment|null} Start of the day, or null.
+ * @throws {Error} If the phrase has a date that does not exist, such as "2026-02-30".
+ */
+function takeDate(state, today) {
+  if (take(state, /\b(?:on\s+)?today\b/i)) return today.clone();
+  if (take(state, /\btonight\b/i)) return today.clone();
+  if (take(state, /\b(?:on\s+)?tomorrow\b/i))
+    return today.clone().add(1, "day");
+
+  const relative = take(state, /\bin\s+(\d+)\s+(day|week)s?\b/i);
+  if (relative) {
+    return today
+      .clone()
+      .add(parseInt(relative[1], 10), relative[2].toLowerCase());
+  }
+
+  const iso = take(state, /\b(?:on\s+)?(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) {
+    const date = moment.tz(iso[1], "YYYY-MM-DD", true, today.tz());
+    if (!date.isValid()) throw new Error(`"${iso[1]}" is not a valid date.`);
+    return date;
+  }
+
+  const monthDay =
+    take(
+      state,
+      new RegExp(
+        `\\b(?:on\\s+)?${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`,
+        "i"
+      )
+    ) ||
+    take(
+      state,
+      new RegExp(
+        `\\b(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}\\b`,
+        "i"
+      )
+    );
+  if (monthDay) {
+    const [month, day] = /^\d/.test(monthDay[1])
+      ? [monthDay[2], monthDay[1]]
+      : [monthDay[1], monthDay[2]];
+    // Next occurrence of that day; February 29 can be up to eight years away
+    for (let year = today.year(); year <= today.year() + 8; year++) {
+      const date = moment.tz(
+        `${year} ${month.slice(0, 3)} ${day}`,
+        "YYYY MMM D",
+        today.tz()
+      );
+      if (date.isValid() && !date.isBefore(today)) return date;
+    }
+    throw new Error(
+      `"${monthDay[0].replace(/^on\s+/i, "")}" is not a valid date.`
+    );
+  }
+
+  const weekday = take(
+    state,
+    new RegExp(`\\b(?:on\\s+)?(next\\s+)?${WEEKDAY_PATTERN}\\b`, "i")
+  );
+  if (weekday) {
+    let days = (weekdayIndex(weekday[2]) - today.day() + 7) % 7;
+    if (weekday[1] && days === 0) days = 7;
+    return today.clone().add(days, "days");
+  }
+
+  return null;
+}
+
+/**
+ * Parses a quick-add phrase into a task, to-do or event, without storing anything.
+ *
+ * The kind of item is chosen by an optional "task:", "todo:" or "event:" prefix;
+ * otherwise phrases with a duration become tasks and the rest become to-dos.
+ * Understood fragments are removed and the remaining words form the title, e.g.
+ * "review PR tomorrow 3pm for 45m #work !high every friday".
+ * @param {string} text Phrase to parse.
+ * @param {string} timeZone User's time zone (e.g., 'America/Los_Angeles').
+ * @param {Date} [now] Reference time for relative dates (defaults to now).
+ * @returns {Object} Parse result with `type`, the recognized fields and `data` ready for the matching create function.
+ */
+function parseQuickAdd(text, timeZone, now = new Date()) {
+  if (!text || typeof text !== "string") {
+    throw new Error("Quick-add text is required and must be a string.");
+  }
+  if (!moment.tz.zone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}".`);
+  }
+
+  const state = { text: text.trim() };
+  const today = moment.tz(now, timeZone).startOf("day");
+
+  const prefix = take(state, /^(task|todo|to-do|event)\s*:\s*/i);
+  const tags = [];
+  let tag;
+  while ((tag = take(state, /(?:^|\s)#([\w-]+)/))) {
+    tags.push(tag[1].toLowerCase());
+  }
+  const priorityMatch = take(state, /(?:^|\s)!(\w+)\b/);
+  const priority = priorityMatch
+    ? PRIORITY_ALIASES[priorityMatch[1].toLowerCase()] || null
+    : null;
+  const rule = takeRecurrence(state);
+  const durationMinutes = takeDuration(state);
+  const time = takeTime(state);
+  let day = takeDate(state, today);
+
+  const title = state.text
+    .replace(/\s+/g, " ")
+    .replace(/\s+(on|at|by|for)$/i, "")
+    .trim();
+  if (!title) {
+    throw new Error(`Could not find a title in "${text}".`);
+  }
+
+  let type;
+  if (prefix) {
+    type = prefix[1].toLowerCase().replace("-", "");
+  } else {
+    type = durationMinutes ? "task" : "todo";
+  }
+
+  // Without an explicit day, weekly rules start on their next weekday, everything else today
+  if (!day && rule && rule.byWeekday) {
+    const nextDays = rule.byWeekday.map(
+      (code) => (WEEKDAY_CODES.indexOf(code) - today.day() + 7) % 7
+    );
+    day = today.clone().add(Math.min(...nextDays), "days");
+  }
+  if (!day) {
+    day = today.clone();
+    if (time && day.clone().set(time).isBefore(now)) day.add(1, "day");
+  }
+
+  const start = time ? day.clone().set(time) : day.clone();
+  const recurrenceRule = rule ? { ...rule, timeZone } : null;
+  if (recurrenceRule) recurrence.validateRecurrenceRule(recurrenceRule);
+
+  const result = {
+    type,
+    title,
+    date: start.toDate(),
+    allDay: !time,
+    durationMinutes,
+    tags,
+    priority,
+    recurrence: recurrenceRule,
+  };
+
+  if (type === "event") {
+    const end = start
+      .clone()
+      .add(durationMinutes || DEFAULT_EVENT_DURATION_MINUTES, "minutes");
+    result.data = time
+      ? {
+          summary: title,
+          start: { dateTime: start.format(), timeZone },
+          end: { dateTime: end.format(), timeZone },
+        }
+      : {
+          summary: title,
+          start: { date: start.format("YYYY-MM-DD") },
+          end: {
+            date: start
+              .clone()
+              .add(
+                Math.max(1, Math.ceil((durationMinutes || 0) / 1440)),
+                "days"
+              )
+              .format("YYYY-MM-DD"),
+          },
+        };
+    if (recurrenceRule) {
+      result.data.recurrence = recurrence.toRecurrenceLines(recurrenceRule);
+    }
+    return result;
+  }
+
+  const data = { title, date: start.toDate() };
+  if (durationMinutes) data.duration = durationMinutes / 60; // Tasks store hours
+  if (tags.length) data.tags = tags;
+  if (priority) data.priority = priority;
+  if (recurrenceRule) data.recurrence = recurrenceRule;
+  result.data = data;
+
+  if (type === "task" && !data.duration) {
+    throw new Error(
+      `Tasks need a duration (e.g. "for 45m"); could not find one in "${text}".`
+    );
+  }
+  return result;
+}
+
+/**
+ * Creates the item described by a confirmed quick-add parse.
+ * @param {Object} parsed Result of `parseQuickAdd`, possibly edited by the user.
+ * @returns {Promise<string|Object>} Confirmation from the create function, or the created event IDs.
+ */
+async function confirmQuickAdd(parsed) {
+  try {
+    switch (parsed.type) {
+      case "task":
+        return await tasksManager.createTask(parsed.data);
+      case "todo":
+        return await tasksManager.createToDo(parsed.data);
+      case "event":
+        return await timeModule.insertEvent(parsed.data);
+      default:
+        throw new Error(`Unknown quick-add type "${parsed.type}".`);
+    }
+  } catch (error) {
+    console.error("Error confirming quick-add:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  parseQuickAdd,
+  confirmQuickAdd,
+};
@@ -0,0 +1,457 @@
+// tasks/recurrence.js
+
+const moment = require("moment-timezone"); // For time zone aware date arithmetic
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"]; // Indexed like moment's day()
+const DEFAULT_TIME_ZONE = "UTC";
+const MAX_PERIODS = 10000; // Safety net against runaway expansion
+
+/**
+ * Parses a weekday entry such as "MO" or "-1FR" (last Friday of the month).
+ * @param {string} value Weekday entry.
+ * @returns {Object} Parsed entry with `ordinal` (number or null) and `day` (0-6, Sunday first).
+ * @throws {Error} If the entry is not a valid weekday.
+ */
+function parseWeekday(value) {
+  const match =
+    typeof value === "string" &&
+    value.toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match) {
+    throw new Error(`Invalid weekday "${value}" in recurrence rule.`);
+  }
+  return {
+    ordinal: match[1] ? parseInt(match[1], 10) : null,
+    day: WEEKDAYS.indexOf(match[2]),
+  };
+}
+
+/**
+ * Validates a recurrence rule.
+ * @param {Object} rule Recurrence rule (freq, interval, byWeekday, byMonthDay, until, count, exceptions, timeZone).
+ * @throws {Error} If validation fails.
+ */
+function validateRecurrenceRule(rule) {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("Recurrence rule must be an object.");
+  }
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(
+      `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}.`
+    );
+  }
+  if (
+    rule.interval !== undefined &&
+    (!Number.isInteger(rule.interval) || rule.interval < 1)
+  ) {
+    throw new Error("Recurrence interval must be a positive integer.");
+  }
+  if (rule.byWeekday !== undefined) {
+    if (!Array.isArray(rule.byWeekday) || rule.byWeekday.length === 0) {
+      throw new Error("Recurrence byWeekday must be a non-empty array.");
+    }
+    const weekdays = rule.byWeekday.map(parseWeekday);
+    if (rule.freq !== "monthly" && weekdays.some((w) => w.ordinal !== null)) {
+      throw new Error(
+        "Ordinal weekdays (e.g. -1FR) are only supported for monthly rules."
+      );
+    }
+  }
+  if (rule.byMonthDay !== undefined) {
+    if (rule.freq !== "monthly") {
+      throw new Error(
+        "Recurrence byMonthDay is only supported for monthly rules."
+      );
+    }
+    if (
+      !Array.isArray(rule.byMonthDay) ||
+      rule.byMonthDay.length === 0 ||
+      rule.byMonthDay.some(
+        (day) => !Number.isInteger(day) || day === 0 || day < -31 || day > 31
+      )
+    ) {
+      throw new Error(
+        "Recurrence byMonthDay must be a non-empty array of days between -31 and 31."
+      );
+    }
+    if (rule.byWeekday !== undefined) {
+      throw new Error(
+        "Recurrence rule cannot combine byMonthDay and byWeekday."
+      );
+    }
+  }
+  if (
+    rule.until !== undefined &&
+    rule.until !== null &&
+    isNaN(new Date(rule.until))
+  ) {
+    throw new Error("Recurrence until must be a valid date.");
+  }
+  if (
+    rule.count !== undefined &&
+    rule.count !== null &&
+    (!Number.isInteger(rule.count) || rule.count < 1)
+  ) {
+    throw new Error("Recurrence count must be a positive integer.");
+  }
+  if (rule.until && rule.count) {
+    throw new Error("Recurrence rule cannot specify both until and count.");
+  }
+  if (rule.exceptions !== undefined) {
+    if (
+      !Array.isArray(rule.exceptions) ||
+      rule.exceptions.some((date) => isNaN(new Date(date)))
+    ) {
+      throw new Error("Recurrence exceptions must be an array of valid dates.");
+    }
+  }
+  if (rule.timeZone !== undefined && !moment.tz.zone(rule.timeZone)) {
+    throw new Error(`Unknown recurrence time zone "${rule.timeZone}".`);
+  }
+}
+
+/**
+ * Returns a copy of a recurrence rule with defaults applied and dates converted to Date objects.
+ * @param {Object} rule Recurrence rule.
+ * @returns {Object} Normalized recurrence rule.
+ */
+function normalizeRecurrenceRule(rule) {
+  validateRecurrenceRule(rule);
+  const normalized = {
+    freq: rule.freq,
+    interval: rule.interval || 1,
+    timeZone: rule.timeZone || DEFAULT_TIME_ZONE,
+    exceptions: (rule.exceptions || []).map((date) => new Date(date)),
+  };
+  if (rule.byWeekday) {
+    normalized.byWeekday = rule.byWeekday.map((day) => day.toUpperCase());
+  }
+  if (rule.byMonthDay) normalized.byMonthDay = rule.byMonthDay;
+  if (rule.until) normalized.until = new Date(rule.until);
+  if (rule.count) normalized.count = rule.count;
+  return normalized;
+}
+
+/**
+ * Moves a day to the time of day of the series start.
+ * @param {moment.Moment} day Day of the occurrence.
+ * @param {moment.Moment} start Series start.
+ * @returns {moment.Moment} Occurrence start.
+ */
+function atTimeOf(day, start) {
+  return day.clone().set({
+    hour: start.hour(),
+    minute: start.minute(),
+    second: start.second(),
+    millisecond: start.millisecond(),
+  });
+}
+
+/**
+ * Lists the candidate occurrences of one period (day, week or month) of a rule.
+ * @param {Object} rule Normalized recurrence rule.
+ * @param {moment.Moment} start Series start.
+ * @param {number} period Index of the period, counted from the series start.
+ * @returns {Array<moment.Moment>} Candidates in chronological order.
+ */
+function candidatesForPeriod(rule, start, period) {
+  const weekdays = (rule.byWeekday || []).map(parseWeekday);
+
+  if (rule.freq === "daily") {
+    const day = start.clone().add(period * rule.interval, "days");
+    if (weekdays.length && !weekdays.some((w) => w.day === day.day())) {
+      return [];
+    }
+    return [day];
+  }
+
+  if (rule.freq === "weekly") {
+    const weekStart = start
+      .clone()
+      .startOf("isoWeek")
+      .add(period * rule.interval, "weeks");
+    const days = weekdays.length ? weekdays.map((w) => w.day) : [start.day()];
+    return [...new Set(days)]
+      .map((day) => atTimeOf(weekStart.clone().isoWeekday(day || 7), start))
+      .sort((a, b) => a - b);
+  }
+
+  // Monthly
+  const month = start
+    .clone()
+    .startOf("month")
+    .add(period * rule.interval, "months");
+  const daysInMonth = month.daysInMonth();
+  const dates = [];
+
+  if (weekdays.length) {
+    for (const { ordinal, day } of weekdays) {
+      const matching = [];
+      for (let date = 1; date <= daysInMonth; date++) {
+        if (month.clone().date(date).day() === day) matching.push(date);
+      }
+      if (ordinal === null) {
+        dates.push(...matching);
+      } else {
+        const index = ordinal > 0 ? ordinal - 1 : matching.length + ordinal;
+        if (matching[index]) dates.push(matching[index]);
+      }
+    }
+  } else {
+    for (const monthDay of rule.byMonthDay || [start.date()]) {
+      const date = monthDay > 0 ? monthDay : daysInMonth + monthDay + 1;
+      if (date >= 1 && date <= daysInMonth) dates.push(date);
+    }
+  }
+
+  return [...new Set(dates)]
+    .sort((a, b) => a - b)
+    .map((date) => atTimeOf(month.clone().date(date), start));
+}
+
+/**
+ * Generates occurrence start times of a recurring series within a range.
+ * Exceptions are skipped but still count towards `count`, as in RFC 5545.
+ * @param {Object} rule Recurrence rule.
+ * @param {Date|string} dtstart Start of the first occurrence.
+ * @param {Date|string} [rangeStart] Only return occurrences at or after this time.
+ * @param {Date|string} [rangeEnd] Only return occurrences at or before this time.
+ * @returns {Array<Date>} Occurrence start times in chronological order.
+ * @throws {Error} If the rule is invalid or the series would be unbounded.
+ */
+function generateOccurrences(rule, dtstart, rangeStart, rangeEnd) {
+  const normalized = normalizeRecurrenceRule(rule);
+  if (!rangeEnd && !normalized.until && !normalized.count) {
+    throw new Error(
+      "A range end is required to expand a recurrence without until or count."
+    );
+  }
+
+  const start = moment.tz(dtstart, normalized.timeZone);
+  const from = rangeStart ? new Date(rangeStart).getTime() : -Infinity;
+  const to = Math.min(
+    rangeEnd ? new Date(rangeEnd).getTime() : Infinity,
+    normalized.until ? normalized.until.getTime() : Infinity
+  );
+  const exceptions = new Set(
+    normalized.exceptions.map((date) => date.getTime())
+  );
+
+  const occurrences = [];
+  let generated = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const candidate of candidatesForPeriod(normalized, start, period)) {
+      const time = candidate.valueOf();
+      if (time < start.valueOf()) continue;
+      if (time > to) return occurrences;
+
+      generated++;
+      if (normalized.count && generated > normalized.count) return occurrences;
+      if (exceptions.has(time) || time < from) continue;
+
+      occurrences.push(candidate.toDate());
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Checks whether a given time is an occurrence of a recurring series.
+ * @param {Object} rule Recurrence rule.
+ * @param {Date|string} dtstart Start of the first occurrence.
+ * @param {Date|string} occurrenceDate Time to check.
+ * @returns {boolean} True if the series has an occurrence at that exact time.
+ */
+function isOccurrence(rule, dtstart, occurrenceDate) {
+  return (
+    generateOccurrences(rule, dtstart, occurrenceDate, occurrenceDate)
+      .length === 1
+  );
+}
+
+/**
+ * Expands a stored recurring item (task or to-do) into instances within a range.
+ * Per-instance overrides are read from `occurrenceOverrides`, keyed by `occurrenceDate`.
+ * @param {Object} series Stored item with `date`, `recurrence` and optional `occurrenceOverrides`.
+ * @param {Date|string} rangeStart Start of the range.
+ * @param {Date|string} rangeEnd End of the range.
+ * @returns {Array<Object>} Instances, each with `seriesId`, `occurrenceDate` and `date`.
+ */
+function expandSeries(series, rangeStart, rangeEnd) {
+  const { _id, recurrence, occurrenceOverrides = [], ...fields } = series;
+  const from = new Date(rangeStart).getTime();
+  const to = new Date(rangeEnd).getTime();
+
+  const overridesByTime = new Map(
+    occurrenceOverrides.map((override) => [
+      new Date(override.occurrenceDate).getTime(),
+      override,
+    ])
+  );
+
+  const buildInstance = (occurrenceDate) => {
+    const { occurrenceDate: _, ...changes } =
+      overridesByTime.get(occurrenceDate.getTime()) || {};
+    return {
+      ...fields,
+      seriesId: _id,
+      occurrenceDate,
+      date: occurrenceDate,
+      ...changes,
+    };
+  };
+
+  const instances = generateOccurrences(
+    recurrence,
+    series.date,
+    rangeStart,
+    rangeEnd
+  ).map(buildInstance);
+
+  // Instances moved into the range from an occurrence outside of it
+  for (const [time, override] of overridesByTime) {
+    if (time >= from && time <= to) continue;
+    const movedTo = override.date ? new Date(override.date).getTime() : null;
+    if (movedTo !== null && movedTo >= from && movedTo <= to) {
+      instances.push(buildInstance(new Date(time)));
+    }
+  }
+
+  return instances
+    .filter((instance) => {
+      const time = new Date(instance.date).getTime();
+      return time >= from && time <= to;
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Formats a date as an RFC 5545 UTC date-time (e.g. 20240503T090000Z).
+ * @param {Date|string} date Date to format.
+ * @returns {string} Formatted date-time.
+ */
+function formatUtcDateTime(date) {
+  return moment.utc(date).format("YYYYMMDD[T]HHmmss[Z]");
+}
+
+/**
+ * Converts a recurrence rule to RFC 5545 lines, as used by the `recurrence` field of calendar events.
+ * @param {Object} rule Recurrence rule.
+ * @param {Object} [options] Formatting options.
+ * @param {boolean} [options.allDay] Format UNTIL and EXDATE as dates (in the rule's time zone), for all-day series.
+ * @returns {Array<string>} An RRULE line followed by one EXDATE line per exception.
+ */
+function toRecurrenceLines(rule, options = {}) {
+  const normalized = normalizeRecurrenceRule(rule);
+  const formatDate = options.allDay
+    ? (date) => moment.tz(date, normalized.timeZone).format("YYYYMMDD")
+    : formatUtcDateTime;
+  const parts = [
+    `FREQ=${normalized.freq.toUpperCase()}`,
+    `INTERVAL=${normalized.interval}`,
+  ];
+  if (normalized.byWeekday)
+    parts.push(`BYDAY=${normalized.byWeekday.join(",")}`);
+  if (normalized.byMonthDay) {
+    parts.push(`BYMONTHDAY=${normalized.byMonthDay.join(",")}`);
+  }
+  if (normalized.until) parts.push(`UNTIL=${formatDate(normalized.until)}`);
+  if (normalized.count) parts.push(`COUNT=${normalized.count}`);
+
+  return [
+    `RRULE:${parts.join(";")}`,
+    ...normalized.exceptions.map(
+      (date) =>
+        `EXDATE${options.allDay ? ";VALUE=DATE" : ""}:${formatDate(date)}`
+    ),
+  ];
+}
+
+/**
+ * Parses an RFC 5545 DATE or DATE-TIME value.
+ * @param {string} value Value such as "20240131", "20240131T090000" or "20240131T090000Z".
+ * @param {string} timeZone Time zone of values without a "Z" suffix.
+ * @returns {Date} Parsed date.
+ */
+function parseDateTimeValue(value, timeZone) {
+  if (/^\d{8}$/.test(value)) {
+    return moment.tz(value, "YYYYMMDD", timeZone).toDate();
+  }
+  if (value.endsWith("Z")) {
+    return moment.utc(value, "YYYYMMDD[T]HHmmss[Z]").toDate();
+  }
+  return moment.tz(value, "YYYYMMDD[T]HHmmss", timeZone).toDate();
+}
+
+/**
+ * Converts RFC 5545 lines (the `recurrence` field of calendar events) back to a recurrence rule.
+ * This is the inverse of `toRecurrenceLines`; RDATE lines are ignored.
+ * @param {Array<string>} lines RRULE and EXDATE lines, optionally with parameters such as TZID.
+ * @param {string} [timeZone="UTC"] Time zone of the series, used for values without a "Z" suffix.
+ * @returns {Object|null} Normalized recurrence rule, or null if there is no RRULE line.
+ * @throws {Error} If the RRULE uses parts or frequencies this module does not support.
+ */
+function parseRecurrenceLines(lines, timeZone = DEFAULT_TIME_ZONE) {
+  const rule = { timeZone, exceptions: [] };
+  let hasRule = false;
+
+  for (const line of lines) {
+    const colon = line.indexOf(":");
+    const [name, ...params] = line.slice(0, colon).split(";");
+    const value = line.slice(colon + 1);
+    const tzidParam = params.find((param) => /^TZID=/i.test(param));
+    const valueTimeZone = tzidParam ? tzidParam.slice(5) : timeZone;
+
+    if (name.toUpperCase() === "RRULE") {
+      hasRule = true;
+      for (const part of value.split(";")) {
+        const [key, partValue = ""] = part.split("=");
+        switch (key.toUpperCase()) {
+          case "FREQ":
+            rule.freq = partValue.toLowerCase();
+            break;
+          case "INTERVAL":
+            rule.interval = parseInt(partValue, 10);
+            break;
+          case "BYDAY":
+            rule.byWeekday = partValue.split(",");
+            break;
+          case "BYMONTHDAY":
+            rule.byMonthDay = partValue.split(",").map(Number);
+            break;
+          case "UNTIL":
+            rule.until = parseDateTimeValue(partValue, valueTimeZone);
+            break;
+          case "COUNT":
+            rule.count = parseInt(partValue, 10);
+            break;
+          case "WKST":
+            break; // Week start is not configurable; the default is assumed
+          default:
+            throw new Error(`Unsupported recurrence rule part "${key}".`);
+        }
+      }
+    } else if (name.toUpperCase() === "EXDATE") {
+      rule.exceptions.push(
+        ...value
+          .split(",")
+          .map((date) => parseDateTimeValue(date, valueTimeZone))
+      );
+    }
+  }
+
+  return hasRule ? normalizeRecurrenceRule(rule) : null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  validateRecurrenceRule,
+  normalizeRecurrenceRule,
+  generateOccurrences,
+  isOccurrence,
+  expandSeries,
+  toRecurrenceLines,
+  parseRecurrenceLines,
+};
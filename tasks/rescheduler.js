@@ -0,0 +1,234 @@
+// tasks/rescheduler.js
+
+const { ObjectId } = require("mongodb");
+const tasksData = require("./tasks_data");
+const dependencies = require("./dependencies");
+const schedulingInterface = require("./scheduling_interface");
+const timeModule = require("../time");
+
+const DEFAULT_HORIZON_DAYS = 7; // How far ahead missed items are placed again
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Retrieval function of each kind of schedulable item
+const RETRIEVERS = {
+  task: tasksData.retrieveTasks,
+  todo: tasksData.retrieveToDos,
+  study: tasksData.retrieveStudies,
+};
+
+let reschedulerTimer = null;
+let runInProgress = false;
+
+/**
+ * Retrieves the scheduled items that are not finished although their calendar slot has ended:
+ * missed items (never started) and overrun ones (still in progress).
+ * @param {Date} [now] Current time.
+ * @returns {Promise<Array<Object>>} Items, each tagged with `itemType`.
+ */
+async function findMissedItems(now = new Date()) {
+  try {
+    const query = {
+      scheduled: true,
+      scheduledEnd: { $lt: now },
+      status: { $nin: ["done", "cancelled", "completed"] }, // "completed" is the legacy done status
+    };
+    const items = [];
+    for (const [itemType, retrieve] of Object.entries(RETRIEVERS)) {
+      const found = await retrieve(query);
+      items.push(...found.map((item) => ({ ...item, itemType })));
+    }
+    return items;
+  } catch (error) {
+    console.error("Error finding missed scheduled items:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Builds the log entry of a missed item once it has been handled.
+ * @param {Object} item Missed item.
+ * @param {Object} plan Plan returned by `autoSchedule`.
+ * @param {Date} now Time of the move.
+ * @returns {Object} Log entry with the old slot (`from`) and the new one (`to`, null if not placed).
+ */
+function buildLogEntry(item, plan, now) {
+  const key = dependencies.itemKey(item.itemType, item._id);
+  const matches = (entry) =>
+    dependencies.itemKey(entry.itemType, entry.itemId) === key;
+  const assignment = plan.assignments.find(matches);
+  const unplaced = plan.unplaced.find(matches);
+
+  return {
+    itemId: item._id,
+    itemType: item.itemType,
+    title: item.title,
+    cause: item.status === "in-progress" ? "overrun" : "missed",
+    from: { start: item.scheduledStart, end: item.scheduledEnd },
+    to: assignment
+      ? { start: new Date(assignment.start), end: new Date(assignment.end) }
+      : null,
+    reason: assignment
+      ? null
+      : unplaced
+      ? unplaced.reason
+      : "Not eligible for automatic scheduling.",
+    movedAt: now,
+  };
+}
+
+/**
+ * Moves every missed or overrun item to the next suitable free slot. The items are
+ * unscheduled through `unscheduleTask` and placed again with `autoSchedule` (which keeps
+ * them before their deadlines and after their prerequisites). Every move is logged,
+ * including items that could not be placed again and are left unscheduled.
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] User's time zone (defaults to the routine profile's).
+ * @param {number} [options.horizonDays=7] How many days ahead to look for free slots.
+ * @param {number} [options.bufferMinutes] Minutes kept free around events and placed items.
+ * @param {Date} [options.now] Current time.
+ * @returns {Promise<Object>} Log entries of the `moved` and `unplaced` items.
+ */
+async function rescheduleMissedItems(options = {}) {
+  try {
+    const now = options.now || new Date();
+    const missed = await findMissedItems(now);
+    if (!missed.length) {
+      return { moved: [], unplaced: [] };
+    }
+
+    const timeZone =
+      options.timeZone || (await timeModule.getRoutineProfile()).timeZone;
+    const horizonDays = options.horizonDays || DEFAULT_HORIZON_DAYS;
+    const unscheduled = [];
+    let plan;
+    try {
+      for (const item of missed) {
+        await schedulingInterface.unscheduleTask(item._id, item.itemType);
+        unscheduled.push(item);
+      }
+      plan = await schedulingInterface.autoSchedule(
+        {
+          start: now,
+          end: new Date(now.getTime() + horizonDays * 24 * 60 * 60 * 1000),
+        },
+        timeZone,
+        {
+          bufferMinutes: options.bufferMinutes,
+          itemKeys: missed.map((item) =>
+            dependencies.itemKey(item.itemType, item._id)
+          ),
+        }
+      );
+      await schedulingInterface.commitSchedule(plan);
+    } catch (error) {
+      // The items unscheduled so far stay so; record that so the user can place them by hand
+      if (unscheduled.length) {
+        await tasksData.storeRescheduleLogEntries(
+          unscheduled.map((item) => ({
+            ...buildLogEntry(item, { assignments: [], unplaced: [] }, now),
+            reason: `Could not be scheduled again: ${error.message}`,
+          }))
+        );
+      }
+      throw error;
+    }
+
+    const entries = missed.map((item) => buildLogEntry(item, plan, now));
+    await tasksData.storeRescheduleLogEntries(entries);
+    return {
+      moved: entries.filter((entry) => entry.to),
+      unplaced: entries.filter((entry) => !entry.to),
+    };
+  } catch (error) {
+    console.error("Error rescheduling missed items:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves the log of automatic moves, most recent first.
+ * @param {Object} [filters]
+ * @param {Date|string} [filters.since] Only moves made from this time on.
+ * @param {string} [filters.itemType] Only moves of this kind of item.
+ * @param {ObjectId | string} [filters.itemId] Only moves of this item.
+ * @returns {Promise<Array<Object>>} Log entries.
+ */
+async function getRescheduleLog(filters = {}) {
+  try {
+    const query = {};
+    if (filters.since) query.movedAt = { $gte: new Date(filters.since) };
+    if (filters.itemType) query.itemType = filters.itemType;
+    if (filters.itemId) {
+      query.itemId =
+        typeof filters.itemId === "string"
+          ? ObjectId(filters.itemId)
+          : filters.itemId;
+    }
+    return await tasksData.retrieveRescheduleLog(query);
+  } catch (error) {
+    console.error("Error retrieving reschedule log:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Runs one round of the rescheduler. Errors are logged so that the next round still runs.
+ * @param {Object} options Options of `startRescheduler`.
+ * @returns {Promise<void>}
+ */
+async function runReschedulerRound(options) {
+  if (runInProgress) return; // The previous round is still running
+  runInProgress = true;
+  try {
+    const { moved, unplaced } = await rescheduleMissedItems(options);
+    if (moved.length || unplaced.length) {
+      console.log(
+        `Rescheduled ${moved.length} missed item(s); ${unplaced.length} could not be placed again.`
+      );
+    }
+  } catch (error) {
+    console.error("Rescheduler round failed:", error.message);
+  } finally {
+    runInProgress = false;
+  }
+}
+
+/**
+ * Starts checking for missed or overrun items at a fixed interval.
+ * @param {Object} [options] Options of `rescheduleMissedItems`, plus:
+ * @param {number} [options.intervalMinutes=15] Time between two checks.
+ * @returns {string} Confirmation.
+ */
+function startRescheduler(options = {}) {
+  if (reschedulerTimer) {
+    throw new Error("Rescheduler is already running.");
+  }
+  const intervalMinutes = options.intervalMinutes || DEFAULT_INTERVAL_MINUTES;
+  reschedulerTimer = setInterval(
+    () => runReschedulerRound(options),
+    intervalMinutes * 60 * 1000
+  );
+  runReschedulerRound(options);
+  return `Rescheduler started (checking every ${intervalMinutes} minutes).`;
+}
+
+/**
+ * Stops the rescheduler.
+ * @returns {string} Confirmation.
+ */
+function stopRescheduler() {
+  if (!reschedulerTimer) {
+    return "Rescheduler is not running.";
+  }
+  clearInterval(reschedulerTimer);
+  reschedulerTimer = null;
+  return "Rescheduler stopped.";
+}
+
+module.exports = {
+  findMissedItems,
+  rescheduleMissedItems,
+  getRescheduleLog,
+  startRescheduler,
+  stopRescheduler,
+};
@@ -1,20 +1,53 @@
 // tasks/scheduling_interface.js
 
 const tasksData = require("./tasks_data");
+const dependencies = require("./dependencies");
+const prioritization = require("./prioritization");
+const spacedRepetition = require("./spaced_repetition");
 const timeModule = require("../time");
 const moment = require("moment-timezone"); // For time zone handling
+const {
+  subtractInterval,
+  clipIntervals,
+  intersectIntervals,
+} = require("../time/intervals");
+
+const DEFAULT_BUFFER_MINUTES = 15; // Gap kept between scheduled items and events
+const { DEFAULT_TODO_DURATION } = prioritization;
+const ITEM_LABELS = { task: "Task", todo: "To-do", study: "Study session" };
 
 /**
  * Retrieves tasks, to-dos, and studies that have not yet been scheduled.
- * @returns {Promise<Array<Object>>} Array of unscheduled items.
+ * Study sessions are only included once they are due for review.
+ * @returns {Promise<Array<Object>>} Array of unscheduled items, each tagged with `itemType`.
  */
 async function getUnscheduledTasks() {
   try {
-    const tasks = await tasksData.retrieveTasks({ scheduled: false });
-    const todos = await tasksData.retrieveToDos({ scheduled: false });
-    const studies = await tasksData.retrieveStudies({ scheduled: false });
+    const query = {
+      scheduled: { $ne: true }, // New items have no `scheduled` field yet
+      status: { $nin: ["done", "cancelled", "completed"] }, // "completed" is the legacy done status
+    };
+    const tasks = await tasksData.retrieveTasks(query);
+    const todos = await tasksData.retrieveToDos(query);
+    const studies = await tasksData.retrieveStudies(query);
 
-    return [...tasks, ...todos, ...studies];
+    // Tasks broken down into subtasks are scheduled through their subtasks
+    const subtasks = await tasksData.retrieveTasks({
+      parentId: { $exists: true, $ne: null },
+    });
+    const parentIds = new Set(
+      subtasks.map((subtask) => String(subtask.parentId))
+    );
+
+    return [
+      ...tasks
+        .filter((task) => !parentIds.has(String(task._id)))
+        .map((task) => ({ ...task, itemType: "task" })),
+      ...todos.map((todo) => ({ ...todo, itemType: "todo" })),
+      ...studies
+        .filter((study) => spacedRepetition.isReviewDue(study))
+        .map((study) => ({ ...study, itemType: "study" })),
+    ];
   } catch (error) {
     console.error("Error retrieving unscheduled tasks:", error.message);
     throw error;
@@ -22,24 +55,46 @@ async function getUnscheduledTasks() {
 }
 
 /**
- * Schedules a task into a specific time slot and creates a calendar event.
+ * Schedules a task into a specific time slot and creates a calendar event
+ * in the calendar chosen for the item (by its tags or type, else the default calendar).
  * @param {string} taskId Unique identifier of the task.
  * @param {Object} timeSlot Start and end times (in your preferred time zone).
  * @param {string} timeZone User's time zone (e.g., 'America/Los_Angeles').
+ * @param {string} [itemType="task"] Kind of item: "task", "todo" or "study".
  * @returns {Promise<string>} Confirmation of scheduling, including the calendar event ID.
  */
-async function scheduleTask(taskId, timeSlot, timeZone) {
+async function scheduleTask(taskId, timeSlot, timeZone, itemType = "task") {
   try {
-    const task = await tasksData.retrieveTaskById(taskId);
+    const task = await tasksData.retrieveItemById(itemType, taskId);
 
     if (!task) {
-      throw new Error(`Task with ID ${taskId} not found.`);
+      throw new Error(`${ITEM_LABELS[itemType]} with ID ${taskId} not found.`);
     }
 
     // Convert time slot to UTC for Google Calendar
     const startDateTime = moment.tz(timeSlot.start, timeZone).utc().format();
     const endDateTime = moment.tz(timeSlot.end, timeZone).utc().format();
 
+    // Never schedule an item before its prerequisites
+    const { blockedBy, earliestStart } =
+      await dependencies.getSchedulingConstraint(task);
+    if (blockedBy.length) {
+      throw new Error(
+        `${
+          ITEM_LABELS[itemType]
+        } with ID ${taskId} is blocked by unscheduled prerequisites: ${blockedBy.join(
+          ", "
+        )}.`
+      );
+    }
+    if (earliestStart && new Date(startDateTime) < earliestStart) {
+      throw new Error(
+        `${
+          ITEM_LABELS[itemType]
+        } with ID ${taskId} cannot start before its prerequisites end at ${earliestStart.toISOString()}.`
+      );
+    }
+
     // Create calendar event using the time module
     const eventData = {
       summary: task.title,
@@ -47,12 +102,16 @@ async function scheduleTask(taskId, timeSlot, timeZone) {
       end: { dateTime: endDateTime },
       description: `Task ID: ${taskId}`, // Include task ID in the description
     };
-    const event = await timeModule.insertEvent(eventData);
+    const calendar = await timeModule.getCalendarForItem(task, itemType);
+    const event = await timeModule.insertEvent(eventData, calendar);
 
     // Update task status in the database
-    await tasksData.updateTaskData(taskId, {
+    await tasksData.updateItemData(itemType, taskId, {
       scheduled: true,
       calendarEventId: event.googleEventId,
+      calendarMongoEventId: event.mongoEventId,
+      scheduledStart: new Date(startDateTime),
+      scheduledEnd: new Date(endDateTime),
     });
 
     return `Task scheduled successfully. Calendar Event ID: ${event.googleEventId}`;
@@ -65,25 +124,32 @@ async function scheduleTask(taskId, timeSlot, timeZone) {
 /**
  * Removes a task from the calendar and marks it as unscheduled.
  * @param {string} taskId Unique identifier of the task.
+ * @param {string} [itemType="task"] Kind of item: "task", "todo" or "study".
  * @returns {Promise<string>} Confirmation of unscheduling.
  */
-async function unscheduleTask(taskId) {
+async function unscheduleTask(taskId, itemType = "task") {
   try {
-    const task = await tasksData.retrieveTaskById(taskId);
+    const task = await tasksData.retrieveItemById(itemType, taskId);
 
     if (!task) {
-      throw new Error(`Task with ID ${taskId} not found.`);
+      throw new Error(`${ITEM_LABELS[itemType]} with ID ${taskId} not found.`);
     }
 
     if (task.calendarEventId) {
       // Delete calendar event using the time module
-      await timeModule.deleteEvent(task.calendarEventId, task._id);
+      await timeModule.deleteEvent(
+        task.calendarEventId,
+        task.calendarMongoEventId
+      );
     }
 
     // Update task status in the database
-    await tasksData.updateTaskData(taskId, {
+    await tasksData.updateItemData(itemType, taskId, {
       scheduled: false,
       calendarEventId: null,
+      calendarMongoEventId: null,
+      scheduledStart: null,
+      scheduledEnd: null,
     });
 
     return "Task unscheduled successfully.";
@@ -107,20 +173,38 @@ async function suggestTimeSlots(taskId, timeZone) {
       throw new Error(`Task with ID ${taskId} not found.`);
     }
 
-    // Fetch events from the time module for the next 7 days
+    // Fetch the events of all busy calendars for the next 7 days
     const today = new Date();
     const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    const events = await timeModule.fetchEvents(
-      process.env.GOOGLE_CALENDAR_ID, // Assuming you're using the same calendar ID as in time module
-      today,
-      nextWeek
+    const events = await timeModule.fetchBusyEvents(today, nextWeek);
+
+    // Calculate free time intervals using the time module and the routine profile
+    const profile = await timeModule.getRoutineProfile();
+    const freeTimeIntervals = timeModule.calculateFreeTimeIntervals(
+      events,
+      { start: today, end: nextWeek },
+      profile
     );
 
-    // Calculate free time intervals using the time module
-    const freeTimeIntervals = timeModule.calculateFreeTimeIntervals(events);
+    // Only suggest slots after every prerequisite has ended
+    const { blockedBy, earliestStart } =
+      await dependencies.getSchedulingConstraint(task);
+    if (blockedBy.length) {
+      throw new Error(
+        `Task with ID ${taskId} is blocked by unscheduled prerequisites: ${blockedBy.join(
+          ", "
+        )}.`
+      );
+    }
+    const availableIntervals = earliestStart
+      ? clipIntervals(freeTimeIntervals, {
+          start: earliestStart,
+          end: nextWeek,
+        })
+      : freeTimeIntervals;
 
     // Filter free time intervals based on task duration
-    const suggestedTimeSlots = freeTimeIntervals.filter(
+    const suggestedTimeSlots = availableIntervals.filter(
       (interval) =>
         interval.end.getTime() - interval.start.getTime() >=
         task.duration * 60 * 60 * 1000 // Convert duration from hours to milliseconds
@@ -139,9 +223,252 @@ async function suggestTimeSlots(taskId, timeZone) {
   }
 }
 
+/**
+ * Builds a non-overlapping schedule for all unscheduled tasks, to-dos and studies in a range.
+ * Items are placed earliest-deadline first, then by priority and duration, into free time
+ * from the routine profile, keeping a buffer around events and other placed items.
+ * An item is only placed after all of its prerequisites have been scheduled to end.
+ * Items tagged with a focus block type of a week template (see `applyWeekTemplate`) are
+ * only placed inside blocks of their tagged types, and are left unplaced if the range has
+ * none; other items are kept out of focus blocks.
+ * Nothing is written; pass the returned plan to `commitSchedule` to apply it.
+ * @param {Object} range Range to fill, with `start` and `end` (dates or ISO strings).
+ * @param {string} timeZone User's time zone (e.g., 'America/Los_Angeles').
+ * @param {Object} [options] Scheduling options.
+ * @param {number} [options.bufferMinutes] Minutes kept free between events and placed items.
+ * @param {Array<string>} [options.itemKeys] Only place these items (keys from `dependencies.itemKey`).
+ * @returns {Promise<Object>} Plan with `assignments` (item slots in the user's time zone) and `unplaced` items with a reason.
+ */
+async function autoSchedule(range, timeZone, options = {}) {
+  try {
+    const bufferMs =
+      (options.bufferMinutes !== undefined
+        ? options.bufferMinutes
+        : DEFAULT_BUFFER_MINUTES) *
+      60 *
+      1000;
+
+    const items = (await getUnscheduledTasks()).filter(
+      (item) =>
+        !options.itemKeys ||
+        options.itemKeys.includes(dependencies.itemKey(item.itemType, item._id))
+    );
+    const events = await timeModule.fetchBusyEvents(
+      new Date(range.start),
+      new Date(range.end)
+    );
+    const profile = await timeModule.getRoutineProfile();
+    const focusBlocks = await timeModule.listFocusBlocks(
+      new Date(range.start),
+      new Date(range.end),
+      { timeZone: profile.timeZone }
+    );
+    const templates = await timeModule.listWeekTemplates();
+    const blockTypes = new Set([
+      ...templates.flatMap((template) =>
+        template.blocks.map((block) => block.blockType)
+      ),
+      ...focusBlocks.map((block) => block.blockType),
+    ]);
+
+    // Pad the busy time of every event (recurring ones expanded) with the buffer
+    const paddedEvents = timeModule
+      .getBusyIntervals(
+        events,
+        { start: new Date(range.start), end: new Date(range.end) },
+        profile.timeZone
+      )
+      .map((busy) => ({
+        start: {
+          dateTime: new Date(busy.start.getTime() - bufferMs).toISOString(),
+        },
+        end: {
+          dateTime: new Date(busy.end.getTime() + bufferMs).toISOString(),
+        },
+      }));
+    let freeIntervals = timeModule.calculateFreeTimeIntervals(
+      paddedEvents,
+      {
+        start: new Date(Math.max(new Date(range.start).getTime(), Date.now())),
+        end: new Date(range.end),
+      },
+      profile
+    );
+
+    const queue = items
+      .map((item) => ({
+        item,
+        key: dependencies.itemKey(item.itemType, item._id),
+        deadline: prioritization.getDueDate(item, timeZone),
+        durationMs: (item.duration || DEFAULT_TODO_DURATION) * 60 * 60 * 1000, // Hours to milliseconds
+      }))
+      .sort(
+        (a, b) =>
+          (a.deadline ? a.deadline.getTime() : Infinity) -
+            (b.deadline ? b.deadline.getTime() : Infinity) ||
+          prioritization.getPriorityWeight(b.item) -
+            prioritization.getPriorityWeight(a.item) ||
+          b.durationMs - a.durationMs
+      );
+
+    const assignments = [];
+    const unplaced = [];
+    const plannedEnds = new Map(); // Planned end of every placed item, by item key
+    const queuedKeys = new Set(queue.map((entry) => entry.key));
+
+    const markUnplaced = (item, reason) =>
+      unplaced.push({
+        itemId: item._id,
+        itemType: item.itemType,
+        title: item.title,
+        reason,
+      });
+
+    // Place items in queue order, but never before a queued prerequisite has been handled
+    while (queue.length) {
+      const index = queue.findIndex(({ item }) =>
+        (item.dependsOn || []).every(
+          (link) =>
+            !queuedKeys.has(dependencies.itemKey(link.itemType, link.itemId))
+        )
+      );
+      if (index === -1) {
+        queue.forEach(({ item }) =>
+          markUnplaced(item, "Circular dependency between unscheduled items.")
+        );
+        break;
+      }
+      const [{ item, key, deadline, durationMs }] = queue.splice(index, 1);
+      queuedKeys.delete(key);
+
+      const { blockedBy, earliestStart } =
+        await dependencies.getSchedulingConstraint(item, plannedEnds);
+      if (blockedBy.length) {
+        markUnplaced(
+          item,
+          `Blocked by prerequisites that could not be scheduled: ${blockedBy.join(
+            ", "
+          )}.`
+        );
+        continue;
+      }
+
+      // Items tagged with block types only go into blocks of those types, others stay out
+      // of blocks, which are free time in the calendar
+      const itemBlockTypes = (item.tags || [])
+        .map((tag) => tag.toLowerCase())
+        .filter((tag) => blockTypes.has(tag));
+      const itemBlocks = focusBlocks.filter((block) =>
+        itemBlockTypes.includes(block.blockType)
+      );
+      if (itemBlockTypes.length && !itemBlocks.length) {
+        markUnplaced(
+          item,
+          `No "${itemBlockTypes.join('" or "')}" block in the range.`
+        );
+        continue;
+      }
+      const candidateIntervals = itemBlockTypes.length
+        ? intersectIntervals(freeIntervals, itemBlocks)
+        : focusBlocks.reduce(
+            (intervals, block) => subtractInterval(intervals, block),
+            freeIntervals
+          );
+
+      const latestEnd = deadline || new Date(range.end);
+      const slot = candidateIntervals
+        .map((interval) => {
+          const start =
+            earliestStart && earliestStart > interval.start
+              ? earliestStart
+              : interval.start;
+          return {
+            start,
+            end: new Date(start.getTime() + durationMs),
+            limit: interval.end < latestEnd ? interval.end : latestEnd,
+          };
+        })
+        .find((candidate) => candidate.end <= candidate.limit);
+
+      if (!slot) {
+        const where = itemBlockTypes.length
+          ? ` in a "${itemBlockTypes.join('" or "')}" block`
+          : "";
+        markUnplaced(
+          item,
+          deadline
+            ? `No free slot long enough${where} before the deadline.`
+            : `No free slot long enough${where} in the range.`
+        );
+        continue;
+      }
+
+      assignments.push({
+        itemId: item._id,
+        itemType: item.itemType,
+        title: item.title,
+        start: moment.tz(slot.start, "UTC").tz(timeZone).format(),
+        end: moment.tz(slot.end, "UTC").tz(timeZone).format(),
+      });
+      plannedEnds.set(key, slot.end);
+      freeIntervals = subtractInterval(freeIntervals, {
+        start: new Date(slot.start.getTime() - bufferMs),
+        end: new Date(slot.end.getTime() + bufferMs),
+      });
+    }
+
+    return {
+      range: { start: new Date(range.start), end: new Date(range.end) },
+      timeZone,
+      assignments,
+      unplaced,
+    };
+  } catch (error) {
+    console.error("Error building automatic schedule:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Applies a plan produced by `autoSchedule`, scheduling every assignment through `scheduleTask`.
+ * If any assignment fails, the ones already scheduled are unscheduled again.
+ * @param {Object} plan Plan returned by `autoSchedule`.
+ * @returns {Promise<string>} Confirmation with the number of scheduled items.
+ */
+async function commitSchedule(plan) {
+  const committed = [];
+  try {
+    for (const assignment of plan.assignments) {
+      await scheduleTask(
+        assignment.itemId,
+        { start: assignment.start, end: assignment.end },
+        plan.timeZone,
+        assignment.itemType
+      );
+      committed.push(assignment);
+    }
+    return `Schedule committed successfully. ${committed.length} item(s) scheduled.`;
+  } catch (error) {
+    console.error("Error committing schedule, rolling back:", error.message);
+    for (const assignment of committed.reverse()) {
+      try {
+        await unscheduleTask(assignment.itemId, assignment.itemType);
+      } catch (rollbackError) {
+        console.error(
+          `Error rolling back ${assignment.itemType} ${assignment.itemId}:`,
+          rollbackError.message
+        );
+      }
+    }
+    throw error;
+  }
+}
+
 module.exports = {
   getUnscheduledTasks,
   scheduleTask,
   unscheduleTask,
   suggestTimeSlots,
+  autoSchedule,
+  commitSchedule,
 };
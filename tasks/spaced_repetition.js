@@ -0,0 +1,139 @@
+// tasks/spaced_repetition.js
+
+const moment = require("moment-timezone"); // For time zone handling
+const tasksData = require("./tasks_data");
+const lifecycle = require("./lifecycle");
+
+const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+const PASSING_QUALITY = 3; // Ratings below this mean the material was not recalled
+
+/**
+ * Returns the review fields every new study session starts with.
+ * A new session is due right away; its first review schedules the next one.
+ * @returns {Object} Initial SM-2 state and an empty `reviewHistory`.
+ */
+function initialReviewFields() {
+  return {
+    easiness: DEFAULT_EASINESS,
+    interval: 0,
+    repetitions: 0,
+    nextReviewDate: null,
+    reviewHistory: [],
+  };
+}
+
+/**
+ * Computes the next SM-2 state from a self-rated recall.
+ * @param {Object} state Current `easiness`, `interval` (days) and `repetitions`.
+ * @param {number} quality Recall rating from 0 (blackout) to 5 (perfect).
+ * @param {Date} [reviewedAt] Time of the review (defaults to now).
+ * @returns {Object} New `easiness`, `interval`, `repetitions` and `nextReviewDate`.
+ */
+function computeNextReview(state, quality, reviewedAt = new Date()) {
+  if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+    throw new Error("Review quality must be a whole number from 0 to 5.");
+  }
+
+  const previousEasiness = state.easiness || DEFAULT_EASINESS;
+  const easiness = Math.max(
+    MIN_EASINESS,
+    previousEasiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let repetitions;
+  let interval;
+  if (quality < PASSING_QUALITY) {
+    repetitions = 0; // Start over, but keep the adjusted easiness
+    interval = 1;
+  } else {
+    repetitions = (state.repetitions || 0) + 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round((state.interval || 1) * easiness);
+  }
+
+  return {
+    easiness: Math.round(easiness * 100) / 100,
+    interval,
+    repetitions,
+    nextReviewDate: moment.utc(reviewedAt).add(interval, "days").toDate(),
+  };
+}
+
+/**
+ * Checks whether a study session is due for review.
+ * Sessions that were never reviewed are always due.
+ * @param {Object} study Study session.
+ * @param {Date} [asOf] Reference time (defaults to now).
+ * @returns {boolean} True if the session should be studied now.
+ */
+function isReviewDue(study, asOf = new Date()) {
+  return !study.nextReviewDate || new Date(study.nextReviewDate) <= asOf;
+}
+
+/**
+ * Records a completed review of a study session and schedules the next one.
+ * Callers release the session's calendar slot first (see `tasks_manager.recordStudyReview`).
+ * @param {string} studyId Unique identifier of the study session.
+ * @param {number} quality Recall rating from 0 (blackout) to 5 (perfect).
+ * @param {string} [note] Optional note stored with the review.
+ * @returns {Promise<Object>} The new review state, including `nextReviewDate`.
+ */
+async function recordStudyReview(studyId, quality, note) {
+  try {
+    const study = await tasksData.retrieveItemById("study", studyId);
+    if (!study) {
+      throw new Error(`Study session with ID ${studyId} not found.`);
+    }
+
+    const reviewedAt = new Date();
+    const next = computeNextReview(study, quality, reviewedAt);
+    const review = {
+      reviewedAt,
+      quality,
+      interval: next.interval,
+      easiness: next.easiness,
+    };
+    if (note) review.note = note;
+
+    await tasksData.updateItemData("study", study._id, {
+      ...next,
+      reviewHistory: [...(study.reviewHistory || []), review],
+    });
+    return next;
+  } catch (error) {
+    console.error(
+      `Error recording review of study session with ID ${studyId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Lists open study sessions that are due for review, most overdue first.
+ * @param {Date} [asOf] Reference time (defaults to now).
+ * @returns {Promise<Array<Object>>} Due study sessions.
+ */
+async function getDueReviews(asOf = new Date()) {
+  try {
+    const studies = await tasksData.retrieveStudies({});
+    return studies
+      .filter((study) => lifecycle.isOpen(study) && isReviewDue(study, asOf))
+      .sort(
+        (a, b) =>
+          new Date(a.nextReviewDate || 0) - new Date(b.nextReviewDate || 0)
+      );
+  } catch (error) {
+    console.error("Error retrieving due reviews:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  initialReviewFields,
+  computeNextReview,
+  isReviewDue,
+  recordStudyReview,
+  getDueReviews,
+};
@@ -10,6 +10,15 @@ const DATABASE_NAME = config.mongodb.dbName;
 const TASKS_COLLECTION_NAME = "tasks"; // Collection for tasks
 const TODOS_COLLECTION_NAME = "todos"; // Collection for to-dos
 const STUDIES_COLLECTION_NAME = "studies"; // Collection for studies
+const TIME_ENTRIES_COLLECTION_NAME = "timeEntries"; // Collection for tracked time
+const RESCHEDULE_LOG_COLLECTION_NAME = "rescheduleLog"; // Collection for automatic schedule moves
+
+// Collections holding each kind of schedulable item
+const ITEM_COLLECTIONS = {
+  task: TASKS_COLLECTION_NAME,
+  todo: TODOS_COLLECTION_NAME,
+  study: STUDIES_COLLECTION_NAME,
+};
 
 let client; // MongoDB client instance
 
@@ -246,6 +255,60 @@ async function retrieveToDos(query) {
   }
 }
 
+/**
+ * Retrieves a to-do item by its unique identifier.
+ * @param {ObjectId | string} toDoId Unique identifier of the to-do item.
+ * @returns {Promise<Object>} To-do data object.
+ */
+async function retrieveToDoById(toDoId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TODOS_COLLECTION_NAME);
+
+    // Validate ObjectId
+    if (typeof toDoId === "string" && !ObjectId.isValid(toDoId)) {
+      throw new Error("Invalid toDoId provided.");
+    }
+
+    const toDo = await collection.findOne({
+      _id: typeof toDoId === "string" ? ObjectId(toDoId) : toDoId,
+    });
+    return toDo;
+  } catch (error) {
+    console.error("Error retrieving to-do:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates to-do data in the database.
+ * @param {ObjectId | string} toDoId Unique identifier.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateToDoData(toDoId, updatedData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TODOS_COLLECTION_NAME);
+
+    // Validate ObjectId
+    if (typeof toDoId === "string" && !ObjectId.isValid(toDoId)) {
+      throw new Error("Invalid toDoId provided.");
+    }
+
+    const result = await collection.updateOne(
+      { _id: typeof toDoId === "string" ? ObjectId(toDoId) : toDoId },
+      { $set: updatedData }
+    );
+    return result;
+  } catch (error) {
+    console.error("Error updating to-do data:", error.message);
+    throw error;
+  }
+}
+
 /**
  * Stores a study session in the database.
  * @param {Object} studyData Study session details.
@@ -284,6 +347,294 @@ async function retrieveStudies(query) {
   }
 }
 
+/**
+ * Resolves the collection name for a kind of item.
+ * @param {string} itemType "task", "todo" or "study".
+ * @returns {string} Collection name.
+ * @throws {Error} If the item type is unknown.
+ */
+function getItemCollectionName(itemType) {
+  const collectionName = ITEM_COLLECTIONS[itemType];
+  if (!collectionName) {
+    throw new Error(`Unknown item type "${itemType}".`);
+  }
+  return collectionName;
+}
+
+/**
+ * Retrieves a task, to-do or study session by its unique identifier.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {ObjectId | string} itemId Unique identifier of the item.
+ * @returns {Promise<Object>} Item data object.
+ */
+async function retrieveItemById(itemType, itemId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(getItemCollectionName(itemType));
+
+    // Validate ObjectId
+    if (typeof itemId === "string" && !ObjectId.isValid(itemId)) {
+      throw new Error("Invalid itemId provided.");
+    }
+
+    const item = await collection.findOne({
+      _id: typeof itemId === "string" ? ObjectId(itemId) : itemId,
+    });
+    return item;
+  } catch (error) {
+    console.error(`Error retrieving ${itemType}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates a task, to-do or study session in the database.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {ObjectId | string} itemId Unique identifier of the item.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateItemData(itemType, itemId, updatedData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(getItemCollectionName(itemType));
+
+    // Validate ObjectId
+    if (typeof itemId === "string" && !ObjectId.isValid(itemId)) {
+      throw new Error("Invalid itemId provided.");
+    }
+
+    const result = await collection.updateOne(
+      { _id: typeof itemId === "string" ? ObjectId(itemId) : itemId },
+      { $set: updatedData }
+    );
+    return result;
+  } catch (error) {
+    console.error(`Error updating ${itemType} data:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a task, to-do or study session from the database.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {ObjectId | string} itemId Unique identifier of the item.
+ * @returns {Promise<Object>} Deletion result.
+ */
+async function deleteItemData(itemType, itemId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(getItemCollectionName(itemType));
+
+    // Validate ObjectId
+    if (typeof itemId === "string" && !ObjectId.isValid(itemId)) {
+      throw new Error("Invalid itemId provided.");
+    }
+
+    const result = await collection.deleteOne({
+      _id: typeof itemId === "string" ? ObjectId(itemId) : itemId,
+    });
+    return result;
+  } catch (error) {
+    console.error(`Error deleting ${itemType} data:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates an item's status fields and appends an entry to its status history.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {ObjectId | string} itemId Unique identifier of the item.
+ * @param {Object} updatedData Status fields to set (status, startedAt, completedAt).
+ * @param {Object} historyEntry Entry to append to `statusHistory`.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function transitionItemStatus(
+  itemType,
+  itemId,
+  updatedData,
+  historyEntry
+) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(getItemCollectionName(itemType));
+
+    // Validate ObjectId
+    if (typeof itemId === "string" && !ObjectId.isValid(itemId)) {
+      throw new Error("Invalid itemId provided.");
+    }
+
+    const result = await collection.updateOne(
+      { _id: typeof itemId === "string" ? ObjectId(itemId) : itemId },
+      { $set: updatedData, $push: { statusHistory: historyEntry } }
+    );
+    return result;
+  } catch (error) {
+    console.error(`Error changing ${itemType} status:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores a time entry (timer or manual entry) in the database.
+ * @param {Object} entryData Time entry details.
+ * @returns {Promise<ObjectId>} ID of the inserted time entry.
+ */
+async function storeTimeEntry(entryData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TIME_ENTRIES_COLLECTION_NAME);
+    const result = await collection.insertOne(entryData);
+    return result.insertedId;
+  } catch (error) {
+    console.error("Error storing time entry:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves a time entry by its unique identifier.
+ * @param {ObjectId | string} entryId Unique identifier of the time entry.
+ * @returns {Promise<Object>} Time entry object.
+ */
+async function retrieveTimeEntryById(entryId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TIME_ENTRIES_COLLECTION_NAME);
+
+    // Validate ObjectId
+    if (typeof entryId === "string" && !ObjectId.isValid(entryId)) {
+      throw new Error("Invalid entryId provided.");
+    }
+
+    const entry = await collection.findOne({
+      _id: typeof entryId === "string" ? ObjectId(entryId) : entryId,
+    });
+    return entry;
+  } catch (error) {
+    console.error("Error retrieving time entry:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves time entries based on specified criteria.
+ * @param {Object} query Filters like item, state or segment dates.
+ * @returns {Promise<Array<Object>>} Array of time entry objects.
+ */
+async function retrieveTimeEntries(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TIME_ENTRIES_COLLECTION_NAME);
+    const entries = await collection.find(query).toArray();
+    return entries;
+  } catch (error) {
+    console.error("Error retrieving time entries:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates a time entry in the database.
+ * @param {ObjectId | string} entryId Unique identifier of the time entry.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateTimeEntry(entryId, updatedData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TIME_ENTRIES_COLLECTION_NAME);
+
+    // Validate ObjectId
+    if (typeof entryId === "string" && !ObjectId.isValid(entryId)) {
+      throw new Error("Invalid entryId provided.");
+    }
+
+    const result = await collection.updateOne(
+      { _id: typeof entryId === "string" ? ObjectId(entryId) : entryId },
+      { $set: updatedData }
+    );
+    return result;
+  } catch (error) {
+    console.error("Error updating time entry:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a time entry from the database.
+ * @param {ObjectId | string} entryId Unique identifier of the time entry.
+ * @returns {Promise<Object>} Deletion result.
+ */
+async function deleteTimeEntry(entryId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(TIME_ENTRIES_COLLECTION_NAME);
+
+    // Validate ObjectId
+    if (typeof entryId === "string" && !ObjectId.isValid(entryId)) {
+      throw new Error("Invalid entryId provided.");
+    }
+
+    const result = await collection.deleteOne({
+      _id: typeof entryId === "string" ? ObjectId(entryId) : entryId,
+    });
+    return result;
+  } catch (error) {
+    console.error("Error deleting time entry:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores entries of the reschedule log in the database.
+ * @param {Array<Object>} entries Log entries, one per moved item.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function storeRescheduleLogEntries(entries) {
+  try {
+    if (!entries.length) return { insertedCount: 0 };
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(RESCHEDULE_LOG_COLLECTION_NAME);
+    const result = await collection.insertMany(entries);
+    return result;
+  } catch (error) {
+    console.error("Error storing reschedule log entries:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves entries of the reschedule log, most recent first.
+ * @param {Object} query Filters like item or date of the move.
+ * @returns {Promise<Array<Object>>} Array of log entries.
+ */
+async function retrieveRescheduleLog(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(RESCHEDULE_LOG_COLLECTION_NAME);
+    const entries = await collection
+      .find(query)
+      .sort({ movedAt: -1 })
+      .toArray();
+    return entries;
+  } catch (error) {
+    console.error("Error retrieving reschedule log:", error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   connectToDatabase,
   closeConnection,
@@ -294,6 +645,19 @@ module.exports = {
   deleteTaskData,
   storeToDoData,
   retrieveToDos,
+  retrieveToDoById,
+  updateToDoData,
   storeStudySessionData,
   retrieveStudies,
+  retrieveItemById,
+  updateItemData,
+  deleteItemData,
+  transitionItemStatus,
+  storeTimeEntry,
+  retrieveTimeEntryById,
+  retrieveTimeEntries,
+  updateTimeEntry,
+  deleteTimeEntry,
+  storeRescheduleLogEntries,
+  retrieveRescheduleLog,
 };
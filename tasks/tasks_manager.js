@@ -1,6 +1,13 @@
 // tasks/tasks_manager.js
 
+const { ObjectId } = require("mongodb");
 const tasksData = require("./tasks_data");
+const recurrence = require("./recurrence");
+const dependencies = require("./dependencies");
+const lifecycle = require("./lifecycle");
+const prioritization = require("./prioritization");
+const spacedRepetition = require("./spaced_repetition");
+const schedulingInterface = require("./scheduling_interface");
 
 /**
  * Validates task data before creation.
@@ -17,6 +24,10 @@ function validateTaskData(taskData) {
   if (!taskData.date || isNaN(new Date(taskData.date))) {
     throw new Error("Task date is required and must be a valid date.");
   }
+  if (taskData.recurrence) {
+    recurrence.validateRecurrenceRule(taskData.recurrence);
+  }
+  prioritization.validatePlanningFields(taskData, "Task");
 }
 
 /**
@@ -31,6 +42,10 @@ function validateToDoData(toDoData) {
   if (!toDoData.date || isNaN(new Date(toDoData.date))) {
     throw new Error("To-do date is required and must be a valid date.");
   }
+  if (toDoData.recurrence) {
+    recurrence.validateRecurrenceRule(toDoData.recurrence);
+  }
+  prioritization.validatePlanningFields(toDoData, "To-do");
 }
 
 /**
@@ -45,17 +60,67 @@ function validateStudyData(studyData) {
   if (!studyData.duration || typeof studyData.duration !== "number") {
     throw new Error("Study session duration is required and must be a number.");
   }
+  if (studyData.topic !== undefined && typeof studyData.topic !== "string") {
+    throw new Error("Study session topic must be a string.");
+  }
+  if (
+    studyData.material !== undefined &&
+    typeof studyData.material !== "string"
+  ) {
+    throw new Error(
+      "Study session material must be a string (e.g. a book chapter or URL)."
+    );
+  }
+  prioritization.validatePlanningFields(studyData, "Study session");
+}
+
+/**
+ * Prepares a task or to-do for storage, normalizing its recurrence rule if it has one.
+ * The item's date is the start of the first occurrence.
+ * @param {Object} itemData Task or to-do data.
+ * @returns {Object} Data ready to be stored.
+ */
+function prepareRecurringItem(itemData) {
+  if (!itemData.recurrence) {
+    return itemData;
+  }
+  return {
+    ...itemData,
+    date: new Date(itemData.date),
+    recurrence: recurrence.normalizeRecurrenceRule(itemData.recurrence),
+    occurrenceOverrides: [],
+  };
+}
+
+/**
+ * Validates and normalizes the recurrence rule set by an update, if any.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Object} Fields ready to be stored.
+ * @throws {Error} If the recurrence rule is invalid.
+ */
+function prepareRecurrenceUpdate(updatedData) {
+  if (!updatedData.recurrence) {
+    return updatedData;
+  }
+  recurrence.validateRecurrenceRule(updatedData.recurrence);
+  return {
+    ...updatedData,
+    recurrence: recurrence.normalizeRecurrenceRule(updatedData.recurrence),
+  };
 }
 
 /**
  * Creates a new task.
- * @param {Object} taskData Includes title, description, duration, and date.
+ * @param {Object} taskData Includes title, description, duration, date, and optional recurrence rule, priority, effort, dueDate and reminderOffsets (minutes before the start to be reminded).
  * @returns {Promise<string>} Confirmation of task creation with a unique task ID.
  */
 async function createTask(taskData) {
   try {
     validateTaskData(taskData);
-    const taskId = await tasksData.storeTask(taskData);
+    const taskId = await tasksData.storeTask({
+      ...prepareRecurringItem(taskData),
+      ...lifecycle.initialStatusFields(),
+    });
     return `Task created successfully with ID: ${taskId}`;
   } catch (error) {
     console.error(
@@ -69,13 +134,16 @@ async function createTask(taskData) {
 
 /**
  * Creates a new to-do item.
- * @param {Object} toDoData Includes title, description, and date.
+ * @param {Object} toDoData Includes title, description, date, and optional recurrence rule, priority, effort, dueDate and reminderOffsets.
  * @returns {Promise<string>} Confirmation of to-do creation with a unique to-do ID.
  */
 async function createToDo(toDoData) {
   try {
     validateToDoData(toDoData);
-    const toDoId = await tasksData.storeToDoData(toDoData);
+    const toDoId = await tasksData.storeToDoData({
+      ...prepareRecurringItem(toDoData),
+      ...lifecycle.initialStatusFields(),
+    });
     return `To-do created successfully with ID: ${toDoId}`;
   } catch (error) {
     console.error(
@@ -89,13 +157,18 @@ async function createToDo(toDoData) {
 
 /**
  * Creates a new study session.
- * @param {Object} studyData Includes title, description, and duration.
+ * Study sessions are reviewed with spaced repetition; the first review is due right away.
+ * @param {Object} studyData Includes title, description, duration, and optional topic, material (reference to what is studied), priority, effort, dueDate and reminderOffsets.
  * @returns {Promise<string>} Confirmation of study session creation with a unique study ID.
  */
 async function createStudySession(studyData) {
   try {
     validateStudyData(studyData);
-    const studyId = await tasksData.storeStudySessionData(studyData);
+    const studyId = await tasksData.storeStudySessionData({
+      ...studyData,
+      ...lifecycle.initialStatusFields(),
+      ...spacedRepetition.initialReviewFields(),
+    });
     return `Study session created successfully with ID: ${studyId}`;
   } catch (error) {
     console.error(
@@ -126,6 +199,62 @@ async function retrieveTasks(query) {
   }
 }
 
+/**
+ * Retrieves to-dos based on specified criteria.
+ * @param {Object} query Filters like date, status (scheduled/unscheduled).
+ * @returns {Promise<Array<Object>>} Array of to-do objects.
+ */
+async function retrieveToDos(query) {
+  try {
+    const toDos = await tasksData.retrieveToDos(query);
+    return toDos;
+  } catch (error) {
+    console.error(
+      `Error retrieving to-dos with query ${JSON.stringify(query)}: ${
+        error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Retrieves study sessions based on specified criteria.
+ * @param {Object} query Filters like date, status (scheduled/unscheduled).
+ * @returns {Promise<Array<Object>>} Array of study session objects.
+ */
+async function retrieveStudySessions(query) {
+  try {
+    const studies = await tasksData.retrieveStudies(query);
+    return studies;
+  } catch (error) {
+    console.error(
+      `Error retrieving study sessions with query ${JSON.stringify(query)}: ${
+        error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Rejects status changes made through a plain update; they must go through the lifecycle
+ * so that the history and timestamps stay consistent.
+ * @param {Object} updatedData Fields to update.
+ * @throws {Error} If the update touches status fields.
+ */
+function rejectStatusUpdate(updatedData) {
+  const statusFields = ["status", "statusHistory", "startedAt", "completedAt"];
+  const touched = statusFields.filter((field) => field in updatedData);
+  if (touched.length) {
+    throw new Error(
+      `Fields ${touched.join(
+        ", "
+      )} can only be changed through a status change.`
+    );
+  }
+}
+
 /**
  * Updates an existing task.
  * @param {string} taskId Unique identifier of the task.
@@ -134,7 +263,12 @@ async function retrieveTasks(query) {
  */
 async function updateTask(taskId, updatedData) {
   try {
-    await tasksData.updateTaskData(taskId, updatedData);
+    rejectStatusUpdate(updatedData);
+    prioritization.validatePlanningFields(updatedData, "Task");
+    await tasksData.updateTaskData(
+      taskId,
+      prepareRecurrenceUpdate(updatedData)
+    );
     return "Task updated successfully.";
   } catch (error) {
     console.error(`Error updating task with ID ${taskId}: ${error.message}`);
@@ -143,12 +277,35 @@ async function updateTask(taskId, updatedData) {
 }
 
 /**
- * Deletes a task.
+ * Deletes the calendar event of an item, if it has one.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {string} itemId Unique identifier of the item.
+ * @returns {Promise<Object>} The item.
+ * @throws {Error} If the item does not exist.
+ */
+async function releaseCalendarSlot(itemType, itemId) {
+  const item = await tasksData.retrieveItemById(itemType, itemId);
+  if (!item) {
+    throw new Error(`Item with ID ${itemId} not found.`);
+  }
+  if (item.calendarEventId) {
+    await schedulingInterface.unscheduleTask(item._id, itemType);
+  }
+  return item;
+}
+
+/**
+ * Deletes a task, along with its calendar event and its subtasks.
  * @param {string} taskId Unique identifier of the task.
  * @returns {Promise<string>} Deletion confirmation.
  */
 async function deleteTask(taskId) {
   try {
+    const task = await releaseCalendarSlot("task", taskId);
+    const subtasks = await tasksData.retrieveTasks({ parentId: task._id });
+    for (const subtask of subtasks) {
+      await deleteTask(subtask._id);
+    }
     await tasksData.deleteTaskData(taskId);
     return "Task deleted successfully.";
   } catch (error) {
@@ -157,14 +314,407 @@ async function deleteTask(taskId) {
   }
 }
 
+/**
+ * Updates an existing to-do item.
+ * @param {string} toDoId Unique identifier of the to-do item.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Promise<string>} Update confirmation.
+ */
+async function updateToDo(toDoId, updatedData) {
+  try {
+    rejectStatusUpdate(updatedData);
+    prioritization.validatePlanningFields(updatedData, "To-do");
+    await tasksData.updateItemData(
+      "todo",
+      toDoId,
+      prepareRecurrenceUpdate(updatedData)
+    );
+    return "To-do updated successfully.";
+  } catch (error) {
+    console.error(`Error updating to-do with ID ${toDoId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a to-do item, along with its calendar event.
+ * @param {string} toDoId Unique identifier of the to-do item.
+ * @returns {Promise<string>} Deletion confirmation.
+ */
+async function deleteToDo(toDoId) {
+  try {
+    await releaseCalendarSlot("todo", toDoId);
+    await tasksData.deleteItemData("todo", toDoId);
+    return "To-do deleted successfully.";
+  } catch (error) {
+    console.error(`Error deleting to-do with ID ${toDoId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Updates an existing study session.
+ * @param {string} studyId Unique identifier of the study session.
+ * @param {Object} updatedData Fields to update.
+ * @returns {Promise<string>} Update confirmation.
+ */
+async function updateStudySession(studyId, updatedData) {
+  try {
+    rejectStatusUpdate(updatedData);
+    prioritization.validatePlanningFields(updatedData, "Study session");
+    await tasksData.updateItemData("study", studyId, updatedData);
+    return "Study session updated successfully.";
+  } catch (error) {
+    console.error(
+      `Error updating study session with ID ${studyId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Deletes a study session, along with its calendar event.
+ * @param {string} studyId Unique identifier of the study session.
+ * @returns {Promise<string>} Deletion confirmation.
+ */
+async function deleteStudySession(studyId) {
+  try {
+    await releaseCalendarSlot("study", studyId);
+    await tasksData.deleteItemData("study", studyId);
+    return "Study session deleted successfully.";
+  } catch (error) {
+    console.error(
+      `Error deleting study session with ID ${studyId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Records a completed review of a study session and schedules the next one. The session's
+ * calendar event, if any, is deleted so that the next review can be scheduled.
+ * @param {string} studyId Unique identifier of the study session.
+ * @param {number} quality Recall rating from 0 (blackout) to 5 (perfect).
+ * @param {string} [note] Optional note stored with the review.
+ * @returns {Promise<Object>} The new review state, including `nextReviewDate`.
+ */
+async function recordStudyReview(studyId, quality, note) {
+  // Recorded first: it validates the rating, and leaves the calendar fields alone
+  const next = await spacedRepetition.recordStudyReview(studyId, quality, note);
+  await releaseCalendarSlot("study", studyId);
+  return next;
+}
+
+/**
+ * Changes the status of a task (todo, in-progress, blocked, done, cancelled).
+ * @param {string} taskId Unique identifier of the task.
+ * @param {string} status New status.
+ * @param {string} [note] Optional reason recorded in the status history.
+ * @returns {Promise<string>} Confirmation of the status change.
+ */
+async function changeTaskStatus(taskId, status, note) {
+  try {
+    await lifecycle.changeItemStatus("task", taskId, status, note);
+    if (status === "done") {
+      await completeParentOf(taskId);
+    }
+    return `Task status changed to ${status}.`;
+  } catch (error) {
+    console.error(
+      `Error changing status of task with ID ${taskId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Changes the status of a to-do item (todo, in-progress, blocked, done, cancelled).
+ * @param {string} toDoId Unique identifier of the to-do item.
+ * @param {string} status New status.
+ * @param {string} [note] Optional reason recorded in the status history.
+ * @returns {Promise<string>} Confirmation of the status change.
+ */
+async function changeToDoStatus(toDoId, status, note) {
+  try {
+    await lifecycle.changeItemStatus("todo", toDoId, status, note);
+    return `To-do status changed to ${status}.`;
+  } catch (error) {
+    console.error(
+      `Error changing status of to-do with ID ${toDoId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Changes the status of a study session (todo, in-progress, blocked, done, cancelled).
+ * @param {string} studyId Unique identifier of the study session.
+ * @param {string} status New status.
+ * @param {string} [note] Optional reason recorded in the status history.
+ * @returns {Promise<string>} Confirmation of the status change.
+ */
+async function changeStudySessionStatus(studyId, status, note) {
+  try {
+    await lifecycle.changeItemStatus("study", studyId, status, note);
+    return `Study session status changed to ${status}.`;
+  } catch (error) {
+    console.error(
+      `Error changing status of study session with ID ${studyId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Retrieves the status-change history of a task, to-do or study session.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {string} itemId Unique identifier of the item.
+ * @returns {Promise<Array<Object>>} History entries (from, to, changedAt, note), oldest first.
+ */
+async function getStatusHistory(itemType, itemId) {
+  try {
+    const item = await tasksData.retrieveItemById(itemType, itemId);
+    if (!item) {
+      throw new Error(`${itemType} with ID ${itemId} not found.`);
+    }
+    return item.statusHistory || [];
+  } catch (error) {
+    console.error(
+      `Error retrieving status history of ${itemType} with ID ${itemId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Summarizes the items completed within a time frame.
+ * @param {Object} timeFrame Time frame (start date and end date).
+ * @returns {Promise<Object>} Completed items per type and the average hours from start to completion.
+ */
+async function getCompletionReport(timeFrame) {
+  try {
+    const query = {
+      completedAt: { $gte: timeFrame.startDate, $lte: timeFrame.endDate },
+    };
+    const completed = {
+      task: await tasksData.retrieveTasks(query),
+      todo: await tasksData.retrieveToDos(query),
+      study: await tasksData.retrieveStudies(query),
+    };
+
+    const cycleTimes = Object.values(completed)
+      .flat()
+      .filter((item) => item.startedAt)
+      .map(
+        (item) =>
+          (new Date(item.completedAt) - new Date(item.startedAt)) /
+          (60 * 60 * 1000) // Milliseconds to hours
+      );
+
+    return {
+      completedTasks: completed.task.length,
+      completedToDos: completed.todo.length,
+      completedStudySessions: completed.study.length,
+      averageHoursToComplete: cycleTimes.length
+        ? cycleTimes.reduce((sum, hours) => sum + hours, 0) / cycleTimes.length
+        : null,
+    };
+  } catch (error) {
+    console.error("Error generating completion report:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validates the changes to one occurrence of a recurring task or to-do.
+ * @param {Object} changes Fields that differ for the occurrence.
+ * @param {string} label Name of the item in error messages (e.g. "Task occurrence").
+ * @returns {Object} Changes ready to be stored.
+ * @throws {Error} If validation fails.
+ */
+function validateOccurrenceChanges(changes, label) {
+  if (!changes || typeof changes !== "object") {
+    throw new Error(`${label} changes must be an object.`);
+  }
+  const prepared = { ...changes };
+  if ("date" in changes) {
+    prepared.date = new Date(changes.date);
+    if (!changes.date || isNaN(prepared.date)) {
+      throw new Error(`${label} date must be a valid date.`);
+    }
+  }
+  if (
+    "duration" in changes &&
+    (typeof changes.duration !== "number" || !(changes.duration > 0))
+  ) {
+    throw new Error(`${label} duration must be a positive number.`);
+  }
+  if ("status" in changes && !lifecycle.STATUSES.includes(changes.status)) {
+    throw new Error(
+      `${label} status must be one of: ${lifecycle.STATUSES.join(", ")}.`
+    );
+  }
+  prioritization.validatePlanningFields(changes, label);
+  return prepared;
+}
+
+/**
+ * Stores per-instance changes for one occurrence of a recurring task or to-do.
+ * @param {Object} item Stored recurring item.
+ * @param {Date|string} occurrenceDate Original start of the occurrence.
+ * @param {Object} changes Fields that differ for this occurrence (e.g. date, duration, status).
+ * @param {Function} updateItem Data-layer update function for the item's collection.
+ * @param {string} label Name of the item in error messages (e.g. "Task occurrence").
+ * @returns {Promise<Object>} Database operation result.
+ * @throws {Error} If the item is not recurring, has no occurrence at that time, or the
+ * changes are invalid.
+ */
+async function setOccurrenceOverride(
+  item,
+  occurrenceDate,
+  changes,
+  updateItem,
+  label
+) {
+  if (!item.recurrence) {
+    throw new Error(`Item with ID ${item._id} is not recurring.`);
+  }
+  const validChanges = validateOccurrenceChanges(changes, label);
+  const occurrence = new Date(occurrenceDate);
+  if (isNaN(occurrence)) {
+    throw new Error("Occurrence date must be a valid date.");
+  }
+  if (!recurrence.isOccurrence(item.recurrence, item.date, occurrence)) {
+    throw new Error(
+      `Item with ID ${
+        item._id
+      } has no occurrence at ${occurrence.toISOString()}.`
+    );
+  }
+
+  const overrides = (item.occurrenceOverrides || []).filter(
+    (override) =>
+      new Date(override.occurrenceDate).getTime() !== occurrence.getTime()
+  );
+  const existing = (item.occurrenceOverrides || []).find(
+    (override) =>
+      new Date(override.occurrenceDate).getTime() === occurrence.getTime()
+  );
+  overrides.push({ ...existing, ...validChanges, occurrenceDate: occurrence });
+
+  return updateItem(item._id, { occurrenceOverrides: overrides });
+}
+
+/**
+ * Overrides fields of a single occurrence of a recurring task.
+ * @param {string} taskId Unique identifier of the task series.
+ * @param {Date|string} occurrenceDate Original start of the occurrence.
+ * @param {Object} changes Fields to override for this occurrence.
+ * @returns {Promise<string>} Update confirmation.
+ */
+async function overrideTaskOccurrence(taskId, occurrenceDate, changes) {
+  try {
+    const task = await tasksData.retrieveTaskById(taskId);
+    if (!task) {
+      throw new Error(`Task with ID ${taskId} not found.`);
+    }
+    await setOccurrenceOverride(
+      task,
+      occurrenceDate,
+      changes,
+      tasksData.updateTaskData,
+      "Task occurrence"
+    );
+    return "Task occurrence updated successfully.";
+  } catch (error) {
+    console.error(
+      `Error overriding occurrence of task with ID ${taskId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Overrides fields of a single occurrence of a recurring to-do.
+ * @param {string} toDoId Unique identifier of the to-do series.
+ * @param {Date|string} occurrenceDate Original start of the occurrence.
+ * @param {Object} changes Fields to override for this occurrence.
+ * @returns {Promise<string>} Update confirmation.
+ */
+async function overrideToDoOccurrence(toDoId, occurrenceDate, changes) {
+  try {
+    const toDo = await tasksData.retrieveToDoById(toDoId);
+    if (!toDo) {
+      throw new Error(`To-do with ID ${toDoId} not found.`);
+    }
+    await setOccurrenceOverride(
+      toDo,
+      occurrenceDate,
+      changes,
+      tasksData.updateToDoData,
+      "To-do occurrence"
+    );
+    return "To-do occurrence updated successfully.";
+  } catch (error) {
+    console.error(
+      `Error overriding occurrence of to-do with ID ${toDoId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Generates the upcoming instances of all recurring tasks and to-dos within a range.
+ * @param {Date|string} startDate Start of the range.
+ * @param {Date|string} endDate End of the range.
+ * @returns {Promise<Array<Object>>} Instances sorted by date, each tagged with `itemType` ("task" or "todo").
+ */
+async function getUpcomingOccurrences(startDate, endDate) {
+  try {
+    const recurringQuery = { recurrence: { $exists: true, $ne: null } };
+    const tasks = await tasksData.retrieveTasks(recurringQuery);
+    const toDos = await tasksData.retrieveToDos(recurringQuery);
+
+    const instances = [
+      ...tasks.flatMap((task) =>
+        recurrence
+          .expandSeries(task, startDate, endDate)
+          .map((instance) => ({ ...instance, itemType: "task" }))
+      ),
+      ...toDos.flatMap((toDo) =>
+        recurrence
+          .expandSeries(toDo, startDate, endDate)
+          .map((instance) => ({ ...instance, itemType: "todo" }))
+      ),
+    ];
+
+    return instances.sort((a, b) => new Date(a.date) - new Date(b.date));
+  } catch (error) {
+    console.error(
+      `Error generating occurrences between ${startDate} and ${endDate}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
 /**
  * Marks a task as completed.
+ * For recurring tasks, passing an occurrence date completes only that occurrence.
  * @param {string} taskId Unique identifier of the task.
+ * @param {Date|string} [occurrenceDate] Original start of the occurrence to complete.
  * @returns {Promise<string>} Confirmation of completion.
  */
-async function markTaskAsCompleted(taskId) {
+async function markTaskAsCompleted(taskId, occurrenceDate) {
   try {
-    await tasksData.updateTaskData(taskId, { status: "completed" });
+    if (occurrenceDate) {
+      await overrideTaskOccurrence(taskId, occurrenceDate, {
+        status: "done",
+        completedAt: new Date(),
+      });
+      return "Task occurrence marked as completed.";
+    }
+    await lifecycle.changeItemStatus("task", taskId, "done");
+    await completeParentOf(taskId);
     return "Task marked as completed.";
   } catch (error) {
     console.error(
@@ -174,12 +724,325 @@ async function markTaskAsCompleted(taskId) {
   }
 }
 
+/**
+ * Marks a to-do item as completed.
+ * For recurring to-dos, passing an occurrence date completes only that occurrence.
+ * @param {string} toDoId Unique identifier of the to-do item.
+ * @param {Date|string} [occurrenceDate] Original start of the occurrence to complete.
+ * @returns {Promise<string>} Confirmation of completion.
+ */
+async function markToDoAsCompleted(toDoId, occurrenceDate) {
+  try {
+    if (occurrenceDate) {
+      await overrideToDoOccurrence(toDoId, occurrenceDate, {
+        status: "done",
+        completedAt: new Date(),
+      });
+      return "To-do occurrence marked as completed.";
+    }
+    await lifecycle.changeItemStatus("todo", toDoId, "done");
+    return "To-do marked as completed.";
+  } catch (error) {
+    console.error(
+      `Error marking to-do with ID ${toDoId} as completed: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Marks a study session as completed.
+ * @param {string} studyId Unique identifier of the study session.
+ * @returns {Promise<string>} Confirmation of completion.
+ */
+async function markStudySessionAsCompleted(studyId) {
+  try {
+    await lifecycle.changeItemStatus("study", studyId, "done");
+    return "Study session marked as completed.";
+  } catch (error) {
+    console.error(
+      `Error marking study session with ID ${studyId} as completed: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Creates a subtask under an existing task.
+ * The subtask inherits the parent's date unless one is given.
+ * @param {string} parentId Unique identifier of the parent task.
+ * @param {Object} taskData Includes title, description, duration, and optionally date.
+ * @returns {Promise<string>} Confirmation of subtask creation with a unique task ID.
+ */
+async function createSubtask(parentId, taskData) {
+  try {
+    const parent = await tasksData.retrieveTaskById(parentId);
+    if (!parent) {
+      throw new Error(`Parent task with ID ${parentId} not found.`);
+    }
+
+    const subtaskData = {
+      date: parent.date,
+      ...taskData,
+      parentId: parent._id,
+    };
+    validateTaskData(subtaskData);
+    const taskId = await tasksData.storeTask({
+      ...subtaskData,
+      ...lifecycle.initialStatusFields(),
+    });
+    return `Subtask created successfully with ID: ${taskId}`;
+  } catch (error) {
+    console.error(
+      `Error creating subtask of task with ID ${parentId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Retrieves the direct subtasks of a task.
+ * @param {string} taskId Unique identifier of the parent task.
+ * @returns {Promise<Array<Object>>} Array of subtask objects.
+ */
+async function getSubtasks(taskId) {
+  try {
+    const task = await tasksData.retrieveTaskById(taskId);
+    if (!task) {
+      throw new Error(`Task with ID ${taskId} not found.`);
+    }
+    return await tasksData.retrieveTasks({ parentId: task._id });
+  } catch (error) {
+    console.error(
+      `Error retrieving subtasks of task with ID ${taskId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Adds a checklist item to a task.
+ * @param {string} taskId Unique identifier of the task.
+ * @param {string} title Text of the checklist item.
+ * @returns {Promise<string>} Confirmation with the checklist item ID.
+ */
+async function addChecklistItem(taskId, title) {
+  try {
+    if (!title || typeof title !== "string") {
+      throw new Error("Checklist item title is required and must be a string.");
+    }
+    const task = await tasksData.retrieveTaskById(taskId);
+    if (!task) {
+      throw new Error(`Task with ID ${taskId} not found.`);
+    }
+
+    const item = { _id: new ObjectId(), title, done: false };
+    await tasksData.updateTaskData(task._id, {
+      checklist: [...(task.checklist || []), item],
+    });
+    return `Checklist item added successfully with ID: ${item._id}`;
+  } catch (error) {
+    console.error(
+      `Error adding checklist item to task with ID ${taskId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Checks or unchecks a checklist item. Checking the last open item completes the task.
+ * @param {string} taskId Unique identifier of the task.
+ * @param {string} checklistItemId Unique identifier of the checklist item.
+ * @param {boolean} done Whether the item is done.
+ * @returns {Promise<string>} Update confirmation.
+ */
+async function setChecklistItemDone(taskId, checklistItemId, done) {
+  try {
+    const task = await tasksData.retrieveTaskById(taskId);
+    if (!task) {
+      throw new Error(`Task with ID ${taskId} not found.`);
+    }
+
+    const checklist = task.checklist || [];
+    if (
+      !checklist.some((item) => String(item._id) === String(checklistItemId))
+    ) {
+      throw new Error(
+        `Checklist item with ID ${checklistItemId} not found on task ${taskId}.`
+      );
+    }
+    await tasksData.updateTaskData(task._id, {
+      checklist: checklist.map((item) =>
+        String(item._id) === String(checklistItemId)
+          ? { ...item, done: Boolean(done) }
+          : item
+      ),
+    });
+
+    if (done) {
+      await completeParentIfFinished(task._id);
+    }
+    return "Checklist item updated successfully.";
+  } catch (error) {
+    console.error(
+      `Error updating checklist item ${checklistItemId} of task with ID ${taskId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Marks a task as completed once all its subtasks and checklist items are done,
+ * then does the same for its own parent.
+ * @param {ObjectId | string} taskId Unique identifier of the task.
+ * @returns {Promise<void>}
+ */
+async function completeParentIfFinished(taskId) {
+  const task = await tasksData.retrieveTaskById(taskId);
+  if (!task || !lifecycle.isOpen(task)) {
+    return;
+  }
+
+  const subtasks = await tasksData.retrieveTasks({ parentId: task._id });
+  const checklist = task.checklist || [];
+  if (subtasks.length === 0 && checklist.length === 0) {
+    return;
+  }
+
+  const finished =
+    subtasks.every((subtask) => !lifecycle.isOpen(subtask)) &&
+    checklist.every((item) => item.done);
+  if (!finished) {
+    return;
+  }
+
+  await lifecycle.changeItemStatus(
+    "task",
+    task._id,
+    "done",
+    "All subtasks and checklist items are done."
+  );
+  if (task.parentId) {
+    await completeParentIfFinished(task.parentId);
+  }
+}
+
+/**
+ * Completes the parent of a task if that task was its last open child.
+ * @param {ObjectId | string} taskId Unique identifier of the child task.
+ * @returns {Promise<void>}
+ */
+async function completeParentOf(taskId) {
+  const task = await tasksData.retrieveTaskById(taskId);
+  if (task && task.parentId) {
+    await completeParentIfFinished(task.parentId);
+  }
+}
+
+/**
+ * Computes the total and remaining duration of a task from its subtasks and checklist.
+ * A task with subtasks is the sum of its subtasks; otherwise its own duration is split
+ * evenly across its checklist items.
+ * @param {Object} task Task data object.
+ * @returns {Promise<Object>} Total and remaining duration in hours.
+ */
+async function computeTaskDurations(task) {
+  const subtasks = await tasksData.retrieveTasks({ parentId: task._id });
+
+  if (subtasks.length) {
+    let totalDuration = 0;
+    let remainingDuration = 0;
+    for (const subtask of subtasks) {
+      const durations = await computeTaskDurations(subtask);
+      totalDuration += durations.totalDuration;
+      remainingDuration += durations.remainingDuration;
+    }
+    return { totalDuration, remainingDuration };
+  }
+
+  const totalDuration = task.duration || 0;
+  if (!lifecycle.isOpen(task)) {
+    return { totalDuration, remainingDuration: 0 };
+  }
+  const checklist = task.checklist || [];
+  const openItems = checklist.filter((item) => !item.done).length;
+  return {
+    totalDuration,
+    remainingDuration: checklist.length
+      ? (totalDuration * openItems) / checklist.length
+      : totalDuration,
+  };
+}
+
+/**
+ * Rolls up the progress of a task from its subtasks and checklist items.
+ * @param {string} taskId Unique identifier of the task.
+ * @returns {Promise<Object>} Total and remaining duration (hours) and percent complete.
+ */
+async function getTaskProgress(taskId) {
+  try {
+    const task = await tasksData.retrieveTaskById(taskId);
+    if (!task) {
+      throw new Error(`Task with ID ${taskId} not found.`);
+    }
+
+    const { totalDuration, remainingDuration } = await computeTaskDurations(
+      task
+    );
+    let percentComplete;
+    if (lifecycle.isDone(task)) {
+      percentComplete = 100;
+    } else if (totalDuration > 0) {
+      percentComplete = Math.round(
+        ((totalDuration - remainingDuration) / totalDuration) * 100
+      );
+    } else {
+      percentComplete = 0;
+    }
+
+    return { totalDuration, remainingDuration, percentComplete };
+  } catch (error) {
+    console.error(
+      `Error computing progress of task with ID ${taskId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
 module.exports = {
   createTask,
   createToDo,
   createStudySession,
   retrieveTasks,
+  retrieveToDos,
+  retrieveStudySessions,
   updateTask,
   deleteTask,
+  updateToDo,
+  deleteToDo,
+  updateStudySession,
+  deleteStudySession,
   markTaskAsCompleted,
+  markToDoAsCompleted,
+  markStudySessionAsCompleted,
+  changeTaskStatus,
+  changeToDoStatus,
+  changeStudySessionStatus,
+  getStatusHistory,
+  getCompletionReport,
+  createSubtask,
+  getSubtasks,
+  addChecklistItem,
+  setChecklistItemDone,
+  getTaskProgress,
+  overrideTaskOccurrence,
+  overrideToDoOccurrence,
+  getUpcomingOccurrences,
+  addDependency: dependencies.addDependency,
+  removeDependency: dependencies.removeDependency,
+  getBlockedTasks: dependencies.getBlockedTasks,
+  getReadyTasks: dependencies.getReadyTasks,
+  getNextActions: prioritization.getNextActions,
+  recordStudyReview,
+  getDueReviews: spacedRepetition.getDueReviews,
 };
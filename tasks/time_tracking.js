@@ -0,0 +1,348 @@
+// tasks/time_tracking.js
+
+const moment = require("moment-timezone"); // For time zone handling
+const tasksData = require("./tasks_data");
+const lifecycle = require("./lifecycle");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Retrieves an item and fails if it does not exist.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {ObjectId | string} itemId Unique identifier of the item.
+ * @returns {Promise<Object>} Item data object.
+ */
+async function retrieveExistingItem(itemType, itemId) {
+  const item = await tasksData.retrieveItemById(itemType, itemId);
+  if (!item) {
+    throw new Error(`${itemType} with ID ${itemId} not found.`);
+  }
+  return item;
+}
+
+/**
+ * Retrieves a time entry and fails if it does not exist.
+ * @param {ObjectId | string} entryId Unique identifier of the time entry.
+ * @returns {Promise<Object>} Time entry object.
+ */
+async function retrieveExistingEntry(entryId) {
+  const entry = await tasksData.retrieveTimeEntryById(entryId);
+  if (!entry) {
+    throw new Error(`Time entry with ID ${entryId} not found.`);
+  }
+  return entry;
+}
+
+/**
+ * Returns the segments of an entry with open segments ending now.
+ * @param {Object} entry Time entry.
+ * @returns {Array<Object>} Segments ({ start, end } as Dates).
+ */
+function closedSegments(entry) {
+  return (entry.segments || []).map((segment) => ({
+    start: new Date(segment.start),
+    end: segment.end ? new Date(segment.end) : new Date(),
+  }));
+}
+
+/**
+ * Sums the tracked hours of entries, optionally only within a range.
+ * @param {Array<Object>} entries Time entries.
+ * @param {Object} [range] Range ({ start, end } as Dates) to clip segments to.
+ * @returns {number} Tracked hours.
+ */
+function sumHours(entries, range) {
+  let totalMs = 0;
+  for (const entry of entries) {
+    for (const segment of closedSegments(entry)) {
+      const start =
+        range && segment.start < range.start ? range.start : segment.start;
+      const end = range && segment.end > range.end ? range.end : segment.end;
+      if (end > start) totalMs += end - start;
+    }
+  }
+  return totalMs / HOUR_MS;
+}
+
+/**
+ * Retrieves the timer that is currently running, if any.
+ * @returns {Promise<Object|null>} Running timer or null.
+ */
+async function getActiveTimer() {
+  try {
+    const [timer] = await tasksData.retrieveTimeEntries({ state: "running" });
+    return timer || null;
+  } catch (error) {
+    console.error("Error retrieving active timer:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Starts (or resumes) a timer for a task, to-do or study session.
+ * Only one timer can run at a time; an item still in "todo" moves to "in-progress".
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {string} itemId Unique identifier of the item.
+ * @returns {Promise<string>} Confirmation with the timer ID.
+ */
+async function startTimer(itemType, itemId) {
+  try {
+    const item = await retrieveExistingItem(itemType, itemId);
+
+    const running = await getActiveTimer();
+    if (running) {
+      throw new Error(
+        `A timer is already running for ${running.itemType} ${running.itemId}. Stop or pause it first.`
+      );
+    }
+
+    const now = new Date();
+    const [paused] = await tasksData.retrieveTimeEntries({
+      itemType,
+      itemId: item._id,
+      state: "paused",
+    });
+
+    let timerId;
+    if (paused) {
+      timerId = paused._id;
+      await tasksData.updateTimeEntry(timerId, {
+        state: "running",
+        segments: [...paused.segments, { start: now, end: null }],
+      });
+    } else {
+      timerId = await tasksData.storeTimeEntry({
+        itemType,
+        itemId: item._id,
+        source: "timer",
+        state: "running",
+        segments: [{ start: now, end: null }],
+        createdAt: now,
+      });
+    }
+
+    if (lifecycle.getStatus(item) === "todo") {
+      await lifecycle.changeItemStatus(
+        itemType,
+        item._id,
+        "in-progress",
+        "Timer started."
+      );
+    }
+    return `Timer started successfully with ID: ${timerId}`;
+  } catch (error) {
+    console.error(
+      `Error starting timer for ${itemType} with ID ${itemId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Closes the open segment of a running timer and moves it to a new state.
+ * @param {Object} timer Running timer.
+ * @param {string} state "paused" or "stopped".
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function closeTimer(timer, state) {
+  const now = new Date();
+  const updatedData = {
+    state,
+    segments: timer.segments.map((segment) =>
+      segment.end ? segment : { ...segment, end: now }
+    ),
+  };
+  if (state === "stopped") updatedData.stoppedAt = now;
+  return tasksData.updateTimeEntry(timer._id, updatedData);
+}
+
+/**
+ * Pauses a running timer; starting a timer on the same item resumes it.
+ * @param {string} timerId Unique identifier of the timer.
+ * @returns {Promise<string>} Confirmation message.
+ */
+async function pauseTimer(timerId) {
+  try {
+    const timer = await retrieveExistingEntry(timerId);
+    if (timer.state !== "running") {
+      throw new Error(`Timer with ID ${timerId} is not running.`);
+    }
+    await closeTimer(timer, "paused");
+    return "Timer paused successfully.";
+  } catch (error) {
+    console.error(`Error pausing timer with ID ${timerId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Stops a running or paused timer for good.
+ * @param {string} timerId Unique identifier of the timer.
+ * @returns {Promise<string>} Confirmation with the tracked hours.
+ */
+async function stopTimer(timerId) {
+  try {
+    const timer = await retrieveExistingEntry(timerId);
+    if (timer.state === "stopped") {
+      throw new Error(`Timer with ID ${timerId} is already stopped.`);
+    }
+    await closeTimer(timer, "stopped");
+    return `Timer stopped successfully. Tracked ${sumHours([timer]).toFixed(
+      2
+    )} hour(s).`;
+  } catch (error) {
+    console.error(`Error stopping timer with ID ${timerId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Records time spent on an item after the fact.
+ * The entry may not overlap any other tracked time, including a running timer.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {string} itemId Unique identifier of the item.
+ * @param {Date|string} start Start of the work.
+ * @param {Date|string} end End of the work.
+ * @param {string} [note] Optional description.
+ * @returns {Promise<string>} Confirmation with the entry ID.
+ */
+async function addManualTimeEntry(itemType, itemId, start, end, note) {
+  try {
+    const item = await retrieveExistingItem(itemType, itemId);
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (isNaN(startDate) || isNaN(endDate) || endDate <= startDate) {
+      throw new Error("Time entry needs a valid start before its end.");
+    }
+    if (endDate > new Date()) {
+      throw new Error("Time entries cannot end in the future.");
+    }
+
+    const candidates = await tasksData.retrieveTimeEntries({
+      "segments.start": { $lt: endDate },
+    });
+    const overlapping = candidates.find((entry) =>
+      closedSegments(entry).some(
+        (segment) => segment.start < endDate && segment.end > startDate
+      )
+    );
+    if (overlapping) {
+      throw new Error(
+        `Time entry overlaps tracked time of ${overlapping.itemType} ${overlapping.itemId}.`
+      );
+    }
+
+    const entryId = await tasksData.storeTimeEntry({
+      itemType,
+      itemId: item._id,
+      source: "manual",
+      state: "stopped",
+      segments: [{ start: startDate, end: endDate }],
+      note: note || null,
+      createdAt: new Date(),
+    });
+    return `Time entry added successfully with ID: ${entryId}`;
+  } catch (error) {
+    console.error(
+      `Error adding time entry for ${itemType} with ID ${itemId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Compares an item's estimated duration with the time actually tracked against it.
+ * @param {string} itemType "task", "todo" or "study".
+ * @param {string} itemId Unique identifier of the item.
+ * @returns {Promise<Object>} Estimated, actual and variance hours, and variance percent.
+ */
+async function getEstimateVsActual(itemType, itemId) {
+  try {
+    const item = await retrieveExistingItem(itemType, itemId);
+    const entries = await tasksData.retrieveTimeEntries({
+      itemType,
+      itemId: item._id,
+    });
+
+    const estimatedHours = item.duration || 0;
+    const actualHours = sumHours(entries);
+    return {
+      itemType,
+      itemId: item._id,
+      title: item.title,
+      estimatedHours,
+      actualHours,
+      varianceHours: actualHours - estimatedHours,
+      variancePercent: estimatedHours
+        ? ((actualHours - estimatedHours) / estimatedHours) * 100
+        : null,
+    };
+  } catch (error) {
+    console.error(
+      `Error comparing estimate for ${itemType} with ID ${itemId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Reports the time tracked during one week, per item, against each item's estimate.
+ * @param {Date|string} weekDate Any date within the week (weeks start on Monday).
+ * @param {string} timeZone User's time zone (e.g., 'America/Los_Angeles').
+ * @returns {Promise<Object>} Week bounds, per-item rows and total tracked hours.
+ */
+async function getWeeklyTimeReport(weekDate, timeZone) {
+  try {
+    const weekStart = moment.tz(weekDate, timeZone).startOf("isoWeek");
+    const range = {
+      start: weekStart.toDate(),
+      end: weekStart.clone().add(1, "week").toDate(),
+    };
+
+    const entries = await tasksData.retrieveTimeEntries({
+      "segments.start": { $lt: range.end },
+    });
+
+    // Group the week's entries by item
+    const entriesByItem = new Map();
+    for (const entry of entries) {
+      if (sumHours([entry], range) === 0) continue;
+      const key = `${entry.itemType}:${entry.itemId}`;
+      if (!entriesByItem.has(key)) entriesByItem.set(key, []);
+      entriesByItem.get(key).push(entry);
+    }
+
+    const items = [];
+    for (const itemEntries of entriesByItem.values()) {
+      const { itemType, itemId } = itemEntries[0];
+      const item = await tasksData.retrieveItemById(itemType, itemId);
+      items.push({
+        itemType,
+        itemId,
+        title: item ? item.title : null,
+        estimatedHours: item ? item.duration || 0 : null,
+        actualHours: sumHours(itemEntries, range),
+      });
+    }
+
+    return {
+      weekStart: range.start,
+      weekEnd: range.end,
+      items,
+      totalHours: items.reduce((sum, row) => sum + row.actualHours, 0),
+    };
+  } catch (error) {
+    console.error("Error generating weekly time report:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  getActiveTimer,
+  startTimer,
+  pauseTimer,
+  stopTimer,
+  addManualTimeEntry,
+  getEstimateVsActual,
+  getWeeklyTimeReport,
+};
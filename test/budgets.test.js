@@ -0,0 +1,212 @@
+// test/budgets.test.js
+
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const Module = require("module");
+const path = require("path");
+
+// Works out budget statuses and alerts over in-memory budgets and expenses, with alerts
+// delivered through a test channel.
+
+const ROOT = path.join(__dirname, "..");
+
+const budgetList = [];
+const expenses = [];
+const alerts = [];
+const sent = [];
+let failDelivery = false;
+
+const financeData = {
+  retrieveBudgets: async (query) =>
+    budgetList.filter((budget) =>
+      Object.entries(query).every(([field, value]) => budget[field] === value)
+    ),
+  retrieveExpensesInRange: async (query, range) =>
+    expenses.filter(
+      (expense) =>
+        expense.category === query.category &&
+        expense.date >= range.$gte &&
+        expense.date < range.$lt
+    ),
+  retrieveBudgetAlerts: async (query) =>
+    alerts.filter(
+      (alert) =>
+        alert.category === query.category &&
+        alert.period === query.period &&
+        alert.periodStart.getTime() === query.periodStart.getTime()
+    ),
+  recordBudgetAlert: async (alert) => {
+    alerts.push(alert);
+    return true;
+  },
+};
+
+const testChannel = {
+  send: async (notification) => {
+    if (failDelivery) throw new Error("Channel unavailable.");
+    sent.push(notification);
+  },
+};
+
+let budgets;
+
+/**
+ * Adds a monthly budget for groceries.
+ * @param {Object} [fields] Fields to set on the budget.
+ * @returns {Object} Budget.
+ */
+function addBudget(fields = {}) {
+  const budget = {
+    category: "groceries",
+    period: "monthly",
+    amount: 100,
+    rollover: "none",
+    thresholds: [80, 100],
+    channels: ["test"],
+    since: budgets.getPeriodBounds("monthly", new Date()).start,
+    ...fields,
+  };
+  budgetList.push(budget);
+  return budget;
+}
+
+/**
+ * Adds a grocery expense.
+ * @param {number} amount Amount spent.
+ * @param {Date} [date] Expense date (defaults to now).
+ * @returns {Object} Expense.
+ */
+function addExpense(amount, date = new Date()) {
+  const expense = { category: "groceries", amount, date };
+  expenses.push(expense);
+  return expense;
+}
+
+before(() => {
+  const fakes = new Map([
+    [path.join(ROOT, "config"), {}],
+    [path.join(ROOT, "finance", "finance_data"), financeData],
+  ]);
+  const load = Module._load;
+  Module._load = function (request, parent, ...rest) {
+    if (request.startsWith(".") && parent) {
+      const fake = fakes.get(
+        path.resolve(path.dirname(parent.filename), request)
+      );
+      if (fake) return fake;
+    }
+    return load.call(this, request, parent, ...rest);
+  };
+  try {
+    budgets = require("../finance/budgets");
+    require("../reminders/channels").registerChannel("test", testChannel);
+  } finally {
+    Module._load = load;
+  }
+});
+
+beforeEach(() => {
+  budgetList.length = 0;
+  expenses.length = 0;
+  alerts.length = 0;
+  sent.length = 0;
+  failDelivery = false;
+});
+
+test("a threshold alerts only once spending reaches it", async () => {
+  addBudget({ thresholds: [80] });
+
+  assert.deepStrictEqual(await budgets.checkBudgetAlerts(addExpense(79.6)), []); // Shown as 80%
+  assert.deepStrictEqual(sent, []);
+
+  const [alert] = await budgets.checkBudgetAlerts(addExpense(0.4));
+  assert.strictEqual(alert.threshold, 80);
+  assert.strictEqual(alert.percentUsed, 80);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].title, "Budget alert");
+
+  assert.deepStrictEqual(await budgets.checkBudgetAlerts(addExpense(5)), []); // Already alerted
+  assert.strictEqual(sent.length, 1);
+});
+
+test("crossing several thresholds at once announces the highest", async () => {
+  addBudget();
+
+  const [alert] = await budgets.checkBudgetAlerts(addExpense(120));
+  assert.strictEqual(alert.threshold, 100);
+  assert.deepStrictEqual(
+    sent.map((notification) => notification.title),
+    ["Budget exceeded"]
+  );
+  assert.deepStrictEqual(
+    alerts.map((recorded) => recorded.threshold),
+    [80, 100]
+  );
+});
+
+test("an alert that could not be delivered is sent again with the next expense", async () => {
+  addBudget();
+  failDelivery = true;
+  assert.deepStrictEqual(await budgets.checkBudgetAlerts(addExpense(85)), []);
+  assert.deepStrictEqual(alerts, []);
+
+  failDelivery = false;
+  const [alert] = await budgets.checkBudgetAlerts(addExpense(1));
+  assert.strictEqual(alert.threshold, 80);
+  assert.strictEqual(sent.length, 1);
+  assert.deepStrictEqual(
+    alerts.map((recorded) => recorded.threshold),
+    [80]
+  );
+});
+
+test("the status of an invalid date is rejected", async () => {
+  addBudget();
+  await assert.rejects(budgets.getBudgetStatus("monthly", "garbage"), {
+    message: "Budget status date must be a valid date.",
+  });
+});
+
+test("rollover carries the surplus, the deficit or both into the next period", async () => {
+  const august = new Date(2026, 7, 15);
+  const september = new Date(2026, 8, 15);
+  const october = new Date(2026, 9, 15);
+  addExpense(60, august); // 40 left
+  addExpense(150, september); // 50 over with the plain budget
+  const since = budgets.getPeriodBounds("monthly", august).start;
+
+  const availableWith = async (rollover) => {
+    budgetList.length = 0;
+    addBudget({ rollover, since });
+    const [status] = (await budgets.getBudgetStatus("monthly", october))
+      .budgets;
+    return [status.carriedOver, status.available];
+  };
+  assert.deepStrictEqual(await availableWith("none"), [0, 100]);
+  // The surplus of August covers part of September, which leaves nothing over
+  assert.deepStrictEqual(await availableWith("surplus"), [0, 100]);
+  // August's surplus is dropped; September's deficit lowers October
+  assert.deepStrictEqual(await availableWith("deficit"), [-50, 50]);
+  // August's 40 carries into September (140), which ends 10 over
+  assert.deepStrictEqual(await availableWith("both"), [-10, 90]);
+});
+
+test("spending in the reported period counts against the carried-over amount", async () => {
+  const september = new Date(2025, 8, 15);
+  const october = new Date(2025, 9, 15);
+  addExpense(70, september);
+  addExpense(65, october);
+  addBudget({
+    rollover: "surplus",
+    since: budgets.getPeriodBounds("monthly", september).start,
+  });
+
+  const status = await budgets.getBudgetStatus("monthly", october);
+  assert.deepStrictEqual(status.totals, {
+    available: 130,
+    spent: 65,
+    remaining: 65,
+    projected: 65, // October 2025 is over
+  });
+  assert.strictEqual(status.budgets[0].percentUsed, 50);
+});
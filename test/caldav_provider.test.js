@@ -0,0 +1,259 @@
+// test/caldav_provider.test.js
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const Module = require("module");
+const os = require("os");
+const path = require("path");
+
+// Runs the CalDAV provider against a local stand-in: a small in-memory CalDAV server
+// answering the requests the provider sends (PUT, GET, DELETE and the calendar-query and
+// sync-collection REPORTs), and a local .ics file.
+
+const ROOT = path.join(__dirname, "..");
+const HOST = "127.0.0.1";
+const PORT = 18322;
+const COLLECTION_URL = `http://${HOST}:${PORT}/calendars/team/`;
+
+const RANGE_START = new Date("2026-10-01T00:00:00Z");
+const RANGE_END = new Date("2026-11-01T00:00:00Z");
+const MEETING = {
+  summary: "Planning",
+  start: { dateTime: "2026-10-20T09:00:00Z", timeZone: "UTC" },
+  end: { dateTime: "2026-10-20T10:00:00Z", timeZone: "UTC" },
+};
+
+const resources = new Map(); // Resource name -> { data, etag, version }
+const deletions = new Map(); // Resource name -> version
+let version = 0;
+let server;
+let caldavProvider;
+
+/**
+ * Escapes text for an XML element.
+ * @param {string} value Text.
+ * @returns {string} Escaped text.
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Builds a multistatus body for the resources changed after a version.
+ * @param {number} since Version of the sync token (0 for every resource).
+ * @returns {string} Multistatus XML.
+ */
+function multistatus(since) {
+  const responses = [];
+  for (const [name, resource] of resources) {
+    if (resource.version <= since) continue;
+    responses.push(`<d:response><d:href>/calendars/team/${name}</d:href><d:propstat>
+<d:prop><d:getetag>${resource.etag}</d:getetag><c:calendar-data>${escapeXml(
+      resource.data
+    )}</c:calendar-data></d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`);
+  }
+  for (const [name, deletedAt] of deletions) {
+    if (since && deletedAt > since) {
+      responses.push(
+        `<d:response><d:href>/calendars/team/${name}</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>`
+      );
+    }
+  }
+  return `<?xml version="1.0" encoding="utf-8"?>
+<d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+${responses.join("\n")}
+<d:sync-token>${version}</d:sync-token>
+</d:multistatus>`;
+}
+
+/**
+ * Answers a request to the stand-in server.
+ * @param {http.IncomingMessage} req Request.
+ * @param {string} body Request body.
+ * @param {http.ServerResponse} res Response.
+ */
+function handleRequest(req, res, body) {
+  const name = decodeURIComponent(req.url.split("/").pop());
+  const resource = resources.get(name);
+  switch (req.method) {
+    case "PUT":
+      if (resource && req.headers["if-none-match"] === "*") {
+        res.writeHead(412);
+        break;
+      }
+      version++;
+      resources.set(name, { data: body, etag: `"${version}"`, version });
+      deletions.delete(name);
+      res.writeHead(resource ? 204 : 201, { ETag: `"${version}"` });
+      break;
+    case "GET":
+      if (!resource) {
+        res.writeHead(404);
+        break;
+      }
+      res.writeHead(200, {
+        "Content-Type": "text/calendar",
+        ETag: resource.etag,
+      });
+      res.write(resource.data);
+      break;
+    case "DELETE":
+      if (!resource) {
+        res.writeHead(404);
+        break;
+      }
+      version++;
+      resources.delete(name);
+      deletions.set(name, version);
+      res.writeHead(204);
+      break;
+    case "REPORT": {
+      const syncToken = body.match(/<d:sync-token>(\d*)<\/d:sync-token>/);
+      res.writeHead(207, { "Content-Type": "application/xml" });
+      res.write(multistatus(syncToken ? Number(syncToken[1]) : 0));
+      break;
+    }
+    default:
+      res.writeHead(405);
+  }
+  res.end();
+}
+
+/**
+ * Waits until a condition holds, checking every few milliseconds.
+ * @param {Function} condition Returns true once the wait is over.
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition does not hold within two seconds.
+ */
+async function waitFor(condition) {
+  for (let waited = 0; !condition(); waited += 10) {
+    if (waited >= 2000) throw new Error("Timed out waiting for a change.");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  const config = { caldav: { url: COLLECTION_URL, timeZone: "UTC" } };
+  const load = Module._load;
+  Module._load = function (request, parent, ...rest) {
+    if (
+      request.startsWith(".") &&
+      parent &&
+      path.resolve(path.dirname(parent.filename), request) ===
+        path.join(ROOT, "config")
+    ) {
+      return config;
+    }
+    return load.call(this, request, parent, ...rest);
+  };
+  try {
+    caldavProvider = require("../time/providers/caldav_provider");
+  } finally {
+    Module._load = load;
+  }
+
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => handleRequest(req, res, body));
+  });
+  await new Promise((resolve) => server.listen(PORT, HOST, resolve));
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("events round-trip through a CalDAV server", async () => {
+  const auth = await caldavProvider.authenticate();
+  const calendarId = caldavProvider.defaultCalendarId();
+  assert.strictEqual(calendarId, COLLECTION_URL);
+
+  const created = await caldavProvider.createEvent(auth, calendarId, MEETING);
+  assert.ok(resources.has(`${created.id}.ics`));
+  const { nextSyncToken } = await caldavProvider.listEventChanges(
+    auth,
+    calendarId
+  );
+
+  const [fetched] = await caldavProvider.fetchEvents(
+    auth,
+    calendarId,
+    RANGE_START,
+    RANGE_END
+  );
+  assert.strictEqual(fetched.id, created.id);
+  assert.strictEqual(fetched.summary, "Planning");
+  assert.deepStrictEqual(fetched.start, MEETING.start);
+
+  await caldavProvider.updateEvent(auth, calendarId, created.id, {
+    ...MEETING,
+    summary: "Planning (moved)",
+  });
+  const changes = await caldavProvider.listEventChanges(auth, calendarId, {
+    syncToken: nextSyncToken,
+  });
+  assert.strictEqual(changes.complete, false);
+  assert.deepStrictEqual(
+    changes.events.map((event) => [event.id, event.summary]),
+    [[created.id, "Planning (moved)"]]
+  );
+
+  await caldavProvider.deleteEvent(auth, calendarId, created.id);
+  const deleted = await caldavProvider.listEventChanges(auth, calendarId, {
+    syncToken: changes.nextSyncToken,
+  });
+  assert.deepStrictEqual(deleted.events, [
+    { id: created.id, status: "cancelled" },
+  ]);
+  await caldavProvider.deleteEventIfExists(auth, calendarId, created.id);
+});
+
+test("a local .ics file works as a calendar and is watched", async (t) => {
+  const directory = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), "caldav-provider-")
+  );
+  t.after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+  const calendarId = path.join(directory, "calendar.ics");
+  const auth = await caldavProvider.authenticate();
+
+  let changes = 0;
+  const channel = await caldavProvider.watch(auth, calendarId, {
+    onChange: () => changes++,
+  }); // Before the file exists
+  t.after(() => channel.stop());
+
+  const created = await caldavProvider.createEvent(auth, calendarId, MEETING);
+  await waitFor(() => changes > 0);
+  const [fetched] = await caldavProvider.fetchEvents(
+    auth,
+    calendarId,
+    RANGE_START,
+    RANGE_END
+  );
+  assert.strictEqual(fetched.id, created.id);
+  assert.strictEqual(fetched.summary, "Planning");
+
+  // Every write replaces the file; the watcher must keep following it
+  const seen = changes;
+  await caldavProvider.updateEvent(auth, calendarId, created.id, {
+    ...MEETING,
+    summary: "Planning (moved)",
+  });
+  await waitFor(() => changes > seen);
+  const { events } = await caldavProvider.listEventChanges(auth, calendarId);
+  assert.deepStrictEqual(
+    events.map((event) => event.summary),
+    ["Planning (moved)"]
+  );
+
+  await caldavProvider.deleteEvent(auth, calendarId, created.id);
+  assert.deepStrictEqual(
+    await caldavProvider.fetchEvents(auth, calendarId, RANGE_START, RANGE_END),
+    []
+  );
+});
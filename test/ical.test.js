@@ -0,0 +1,177 @@
+// test/ical.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const ical = require("../time/ical");
+
+test("long lines with multi-byte characters fold within 75 octets", () => {
+  const line =
+    "SUMMARY:Café meeting with the whole product team to discuss the roadmap for next quarter";
+  const folded = ical.foldLine(line);
+
+  const parts = folded.split("\r\n");
+  assert.ok(parts.length > 1);
+  for (const part of parts) assert.ok(Buffer.byteLength(part) <= 75);
+  assert.strictEqual(folded.replace(/\r\n /g, ""), line);
+});
+
+test("folding keeps characters outside the Basic Multilingual Plane whole", () => {
+  const line = `SUMMARY:${"🎉".repeat(40)}`;
+  const folded = ical.foldLine(line);
+
+  for (const part of folded.split("\r\n")) {
+    assert.ok(Buffer.byteLength(part) <= 75);
+    assert.ok(!/[\uD800-\uDBFF]$/.test(part));
+  }
+  assert.strictEqual(folded.replace(/\r\n /g, ""), line);
+});
+
+test("short lines are left as they are", () => {
+  assert.strictEqual(ical.foldLine("SUMMARY:Café"), "SUMMARY:Café");
+});
+
+test("events are parsed with the time zones of the document's VTIMEZONEs", () => {
+  const text = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "BEGIN:VTIMEZONE",
+    "TZID:W. Europe Standard Time",
+    "X-LIC-LOCATION:Europe/Berlin",
+    "END:VTIMEZONE",
+    "BEGIN:VEVENT",
+    "UID:standup@example.com",
+    "DTSTART;TZID=W. Europe Standard Time:20261020T090000",
+    "DURATION:PT15M",
+    "SUMMARY:Standup\\, daily",
+    "RRULE:FREQ=DAILY;COUNT=5",
+    "EXDATE;TZID=W. Europe Standard Time:20261022T090000",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:standup@example.com",
+    "RECURRENCE-ID;TZID=W. Europe Standard Time:20261021T090000",
+    "DTSTART:20261021T080000Z",
+    "DTEND:20261021T081500Z",
+    "STATUS:CANCELLED",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+  const [series, instance] = ical.parseEvents(text, { timeZone: "UTC" });
+  assert.strictEqual(series.id, "standup@example.com");
+  assert.strictEqual(series.summary, "Standup, daily");
+  assert.deepStrictEqual(series.start, {
+    dateTime: "2026-10-20T09:00:00+02:00",
+    timeZone: "Europe/Berlin",
+  });
+  assert.deepStrictEqual(series.end, {
+    dateTime: "2026-10-20T09:15:00+02:00",
+    timeZone: "Europe/Berlin",
+  });
+  assert.deepStrictEqual(series.recurrence, [
+    "RRULE:FREQ=DAILY;COUNT=5",
+    "EXDATE;TZID=Europe/Berlin:20261022T090000",
+  ]);
+  assert.strictEqual(instance.status, "cancelled");
+  assert.strictEqual(instance.recurringEventId, "standup@example.com");
+  assert.deepStrictEqual(instance.originalStartTime, {
+    dateTime: "2026-10-21T09:00:00+02:00",
+    timeZone: "Europe/Berlin",
+  });
+});
+
+test("serialized events define a VTIMEZONE for each TZID they use", () => {
+  const text = ical.serializeEvents([
+    {
+      id: "planning@example.com",
+      summary: "Planning",
+      start: {
+        dateTime: "2026-10-20T09:00:00+02:00",
+        timeZone: "Europe/Berlin",
+      },
+      end: { dateTime: "2026-10-20T10:00:00+02:00", timeZone: "Europe/Berlin" },
+      recurrence: ["RRULE:FREQ=WEEKLY"],
+    },
+    {
+      id: "review@example.com",
+      summary: "Review",
+      start: { dateTime: "2026-10-21T15:00:00Z", timeZone: "UTC" },
+      end: { dateTime: "2026-10-21T16:00:00Z", timeZone: "UTC" },
+    },
+  ]);
+  const lines = text.replace(/\r\n /g, "").split("\r\n");
+
+  assert.deepStrictEqual(
+    lines.filter((line) => line.startsWith("TZID:")),
+    ["TZID:Europe/Berlin"]
+  );
+  assert.ok(lines.indexOf("BEGIN:VTIMEZONE") < lines.indexOf("BEGIN:VEVENT"));
+  assert.ok(lines.includes("DTSTART;TZID=Europe/Berlin:20261020T090000"));
+  assert.ok(lines.includes("DTSTART:20261021T150000Z"));
+
+  // The observances cover the start and the later changes of the weekly series
+  const observances = lines.slice(
+    lines.indexOf("BEGIN:VTIMEZONE"),
+    lines.indexOf("END:VTIMEZONE")
+  );
+  assert.ok(observances.includes("DTSTART:20261025T030000")); // Back to CET
+  assert.ok(observances.includes("TZOFFSETTO:+0100"));
+  assert.ok(observances.includes("TZOFFSETTO:+0200"));
+  assert.ok(observances.some((line) => line.includes("20270328T020000")));
+});
+
+test("serialized events and to-dos parse back to the same values", () => {
+  const events = [
+    {
+      id: "trip@example.com",
+      summary: 'Trip; with "quotes", commas\nand lines',
+      location: "Café Zürich",
+      start: { date: "2026-10-24" },
+      end: { date: "2026-10-26" },
+      transparency: "transparent",
+      status: "confirmed",
+    },
+    {
+      id: "planning@example.com",
+      summary: "Planning",
+      start: {
+        dateTime: "2026-10-20T09:00:00-04:00",
+        timeZone: "America/New_York",
+      },
+      end: {
+        dateTime: "2026-10-20T10:00:00-04:00",
+        timeZone: "America/New_York",
+      },
+      recurrence: [
+        "RRULE:FREQ=WEEKLY;BYDAY=TU",
+        "EXDATE;TZID=America/New_York:20261103T090000",
+      ],
+      status: "tentative",
+      updated: "2026-10-01T12:00:00.000Z",
+    },
+  ];
+  const todos = [
+    {
+      id: "report@example.com",
+      summary: "Report",
+      due: { dateTime: "2026-10-30T17:00:00Z", timeZone: "UTC" },
+      priority: 1,
+      categories: ["work"],
+      status: "needs-action",
+    },
+  ];
+  const text = ical.serializeCalendar({ events, todos });
+
+  assert.deepStrictEqual(ical.parseEvents(text), events);
+  const [todo] = ical.parseTodos(text);
+  assert.deepStrictEqual(
+    {
+      id: todo.id,
+      summary: todo.summary,
+      due: todo.due,
+      priority: todo.priority,
+      categories: todo.categories,
+      status: todo.status,
+    },
+    todos[0]
+  );
+});
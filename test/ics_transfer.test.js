@@ -0,0 +1,204 @@
+// test/ics_transfer.test.js
+
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const Module = require("module");
+const path = require("path");
+
+// Imports iCalendar documents and exports them again, with the MongoDB calendar and the
+// task store replaced by in-memory stand-ins.
+
+const ROOT = path.join(__dirname, "..");
+const RANGE = {
+  start: new Date("2026-10-01T00:00:00Z"),
+  end: new Date("2026-12-01T00:00:00Z"),
+};
+
+const DOCUMENT = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "PRODID:-//Example//Calendar//EN",
+  "BEGIN:VTIMEZONE",
+  "TZID:W. Europe Standard Time",
+  "X-LIC-LOCATION:Europe/Berlin",
+  "END:VTIMEZONE",
+  "BEGIN:VEVENT",
+  "UID:standup@example.com",
+  "DTSTART;TZID=W. Europe Standard Time:20261020T090000",
+  "DTEND;TZID=W. Europe Standard Time:20261020T091500",
+  "SUMMARY:Standup",
+  "RRULE:FREQ=WEEKLY;COUNT=4",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "UID:standup@example.com",
+  "RECURRENCE-ID;TZID=W. Europe Standard Time:20261027T090000",
+  "DTSTART;TZID=W. Europe Standard Time:20261027T100000",
+  "DTEND;TZID=W. Europe Standard Time:20261027T101500",
+  "SUMMARY:Standup (moved)",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "UID:standup@example.com",
+  "RECURRENCE-ID;TZID=W. Europe Standard Time:20261103T090000",
+  "DTSTART;TZID=W. Europe Standard Time:20261103T090000",
+  "DTEND;TZID=W. Europe Standard Time:20261103T091500",
+  "STATUS:CANCELLED",
+  "END:VEVENT",
+  "BEGIN:VTODO",
+  "UID:report@example.com",
+  "SUMMARY:Quarterly report",
+  "DUE:20261030T170000Z",
+  "PRIORITY:1",
+  "CATEGORIES:Work",
+  "END:VTODO",
+  "END:VCALENDAR",
+  "",
+].join("\r\n");
+
+const events = [];
+const toDos = [];
+let nextId = 1;
+
+/**
+ * Checks whether a stored document matches a query of equality and `$ne` conditions.
+ * @param {Object} document Stored document.
+ * @param {Object} query Query.
+ * @returns {boolean} True if every condition holds.
+ */
+function matches(document, query) {
+  return Object.entries(query).every(([field, condition]) =>
+    condition && condition.$ne !== undefined
+      ? document[field] !== condition.$ne
+      : document[field] === condition
+  );
+}
+
+const mongoCalendar = {
+  fetchEvents: async (query) => events.filter((event) => matches(event, query)),
+  insertEvent: async (eventData) => {
+    const _id = `event-${nextId++}`;
+    events.push({ ...eventData, _id });
+    return _id;
+  },
+  updateLocalEvent: async (eventId, eventData) => {
+    const event = events.find((stored) => stored._id === eventId);
+    Object.assign(event, eventData, { localUpdatedAt: new Date() });
+  },
+  markEventDeleted: async (eventId) => {
+    events.find((stored) => stored._id === eventId).deleted = true;
+  },
+};
+
+const tasksData = {
+  retrieveTasks: async () => [],
+  retrieveStudies: async () => [],
+  retrieveToDos: async (query) =>
+    toDos.filter((toDo) =>
+      query.scheduled
+        ? toDo.scheduled
+        : !query.iCalUID || toDo.iCalUID === query.iCalUID
+    ),
+  storeToDoData: async (toDoData) => {
+    const _id = `todo-${nextId++}`;
+    toDos.push({ ...toDoData, _id });
+    return _id;
+  },
+  updateItemData: async (type, itemId, updatedData) => {
+    Object.assign(
+      toDos.find((toDo) => toDo._id === itemId),
+      updatedData
+    );
+  },
+};
+
+const fakes = new Map([
+  [path.join(ROOT, "config"), { mongodb: {}, calendar: {} }],
+  [path.join(ROOT, "time", "mongo_calendar"), mongoCalendar],
+  [path.join(ROOT, "time", "google_auth"), {}],
+  [path.join(ROOT, "tasks", "tasks_data"), tasksData],
+]);
+
+let icsTransfer;
+let ical;
+
+before(() => {
+  const load = Module._load;
+  Module._load = function (request, parent, ...rest) {
+    if (request.startsWith(".") && parent) {
+      const fake = fakes.get(
+        path.resolve(path.dirname(parent.filename), request)
+      );
+      if (fake) return fake;
+    }
+    return load.call(this, request, parent, ...rest);
+  };
+  try {
+    icsTransfer = require("../time/ics_transfer");
+    ical = require("../time/ical");
+  } finally {
+    Module._load = load;
+  }
+});
+
+beforeEach(() => {
+  events.length = 0;
+  toDos.length = 0;
+});
+
+test("an imported document exports with its series, instances and to-dos", async () => {
+  const report = await icsTransfer.importIcs(DOCUMENT);
+  assert.deepStrictEqual(report, {
+    events: { added: 2, updated: 0, removed: 1, skipped: 0 },
+    todos: { added: 1, updated: 0, skipped: 0 },
+  });
+  assert.strictEqual(toDos[0].title, "Quarterly report");
+  assert.deepStrictEqual(toDos[0].tags, ["work"]);
+
+  const text = await icsTransfer.exportIcs(RANGE, { includeTodos: true });
+  const exported = ical.parseEvents(text);
+  assert.deepStrictEqual(
+    exported.map((event) => [event.id, event.summary]),
+    [
+      ["standup@example.com", "Standup"],
+      ["standup@example.com", "Standup (moved)"],
+    ]
+  );
+  const [series, instance] = exported;
+  assert.deepStrictEqual(series.start, {
+    dateTime: "2026-10-20T09:00:00+02:00",
+    timeZone: "Europe/Berlin",
+  });
+  assert.deepStrictEqual(series.recurrence, [
+    "RRULE:FREQ=WEEKLY;INTERVAL=1;COUNT=4",
+    "EXDATE:20261103T080000Z", // The cancelled instance
+  ]);
+  assert.deepStrictEqual(instance.originalStartTime, {
+    dateTime: "2026-10-27T09:00:00+01:00",
+    timeZone: "Europe/Berlin",
+  });
+  assert.match(text, /BEGIN:VTIMEZONE\r\nTZID:Europe\/Berlin\r\n/);
+
+  const [todo] = ical.parseTodos(text);
+  assert.strictEqual(todo.summary, "Quarterly report");
+  assert.deepStrictEqual(todo.due, {
+    dateTime: "2026-10-30T17:00:00Z",
+    timeZone: "UTC",
+  });
+  assert.strictEqual(todo.priority, 1);
+});
+
+test("importing an exported document again updates instead of duplicating", async () => {
+  await icsTransfer.importIcs(DOCUMENT);
+  const text = await icsTransfer.exportIcs(RANGE, { includeTodos: true });
+  const storedEvents = events.length;
+
+  const report = await icsTransfer.importIcs(text);
+  assert.deepStrictEqual(report.events, {
+    added: 0,
+    updated: 2,
+    removed: 0,
+    skipped: 0,
+  });
+  assert.strictEqual(events.length, storedEvents);
+  assert.deepStrictEqual(report.todos, { added: 0, updated: 1, skipped: 0 });
+  assert.strictEqual(toDos.length, 1);
+});
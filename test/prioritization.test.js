@@ -0,0 +1,121 @@
+// test/prioritization.test.js
+
+const { test, before } = require("node:test");
+const assert = require("node:assert");
+const Module = require("module");
+const path = require("path");
+
+// Scores and ranks items at a fixed time; the task store and the time module are never
+// reached.
+
+const ROOT = path.join(__dirname, "..");
+const NOW = new Date("2026-10-20T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+let prioritization;
+
+before(() => {
+  const fakes = new Map([
+    [path.join(ROOT, "config"), {}],
+    [path.join(ROOT, "tasks", "tasks_data"), {}],
+    [path.join(ROOT, "time"), {}],
+  ]);
+  const load = Module._load;
+  Module._load = function (request, parent, ...rest) {
+    if (request.startsWith(".") && parent) {
+      const fake = fakes.get(
+        path.resolve(path.dirname(parent.filename), request)
+      );
+      if (fake) return fake;
+    }
+    return load.call(this, request, parent, ...rest);
+  };
+  try {
+    prioritization = require("../tasks/prioritization");
+  } finally {
+    Module._load = load;
+  }
+});
+
+/**
+ * Returns a due date some hours after NOW.
+ * @param {number} hours Hours from NOW (negative for overdue items).
+ * @returns {Date} Due date.
+ */
+function dueIn(hours) {
+  return new Date(NOW.getTime() + hours * HOUR);
+}
+
+/**
+ * Scores an item at NOW.
+ * @param {Object} item Item.
+ * @returns {Object} Score of `scoreItem`.
+ */
+function score(item) {
+  return prioritization.scoreItem(item, { now: NOW });
+}
+
+test("an item becomes urgent when half the seven-day horizon is left", () => {
+  assert.strictEqual(score({ dueDate: dueIn(84) }).urgency, 0.5);
+  assert.strictEqual(score({ dueDate: dueIn(84) }).quadrant, "delegate");
+  assert.strictEqual(score({ dueDate: dueIn(85) }).quadrant, "eliminate");
+});
+
+test("urgency stays within 0 and 1", () => {
+  assert.strictEqual(score({ dueDate: dueIn(7 * 24) }).urgency, 0);
+  assert.strictEqual(score({ dueDate: dueIn(30 * 24) }).urgency, 0);
+  assert.strictEqual(score({ dueDate: dueIn(0) }).urgency, 1);
+  assert.strictEqual(score({ dueDate: dueIn(-48) }).urgency, 1); // Overdue
+  assert.strictEqual(score({}).urgency, 0); // No deadline
+});
+
+test("items fall into the quadrant of their importance and urgency", () => {
+  const quadrants = [
+    [{ priority: "high", dueDate: dueIn(24) }, "do"],
+    [{ priority: "high", dueDate: dueIn(10 * 24) }, "schedule"],
+    [{ priority: "high" }, "schedule"],
+    [{ priority: "medium", dueDate: dueIn(24) }, "delegate"],
+    [{ priority: "low", dueDate: dueIn(10 * 24) }, "eliminate"],
+    [{ priority: 3, dueDate: dueIn(24) }, "do"], // Numbers are weights
+    [{ priority: 2.9, dueDate: dueIn(24) }, "delegate"],
+  ];
+  for (const [item, quadrant] of quadrants) {
+    assert.strictEqual(score(item).quadrant, quadrant, JSON.stringify(item));
+  }
+});
+
+test("a date without a due date makes the end of that day the deadline", () => {
+  const { deadline } = prioritization.scoreItem(
+    { date: "2026-10-21T09:00:00Z" },
+    { now: NOW, timeZone: "Europe/Berlin" }
+  );
+  assert.deepStrictEqual(deadline, new Date("2026-10-21T21:59:59.999Z"));
+});
+
+test("the score weighs importance, urgency and ease", () => {
+  const result = score({ priority: "high", dueDate: dueIn(0), effort: 1 });
+  assert.strictEqual(result.score, 1);
+  assert.strictEqual(result.ease, 1);
+
+  assert.strictEqual(score({ priority: "low", effort: 5 }).score, 0.167); // 0.5 × 1/3
+  assert.strictEqual(score({}).ease, 0.5); // Unknown effort is neutral
+});
+
+test("ranking puts higher scores first, then earlier deadlines, then titles", () => {
+  const ranked = prioritization.rankItems(
+    [
+      { title: "No deadline", priority: "high" },
+      { title: "Beta", priority: "high", dueDate: dueIn(10 * 24) },
+      { title: "Later", priority: "high", dueDate: dueIn(9 * 24) },
+      { title: "Alpha", priority: "high", dueDate: dueIn(10 * 24) },
+      { title: "Urgent", priority: "low", dueDate: dueIn(0) },
+      { title: "Pressing", priority: "high", dueDate: dueIn(24) },
+    ],
+    { now: NOW }
+  );
+  assert.deepStrictEqual(
+    ranked.map((item) => item.title),
+    ["Pressing", "Urgent", "Later", "Alpha", "Beta", "No deadline"]
+  );
+  assert.strictEqual(ranked[0].quadrant, "do");
+});
@@ -0,0 +1,178 @@
+// test/push_sync.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const Module = require("module");
+const path = require("path");
+
+// Posts fake calendar push notifications to the webhook receiver, which hands them to
+// `handlePushNotification`. MongoDB, the configuration and Google sign-in are replaced
+// by in-memory stand-ins, and the synced calendar uses a stub provider.
+
+const ROOT = path.join(__dirname, "..");
+const HOST = "127.0.0.1";
+const PORT = 18321;
+const RECEIVER_PATH = "/calendar/notifications";
+
+const CHANNEL = {
+  _id: "channel-1",
+  calendarId: "team@example.com",
+  token: "secret-token",
+  resourceId: "resource-1",
+};
+
+const syncedCalendars = [];
+let onSynced = () => {};
+
+const mongoCalendar = {
+  fetchWatchChannels: async (query) =>
+    query._id === CHANNEL._id ? [CHANNEL] : [],
+  fetchCalendars: async () => [],
+  getSyncState: async () => null,
+  fetchEvents: async () => [],
+  saveSyncState: async (calendarId) => {
+    syncedCalendars.push(calendarId);
+    onSynced();
+  },
+  closeConnection: async () => {},
+};
+
+const stubProvider = {
+  defaultCalendarId: () => "primary",
+  authenticate: async () => ({}),
+  fetchEvents: async () => [],
+  listEventChanges: async () => ({ events: [], nextSyncToken: "token-1" }),
+  createEvent: async () => ({}),
+  updateEvent: async () => ({}),
+  deleteEvent: async () => {},
+  deleteEventIfExists: async () => {},
+  watch: async () => ({}),
+};
+
+const fakes = new Map([
+  [path.join(ROOT, "config"), { mongodb: {}, calendar: { provider: "stub" } }],
+  [path.join(ROOT, "time", "mongo_calendar"), mongoCalendar],
+  [path.join(ROOT, "time", "google_auth"), {}],
+]);
+
+let timeModule;
+let webhookReceiver;
+
+/**
+ * Posts a notification to the receiver.
+ * @param {Object} headers Notification headers.
+ * @returns {Promise<number>} HTTP status of the answer.
+ */
+function postNotification(headers) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(
+      { host: HOST, port: PORT, path: RECEIVER_PATH, method: "POST", headers },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+/**
+ * Builds the headers Google sends for a channel.
+ * @param {Object} [overrides] Headers to replace.
+ * @returns {Object} Notification headers.
+ */
+function notificationHeaders(overrides = {}) {
+  return {
+    "X-Goog-Channel-ID": CHANNEL._id,
+    "X-Goog-Channel-Token": CHANNEL.token,
+    "X-Goog-Resource-ID": CHANNEL.resourceId,
+    "X-Goog-Resource-State": "exists",
+    ...overrides,
+  };
+}
+
+/**
+ * Waits for the background sync a notification triggered, if any.
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, 100);
+    onSynced = () => {
+      clearTimeout(timer);
+      setImmediate(resolve);
+    };
+  });
+}
+
+before(async () => {
+  const load = Module._load;
+  Module._load = function (request, parent, ...rest) {
+    if (request.startsWith(".") && parent) {
+      const fake = fakes.get(
+        path.resolve(path.dirname(parent.filename), request)
+      );
+      if (fake) return fake;
+    }
+    return load.call(this, request, parent, ...rest);
+  };
+  try {
+    timeModule = require("../time");
+    webhookReceiver = require("../time/webhook_receiver");
+    require("../time/calendar_provider").registerProvider("stub", stubProvider);
+  } finally {
+    Module._load = load;
+  }
+
+  await webhookReceiver.startWebhookReceiver({
+    port: PORT,
+    host: HOST,
+    path: RECEIVER_PATH,
+    onNotification: timeModule.handlePushNotification,
+  });
+});
+
+after(() => webhookReceiver.stopWebhookReceiver());
+
+beforeEach(() => {
+  syncedCalendars.length = 0;
+});
+
+test("a notification with a valid token syncs the channel's calendar", async () => {
+  const synced = settle();
+  assert.strictEqual(await postNotification(notificationHeaders()), 200);
+  await synced;
+  assert.deepStrictEqual(syncedCalendars, [CHANNEL.calendarId]);
+});
+
+test("a notification with a bad token is rejected", async () => {
+  const synced = settle();
+  const status = await postNotification(
+    notificationHeaders({ "X-Goog-Channel-Token": "wrong-token" })
+  );
+  await synced;
+  assert.strictEqual(status, 401);
+  assert.deepStrictEqual(syncedCalendars, []);
+});
+
+test("the sync notification of a new channel is acknowledged without syncing", async () => {
+  const synced = settle();
+  const status = await postNotification(
+    notificationHeaders({ "X-Goog-Resource-State": "sync" })
+  );
+  await synced;
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(syncedCalendars, []);
+});
+
+test("a notification for an unknown channel is rejected", async () => {
+  const synced = settle();
+  const status = await postNotification(
+    notificationHeaders({ "X-Goog-Channel-ID": "channel-2" })
+  );
+  await synced;
+  assert.strictEqual(status, 404);
+  assert.deepStrictEqual(syncedCalendars, []);
+});
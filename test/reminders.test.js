@@ -0,0 +1,233 @@
+// test/reminders.test.js
+
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const Module = require("module");
+const path = require("path");
+
+// Schedules reminders and sends the due ones from an in-memory queue, through a test
+// channel that delivers and one that always fails.
+
+const ROOT = path.join(__dirname, "..");
+const NOW = new Date("2026-10-20T09:00:00Z");
+
+const queue = [];
+const sent = { working: [], broken: [] };
+let nextId = 1;
+
+/**
+ * Checks whether a queued reminder matches a query of equality, `$lt` and `$lte` conditions.
+ * @param {Object} reminder Queued reminder.
+ * @param {Object} query Query.
+ * @returns {boolean} True if every condition holds.
+ */
+function matches(reminder, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (condition instanceof Object && condition.$lt) {
+      return reminder[field] < condition.$lt;
+    }
+    if (condition instanceof Object && condition.$lte) {
+      return reminder[field] <= condition.$lte;
+    }
+    return reminder[field] === condition;
+  });
+}
+
+const reminderData = {
+  storeReminder: async (reminder) => {
+    const _id = `reminder-${nextId++}`;
+    queue.push({ ...reminder, _id });
+    return _id;
+  },
+  updateReminder: async (reminderId, updatedData) => {
+    Object.assign(
+      queue.find((reminder) => reminder._id === reminderId),
+      updatedData
+    );
+  },
+  updateReminders: async (query, updatedData) => {
+    const matched = queue.filter((reminder) => matches(reminder, query));
+    matched.forEach((reminder) => Object.assign(reminder, updatedData));
+    return { modifiedCount: matched.length };
+  },
+  claimDueReminder: async (now) => {
+    const [reminder] = queue
+      .filter((queued) =>
+        matches(queued, { status: "pending", fireAt: { $lte: now } })
+      )
+      .sort((a, b) => a.fireAt - b.fireAt);
+    if (!reminder) return null;
+    Object.assign(reminder, { status: "sending", claimedAt: now });
+    return { ...reminder };
+  },
+};
+
+const testChannels = {
+  working: {
+    send: async (notification) => {
+      sent.working.push(notification);
+    },
+  },
+  broken: {
+    send: async (notification) => {
+      sent.broken.push(notification);
+      throw new Error("Channel unavailable.");
+    },
+  },
+};
+
+let reminders;
+
+/**
+ * Schedules a reminder due a few minutes before NOW and returns it from the queue.
+ * @param {Array<string>} channelNames Channels to send it through.
+ * @returns {Promise<Object>} Queued reminder.
+ */
+async function scheduleDue(channelNames) {
+  await reminders.scheduleReminder({
+    title: "Call the dentist",
+    fireAt: new Date(NOW.getTime() - 5 * 60000),
+    channels: channelNames,
+  });
+  return queue[queue.length - 1];
+}
+
+before(() => {
+  const fakes = new Map([
+    [path.join(ROOT, "config"), { reminders: { channels: ["working"] } }],
+    [path.join(ROOT, "reminders", "reminder_data"), reminderData],
+    [path.join(ROOT, "reminders", "reminder_sources"), {}],
+    [
+      path.join(ROOT, "time", "routine_profile"),
+      { getRoutineProfile: async () => ({ timeZone: "UTC" }) },
+    ],
+  ]);
+  const load = Module._load;
+  Module._load = function (request, parent, ...rest) {
+    if (request.startsWith(".") && parent) {
+      const fake = fakes.get(
+        path.resolve(path.dirname(parent.filename), request)
+      );
+      if (fake) return fake;
+    }
+    return load.call(this, request, parent, ...rest);
+  };
+  try {
+    reminders = require("../reminders");
+    for (const [name, channel] of Object.entries(testChannels)) {
+      reminders.registerChannel(name, channel);
+    }
+  } finally {
+    Module._load = load;
+  }
+});
+
+beforeEach(() => {
+  queue.length = 0;
+  sent.working.length = 0;
+  sent.broken.length = 0;
+});
+
+test("a scheduled reminder is queued as pending", async () => {
+  const fireAt = "2026-10-21T08:00:00Z";
+  await reminders.scheduleReminder({ title: "Water the plants", fireAt });
+
+  assert.strictEqual(queue.length, 1);
+  assert.strictEqual(queue[0].status, "pending");
+  assert.strictEqual(queue[0].message, "Water the plants");
+  assert.deepStrictEqual(queue[0].fireAt, new Date(fireAt));
+  assert.strictEqual(queue[0].channels, null); // Sent through the configured channels
+});
+
+test("reminders with a bad time or unknown channels are not scheduled", async () => {
+  await assert.rejects(
+    reminders.scheduleReminder({ title: "Water the plants", fireAt: "soon" }),
+    { message: "Reminder time is required and must be a valid date." }
+  );
+  await assert.rejects(
+    reminders.scheduleReminder({
+      title: "Water the plants",
+      fireAt: NOW,
+      channels: ["pigeon"],
+    }),
+    { message: 'Unknown notification channel "pigeon".' }
+  );
+  assert.deepStrictEqual(queue, []);
+});
+
+test("due reminders are sent once and later ones wait", async () => {
+  const due = await scheduleDue(["working"]);
+  await reminders.scheduleReminder({
+    title: "Stand-up",
+    fireAt: new Date(NOW.getTime() + 60 * 60000),
+  });
+
+  assert.deepStrictEqual(await reminders.dispatchDueReminders(NOW), {
+    sent: 1,
+    retried: 0,
+    failed: 0,
+  });
+  assert.strictEqual(due.status, "sent");
+  assert.deepStrictEqual(
+    sent.working.map((notification) => notification.title),
+    ["Call the dentist"]
+  );
+  assert.strictEqual(queue[1].status, "pending");
+
+  await reminders.dispatchDueReminders(NOW);
+  assert.strictEqual(sent.working.length, 1);
+});
+
+test("a reminder counts as sent when one of its channels delivers it", async () => {
+  const due = await scheduleDue(["broken", "working"]);
+
+  assert.strictEqual((await reminders.dispatchDueReminders(NOW)).sent, 1);
+  assert.strictEqual(due.status, "sent");
+  assert.deepStrictEqual(
+    due.deliveries.map((delivery) => [delivery.channel, delivery.delivered]),
+    [
+      ["broken", false],
+      ["working", true],
+    ]
+  );
+});
+
+test("a reminder no channel delivers is retried later, then fails", async () => {
+  const due = await scheduleDue(["broken"]);
+
+  assert.strictEqual((await reminders.dispatchDueReminders(NOW)).retried, 1);
+  assert.strictEqual(due.status, "pending");
+  assert.strictEqual(due.attempts, 1);
+  assert.deepStrictEqual(due.fireAt, new Date(NOW.getTime() + 5 * 60000));
+
+  assert.strictEqual((await reminders.dispatchDueReminders(NOW)).retried, 0); // Not due yet
+
+  const secondAttempt = due.fireAt;
+  assert.strictEqual(
+    (await reminders.dispatchDueReminders(secondAttempt)).retried,
+    1
+  );
+  assert.deepStrictEqual(
+    due.fireAt,
+    new Date(secondAttempt.getTime() + 10 * 60000)
+  );
+
+  assert.strictEqual(
+    (await reminders.dispatchDueReminders(due.fireAt)).failed,
+    1
+  );
+  assert.strictEqual(due.status, "failed");
+  assert.strictEqual(due.attempts, 3);
+  assert.strictEqual(sent.broken.length, 3);
+});
+
+test("reminders left claimed by a stopped scheduler are sent again", async () => {
+  const due = await scheduleDue(["working"]);
+  Object.assign(due, {
+    status: "sending",
+    claimedAt: new Date(NOW.getTime() - 10 * 60000),
+  });
+
+  assert.strictEqual((await reminders.dispatchDueReminders(NOW)).sent, 1);
+  assert.strictEqual(due.status, "sent");
+});
@@ -0,0 +1,103 @@
+// test/spaced_repetition.test.js
+
+const { test, before } = require("node:test");
+const assert = require("node:assert");
+const Module = require("module");
+const path = require("path");
+
+// Works out SM-2 review schedules; the task store is never reached.
+
+const ROOT = path.join(__dirname, "..");
+const REVIEWED_AT = new Date("2026-10-20T18:00:00Z");
+
+let spacedRepetition;
+
+before(() => {
+  const fakes = new Map([
+    [path.join(ROOT, "config"), {}],
+    [path.join(ROOT, "tasks", "tasks_data"), {}],
+  ]);
+  const load = Module._load;
+  Module._load = function (request, parent, ...rest) {
+    if (request.startsWith(".") && parent) {
+      const fake = fakes.get(
+        path.resolve(path.dirname(parent.filename), request)
+      );
+      if (fake) return fake;
+    }
+    return load.call(this, request, parent, ...rest);
+  };
+  try {
+    spacedRepetition = require("../tasks/spaced_repetition");
+  } finally {
+    Module._load = load;
+  }
+});
+
+/**
+ * Reviews a new study session with a series of ratings.
+ * @param {Array<number>} qualities Recall ratings, in order.
+ * @returns {Array<Object>} The state after each review.
+ */
+function review(qualities) {
+  const states = [];
+  let state = spacedRepetition.initialReviewFields();
+  for (const quality of qualities) {
+    state = spacedRepetition.computeNextReview(state, quality, REVIEWED_AT);
+    states.push(state);
+  }
+  return states;
+}
+
+test("intervals grow from one day to six, then by the easiness", () => {
+  assert.deepStrictEqual(
+    review([4, 4, 4, 4]).map((state) => [state.repetitions, state.interval]),
+    [
+      [1, 1],
+      [2, 6],
+      [3, 15], // 6 × 2.5
+      [4, 38], // 15 × 2.5, rounded
+    ]
+  );
+});
+
+test("the rating moves the easiness up or down", () => {
+  assert.deepStrictEqual(
+    [5, 4, 3].map((quality) => review([quality])[0].easiness),
+    [2.6, 2.5, 2.36]
+  );
+});
+
+test("a failed recall starts the repetitions over but keeps the lower easiness", () => {
+  const [, , , failed, next] = review([4, 4, 4, 2, 4]);
+  assert.deepStrictEqual(
+    [failed.repetitions, failed.interval, failed.easiness],
+    [0, 1, 2.18]
+  );
+  assert.deepStrictEqual([next.repetitions, next.interval], [1, 1]);
+});
+
+test("the easiness never drops below 1.3", () => {
+  const states = review([0, 0, 0, 0, 0]);
+  assert.strictEqual(states[states.length - 1].easiness, 1.3);
+
+  // Barely passing ratings lower it to the minimum, which still lengthens the interval
+  const last = review([0, 3, 3, 3]).pop();
+  assert.deepStrictEqual([last.easiness, last.interval], [1.3, 8]); // 6 × 1.3, rounded
+});
+
+test("the next review date is the interval after the review", () => {
+  const [, second] = review([5, 5]);
+  assert.deepStrictEqual(
+    second.nextReviewDate,
+    new Date("2026-10-26T18:00:00Z")
+  );
+});
+
+test("ratings outside 0 to 5 are rejected", () => {
+  for (const quality of [-1, 6, 2.5, "4"]) {
+    assert.throws(() => review([quality]), {
+      message: "Review quality must be a whole number from 0 to 5.",
+    });
+  }
+});
@@ -0,0 +1,106 @@
+// time/calendar_provider.js
+
+const config = require("../config");
+
+// Every provider implements these; all but `defaultCalendarId` and `authenticate` take
+// the authentication context returned by `authenticate` as their first argument.
+// Events use the Google Calendar event format whatever the provider; in MongoDB the
+// provider's event ID is stored as `googleEventId` for every provider.
+// Providers may also implement `queryFreeBusy(auth, calendarIds, timeMin, timeMax)`;
+// without it, busy times are computed from the events returned by `fetchEvents`.
+// Providers whose `watch` registers a channel with the server (returning a `resourceId`
+// and an `expiration`) implement `stopWatch(auth, channel)`; other providers return a
+// channel with a `stop()` function and call `options.onChange` themselves.
+const PROVIDER_METHODS = [
+  "defaultCalendarId",
+  "authenticate",
+  "fetchEvents",
+  "listEventChanges",
+  "createEvent",
+  "updateEvent",
+  "deleteEvent",
+  "deleteEventIfExists",
+  "watch",
+];
+
+// Failures worth trying again later: network errors and the HTTP statuses of overload
+// or timeouts. Provider errors carry them in `code`, as Google API errors do.
+const NETWORK_ERROR_CODES = [
+  "ECONNABORTED",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "ENOTFOUND",
+  "EPIPE",
+  "ETIMEDOUT",
+];
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Built-in providers, loaded on first use so unused backends need no setup
+const BUILT_IN_PROVIDERS = {
+  google: "./providers/google_provider",
+  caldav: "./providers/caldav_provider",
+};
+
+const providers = new Map();
+
+/**
+ * Registers a calendar provider under a name, replacing any provider with that name.
+ * @param {string} name Provider name (e.g. "google").
+ * @param {Object} provider Object implementing every method of PROVIDER_METHODS.
+ * @throws {Error} If a method is missing.
+ */
+function registerProvider(name, provider) {
+  const missing = PROVIDER_METHODS.filter(
+    (method) => typeof provider[method] !== "function"
+  );
+  if (missing.length) {
+    throw new Error(
+      `Calendar provider "${name}" is missing: ${missing.join(", ")}.`
+    );
+  }
+  providers.set(name, { ...provider, name });
+}
+
+/**
+ * Returns a calendar provider: the given one, else `config.calendar.provider`, else Google.
+ * @param {string} [name] Provider name.
+ * @returns {Object} Calendar provider.
+ * @throws {Error} If no provider has that name.
+ */
+function getProvider(name) {
+  const chosen =
+    name || (config.calendar && config.calendar.provider) || "google";
+  if (!providers.has(chosen) && BUILT_IN_PROVIDERS[chosen]) {
+    registerProvider(chosen, require(BUILT_IN_PROVIDERS[chosen]));
+  }
+  if (!providers.has(chosen)) {
+    throw new Error(`Unknown calendar provider "${chosen}".`);
+  }
+  return providers.get(chosen);
+}
+
+/**
+ * Checks whether a provider call failed for a reason that may go away, such as the
+ * network or an overloaded server, rather than because the request itself was refused.
+ * @param {Error} error Error thrown by a provider.
+ * @returns {boolean} True if the call may succeed later.
+ */
+function isTransientError(error) {
+  const status = Number(
+    (error.response && error.response.status) || error.code
+  );
+  return (
+    NETWORK_ERROR_CODES.includes(error.code) ||
+    TRANSIENT_STATUSES.includes(status)
+  );
+}
+
+module.exports = {
+  PROVIDER_METHODS,
+  registerProvider,
+  getProvider,
+  isTransientError,
+};
@@ -0,0 +1,275 @@
+// time/calendars.js
+
+const calendarProvider = require("./calendar_provider");
+const mongoCalendar = require("./mongo_calendar");
+
+const ITEM_TYPES = ["task", "todo", "study"];
+const FALLBACK_CALENDAR_NAME = "default";
+
+/**
+ * Validates calendar settings before they are stored.
+ * @param {Object} calendarData Calendar settings to validate.
+ * @param {boolean} [isUpdate=false] Whether only some settings are given.
+ * @throws {Error} If validation fails.
+ */
+function validateCalendarData(calendarData, isUpdate = false) {
+  if (
+    !isUpdate &&
+    (!calendarData.name || typeof calendarData.name !== "string")
+  ) {
+    throw new Error("Calendar name is required and must be a string.");
+  }
+  if (
+    (!isUpdate || calendarData.calendarId !== undefined) &&
+    (!calendarData.calendarId || typeof calendarData.calendarId !== "string")
+  ) {
+    throw new Error("Calendar ID is required and must be a string.");
+  }
+  if (calendarData.provider !== undefined) {
+    calendarProvider.getProvider(calendarData.provider); // Throws for unknown providers
+  }
+  if (
+    calendarData.busy !== undefined &&
+    typeof calendarData.busy !== "boolean"
+  ) {
+    throw new Error("Calendar busy flag must be a boolean.");
+  }
+  if (
+    calendarData.isDefault !== undefined &&
+    typeof calendarData.isDefault !== "boolean"
+  ) {
+    throw new Error("Calendar default flag must be a boolean.");
+  }
+  if (
+    calendarData.itemTypes !== undefined &&
+    (!Array.isArray(calendarData.itemTypes) ||
+      calendarData.itemTypes.some((type) => !ITEM_TYPES.includes(type)))
+  ) {
+    throw new Error(
+      `Calendar item types must be a list of: ${ITEM_TYPES.join(", ")}.`
+    );
+  }
+  if (
+    calendarData.tags !== undefined &&
+    (!Array.isArray(calendarData.tags) ||
+      calendarData.tags.some((tag) => typeof tag !== "string"))
+  ) {
+    throw new Error("Calendar tags must be a list of strings.");
+  }
+}
+
+/**
+ * Returns the calendar used when none is registered: the default provider's configured calendar.
+ * @returns {Object} Calendar settings.
+ */
+function getFallbackCalendar() {
+  const provider = calendarProvider.getProvider();
+  return {
+    name: FALLBACK_CALENDAR_NAME,
+    provider: provider.name,
+    calendarId: provider.defaultCalendarId(),
+    busy: true,
+    isDefault: true,
+    itemTypes: [],
+    tags: [],
+  };
+}
+
+/**
+ * Returns the registered calendars, or the fallback calendar if none is registered.
+ * @returns {Promise<Array<Object>>} Calendars.
+ */
+async function loadCalendars() {
+  const calendars = await mongoCalendar.fetchCalendars({});
+  return calendars.length ? calendars : [getFallbackCalendar()];
+}
+
+/**
+ * Clears the default flag of every registered calendar except one.
+ * @param {string} name Name of the calendar that stays the default.
+ */
+async function clearOtherDefaults(name) {
+  const defaults = await mongoCalendar.fetchCalendars({ isDefault: true });
+  for (const calendar of defaults) {
+    if (calendar.name !== name) {
+      await mongoCalendar.updateCalendar(calendar.name, { isDefault: false });
+    }
+  }
+}
+
+/**
+ * Registers a calendar (e.g. work, personal or a shared team calendar).
+ * @param {Object} calendarData Includes name, calendarId, and optional provider (defaults to the configured one),
+ * busy (whether its events block free time, default true), isDefault (calendar for new events),
+ * itemTypes ("task", "todo", "study") and tags of the items scheduled into it.
+ * @returns {Promise<string>} Confirmation of calendar registration.
+ */
+async function addCalendar(calendarData) {
+  try {
+    validateCalendarData(calendarData);
+    const [existing] = await mongoCalendar.fetchCalendars({
+      _id: calendarData.name,
+    });
+    if (existing) {
+      throw new Error(`Calendar "${calendarData.name}" already exists.`);
+    }
+
+    if (calendarData.isDefault) {
+      await clearOtherDefaults(calendarData.name);
+    }
+    await mongoCalendar.insertCalendar({
+      name: calendarData.name,
+      provider: calendarData.provider || calendarProvider.getProvider().name,
+      calendarId: calendarData.calendarId,
+      busy: calendarData.busy !== false,
+      isDefault: Boolean(calendarData.isDefault),
+      itemTypes: calendarData.itemTypes || [],
+      tags: (calendarData.tags || []).map((tag) => tag.toLowerCase()),
+    });
+    return `Calendar "${calendarData.name}" added successfully.`;
+  } catch (error) {
+    console.error(
+      `Error adding calendar with data ${JSON.stringify(calendarData)}: ${
+        error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Lists the registered calendars.
+ * @param {Object} [query] Query parameters for filtering calendars.
+ * @returns {Promise<Array<Object>>} Registered calendars.
+ */
+async function listCalendars(query = {}) {
+  try {
+    return await mongoCalendar.fetchCalendars(query);
+  } catch (error) {
+    console.error("Error listing calendars:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates the settings of a registered calendar. The name cannot be changed.
+ * @param {string} name Name of the calendar.
+ * @param {Object} updatedData Settings to update.
+ * @returns {Promise<string>} Update confirmation.
+ */
+async function updateCalendar(name, updatedData) {
+  try {
+    if (updatedData.name !== undefined && updatedData.name !== name) {
+      throw new Error("Calendar name cannot be changed.");
+    }
+    validateCalendarData(updatedData, true);
+    const [existing] = await mongoCalendar.fetchCalendars({ _id: name });
+    if (!existing) {
+      throw new Error(`Calendar "${name}" not found.`);
+    }
+
+    if (updatedData.isDefault) {
+      await clearOtherDefaults(name);
+    }
+    const calendarData = { ...updatedData };
+    if (calendarData.tags) {
+      calendarData.tags = calendarData.tags.map((tag) => tag.toLowerCase());
+    }
+    await mongoCalendar.updateCalendar(name, calendarData);
+    return `Calendar "${name}" updated successfully.`;
+  } catch (error) {
+    console.error(`Error updating calendar "${name}": ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Unregisters a calendar. Its events stay in MongoDB until they are removed.
+ * @param {string} name Name of the calendar.
+ * @returns {Promise<string>} Removal confirmation.
+ */
+async function removeCalendar(name) {
+  try {
+    const result = await mongoCalendar.deleteCalendar(name);
+    if (!result.deletedCount) {
+      throw new Error(`Calendar "${name}" not found.`);
+    }
+    return `Calendar "${name}" removed successfully.`;
+  } catch (error) {
+    console.error(`Error removing calendar "${name}": ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Returns the calendars whose events count as busy time.
+ * @returns {Promise<Array<Object>>} Busy calendars (the fallback calendar if none is registered).
+ */
+async function getBusyCalendars() {
+  const calendars = await loadCalendars();
+  return calendars.filter((calendar) => calendar.busy !== false);
+}
+
+/**
+ * Returns the calendar new events go to: the registered default, else the fallback calendar.
+ * @returns {Promise<Object>} Calendar settings.
+ */
+async function getDefaultCalendar() {
+  const calendars = await loadCalendars();
+  return (
+    calendars.find((calendar) => calendar.isDefault) || getFallbackCalendar()
+  );
+}
+
+/**
+ * Returns the settings of a calendar by its provider calendar ID.
+ * Calendar IDs that are not registered are used with the default provider.
+ * @param {string} [calendarId] Calendar ID (defaults to the fallback calendar).
+ * @returns {Promise<Object>} Calendar settings.
+ */
+async function resolveCalendar(calendarId) {
+  if (!calendarId) return getFallbackCalendar();
+  const [registered] = await mongoCalendar.fetchCalendars({ calendarId });
+  return (
+    registered || {
+      ...getFallbackCalendar(),
+      name: calendarId,
+      calendarId,
+      isDefault: false,
+    }
+  );
+}
+
+/**
+ * Chooses the calendar an item is scheduled into: the first calendar sharing one of
+ * the item's tags, else the first one set up for the item's type, else the default calendar.
+ * @param {Object} item Task, to-do or study session.
+ * @param {string} itemType Kind of item: "task", "todo" or "study".
+ * @returns {Promise<Object>} Calendar settings.
+ */
+async function getCalendarForItem(item, itemType) {
+  const calendars = await loadCalendars();
+  const tags = (item.tags || []).map((tag) => tag.toLowerCase());
+  return (
+    calendars.find((calendar) =>
+      (calendar.tags || []).some((tag) => tags.includes(tag))
+    ) ||
+    calendars.find((calendar) =>
+      (calendar.itemTypes || []).includes(itemType)
+    ) ||
+    calendars.find((calendar) => calendar.isDefault) ||
+    getFallbackCalendar()
+  );
+}
+
+module.exports = {
+  addCalendar,
+  listCalendars,
+  updateCalendar,
+  removeCalendar,
+  loadCalendars,
+  getBusyCalendars,
+  getDefaultCalendar,
+  resolveCalendar,
+  getCalendarForItem,
+};
@@ -0,0 +1,476 @@
+// time/google_auth.js
+
+const { google } = require("googleapis");
+const axios = require("axios");
+const fs = require("fs").promises;
+const http = require("http");
+const path = require("path");
+const readline = require("readline");
+const mongoCalendar = require("./mongo_calendar");
+const vault = require("../vault");
+require("dotenv").config();
+
+const config = require("../config"); // Import configuration
+
+const SCOPES = config.google.scopes;
+const TOKEN_PATH = path.join(
+  __dirname,
+  config.google.tokenPath || "token.json"
+);
+const TOKEN_NAME = "google"; // Name of the token in the vault
+
+// How the app gets access when no token is stored (`config.google.authMode`):
+// "prompt" asks for a code on the terminal, "loopback" receives it on a local redirect
+// server, "deviceCode" shows a code to enter on another device, and "serviceAccount"
+// uses a service account key (with domain-wide delegation to `serviceAccount.subject`).
+const AUTH_MODES = ["prompt", "loopback", "deviceCode", "serviceAccount"];
+// Tokens are kept in the encrypted credential vault. Tokens stored in plaintext before
+// (in TOKEN_PATH or in MongoDB) are moved into it and deleted when first loaded.
+const DEVICE_CODE_URL = "https://oauth2.googleapis.com/device/code";
+const TOKEN_URL = "https://oauth2.googleapis.com/token";
+const DEVICE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+const DEFAULT_LOOPBACK_TIMEOUT_SECONDS = 300;
+
+/**
+ * Error raised when the app cannot get access to Google. Its `code` tells why:
+ * "INVALID_CONFIG", "NO_TOKEN", "TOKEN_REVOKED", "TOKEN_EXPIRED", "ACCESS_DENIED",
+ * "AUTHORIZATION_TIMEOUT" or "DELEGATION_DENIED".
+ */
+class GoogleAuthError extends Error {
+  /**
+   * @param {string} message Description of the problem and how to fix it.
+   * @param {string} code Reason code.
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "GoogleAuthError";
+    this.code = code;
+  }
+}
+
+/**
+ * Returns the reason Google gave for a failed token request (e.g. "invalid_grant").
+ * @param {Error} error Error thrown by googleapis or axios.
+ * @returns {string|undefined} OAuth error code.
+ */
+function getOAuthReason(error) {
+  const data = error.response && error.response.data;
+  return (data && data.error) || undefined;
+}
+
+/**
+ * Returns a setting of `config.google`, checking it against the allowed values.
+ * @param {string} name Setting name.
+ * @param {Array<string>} allowed Allowed values; the first is the default.
+ * @returns {string} Setting value.
+ * @throws {GoogleAuthError} If the value is not allowed.
+ */
+function getChoice(name, allowed) {
+  const value = config.google[name] || allowed[0];
+  if (!allowed.includes(value)) {
+    throw new GoogleAuthError(
+      `Google ${name} must be one of: ${allowed.join(", ")}.`,
+      "INVALID_CONFIG"
+    );
+  }
+  return value;
+}
+
+/**
+ * Reads the plaintext token file.
+ * @returns {Promise<Object|null>} Token, or null if there is no file.
+ */
+async function readTokenFile() {
+  try {
+    return JSON.parse(await fs.readFile(TOKEN_PATH));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Loads the stored OAuth token from the vault. A plaintext token left from before the
+ * vault (the token file or the MongoDB copy) is moved into the vault and deleted.
+ * @returns {Promise<Object|null>} Token, or null if none is stored.
+ */
+async function loadToken() {
+  const token = await vault.getCredential(TOKEN_NAME);
+  if (token) return token;
+  const legacyToken =
+    (await readTokenFile()) || (await mongoCalendar.getAuthToken(TOKEN_NAME));
+  if (legacyToken) {
+    await saveToken(legacyToken);
+    await fs.rm(TOKEN_PATH, { force: true });
+    await mongoCalendar.deleteAuthToken(TOKEN_NAME);
+    console.log("Moved the plaintext token into the vault");
+  }
+  return legacyToken;
+}
+
+/**
+ * Saves the OAuth token to the vault for later use.
+ * @param {Object} token The token to store.
+ */
+async function saveToken(token) {
+  try {
+    await vault.setCredential(TOKEN_NAME, token, {
+      metadata: { scopes: SCOPES },
+    });
+    console.log("Token stored in the vault");
+  } catch (error) {
+    console.error("Error saving token:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Reads the OAuth client ID and secret from the credentials file (`CREDENTIALS_PATH`).
+ * @returns {Promise<Object>} `client_id`, `client_secret` and `redirect_uris`.
+ */
+async function readClientCredentials() {
+  if (!process.env.CREDENTIALS_PATH) {
+    throw new GoogleAuthError(
+      "CREDENTIALS_PATH must point to the OAuth client credentials file.",
+      "INVALID_CONFIG"
+    );
+  }
+  const credentials = JSON.parse(
+    await fs.readFile(process.env.CREDENTIALS_PATH)
+  );
+  return credentials.installed || credentials.web;
+}
+
+/**
+ * Asks for the authorization code on the terminal. Fails instead of waiting when there
+ * is no terminal (servers, cron jobs).
+ * @param {google.auth.OAuth2} oAuth2Client The OAuth2 client to get the token for.
+ * @returns {Promise<Object>} Tokens.
+ */
+async function authorizeWithPrompt(oAuth2Client) {
+  if (!process.stdin.isTTY) {
+    throw new GoogleAuthError(
+      'No Google token is stored and there is no terminal to ask for one. Authorize once with authorize("loopback") or authorize("deviceCode"), or set google.authMode.',
+      "NO_TOKEN"
+    );
+  }
+  const authUrl = oAuth2Client.generateAuthUrl({
+    access_type: "offline",
+    scope: SCOPES,
+  });
+  console.log("Authorize this app by visiting this URL:", authUrl);
+
+  const code = await new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    rl.question("Enter the code from that page here: ", (code) => {
+      rl.close();
+      resolve(code);
+    });
+  });
+
+  const tokenResponse = await oAuth2Client.getToken(code);
+  return tokenResponse.tokens;
+}
+
+/**
+ * Gets the authorization code through a redirect to a temporary local server, so the
+ * user only has to open the printed URL in a browser on the same machine.
+ * @param {Object} credentials OAuth client credentials.
+ * @returns {Promise<Object>} Tokens.
+ */
+async function authorizeWithLoopback(credentials) {
+  const server = http.createServer();
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(config.google.loopbackPort || 0, "127.0.0.1", resolve);
+  });
+
+  try {
+    const redirectUri = `http://127.0.0.1:${
+      server.address().port
+    }/oauth2callback`;
+    const loopbackClient = new google.auth.OAuth2(
+      credentials.client_id,
+      credentials.client_secret,
+      redirectUri
+    );
+    const authUrl = loopbackClient.generateAuthUrl({
+      access_type: "offline",
+      prompt: "consent", // Always returns a refresh token
+      scope: SCOPES,
+    });
+    console.log("Authorize this app by visiting this URL:", authUrl);
+
+    const timeoutSeconds =
+      config.google.loopbackTimeoutSeconds || DEFAULT_LOOPBACK_TIMEOUT_SECONDS;
+    const code = await new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () =>
+          reject(
+            new GoogleAuthError(
+              `No authorization received within ${timeoutSeconds} seconds.`,
+              "AUTHORIZATION_TIMEOUT"
+            )
+          ),
+        timeoutSeconds * 1000
+      );
+      server.on("request", (req, res) => {
+        const url = new URL(req.url, redirectUri);
+        if (url.pathname !== "/oauth2callback") {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+        const code = url.searchParams.get("code");
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        res.end(
+          code
+            ? "Authorization complete. You can close this window."
+            : "Authorization failed. You can close this window."
+        );
+        clearTimeout(timer);
+        if (code) {
+          resolve(code);
+        } else {
+          reject(
+            new GoogleAuthError(
+              `Authorization was refused: ${url.searchParams.get("error")}.`,
+              "ACCESS_DENIED"
+            )
+          );
+        }
+      });
+    });
+
+    const tokenResponse = await loopbackClient.getToken(code);
+    return tokenResponse.tokens;
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * Gets tokens through the OAuth device flow: the user enters a short code on any device
+ * with a browser while the app polls for the result. Needs a "TVs and Limited Input
+ * devices" OAuth client.
+ * @param {Object} credentials OAuth client credentials.
+ * @returns {Promise<Object>} Tokens.
+ */
+async function authorizeWithDeviceCode(credentials) {
+  const form = {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  };
+  const { data: device } = await axios.post(
+    DEVICE_CODE_URL,
+    new URLSearchParams({
+      client_id: credentials.client_id,
+      scope: SCOPES.join(" "),
+    }).toString(),
+    form
+  );
+  console.log(
+    `To authorize this app, visit ${device.verification_url} and enter the code ${device.user_code}`
+  );
+
+  let intervalMs = (device.interval || 5) * 1000;
+  const expiresAt = Date.now() + device.expires_in * 1000;
+  while (Date.now() < expiresAt) {
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    try {
+      const { data } = await axios.post(
+        TOKEN_URL,
+        new URLSearchParams({
+          client_id: credentials.client_id,
+          client_secret: credentials.client_secret,
+          device_code: device.device_code,
+          grant_type: DEVICE_GRANT_TYPE,
+        }).toString(),
+        form
+      );
+      const { expires_in, ...tokens } = data;
+      return { ...tokens, expiry_date: Date.now() + expires_in * 1000 };
+    } catch (error) {
+      const reason = getOAuthReason(error);
+      if (reason === "authorization_pending") continue;
+      if (reason === "slow_down") {
+        intervalMs += 5000;
+        continue;
+      }
+      if (reason === "access_denied") {
+        throw new GoogleAuthError(
+          "Authorization was refused on the device.",
+          "ACCESS_DENIED"
+        );
+      }
+      if (reason === "expired_token") break;
+      throw error;
+    }
+  }
+  throw new GoogleAuthError(
+    "The device code expired before the app was authorized.",
+    "AUTHORIZATION_TIMEOUT"
+  );
+}
+
+/**
+ * Checks that stored credentials still work, refreshing the access token if it expired.
+ * @param {google.auth.OAuth2} oAuth2Client Client with stored credentials.
+ * @returns {Promise<void>}
+ * @throws {GoogleAuthError} If the refresh token was revoked or has expired.
+ */
+async function verifyCredentials(oAuth2Client) {
+  try {
+    await oAuth2Client.getAccessToken();
+  } catch (error) {
+    if (getOAuthReason(error) === "invalid_grant") {
+      throw new GoogleAuthError(
+        "The stored Google refresh token was revoked or has expired. Authorize the app again with authorize().",
+        "TOKEN_REVOKED"
+      );
+    }
+    if (!oAuth2Client.credentials.refresh_token) {
+      throw new GoogleAuthError(
+        "The stored Google token has expired and has no refresh token. Authorize the app again with authorize().",
+        "TOKEN_EXPIRED"
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Authenticates with a service account key (`config.google.serviceAccount.keyPath` or
+ * `GOOGLE_SERVICE_ACCOUNT_KEY_PATH`), acting as `serviceAccount.subject` when given.
+ * @returns {Promise<google.auth.JWT>} Authorized client.
+ */
+async function authenticateServiceAccount() {
+  const settings = config.google.serviceAccount || {};
+  const keyPath =
+    settings.keyPath || process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH;
+  if (!keyPath) {
+    throw new GoogleAuthError(
+      "A service account key file is required (google.serviceAccount.keyPath).",
+      "INVALID_CONFIG"
+    );
+  }
+  const key = JSON.parse(await fs.readFile(keyPath));
+  const jwtClient = new google.auth.JWT({
+    email: key.client_email,
+    key: key.private_key,
+    scopes: SCOPES,
+    subject: settings.subject, // User impersonated through domain-wide delegation
+  });
+
+  try {
+    await jwtClient.authorize();
+  } catch (error) {
+    if (getOAuthReason(error) === "unauthorized_client") {
+      throw new GoogleAuthError(
+        `The service account ${key.client_email} is not allowed to act as ${settings.subject}; grant it domain-wide delegation for the calendar scopes.`,
+        "DELEGATION_DENIED"
+      );
+    }
+    if (getOAuthReason(error) === "invalid_grant") {
+      throw new GoogleAuthError(
+        `The key of service account ${key.client_email} was rejected; it may have been deleted or disabled.`,
+        "TOKEN_REVOKED"
+      );
+    }
+    throw error;
+  }
+  return jwtClient;
+}
+
+/**
+ * Creates the OAuth2 client of the app, storing refreshed tokens as they arrive.
+ * @param {Object} credentials OAuth client credentials.
+ * @returns {google.auth.OAuth2} OAuth2 client.
+ */
+function createOAuthClient(credentials) {
+  const oAuth2Client = new google.auth.OAuth2(
+    credentials.client_id,
+    credentials.client_secret,
+    (credentials.redirect_uris || [])[0]
+  );
+  oAuth2Client.on("tokens", (tokens) => {
+    // Refreshes only return a new access token; keep the refresh token
+    saveToken({ ...oAuth2Client.credentials, ...tokens }).catch(() => {}); // Logged by saveToken
+  });
+  return oAuth2Client;
+}
+
+/**
+ * Runs an authorization flow and stores the resulting token, replacing any stored one.
+ * Use it once to set up the app, or after a GoogleAuthError with code "TOKEN_REVOKED".
+ * @param {string} [mode] "prompt", "loopback" or "deviceCode" (defaults to `config.google.authMode`).
+ * @returns {Promise<google.auth.OAuth2>} Authorized client.
+ */
+async function authorize(mode) {
+  try {
+    const chosen = mode || getChoice("authMode", AUTH_MODES);
+    if (!AUTH_MODES.includes(chosen) || chosen === "serviceAccount") {
+      throw new GoogleAuthError(
+        `Authorization mode must be one of: ${AUTH_MODES.slice(0, 3).join(
+          ", "
+        )}.`,
+        "INVALID_CONFIG"
+      );
+    }
+    const credentials = await readClientCredentials();
+    const oAuth2Client = createOAuthClient(credentials);
+
+    let tokens;
+    if (chosen === "loopback") {
+      tokens = await authorizeWithLoopback(credentials);
+    } else if (chosen === "deviceCode") {
+      tokens = await authorizeWithDeviceCode(credentials);
+    } else {
+      tokens = await authorizeWithPrompt(oAuth2Client);
+    }
+    oAuth2Client.setCredentials(tokens);
+    await saveToken(tokens);
+    return oAuth2Client;
+  } catch (error) {
+    console.error("Error during authorization:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Authenticates with Google Calendar API, using the stored token (or a service account).
+ * Without a stored token, the configured authorization flow runs.
+ * @returns {Promise<google.auth.OAuth2|google.auth.JWT>} Authenticated client object.
+ * @throws {GoogleAuthError} If no usable credentials are available.
+ */
+async function authenticate() {
+  try {
+    const mode = getChoice("authMode", AUTH_MODES);
+    if (mode === "serviceAccount") {
+      return await authenticateServiceAccount();
+    }
+
+    const token = await loadToken();
+    if (!token) {
+      return await authorize(mode);
+    }
+    const oAuth2Client = createOAuthClient(await readClientCredentials());
+    oAuth2Client.setCredentials(token);
+    await verifyCredentials(oAuth2Client);
+    return oAuth2Client;
+  } catch (error) {
+    console.error("Error during authentication:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  AUTH_MODES,
+  GoogleAuthError,
+  authenticate,
+  authorize,
+  loadToken,
+  saveToken,
+};
@@ -1,96 +1,17 @@
 // time/google_calendar.js
 
 const { google } = require("googleapis");
-const fs = require("fs").promises;
-const path = require("path");
-const readline = require("readline");
-require("dotenv").config();
-
-const config = require("../config"); // Import configuration
-
-const SCOPES = config.google.scopes;
-const TOKEN_PATH = path.join(__dirname, config.google.tokenPath);
+const googleAuth = require("./google_auth");
 
 /**
- * Authenticates with Google Calendar API using OAuth2 client.
- * Handles token storage and refresh.
- * @returns {Promise<google.auth.OAuth2>} Authenticated client object.
+ * Authenticates with Google Calendar API. The authorization mode (interactive prompt,
+ * loopback redirect, device code or service account) is set in `config.google`; the
+ * token is kept in the credential vault. See google_auth.js.
+ * @returns {Promise<google.auth.OAuth2|google.auth.JWT>} Authenticated client object.
+ * @throws {googleAuth.GoogleAuthError} If no usable credentials are available.
  */
 async function authenticate() {
-  try {
-    const credentials = JSON.parse(
-      await fs.readFile(process.env.CREDENTIALS_PATH)
-    );
-    const { client_secret, client_id, redirect_uris } = credentials.installed;
-    const oAuth2Client = new google.auth.OAuth2(
-      client_id,
-      client_secret,
-      redirect_uris[0]
-    );
-
-    // Check if we have previously stored a token.
-    try {
-      const token = JSON.parse(await fs.readFile(TOKEN_PATH));
-      oAuth2Client.setCredentials(token);
-    } catch (err) {
-      await getAccessToken(oAuth2Client);
-    }
-
-    // Set token refresh event
-    oAuth2Client.on("tokens", (tokens) => {
-      if (tokens.refresh_token) {
-        // Store the refresh token in my database!
-        saveToken(tokens);
-      }
-    });
-
-    return oAuth2Client;
-  } catch (error) {
-    console.error("Error during authentication:", error.message);
-    throw error;
-  }
-}
-
-/**
- * Get and store new token after prompting for user authorization.
- * @param {google.auth.OAuth2} oAuth2Client The OAuth2 client to get token for.
- */
-async function getAccessToken(oAuth2Client) {
-  const authUrl = oAuth2Client.generateAuthUrl({
-    access_type: "offline",
-    scope: SCOPES,
-  });
-  console.log("Authorize this app by visiting this URL:", authUrl);
-
-  const code = await new Promise((resolve) => {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
-    rl.question("Enter the code from that page here: ", (code) => {
-      rl.close();
-      resolve(code);
-    });
-  });
-
-  const tokenResponse = await oAuth2Client.getToken(code);
-  oAuth2Client.setCredentials(tokenResponse.tokens);
-  // Store the token to disk for later program executions
-  await saveToken(tokenResponse.tokens);
-}
-
-/**
- * Saves the token to disk for later use.
- * @param {Object} token The token to store.
- */
-async function saveToken(token) {
-  try {
-    await fs.writeFile(TOKEN_PATH, JSON.stringify(token));
-    console.log("Token stored to", TOKEN_PATH);
-  } catch (error) {
-    console.error("Error saving token:", error.message);
-    throw error;
-  }
+  return googleAuth.authenticate();
 }
 
 /**
@@ -118,6 +39,46 @@ async function fetchEvents(auth, calendarId, startTime, endTime) {
   }
 }
 
+/**
+ * Lists the events of a calendar that changed since the last sync, including cancelled ones.
+ * Without a sync token or `updatedMin` every event is listed (a full sync).
+ * Recurring events are returned as their master event plus any modified instances.
+ * @param {google.auth.OAuth2} auth Authenticated client object.
+ * @param {string} calendarId ID of the Google Calendar to list changes of.
+ * @param {Object} [options] Sync options.
+ * @param {string} [options.syncToken] Token returned by the previous sync.
+ * @param {Date} [options.updatedMin] Only list events changed after this time (used without a sync token).
+ * @returns {Promise<Object>} Changed `events` and the `nextSyncToken` to store for the next sync (may be null).
+ * @throws {Error} With `syncTokenExpired` set if Google no longer accepts the token or time (HTTP 410).
+ */
+async function listEventChanges(auth, calendarId, options = {}) {
+  const calendar = google.calendar({ version: "v3", auth });
+  const events = [];
+  let nextSyncToken = null;
+  let pageToken;
+  try {
+    do {
+      const params = { calendarId, showDeleted: true, pageToken };
+      if (options.syncToken) {
+        params.syncToken = options.syncToken;
+      } else if (options.updatedMin) {
+        params.updatedMin = options.updatedMin.toISOString();
+      }
+      const response = await calendar.events.list(params);
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+      nextSyncToken = response.data.nextSyncToken || nextSyncToken; // Only sent with the last page
+    } while (pageToken);
+    return { events, nextSyncToken };
+  } catch (error) {
+    if (error.code === 410) {
+      error.syncTokenExpired = true; // The caller must fall back to a wider sync
+    }
+    console.error("Error listing event changes:", error.message);
+    throw error;
+  }
+}
+
 /**
  * Creates a new event in the specified Google Calendar.
  * @param {google.auth.OAuth2} auth Authenticated client object.
@@ -182,11 +143,127 @@ async function deleteEvent(auth, calendarId, eventId) {
   }
 }
 
+/**
+ * Deletes an event, treating an event that is already gone as deleted.
+ * @param {google.auth.OAuth2} auth Authenticated client object.
+ * @param {string} calendarId ID of the Google Calendar containing the event.
+ * @param {string} eventId ID of the event to delete.
+ * @returns {Promise<void>}
+ */
+async function deleteEventIfExists(auth, calendarId, eventId) {
+  try {
+    await deleteEvent(auth, calendarId, eventId);
+  } catch (error) {
+    if (error.code !== 404 && error.code !== 410) throw error;
+  }
+}
+
+/**
+ * Asks Google to send push notifications for changes to a calendar's events.
+ * @param {google.auth.OAuth2} auth Authenticated client object.
+ * @param {string} calendarId ID of the Google Calendar to watch.
+ * @param {Object} options Channel options.
+ * @param {string} options.id Unique channel ID.
+ * @param {string} options.address HTTPS URL that receives the notifications.
+ * @param {string} [options.token] Secret echoed back with every notification.
+ * @param {number} [options.ttlSeconds] Requested channel lifetime.
+ * @returns {Promise<Object>} Channel (`id`, `resourceId`, `expiration`).
+ */
+async function watchEvents(auth, calendarId, options) {
+  const calendar = google.calendar({ version: "v3", auth });
+  try {
+    const requestBody = {
+      id: options.id,
+      type: "web_hook",
+      address: options.address,
+    };
+    if (options.token) requestBody.token = options.token;
+    if (options.ttlSeconds) {
+      requestBody.params = { ttl: String(options.ttlSeconds) };
+    }
+    const response = await calendar.events.watch({ calendarId, requestBody });
+    return response.data;
+  } catch (error) {
+    console.error("Error watching events:", error);
+    throw error;
+  }
+}
+
+/**
+ * Stops a push notification channel created by `watchEvents`.
+ * @param {google.auth.OAuth2} auth Authenticated client object.
+ * @param {Object} channel Channel with its `id` and `resourceId`.
+ * @returns {Promise<void>}
+ */
+async function stopChannel(auth, channel) {
+  const calendar = google.calendar({ version: "v3", auth });
+  try {
+    await calendar.channels.stop({
+      requestBody: { id: channel.id, resourceId: channel.resourceId },
+    });
+  } catch (error) {
+    if (error.code === 404) return; // Already expired or stopped
+    console.error("Error stopping channel:", error);
+    throw error;
+  }
+}
+
+/**
+ * Queries the busy times of several calendars, e.g. the shared calendars of meeting participants.
+ * @param {google.auth.OAuth2} auth Authenticated client object.
+ * @param {Array<string>} calendarIds Calendar IDs (for people, their email addresses).
+ * @param {Date} timeMin Start of the range.
+ * @param {Date} timeMax End of the range.
+ * @returns {Promise<Object>} For each calendar ID, its `busy` intervals ({ start, end } as Dates)
+ * and an `error` reason if Google could not read the calendar (e.g. "notFound"), else null.
+ */
+async function queryFreeBusy(auth, calendarIds, timeMin, timeMax) {
+  const calendar = google.calendar({ version: "v3", auth });
+  try {
+    const response = await calendar.freebusy.query({
+      requestBody: {
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        items: calendarIds.map((id) => ({ id })),
+      },
+    });
+    const calendars = response.data.calendars || {};
+    return Object.fromEntries(
+      calendarIds.map((calendarId) => {
+        const result = calendars[calendarId] || {
+          errors: [{ reason: "notFound" }],
+        };
+        return [
+          calendarId,
+          {
+            busy: (result.busy || []).map((interval) => ({
+              start: new Date(interval.start),
+              end: new Date(interval.end),
+            })),
+            error:
+              result.errors && result.errors.length
+                ? result.errors[0].reason
+                : null,
+          },
+        ];
+      })
+    );
+  } catch (error) {
+    console.error("Error querying free/busy times:", error);
+    throw error;
+  }
+}
+
 // Export functions for use in other modules
 module.exports = {
   authenticate,
   fetchEvents,
+  listEventChanges,
   createEvent,
   updateEvent,
   deleteEvent,
+  deleteEventIfExists,
+  watchEvents,
+  stopChannel,
+  queryFreeBusy,
 };
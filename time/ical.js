@@ -0,0 +1,572 @@
+// time/ical.js
+
+const moment = require("moment-timezone"); // For time zone handling
+
+const PRODUCT_ID = "-//assistant_app//calendar//EN";
+const MAX_LINE_LENGTH = 75; // Octets per line before folding (RFC 5545)
+const TIME_ZONE_YEARS = 10; // Years of offset changes a VTIMEZONE lists after the last time using it
+
+/**
+ * Unescapes an iCalendar TEXT value.
+ * @param {string} value Escaped value.
+ * @returns {string} Plain text.
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, character) =>
+    character === "n" || character === "N" ? "\n" : character
+  );
+}
+
+/**
+ * Escapes plain text as an iCalendar TEXT value.
+ * @param {string} value Plain text.
+ * @returns {string} Escaped value.
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Splits iCalendar text into content lines, joining folded lines.
+ * @param {string} text iCalendar text.
+ * @returns {Array<Object>} Lines with `name`, `params` (upper-case keys) and raw `value`.
+ */
+function parseLines(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, "") // Unfold
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => {
+      const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/); // First colon outside quotes
+      const [name, ...paramParts] = line.slice(0, colon).split(";");
+      const params = {};
+      for (const part of paramParts) {
+        const [key, ...rest] = part.split("=");
+        params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+      }
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    });
+}
+
+/**
+ * Groups content lines into components (VEVENT, VTODO, ...), ignoring nested ones such as VALARM.
+ * @param {Array<Object>} lines Parsed content lines.
+ * @param {string} type Component name to collect (e.g. "VEVENT").
+ * @returns {Array<Array<Object>>} The property lines of each component.
+ */
+function collectComponents(lines, type) {
+  const components = [];
+  let current = null;
+  let depth = 0;
+  for (const line of lines) {
+    if (line.name === "BEGIN") {
+      if (current) depth++;
+      else if (line.value.toUpperCase() === type) current = [];
+    } else if (line.name === "END" && current) {
+      if (depth) depth--;
+      else {
+        components.push(current);
+        current = null;
+      }
+    } else if (current && !depth) {
+      current.push(line);
+    }
+  }
+  return components;
+}
+
+/**
+ * Maps the TZIDs defined by the VTIMEZONE components of a document to IANA time zones.
+ * Uses the X-LIC-LOCATION property when present, else an IANA name at the end of the TZID
+ * (e.g. "/mozilla.org/20050126_1/Europe/Berlin").
+ * @param {Array<Object>} lines Parsed content lines.
+ * @returns {Object} IANA time zone by TZID, for the TZIDs that could be resolved.
+ */
+function resolveTimeZones(lines) {
+  const timeZones = {};
+  for (const properties of collectComponents(lines, "VTIMEZONE")) {
+    const tzid = properties.find((line) => line.name === "TZID");
+    if (!tzid) continue;
+    const location = properties.find((line) => line.name === "X-LIC-LOCATION");
+    const suffix = tzid.value.match(/[A-Za-z_]+\/[A-Za-z_\/+-]+$/);
+    const resolved = [
+      location && location.value,
+      tzid.value,
+      suffix && suffix[0],
+    ]
+      .filter(Boolean)
+      .find((name) => moment.tz.zone(name));
+    if (resolved) timeZones[tzid.value] = resolved;
+  }
+  return timeZones;
+}
+
+/**
+ * Returns the IANA time zone of a TZID parameter.
+ * @param {string} [tzid] TZID parameter value.
+ * @param {Object} timeZones Time zones resolved from the document's VTIMEZONEs.
+ * @returns {string|null} IANA time zone, or null if the TZID is missing or unknown.
+ */
+function lookupTimeZone(tzid, timeZones) {
+  if (!tzid) return null;
+  if (timeZones[tzid]) return timeZones[tzid];
+  return moment.tz.zone(tzid) ? tzid : null;
+}
+
+/**
+ * Converts an iCalendar DATE or DATE-TIME property to the Google Calendar format.
+ * @param {Object} line Content line (e.g. DTSTART).
+ * @param {string} defaultTimeZone Time zone for floating times and unknown TZIDs.
+ * @param {Object} [timeZones] Time zones resolved from the document's VTIMEZONEs.
+ * @returns {Object} `{ date }` for all-day values, else `{ dateTime, timeZone }`.
+ */
+function parseDateValue(line, defaultTimeZone, timeZones = {}) {
+  const { value, params } = line;
+  if (params.VALUE === "DATE" || /^\d{8}$/.test(value)) {
+    return { date: moment.utc(value, "YYYYMMDD").format("YYYY-MM-DD") };
+  }
+  if (value.endsWith("Z")) {
+    return {
+      dateTime: moment.utc(value, "YYYYMMDDTHHmmss[Z]").format(),
+      timeZone: lookupTimeZone(params.TZID, timeZones) || "UTC",
+    };
+  }
+  const timeZone = lookupTimeZone(params.TZID, timeZones) || defaultTimeZone;
+  return {
+    dateTime: moment.tz(value, "YYYYMMDDTHHmmss", timeZone).format(),
+    timeZone,
+  };
+}
+
+/**
+ * Rebuilds an RRULE, EXDATE or RDATE property as a `recurrence` line,
+ * replacing TZIDs defined by the document with their IANA time zone.
+ * @param {Object} line Content line.
+ * @param {Object} timeZones Time zones resolved from the document's VTIMEZONEs.
+ * @returns {string} Recurrence line.
+ */
+function formatRecurrenceLine(line, timeZones) {
+  const params = Object.entries(line.params)
+    .map(([key, value]) =>
+      key === "TZID" && timeZones[value]
+        ? `;TZID=${timeZones[value]}`
+        : `;${key}=${value}`
+    )
+    .join("");
+  return `${line.name}${params}:${line.value}`;
+}
+
+/**
+ * Formats a Google Calendar date value as an iCalendar property.
+ * @param {string} name Property name (e.g. "DTSTART").
+ * @param {Object} value `{ date }` or `{ dateTime, timeZone }`.
+ * @returns {string} Content line.
+ */
+function formatDateValue(name, value) {
+  if (value.date) {
+    return `${name};VALUE=DATE:${value.date.replace(/-/g, "")}`;
+  }
+  if (value.timeZone && value.timeZone !== "UTC") {
+    const local = moment.tz(value.dateTime, value.timeZone);
+    return `${name};TZID=${value.timeZone}:${local.format("YYYYMMDDTHHmmss")}`;
+  }
+  return `${name}:${moment.utc(value.dateTime).format("YYYYMMDDTHHmmss[Z]")}`;
+}
+
+/**
+ * Parses the VEVENTs of an iCalendar document into Google Calendar-shaped events.
+ * @param {string} text iCalendar text.
+ * @param {Object} [options] Parse options.
+ * @param {string} [options.timeZone="UTC"] Time zone for floating times and unknown TZIDs.
+ * @returns {Array<Object>} Events with `id` (UID), `summary`, `description`, `location`, `start`, `end`,
+ * `recurrence` (RRULE/EXDATE lines), `status` and `updated`. A modified instance of a series
+ * (a VEVENT with a RECURRENCE-ID) also has `originalStartTime` and, as `recurringEventId`, its UID.
+ */
+function parseEvents(text, options = {}) {
+  const timeZone = options.timeZone || "UTC";
+  const lines = parseLines(text);
+  const timeZones = resolveTimeZones(lines);
+  return collectComponents(lines, "VEVENT").map((properties) => {
+    const event = { status: "confirmed" };
+    const recurrence = [];
+    let duration = null;
+
+    for (const line of properties) {
+      switch (line.name) {
+        case "UID":
+          event.id = line.value;
+          break;
+        case "SUMMARY":
+          event.summary = unescapeText(line.value);
+          break;
+        case "DESCRIPTION":
+          event.description = unescapeText(line.value);
+          break;
+        case "LOCATION":
+          event.location = unescapeText(line.value);
+          break;
+        case "DTSTART":
+          event.start = parseDateValue(line, timeZone, timeZones);
+          break;
+        case "DTEND":
+          event.end = parseDateValue(line, timeZone, timeZones);
+          break;
+        case "RECURRENCE-ID":
+          event.originalStartTime = parseDateValue(line, timeZone, timeZones);
+          break;
+        case "DURATION":
+          duration = moment.duration(line.value);
+          break;
+        case "RRULE":
+        case "EXDATE":
+        case "RDATE":
+          recurrence.push(formatRecurrenceLine(line, timeZones));
+          break;
+        case "STATUS":
+          if (line.value.toUpperCase() === "CANCELLED") {
+            event.status = "cancelled";
+          } else if (line.value.toUpperCase() === "TENTATIVE") {
+            event.status = "tentative";
+          }
+          break;
+        case "TRANSP":
+          event.transparency =
+            line.value.toUpperCase() === "TRANSPARENT"
+              ? "transparent"
+              : "opaque";
+          break;
+        case "LAST-MODIFIED":
+          event.updated = moment
+            .utc(line.value, "YYYYMMDDTHHmmss[Z]")
+            .toISOString();
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (!event.end && event.start) {
+      // No DTEND: use DURATION, else one day for all-day events and zero length otherwise
+      if (event.start.date) {
+        event.end = {
+          date: moment
+            .utc(event.start.date)
+            .add(duration || moment.duration(1, "day"))
+            .format("YYYY-MM-DD"),
+        };
+      } else {
+        event.end = {
+          dateTime: moment
+            .parseZone(event.start.dateTime)
+            .add(duration || 0)
+            .format(),
+          timeZone: event.start.timeZone,
+        };
+      }
+    }
+    if (recurrence.length) event.recurrence = recurrence;
+    if (event.originalStartTime) event.recurringEventId = event.id;
+    return event;
+  });
+}
+
+/**
+ * Parses the VTODOs of an iCalendar document.
+ * @param {string} text iCalendar text.
+ * @param {Object} [options] Parse options.
+ * @param {string} [options.timeZone="UTC"] Time zone for floating times and unknown TZIDs.
+ * @returns {Array<Object>} To-dos with `id` (UID), `summary`, `description`, `start`, `due`
+ * (both `{ date }` or `{ dateTime, timeZone }`), `priority` (1 highest to 9 lowest),
+ * `status` ("needs-action", "in-process", "completed" or "cancelled"), `categories`,
+ * `recurrence` and `updated`.
+ */
+function parseTodos(text, options = {}) {
+  const timeZone = options.timeZone || "UTC";
+  const lines = parseLines(text);
+  const timeZones = resolveTimeZones(lines);
+  return collectComponents(lines, "VTODO").map((properties) => {
+    const todo = { status: "needs-action", categories: [] };
+    const recurrence = [];
+
+    for (const line of properties) {
+      switch (line.name) {
+        case "UID":
+          todo.id = line.value;
+          break;
+        case "SUMMARY":
+          todo.summary = unescapeText(line.value);
+          break;
+        case "DESCRIPTION":
+          todo.description = unescapeText(line.value);
+          break;
+        case "DTSTART":
+          todo.start = parseDateValue(line, timeZone, timeZones);
+          break;
+        case "DUE":
+          todo.due = parseDateValue(line, timeZone, timeZones);
+          break;
+        case "PRIORITY": {
+          const priority = parseInt(line.value, 10);
+          if (priority >= 1 && priority <= 9) todo.priority = priority; // 0 means undefined
+          break;
+        }
+        case "STATUS":
+          todo.status = line.value.toLowerCase();
+          break;
+        case "COMPLETED":
+          todo.completed = moment
+            .utc(line.value, "YYYYMMDDTHHmmss[Z]")
+            .toISOString();
+          break;
+        case "CATEGORIES":
+          todo.categories.push(
+            ...line.value
+              .split(/(?<!\\),/)
+              .map((category) => unescapeText(category).trim())
+              .filter(Boolean)
+          );
+          break;
+        case "RRULE":
+        case "EXDATE":
+        case "RDATE":
+          recurrence.push(formatRecurrenceLine(line, timeZones));
+          break;
+        case "LAST-MODIFIED":
+          todo.updated = moment
+            .utc(line.value, "YYYYMMDDTHHmmss[Z]")
+            .toISOString();
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (recurrence.length) todo.recurrence = recurrence;
+    return todo;
+  });
+}
+
+/**
+ * Folds a content line to the maximum line length.
+ * @param {string} line Content line.
+ * @returns {string} Folded line.
+ */
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  let limit = MAX_LINE_LENGTH;
+  while (Buffer.byteLength(rest) > limit) {
+    let cut = limit;
+    while (Buffer.byteLength(rest.slice(0, cut)) > limit) cut--; // Keep multi-byte characters whole
+    if (/[\uD800-\uDBFF]/.test(rest[cut - 1])) cut--; // And surrogate pairs
+    parts.push(rest.slice(0, cut));
+    limit = MAX_LINE_LENGTH - 1; // Continuation lines start with a space
+    rest = rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Builds the VTIMEZONE of an IANA time zone from the offset changes in moment-timezone's data,
+ * from the one in effect at the start of a range to the last one before its end.
+ * Changes between the same offsets share an observance, with the later ones as RDATEs.
+ * @param {string} tzid IANA time zone.
+ * @param {Object} range Times the document uses in the time zone, as `start` and `end` (milliseconds).
+ * @returns {Array<string>} Content lines (unfolded).
+ */
+function formatTimeZone(tzid, range) {
+  const zone = moment.tz.zone(tzid);
+  const observances = new Map(); // "kind offsetFrom offsetTo name" -> local start times
+  for (let index = 0; index < zone.untils.length; index++) {
+    if (zone.untils[index] <= range.start) continue;
+    const changedAt = index ? zone.untils[index - 1] : 0;
+    if (changedAt > range.end) break;
+    const offsetFrom = -zone.offsets[Math.max(index - 1, 0)];
+    const offsetTo = -zone.offsets[index];
+    const year = moment.utc(changedAt).year();
+    const standardOffset = Math.min(
+      -zone.utcOffset(Date.UTC(year, 0, 1)),
+      -zone.utcOffset(Date.UTC(year, 6, 1))
+    );
+    const key = [
+      offsetTo > standardOffset ? "DAYLIGHT" : "STANDARD",
+      moment.utc().utcOffset(offsetFrom).format("ZZ"),
+      moment.utc().utcOffset(offsetTo).format("ZZ"),
+      zone.abbrs[index],
+    ].join(" ");
+    if (!observances.has(key)) observances.set(key, []);
+    observances
+      .get(key)
+      .push(
+        moment.utc(changedAt).utcOffset(offsetFrom).format("YYYYMMDDTHHmmss")
+      );
+  }
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${tzid}`, `X-LIC-LOCATION:${tzid}`];
+  for (const [key, starts] of observances) {
+    const [kind, offsetFrom, offsetTo, name] = key.split(" ");
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${starts[0]}`,
+      `TZOFFSETFROM:${offsetFrom}`,
+      `TZOFFSETTO:${offsetTo}`,
+      `TZNAME:${escapeText(name)}`
+    );
+    if (starts.length > 1) lines.push(`RDATE:${starts.slice(1).join(",")}`);
+    lines.push(`END:${kind}`);
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * Builds a VTIMEZONE for each TZID the content lines of a document refer to, so that other
+ * applications can read their local times. Each covers the times the document uses in its
+ * time zone, plus `TIME_ZONE_YEARS` for the occurrences of recurring events.
+ * @param {Array<string>} lines Content lines (unfolded).
+ * @returns {Array<string>} VTIMEZONE content lines.
+ */
+function formatTimeZones(lines) {
+  const ranges = new Map(); // TZID -> { start, end } (milliseconds)
+  for (const line of lines) {
+    const tzid = line.match(/^[^:]*;TZID=([^;:]+)[;:]/);
+    if (!tzid || !moment.tz.zone(tzid[1])) continue;
+    for (const value of line.slice(line.indexOf(":") + 1).split(",")) {
+      const time = moment.tz(value, "YYYYMMDDTHHmmss", tzid[1]).valueOf();
+      const range = ranges.get(tzid[1]) || { start: time, end: time };
+      range.start = Math.min(range.start, time);
+      range.end = Math.max(range.end, time);
+      ranges.set(tzid[1], range);
+    }
+  }
+  return [...ranges].flatMap(([tzid, range]) =>
+    formatTimeZone(tzid, {
+      start: range.start,
+      end: moment.utc(range.end).add(TIME_ZONE_YEARS, "years").valueOf(),
+    })
+  );
+}
+
+/**
+ * Serializes Google Calendar-shaped events as the VEVENT lines of an iCalendar document.
+ * @param {Object} event Event with `id`, `summary`, `start`, `end` and optional fields.
+ * @returns {Array<string>} Content lines (unfolded).
+ */
+function formatEvent(event) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.id}`,
+    `DTSTAMP:${moment.utc().format("YYYYMMDDTHHmmss[Z]")}`,
+  ];
+  if (event.start) lines.push(formatDateValue("DTSTART", event.start));
+  if (event.end) lines.push(formatDateValue("DTEND", event.end));
+  if (event.originalStartTime) {
+    lines.push(formatDateValue("RECURRENCE-ID", event.originalStartTime));
+  }
+  if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(...(event.recurrence || []));
+  if (event.status === "cancelled") lines.push("STATUS:CANCELLED");
+  if (event.status === "tentative") lines.push("STATUS:TENTATIVE");
+  if (event.transparency === "transparent") lines.push("TRANSP:TRANSPARENT");
+  if (event.updated) {
+    lines.push(
+      `LAST-MODIFIED:${moment.utc(event.updated).format("YYYYMMDDTHHmmss[Z]")}`
+    );
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Serializes a to-do as the VTODO lines of an iCalendar document.
+ * @param {Object} todo To-do shaped like the result of `parseTodos` (needs an `id`).
+ * @returns {Array<string>} Content lines (unfolded).
+ */
+function formatTodo(todo) {
+  const lines = [
+    "BEGIN:VTODO",
+    `UID:${todo.id}`,
+    `DTSTAMP:${moment.utc().format("YYYYMMDDTHHmmss[Z]")}`,
+  ];
+  if (todo.start) lines.push(formatDateValue("DTSTART", todo.start));
+  if (todo.due) lines.push(formatDateValue("DUE", todo.due));
+  if (todo.summary) lines.push(`SUMMARY:${escapeText(todo.summary)}`);
+  if (todo.description) {
+    lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+  }
+  if (todo.priority) lines.push(`PRIORITY:${todo.priority}`);
+  if (todo.categories && todo.categories.length) {
+    lines.push(`CATEGORIES:${todo.categories.map(escapeText).join(",")}`);
+  }
+  lines.push(...(todo.recurrence || []));
+  if (todo.status) lines.push(`STATUS:${todo.status.toUpperCase()}`);
+  if (todo.completed) {
+    lines.push(
+      `COMPLETED:${moment.utc(todo.completed).format("YYYYMMDDTHHmmss[Z]")}`
+    );
+  }
+  if (todo.updated) {
+    lines.push(
+      `LAST-MODIFIED:${moment.utc(todo.updated).format("YYYYMMDDTHHmmss[Z]")}`
+    );
+  }
+  lines.push("END:VTODO");
+  return lines;
+}
+
+/**
+ * Serializes events and to-dos as an iCalendar document.
+ * @param {Object} components Calendar components.
+ * @param {Array<Object>} [components.events] Google Calendar-shaped events (each needs an `id`).
+ * @param {Array<Object>} [components.todos] To-dos shaped like the result of `parseTodos`.
+ * @returns {string} iCalendar text.
+ */
+function serializeCalendar({ events = [], todos = [] }) {
+  const components = [
+    ...events.flatMap(formatEvent),
+    ...todos.flatMap(formatTodo),
+  ];
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    ...formatTimeZones(components),
+    ...components,
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Serializes events as an iCalendar document.
+ * @param {Array<Object>} events Google Calendar-shaped events (each needs an `id`).
+ * @returns {string} iCalendar text.
+ */
+function serializeEvents(events) {
+  return serializeCalendar({ events });
+}
+
+module.exports = {
+  parseLines,
+  collectComponents,
+  resolveTimeZones,
+  parseDateValue,
+  formatDateValue,
+  unescapeText,
+  escapeText,
+  foldLine,
+  parseEvents,
+  parseTodos,
+  serializeCalendar,
+  serializeEvents,
+};
@@ -0,0 +1,450 @@
+// time/ics_transfer.js
+
+const fs = require("fs").promises;
+const moment = require("moment-timezone"); // For time zone handling
+const ical = require("./ical");
+const recurringEvents = require("./recurring_events");
+const mongoCalendar = require("./mongo_calendar");
+const recurrence = require("../tasks/recurrence");
+const tasksData = require("../tasks/tasks_data");
+const tasksManager = require("../tasks/tasks_manager");
+const lifecycle = require("../tasks/lifecycle");
+const prioritization = require("../tasks/prioritization");
+
+const UID_DOMAIN = "assistant_app"; // Right-hand side of the UIDs of exported items
+const ITEM_TYPES = ["task", "todo", "study"];
+
+/**
+ * Converts an iCalendar PRIORITY (1 highest to 9 lowest) to an item priority.
+ * @param {number} [priority] iCalendar priority.
+ * @returns {string|undefined} "high", "medium" or "low", or undefined if not set.
+ */
+function fromIcsPriority(priority) {
+  if (!priority) return undefined;
+  if (priority <= 4) return "high";
+  return priority === 5 ? "medium" : "low";
+}
+
+/**
+ * Converts an item priority to an iCalendar PRIORITY.
+ * @param {Object} item Task, to-do or study session.
+ * @returns {number|undefined} 1 (high), 5 (medium) or 9 (low), or undefined if the item has no priority.
+ */
+function toIcsPriority(item) {
+  if (item.priority === undefined || item.priority === null) return undefined;
+  const weight = prioritization.getPriorityWeight(item);
+  if (weight >= 3) return 1;
+  return weight >= 2 ? 5 : 9;
+}
+
+/**
+ * Converts a Google Calendar-shaped date value to a Date.
+ * @param {Object} value `{ date }` or `{ dateTime }`.
+ * @param {string} timeZone Time zone of all-day values.
+ * @returns {Date} Start of the value.
+ */
+function toDate(value, timeZone) {
+  return value.date
+    ? moment.tz(value.date, timeZone).toDate()
+    : new Date(value.dateTime);
+}
+
+/**
+ * Checks whether two Google Calendar-shaped date values are the same instant.
+ * @param {Object} a `{ date }` or `{ dateTime }`.
+ * @param {Object} b `{ date }` or `{ dateTime }`.
+ * @param {string} timeZone Time zone of all-day values.
+ * @returns {boolean} True if both start at the same time.
+ */
+function isSameStart(a, b, timeZone) {
+  return toDate(a, timeZone).getTime() === toDate(b, timeZone).getTime();
+}
+
+/**
+ * Imports the VEVENTs of a document into MongoDB, matching existing events by `iCalUID` and,
+ * for modified instances of a series (VEVENTs with a RECURRENCE-ID), by `originalStartTime`.
+ * Instances are stored as their own events, which replace the instance they modify when the
+ * series is expanded; cancelled ones are kept as cancelled events, which remove it.
+ * Imported events are stored as local changes, so the next sync pushes them to the calendar provider.
+ * @param {string} text iCalendar text.
+ * @param {string} timeZone Time zone for floating times.
+ * @param {Object} report Import report to update.
+ */
+async function importEvents(text, timeZone, report) {
+  for (const { id, recurringEventId, ...event } of ical.parseEvents(text, {
+    timeZone,
+  })) {
+    if (!id || !event.start) {
+      report.events.skipped++;
+      continue;
+    }
+
+    const storedEvents = await mongoCalendar.fetchEvents({ iCalUID: id });
+    const existing = storedEvents.find((stored) =>
+      event.originalStartTime
+        ? stored.originalStartTime &&
+          isSameStart(
+            stored.originalStartTime,
+            event.originalStartTime,
+            timeZone
+          )
+        : !stored.originalStartTime
+    );
+    if (event.status === "cancelled" && !event.originalStartTime) {
+      if (existing && !existing.deleted) {
+        await mongoCalendar.markEventDeleted(existing._id);
+        report.events.removed++;
+      } else {
+        report.events.skipped++;
+      }
+      continue;
+    }
+
+    const eventData = { ...event, iCalUID: id };
+    const change = event.status === "cancelled" ? "removed" : null;
+    if (!existing) {
+      await mongoCalendar.insertEvent({
+        ...eventData,
+        ...(recurringEventId ? { recurringEventId } : {}),
+        localUpdatedAt: new Date(),
+      });
+      report.events[change || "added"]++;
+    } else if (
+      existing.deleted ||
+      (existing.updated &&
+        event.updated &&
+        new Date(event.updated) <= new Date(existing.updated))
+    ) {
+      report.events.skipped++; // Deleted locally, or not changed since the last import or sync
+    } else {
+      // A synced instance keeps the series ID of its provider
+      await mongoCalendar.updateLocalEvent(existing._id, eventData);
+      report.events[change || "updated"]++;
+    }
+  }
+}
+
+/**
+ * Imports the open VTODOs of a document as to-dos, matching existing to-dos by `iCalUID`.
+ * Completed and cancelled VTODOs are skipped.
+ * @param {string} text iCalendar text.
+ * @param {string} timeZone Time zone for floating times and all-day dates.
+ * @param {Object} report Import report to update.
+ */
+async function importTodos(text, timeZone, report) {
+  for (const todo of ical.parseTodos(text, { timeZone })) {
+    const dateValue = todo.recurrence
+      ? todo.start || todo.due
+      : todo.due || todo.start;
+    if (
+      !todo.id ||
+      ["completed", "cancelled"].includes(todo.status) ||
+      !dateValue
+    ) {
+      report.todos.skipped++;
+      continue;
+    }
+
+    const toDoData = {
+      title: todo.summary || "Untitled to-do",
+      date: toDate(dateValue, timeZone),
+      iCalUID: todo.id,
+    };
+    if (todo.description) toDoData.description = todo.description;
+    if (todo.priority) toDoData.priority = fromIcsPriority(todo.priority);
+    if (todo.categories.length) {
+      toDoData.tags = todo.categories.map((category) => category.toLowerCase());
+    }
+
+    const [existing] = await tasksData.retrieveToDos({ iCalUID: todo.id });
+    if (existing) {
+      await tasksManager.updateToDo(existing._id, toDoData); // The recurrence of an imported series is kept
+      report.todos.updated++;
+      continue;
+    }
+
+    if (todo.recurrence) {
+      try {
+        toDoData.recurrence = recurrence.parseRecurrenceLines(
+          todo.recurrence,
+          dateValue.timeZone || timeZone
+        );
+      } catch (error) {
+        console.error(
+          `Importing to-do "${toDoData.title}" without its recurrence: ${error.message}`
+        );
+      }
+    }
+    await tasksManager.createToDo(toDoData);
+    report.todos.added++;
+  }
+}
+
+/**
+ * Imports an iCalendar document: VEVENTs into the MongoDB calendar and open VTODOs as to-dos.
+ * Events and to-dos imported before (same UID) are updated instead of duplicated.
+ * @param {string} text iCalendar text.
+ * @param {Object} [options] Import options.
+ * @param {string} [options.timeZone="UTC"] Time zone for floating times and all-day to-dos.
+ * @returns {Promise<Object>} Counts of `events` and `todos` that were `added`, `updated`, `removed` or `skipped`.
+ */
+async function importIcs(text, options = {}) {
+  try {
+    const timeZone = options.timeZone || "UTC";
+    const report = {
+      events: { added: 0, updated: 0, removed: 0, skipped: 0 },
+      todos: { added: 0, updated: 0, skipped: 0 },
+    };
+    await importEvents(text, timeZone, report);
+    await importTodos(text, timeZone, report);
+    return report;
+  } catch (error) {
+    console.error("Error importing iCalendar data:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Imports an .ics file (see `importIcs`).
+ * @param {string} filePath Path of the .ics file.
+ * @param {Object} [options] Import options.
+ * @returns {Promise<Object>} Import report.
+ */
+async function importIcsFile(filePath, options = {}) {
+  try {
+    const text = await fs.readFile(filePath, "utf8");
+    return await importIcs(text, options);
+  } catch (error) {
+    console.error(
+      `Error importing iCalendar file ${filePath}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Checks whether a stored event takes place in a date range.
+ * Recurring events count if one of their occurrences does.
+ * @param {Object} event MongoDB event object.
+ * @param {Date} start Start of the range.
+ * @param {Date} end End of the range.
+ * @param {string} timeZone Time zone of all-day events.
+ * @returns {boolean} True if the event overlaps the range.
+ */
+function overlapsRange(event, start, end, timeZone) {
+  if (!event.start || !event.end) return false;
+  const eventStart = toDate(event.start, timeZone);
+  const eventEnd = toDate(event.end, timeZone);
+  if (eventStart >= end) return false;
+  if (!event.recurrence) return eventEnd > start;
+
+  let rule;
+  try {
+    rule = recurrence.parseRecurrenceLines(
+      event.recurrence,
+      event.start.timeZone || timeZone
+    );
+  } catch (error) {
+    return true; // Unsupported rule: export the series rather than lose it
+  }
+  if (!rule) return eventEnd > start;
+  const occurrenceLength = eventEnd - eventStart;
+  return (
+    recurrence.generateOccurrences(
+      rule,
+      eventStart,
+      new Date(start.getTime() - occurrenceLength), // Occurrences that started before the range
+      end
+    ).length > 0
+  );
+}
+
+/**
+ * Adds the cancelled instances of a series to its EXDATEs, so that they stay cancelled
+ * in the exported document.
+ * @param {Object} event Stored event.
+ * @param {Array<Object>} cancelledInstances Stored cancelled instances of any series.
+ * @param {string} timeZone Time zone of all-day series.
+ * @returns {Object} The event, with a new `recurrence` if it is a series with cancelled instances.
+ */
+function excludeCancelledInstances(event, cancelledInstances, timeZone) {
+  if (!event.recurrence) return event;
+  const seriesIds = [event.googleEventId, event.iCalUID].filter(Boolean);
+  return cancelledInstances
+    .filter((instance) => seriesIds.includes(instance.recurringEventId))
+    .reduce((series, instance) => {
+      const { date, dateTime } = instance.originalStartTime;
+      try {
+        return {
+          ...series,
+          recurrence: recurringEvents.excludeInstance(
+            series,
+            date || dateTime,
+            timeZone
+          ),
+        };
+      } catch (error) {
+        return series; // Not an instance of the series (any longer): nothing to exclude
+      }
+    }, event);
+}
+
+/**
+ * Builds the VEVENT of a scheduled task, to-do or study session.
+ * @param {Object} item Scheduled item with `itemType`.
+ * @returns {Object} Google Calendar-shaped event.
+ */
+function scheduledItemToEvent(item) {
+  const event = {
+    id: `${item.itemType}-${item._id}@${UID_DOMAIN}`,
+    summary: item.title,
+    start: { dateTime: moment.utc(item.scheduledStart).format() },
+    end: { dateTime: moment.utc(item.scheduledEnd).format() },
+  };
+  if (item.description) event.description = item.description;
+  return event;
+}
+
+/**
+ * Builds the VTODO of an open to-do.
+ * @param {Object} toDo To-do.
+ * @returns {Object} To-do shaped like the result of `ical.parseTodos`.
+ */
+function toDoToTodo(toDo) {
+  const dateValue = { dateTime: moment.utc(toDo.date).format() };
+  const todo = {
+    id: toDo.iCalUID || `todo-${toDo._id}@${UID_DOMAIN}`, // Imported to-dos keep their UID
+    summary: toDo.title,
+    due: dateValue,
+    status: toDo.status === "in-progress" ? "in-process" : "needs-action",
+    categories: toDo.tags || [],
+  };
+  if (toDo.description) todo.description = toDo.description;
+  const priority = toIcsPriority(toDo);
+  if (priority) todo.priority = priority;
+  if (toDo.recurrence) {
+    todo.start = dateValue; // RRULE needs a DTSTART
+    todo.recurrence = recurrence.toRecurrenceLines(toDo.recurrence);
+  }
+  return todo;
+}
+
+/**
+ * Exports the calendar events and scheduled items of a date range as an iCalendar document.
+ * Scheduled tasks, to-dos and study sessions are exported as events of their own
+ * (instead of the calendar events they are linked to), with stable UIDs.
+ * @param {Object} range Date range with `start` and `end`.
+ * @param {Object} [options] Export options.
+ * @param {string} [options.timeZone="UTC"] Time zone of all-day events.
+ * @param {boolean} [options.includeScheduledItems=true] Export scheduled tasks, to-dos and study sessions.
+ * @param {boolean} [options.includeTodos=false] Also export open to-dos dated in the range as VTODOs.
+ * @returns {Promise<string>} iCalendar text, usable as a file or feed.
+ */
+async function exportIcs(range, options = {}) {
+  try {
+    const start = new Date(range.start);
+    const end = new Date(range.end);
+    if (isNaN(start) || isNaN(end) || start >= end) {
+      throw new Error("Export range needs a valid start before its end.");
+    }
+    const timeZone = options.timeZone || "UTC";
+
+    let items = [];
+    if (options.includeScheduledItems !== false) {
+      const scheduledQuery = {
+        scheduled: true,
+        scheduledStart: { $lt: end },
+        scheduledEnd: { $gt: start },
+      };
+      const [tasks, toDos, studies] = await Promise.all([
+        tasksData.retrieveTasks(scheduledQuery),
+        tasksData.retrieveToDos(scheduledQuery),
+        tasksData.retrieveStudies(scheduledQuery),
+      ]);
+      items = [tasks, toDos, studies].flatMap((list, index) =>
+        list.map((item) => ({ ...item, itemType: ITEM_TYPES[index] }))
+      );
+    }
+    const linkedEventIds = new Set(
+      items
+        .filter((item) => item.calendarMongoEventId)
+        .map((item) => String(item.calendarMongoEventId))
+    );
+
+    const storedEvents = await mongoCalendar.fetchEvents({
+      deleted: { $ne: true },
+    });
+    const cancelledInstances = storedEvents.filter(
+      (event) =>
+        event.status === "cancelled" &&
+        event.recurringEventId &&
+        event.originalStartTime
+    );
+    const events = storedEvents
+      .filter(
+        (event) =>
+          event.status !== "cancelled" &&
+          !linkedEventIds.has(String(event._id)) &&
+          overlapsRange(event, start, end, timeZone)
+      )
+      .map((event) => ({
+        ...excludeCancelledInstances(event, cancelledInstances, timeZone),
+        id:
+          event.iCalUID || event.googleEventId || `${event._id}@${UID_DOMAIN}`,
+      }));
+
+    let todos = [];
+    if (options.includeTodos) {
+      const toDos = await tasksData.retrieveToDos({ date: { $lt: end } });
+      todos = toDos
+        .filter(
+          (toDo) =>
+            lifecycle.isOpen(toDo) &&
+            (toDo.recurrence
+              ? recurrence.generateOccurrences(
+                  toDo.recurrence,
+                  toDo.date,
+                  start,
+                  end
+                ).length > 0
+              : new Date(toDo.date) >= start)
+        )
+        .map(toDoToTodo);
+    }
+
+    return ical.serializeCalendar({
+      events: [...events, ...items.map(scheduledItemToEvent)],
+      todos,
+    });
+  } catch (error) {
+    console.error("Error exporting iCalendar data:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Exports a date range to an .ics file (see `exportIcs`).
+ * @param {string} filePath Path of the .ics file to write.
+ * @param {Object} range Date range with `start` and `end`.
+ * @param {Object} [options] Export options.
+ * @returns {Promise<string>} Confirmation message.
+ */
+async function exportIcsFile(filePath, range, options = {}) {
+  try {
+    const text = await exportIcs(range, options);
+    await fs.writeFile(filePath, text, "utf8");
+    return `Calendar exported successfully to ${filePath}.`;
+  } catch (error) {
+    console.error(
+      `Error exporting iCalendar file ${filePath}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  importIcs,
+  importIcsFile,
+  exportIcs,
+  exportIcsFile,
+};
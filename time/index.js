@@ -1,28 +1,120 @@
 // time/index.js
 
-const googleCalendar = require("./google_calendar");
+const { ObjectId } = require("mongodb");
+const calendarProvider = require("./calendar_provider");
+const calendars = require("./calendars");
 const mongoCalendar = require("./mongo_calendar");
-const config = require("../config");
+const routineProfile = require("./routine_profile");
+const intervals = require("./intervals");
+const syncConflicts = require("./sync_conflicts");
+const recurringEvents = require("./recurring_events");
+const meetingFinder = require("./meeting_finder");
+const weekTemplates = require("./week_templates");
+const watchChannels = require("./watch_channels");
+const webhookReceiver = require("./webhook_receiver");
+const googleAuth = require("./google_auth");
 
 /**
- * Synchronizes events between Google Calendar and MongoDB.
- * @returns {Promise<void>}
+ * Lists the calendar changes since the last sync. Falls back from the sync token
+ * to `updatedMin`, and from there to a full listing, when the provider no longer accepts them.
+ * @param {Object} provider Calendar provider.
+ * @param {Object} auth Authentication context returned by the provider.
+ * @param {string} calendarId ID of the calendar to sync.
+ * @param {Object|null} state Stored sync state (`syncToken`, `lastSyncedAt`).
+ * @returns {Promise<Object>} Sync `mode` ("incremental", "updatedMin" or "full"), changed `events`, `nextSyncToken`
+ * and whether the provider listed every event anyway (`complete`).
  */
-async function syncEvents() {
-  try {
-    // Authenticate with Google Calendar API
-    const auth = await googleCalendar.authenticate();
+async function listProviderChanges(provider, auth, calendarId, state) {
+  const attempts = [];
+  if (state && state.syncToken) {
+    attempts.push({
+      mode: "incremental",
+      options: { syncToken: state.syncToken },
+    });
+  }
+  if (state && state.lastSyncedAt) {
+    attempts.push({
+      mode: "updatedMin",
+      options: { updatedMin: new Date(state.lastSyncedAt) },
+    });
+  }
+  attempts.push({ mode: "full", options: {} });
 
-    // Fetch events from Google Calendar
-    const googleEvents = await googleCalendar.fetchEvents(
-      auth,
-      config.google.calendarId,
-      new Date(), // Start time: today
-      new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // End time: 7 days from now
+  for (const attempt of attempts) {
+    try {
+      const changes = await provider.listEventChanges(
+        auth,
+        calendarId,
+        attempt.options
+      );
+      return { mode: attempt.mode, ...changes };
+    } catch (error) {
+      if (!error.syncTokenExpired || attempt.mode === "full") throw error;
+      console.log(`Calendar rejected the ${attempt.mode} sync, falling back.`);
+    }
+  }
+}
+
+/**
+ * Synchronizes events between the calendar provider (Google Calendar by default) and MongoDB.
+ * In sync policies and reports, "google" stands for the provider's side, whatever the provider.
+ *
+ * Only the Google events that changed since the last sync are fetched (using the stored
+ * sync token). Cancelled Google events are removed from MongoDB, except cancelled instances
+ * of a series, which are kept so that the series leaves them out. Local changes (events
+ * without a Google event, edited with `updateLocalEvent` or marked as deleted) are pushed
+ * to Google Calendar. An event changed on both sides is a conflict, settled by the
+ * conflict policy or queued for `resolveConflict` under the "manual" policy.
+ *
+ * Only the MongoDB events of this calendar take part; events stored without a `calendarId`
+ * (before calendars could be registered) belong to the provider's configured calendar.
+ *
+ * The MongoDB connection is shared with the other calendar functions and left open;
+ * close it with `closeConnection` once done (`stopPushSync` does so).
+ * @param {string} [calendarId] ID of the calendar to sync (defaults to the provider's configured calendar).
+ * @param {Object} [options] Sync options.
+ * @param {string} [options.provider] Calendar provider name (defaults to the registered calendar's provider,
+ * else `config.calendar.provider`, else "google").
+ * @param {string} [options.conflictPolicy] "google", "local", "newest" or "manual" (defaults to `config.sync.conflictPolicy`, else "newest").
+ * @returns {Promise<Object>} Sync report: `mode`, the events `added`, `updated` and `removed` in MongoDB (`local`)
+ * and in Google Calendar (`google`), and the `conflicts` queued for manual resolution.
+ */
+async function syncEvents(calendarId, options = {}) {
+  const startedAt = new Date(); // Changes made during the sync are picked up next time
+  const report = {
+    mode: null,
+    local: { added: [], updated: [], removed: [] },
+    google: { added: [], updated: [], removed: [] },
+    conflicts: [],
+  };
+  try {
+    const policy = syncConflicts.getConflictPolicy(options.conflictPolicy);
+    const calendar = await calendars.resolveCalendar(calendarId);
+    const provider = calendarProvider.getProvider(
+      options.provider || calendar.provider
     );
+    calendarId = calendar.calendarId;
+
+    // Authenticate with the calendar provider
+    const auth = await provider.authenticate();
 
-    // Fetch events from MongoDB
-    const mongoEvents = await mongoCalendar.fetchEvents({});
+    // Fetch the Google Calendar changes since the last sync
+    const state = await mongoCalendar.getSyncState(calendarId);
+    const {
+      mode,
+      events: googleEvents,
+      nextSyncToken,
+      complete,
+    } = await listProviderChanges(provider, auth, calendarId, state);
+    report.mode = mode;
+
+    // Fetch this calendar's events from MongoDB
+    const mongoEvents = await mongoCalendar.fetchEvents({
+      calendarId:
+        calendarId === provider.defaultCalendarId()
+          ? { $in: [calendarId, null] } // Also matches events without a calendarId
+          : calendarId,
+    });
 
     // Map events by Google Event ID for quick lookup
     const mongoEventsMap = new Map();
@@ -32,55 +124,353 @@ async function syncEvents() {
       }
     });
 
+    // A full listing contains every live event: linked events missing from it are gone from Google
+    if (mode === "full" || complete) {
+      const listedIds = new Set(googleEvents.map((event) => event.id));
+      for (const mongoEvent of mongoEvents) {
+        if (
+          mongoEvent.googleEventId &&
+          !listedIds.has(mongoEvent.googleEventId)
+        ) {
+          googleEvents.push({
+            id: mongoEvent.googleEventId,
+            status: "cancelled",
+          });
+        }
+      }
+    }
+
+    const handled = new Set(); // MongoDB events already taken care of in this sync
+    const record = (target, change, googleEventId, summary) =>
+      report[target][change].push({ googleEventId, summary });
+
     // Sync from Google Calendar to MongoDB
     for (const googleEvent of googleEvents) {
       const mongoEvent = mongoEventsMap.get(googleEvent.id);
+      const cancelled = googleEvent.status === "cancelled";
+      // A cancelled instance of a series is stored like a modified one: expanding the
+      // series leaves the instance out only while its exception is kept
+      const removed = cancelled && !googleEvent.recurringEventId;
+
       if (!mongoEvent) {
+        if (removed) continue;
         // Event exists in Google Calendar but not in MongoDB - add to MongoDB
         console.log(`Adding event "${googleEvent.summary}" to MongoDB.`);
         await mongoCalendar.insertEvent({
-          ...googleEvent,
-          googleEventId: googleEvent.id,
+          ...syncConflicts.fromGoogle(googleEvent),
+          calendarId,
         });
-      } else {
-        // Event exists in both, check for differences
-        if (hasEventChanged(googleEvent, mongoEvent)) {
-          console.log(`Updating event "${googleEvent.summary}" in MongoDB.`);
-          await mongoCalendar.updateEvent(mongoEvent._id, {
-            ...googleEvent,
+        record(
+          "local",
+          cancelled ? "removed" : "added",
+          googleEvent.id,
+          googleEvent.summary
+        );
+        continue;
+      }
+
+      handled.add(String(mongoEvent._id));
+      if (cancelled && mongoEvent.deleted) {
+        // Deleted on both sides - just purge the tombstone
+        await mongoCalendar.deleteEvent(mongoEvent._id);
+      } else if (syncConflicts.hasLocalChanges(mongoEvent)) {
+        if (mongoEvent.etag === googleEvent.etag) {
+          handled.delete(String(mongoEvent._id)); // Unchanged in Google; pushed below
+          continue;
+        }
+        // Event changed on both sides
+        console.log(`Conflicting changes to event "${mongoEvent.summary}".`);
+        const outcome = await syncConflicts.handleConflict(
+          provider,
+          auth,
+          calendarId,
+          policy,
+          mongoEvent,
+          googleEvent
+        );
+        if (outcome.conflictId) {
+          report.conflicts.push({
+            conflictId: outcome.conflictId,
             googleEventId: googleEvent.id,
+            summary: mongoEvent.summary,
           });
+        } else {
+          record(
+            outcome.target,
+            outcome.change,
+            googleEvent.id,
+            googleEvent.summary || mongoEvent.summary
+          );
         }
+      } else if (removed) {
+        // Event was deleted in Google Calendar - remove from MongoDB
+        console.log(`Removing event "${mongoEvent.summary}" from MongoDB.`);
+        await mongoCalendar.deleteEvent(mongoEvent._id);
+        record("local", "removed", googleEvent.id, mongoEvent.summary);
+      } else if (
+        mongoEvent.etag !== googleEvent.etag ||
+        hasEventChanged(googleEvent, mongoEvent)
+      ) {
+        // Event exists in both, and changed in Google Calendar
+        console.log(`Updating event "${googleEvent.summary}" in MongoDB.`);
+        await syncConflicts.storeGoogleVersion(mongoEvent, googleEvent);
+        record("local", "updated", googleEvent.id, googleEvent.summary);
       }
     }
 
     // Sync from MongoDB to Google Calendar
     for (const mongoEvent of mongoEvents) {
-      if (!mongoEvent.googleEventId) continue; // Skip if no linked Google Event ID
-      const googleEvent = googleEvents.find(
-        (event) => event.id === mongoEvent.googleEventId
-      );
-      if (!googleEvent) {
-        // Event exists in MongoDB but not in Google Calendar - add to Google Calendar
+      if (handled.has(String(mongoEvent._id)) || mongoEvent.syncConflictId) {
+        continue;
+      }
+
+      if (mongoEvent.deleted) {
+        // Event was deleted locally - remove from Google Calendar, then purge the tombstone
+        if (mongoEvent.googleEventId) {
+          console.log(
+            `Removing event "${mongoEvent.summary}" from Google Calendar.`
+          );
+          await provider.deleteEventIfExists(
+            auth,
+            calendarId,
+            mongoEvent.googleEventId
+          );
+          record(
+            "google",
+            "removed",
+            mongoEvent.googleEventId,
+            mongoEvent.summary
+          );
+        }
+        await mongoCalendar.deleteEvent(mongoEvent._id);
+      } else if (!mongoEvent.googleEventId) {
+        // Event only exists in MongoDB - add to Google Calendar
         console.log(`Adding event "${mongoEvent.summary}" to Google Calendar.`);
-        const newGoogleEvent = await googleCalendar.createEvent(
+        const newGoogleEvent = await provider.createEvent(
           auth,
-          config.google.calendarId,
-          mongoEvent
+          calendarId,
+          syncConflicts.toGoogle(mongoEvent)
         );
         // Update MongoDB with new Google Event ID
-        await mongoCalendar.updateEvent(mongoEvent._id, {
-          ...mongoEvent,
-          googleEventId: newGoogleEvent.id,
-        });
+        await syncConflicts.storeGoogleVersion(mongoEvent, newGoogleEvent);
+        record("google", "added", newGoogleEvent.id, mongoEvent.summary);
+      } else if (mongoEvent.localUpdatedAt) {
+        // Event was edited locally - update in Google Calendar
+        console.log(
+          `Updating event "${mongoEvent.summary}" in Google Calendar.`
+        );
+        const updatedGoogleEvent = await provider.updateEvent(
+          auth,
+          calendarId,
+          mongoEvent.googleEventId,
+          syncConflicts.toGoogle(mongoEvent)
+        );
+        await syncConflicts.storeGoogleVersion(mongoEvent, updatedGoogleEvent);
+        record(
+          "google",
+          "updated",
+          mongoEvent.googleEventId,
+          mongoEvent.summary
+        );
       }
     }
+
+    await mongoCalendar.saveSyncState(calendarId, {
+      syncToken: nextSyncToken,
+      lastSyncedAt: startedAt,
+    });
+    return report;
   } catch (error) {
     console.error("Error during synchronization:", error.message);
-  } finally {
-    // Close MongoDB connection
-    await mongoCalendar.closeConnection();
+    throw error;
+  }
+}
+
+/**
+ * Synchronizes every registered calendar (or the configured calendar if none is registered).
+ * @param {Object} [options] Sync options passed on to `syncEvents` (`conflictPolicy`).
+ * @returns {Promise<Object>} Sync report of each calendar, by calendar name.
+ */
+async function syncAllCalendars(options = {}) {
+  const reports = {};
+  for (const calendar of await calendars.loadCalendars()) {
+    reports[calendar.name] = await syncEvents(calendar.calendarId, {
+      ...options,
+      provider: calendar.provider,
+    });
   }
+  return reports;
+}
+
+// Calendars waiting for a sync triggered by a change notification. Syncs run one at a
+// time, and a calendar that changes again while waiting is synced only once.
+const pendingSyncs = new Set();
+let syncQueue = null;
+let renewalTimer = null;
+
+/**
+ * Queues an incremental sync of a calendar and starts working through the queue.
+ * @param {string} calendarId ID of the calendar that changed.
+ * @returns {Promise<void>} Resolves once the queue is empty.
+ */
+function requestSync(calendarId) {
+  pendingSyncs.add(calendarId);
+  if (!syncQueue) {
+    syncQueue = (async () => {
+      while (pendingSyncs.size) {
+        const [nextId] = pendingSyncs;
+        pendingSyncs.delete(nextId);
+        try {
+          const calendar = await calendars.resolveCalendar(nextId);
+          await syncEvents(nextId, { provider: calendar.provider });
+        } catch (error) {
+          console.error(
+            `Error syncing calendar ${nextId} after a change notification:`,
+            error.message
+          );
+        }
+      }
+      syncQueue = null;
+    })();
+  }
+  return syncQueue;
+}
+
+/**
+ * Handles a push notification received by the webhook receiver: notifications with a
+ * valid channel token trigger an incremental sync of the channel's calendar.
+ * @param {Object} headers Request headers, with lower-case names.
+ * @returns {Promise<number>} HTTP status to answer with.
+ */
+async function handlePushNotification(headers) {
+  const result = await watchChannels.verifyNotification(headers);
+  if (!result.valid) {
+    console.error(`Rejected push notification: ${result.reason}`);
+    return result.status;
+  }
+  if (result.changed) {
+    requestSync(result.channel.calendarId); // Answer right away; the sync runs in the background
+  }
+  return result.status;
+}
+
+/**
+ * Watches every registered calendar (or the configured calendar) for changes, keeping
+ * stored channels that are not about to expire.
+ * @returns {Promise<Array<Object>>} Active channels.
+ */
+async function watchCalendars() {
+  try {
+    const active = [];
+    for (const calendar of await calendars.loadCalendars()) {
+      const existing = await watchChannels.findCalendarChannel(
+        calendar.calendarId
+      );
+      active.push(
+        existing ||
+          (await watchChannels.watchCalendar(calendar, () =>
+            requestSync(calendar.calendarId)
+          ))
+      );
+    }
+    return active;
+  } catch (error) {
+    console.error("Error watching calendars:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replaces the channels that expire soon with new ones, then stops the old ones.
+ * @returns {Promise<number>} Number of renewed channels.
+ */
+async function renewWatchChannels() {
+  try {
+    const expiring = await watchChannels.getExpiringChannels();
+    for (const channel of expiring) {
+      const calendar = await calendars.resolveCalendar(channel.calendarId);
+      await watchChannels.watchCalendar(calendar, () =>
+        requestSync(calendar.calendarId)
+      );
+      await watchChannels.stopChannel(channel);
+    }
+    return expiring.length;
+  } catch (error) {
+    console.error("Error renewing watch channels:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Keeps MongoDB in sync as calendars change: starts the webhook receiver, watches every
+ * calendar, syncs them once, and renews channels before they expire.
+ * @param {Object} [options] Options of the receiver (`port`, `host`, `path`; default to
+ * `config.google.webhook`), plus `renewIntervalMinutes` (default 30).
+ * @returns {Promise<Array<Object>>} Active channels.
+ */
+async function startPushSync(options = {}) {
+  try {
+    const settings = watchChannels.getWebhookSettings();
+    await webhookReceiver.startWebhookReceiver({
+      port: options.port || settings.port,
+      host: options.host || settings.host,
+      path: options.path || settings.path,
+      onNotification: handlePushNotification,
+    });
+    const active = await watchCalendars();
+    // Through the queue, so that a notification arriving meanwhile waits for the first sync
+    const watched = await calendars.loadCalendars();
+    await Promise.all(
+      watched.map((calendar) => requestSync(calendar.calendarId))
+    );
+
+    renewalTimer = setInterval(
+      () => renewWatchChannels().catch(() => {}), // Logged by renewWatchChannels
+      (options.renewIntervalMinutes || 30) * 60 * 1000
+    );
+    return active;
+  } catch (error) {
+    console.error("Error starting push sync:", error.message);
+    await stopPushSync();
+    throw error;
+  }
+}
+
+/**
+ * Stops receiving push notifications. In-process channels are stopped; channels stored
+ * with the provider are kept so that a restarted receiver picks them up, unless
+ * `stopChannels` is given. Syncs still queued are dropped; once the running one is done,
+ * the MongoDB connection is closed.
+ * @param {Object} [options]
+ * @param {boolean} [options.stopChannels=false] Also stop every channel.
+ * @returns {Promise<void>}
+ */
+async function stopPushSync(options = {}) {
+  clearInterval(renewalTimer);
+  renewalTimer = null;
+  await webhookReceiver.stopWebhookReceiver();
+  const channels = await watchChannels.listChannels();
+  for (const channel of channels) {
+    if (options.stopChannels || !channel.resourceId) {
+      await watchChannels.stopChannel(channel);
+    }
+  }
+  pendingSyncs.clear();
+  await syncQueue;
+  await mongoCalendar.closeConnection();
+}
+
+/**
+ * Looks up the calendar a MongoDB event belongs to.
+ * @param {ObjectId | string} mongoEventId MongoDB event ID.
+ * @returns {Promise<Object>} Calendar settings (the configured calendar for events without a `calendarId`).
+ */
+async function findEventCalendar(mongoEventId) {
+  const [mongoEvent] = await mongoCalendar.fetchEvents({
+    _id:
+      typeof mongoEventId === "string" ? ObjectId(mongoEventId) : mongoEventId,
+  });
+  return calendars.resolveCalendar(mongoEvent && mongoEvent.calendarId);
 }
 
 /**
@@ -90,36 +480,110 @@ async function syncEvents() {
  * @returns {boolean} True if events differ, false otherwise.
  */
 function hasEventChanged(googleEvent, mongoEvent) {
-  // Implement a thorough comparison of relevant fields
+  const start = (event) => event.start || {};
+  const end = (event) => event.end || {};
   return (
     googleEvent.summary !== mongoEvent.summary ||
-    googleEvent.start.dateTime !== mongoEvent.start.dateTime ||
-    googleEvent.end.dateTime !== mongoEvent.end.dateTime ||
-    googleEvent.description !== mongoEvent.description
+    start(googleEvent).dateTime !== start(mongoEvent).dateTime ||
+    start(googleEvent).date !== start(mongoEvent).date || // All-day events
+    end(googleEvent).dateTime !== end(mongoEvent).dateTime ||
+    end(googleEvent).date !== end(mongoEvent).date ||
+    googleEvent.description !== mongoEvent.description ||
+    googleEvent.location !== mongoEvent.location ||
+    JSON.stringify(googleEvent.recurrence) !==
+      JSON.stringify(mongoEvent.recurrence)
   );
 }
 
+/**
+ * Fetches events from the calendar provider (Google Calendar by default) within a time range.
+ * @param {string} calendarId ID of the calendar to fetch events from (defaults to the configured calendar).
+ * @param {Date} startTime Start time for the event range.
+ * @param {Date} endTime End time for the event range.
+ * @returns {Promise<Array<Object>>} Array of events.
+ */
+async function fetchEvents(calendarId, startTime, endTime) {
+  try {
+    // Authenticate with the calendar's provider
+    const calendar = await calendars.resolveCalendar(calendarId);
+    const provider = calendarProvider.getProvider(calendar.provider);
+    const auth = await provider.authenticate();
+
+    return await provider.fetchEvents(
+      auth,
+      calendar.calendarId,
+      startTime,
+      endTime
+    );
+  } catch (error) {
+    console.error("Error fetching events:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetches the events of every calendar marked as busy within a time range,
+ * e.g. to calculate free time.
+ * @param {Date} startTime Start time for the event range.
+ * @param {Date} endTime End time for the event range.
+ * @returns {Promise<Array<Object>>} Events of all busy calendars, each with its `calendarId`.
+ */
+async function fetchBusyEvents(startTime, endTime) {
+  try {
+    const authByProvider = new Map(); // Authenticate once per provider
+    const events = [];
+    for (const calendar of await calendars.getBusyCalendars()) {
+      const provider = calendarProvider.getProvider(calendar.provider);
+      if (!authByProvider.has(provider.name)) {
+        authByProvider.set(provider.name, await provider.authenticate());
+      }
+      const calendarEvents = await provider.fetchEvents(
+        authByProvider.get(provider.name),
+        calendar.calendarId,
+        startTime,
+        endTime
+      );
+      events.push(
+        ...calendarEvents.map((event) => ({
+          ...event,
+          calendarId: calendar.calendarId,
+        }))
+      );
+    }
+    return events;
+  } catch (error) {
+    console.error("Error fetching busy events:", error.message);
+    throw error;
+  }
+}
+
 /**
  * Inserts a new event into both Google Calendar and MongoDB.
  * @param {Object} eventData Event details (including metadata).
+ * @param {Object} [calendar] Calendar to insert into, as returned by `getCalendarForItem` (defaults to the default calendar).
  * @returns {Promise<Object>} Created event object (with IDs from both sources).
  */
-async function insertEvent(eventData) {
+async function insertEvent(eventData, calendar) {
   try {
-    // Authenticate with Google Calendar API
-    const auth = await googleCalendar.authenticate();
+    // Authenticate with the calendar's provider
+    const target = calendar || (await calendars.getDefaultCalendar());
+    const provider = calendarProvider.getProvider(target.provider);
+    const auth = await provider.authenticate();
 
-    // Insert into Google Calendar
-    const googleEvent = await googleCalendar.createEvent(
+    // Insert into the calendar
+    const googleEvent = await provider.createEvent(
       auth,
-      config.google.calendarId,
+      target.calendarId,
       eventData
     );
 
     // Insert into MongoDB, linking with Google Calendar event ID
     const mongoEventId = await mongoCalendar.insertEvent({
       ...eventData,
+      calendarId: target.calendarId,
       googleEventId: googleEvent.id,
+      etag: googleEvent.etag, // Lets the next sync tell Google-side edits apart
+      updated: googleEvent.updated,
     });
 
     // Return combined event object
@@ -142,22 +606,26 @@ async function insertEvent(eventData) {
  */
 async function updateEvent(googleEventId, mongoEventId, eventData) {
   try {
-    // Authenticate with Google Calendar API
-    const auth = await googleCalendar.authenticate();
+    // Authenticate with the provider of the event's calendar
+    const calendar = await findEventCalendar(mongoEventId);
+    const provider = calendarProvider.getProvider(calendar.provider);
+    const auth = await provider.authenticate();
 
-    // Update in Google Calendar
-    const googleEvent = await googleCalendar.updateEvent(
+    // Update in the calendar
+    const googleEvent = await provider.updateEvent(
       auth,
-      config.google.calendarId,
+      calendar.calendarId,
       googleEventId,
       eventData
     );
 
     // Update in MongoDB
-    const mongoUpdateResult = await mongoCalendar.updateEvent(
-      mongoEventId,
-      eventData
-    );
+    const mongoUpdateResult = await mongoCalendar.updateEvent(mongoEventId, {
+      ...eventData,
+      etag: googleEvent.etag,
+      updated: googleEvent.updated,
+      localUpdatedAt: null,
+    });
 
     // Return updated event object (you might want to combine data from both sources)
     return {
@@ -172,22 +640,42 @@ async function updateEvent(googleEventId, mongoEventId, eventData) {
 
 /**
  * Deletes an event from both Google Calendar and MongoDB.
+ * If Google Calendar cannot be reached (a network or temporary server error), the MongoDB
+ * event is only marked as deleted and the next sync completes the deletion.
  * @param {string} googleEventId Google Calendar event ID.
  * @param {string} mongoEventId MongoDB event ID.
  * @returns {Promise<void>}
+ * @throws {Error} If the calendar refused the deletion (the event is kept).
  */
 async function deleteEvent(googleEventId, mongoEventId) {
   try {
-    // Authenticate with Google Calendar API
-    const auth = await googleCalendar.authenticate();
+    // Authenticate with the provider of the event's calendar
+    const calendar = await findEventCalendar(mongoEventId);
+    const provider = calendarProvider.getProvider(calendar.provider);
+    const auth = await provider.authenticate();
 
-    // Delete from Google Calendar
-    await googleCalendar.deleteEvent(
-      auth,
-      config.google.calendarId,
-      googleEventId
+    // Delete from the calendar
+    if (googleEventId) {
+      await provider.deleteEventIfExists(
+        auth,
+        calendar.calendarId,
+        googleEventId
+      );
+    }
+  } catch (error) {
+    if (!calendarProvider.isTransientError(error)) {
+      console.error("Error deleting event:", error.message);
+      throw error;
+    }
+    console.error(
+      "Error deleting event from Google Calendar, deferring to the next sync:",
+      error.message
     );
+    await mongoCalendar.markEventDeleted(mongoEventId);
+    return;
+  }
 
+  try {
     // Delete from MongoDB
     await mongoCalendar.deleteEvent(mongoEventId);
   } catch (error) {
@@ -197,52 +685,416 @@ async function deleteEvent(googleEventId, mongoEventId) {
 }
 
 /**
- * Calculates free time intervals based on events and routines.
- * @param {Array<Object>} events Array of events.
- * @returns {Array<Object>} Array of free time intervals.
+ * Books a meeting slot (e.g. one returned by `findMeetingTime`) as an event with the participants as attendees.
+ * @param {Object} slot Slot with `start` and `end`.
+ * @param {Array<Object|string>} participants Participants as passed to `findMeetingTime`.
+ * @param {Object} [eventData] Other event details (e.g. `summary`, `description`, `location`).
+ * @param {Object} [calendar] Calendar to book into (defaults to the default calendar).
+ * @returns {Promise<Object>} Created event object (with IDs from both sources).
  */
-function calculateFreeTimeIntervals(events) {
-  // 1. Sort events by start time
-  events.sort(
-    (a, b) => new Date(a.start.dateTime) - new Date(b.start.dateTime)
-  );
+async function bookMeeting(slot, participants, eventData = {}, calendar) {
+  try {
+    return await insertEvent(
+      {
+        ...eventData,
+        start: { dateTime: new Date(slot.start).toISOString() },
+        end: { dateTime: new Date(slot.end).toISOString() },
+        attendees: [
+          ...(eventData.attendees || []),
+          ...meetingFinder.toAttendees(participants),
+        ],
+      },
+      calendar
+    );
+  } catch (error) {
+    console.error("Error booking meeting:", error.message);
+    throw error;
+  }
+}
 
-  // 2. Initialize free time intervals
-  const freeTimeIntervals = [];
-  let currentFreeTimeStart = new Date(); // Start of the day
+/**
+ * Lists the events stored in MongoDB that take place in a range, with recurring
+ * events expanded into their instances.
+ * @param {Date} startTime Start of the range.
+ * @param {Date} endTime End of the range.
+ * @param {Object} [options] Listing options.
+ * @param {string} [options.calendarId] Only list the events of this calendar.
+ * @param {string} [options.timeZone] Time zone of all-day events (defaults to the routine profile's).
+ * @returns {Promise<Array<Object>>} Events and instances; instances carry `recurringEventId`,
+ * `originalStartTime` and the `recurringMongoEventId` of their series.
+ */
+async function listEventInstances(startTime, endTime, options = {}) {
+  try {
+    const timeZone =
+      options.timeZone || (await routineProfile.getRoutineProfile()).timeZone;
+    const query = { deleted: { $ne: true } };
+    if (options.calendarId) query.calendarId = options.calendarId;
+    const events = await mongoCalendar.fetchEvents(query);
+    return recurringEvents.expandEvents(events, startTime, endTime, timeZone);
+  } catch (error) {
+    console.error("Error listing event instances:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Loads a recurring event (series master) from MongoDB for editing.
+ * @param {ObjectId | string} mongoEventId MongoDB ID of the series.
+ * @returns {Promise<Object>} Series master.
+ * @throws {Error} If the event does not exist or is not recurring.
+ */
+async function loadSeries(mongoEventId) {
+  const [master] = await mongoCalendar.fetchEvents({
+    _id:
+      typeof mongoEventId === "string" ? ObjectId(mongoEventId) : mongoEventId,
+  });
+  if (!master || master.deleted) {
+    throw new Error(`Event with ID ${mongoEventId} not found.`);
+  }
+  if (!master.recurrence) {
+    throw new Error(`Event with ID ${mongoEventId} is not a recurring event.`);
+  }
+  return master;
+}
+
+/**
+ * Saves a changed series master in both stores (only in MongoDB until a series created
+ * locally has been synced).
+ * @param {Object} master Series master as stored in MongoDB.
+ * @param {Object} changes Changed fields.
+ * @returns {Promise<void>}
+ */
+async function saveSeries(master, changes) {
+  if (!master.googleEventId) {
+    await mongoCalendar.updateLocalEvent(master._id, changes);
+    return;
+  }
+  // Providers replace the whole event, so send the full series
+  await updateEvent(master.googleEventId, master._id, {
+    ...syncConflicts.toGoogle(master),
+    ...changes,
+  });
+}
 
-  // 3. Iterate through events and find free time intervals
-  for (const event of events) {
-    const eventStart = new Date(event.start.dateTime);
-    const eventEnd = new Date(event.end.dateTime);
+/**
+ * Checks the scope of an edit to a recurring event.
+ * @param {string} scope Edit scope.
+ * @throws {Error} If the scope is unknown.
+ */
+function validateEditScope(scope) {
+  if (!recurringEvents.EDIT_SCOPES.includes(scope)) {
+    throw new Error(
+      `Edit scope must be one of: ${recurringEvents.EDIT_SCOPES.join(", ")}.`
+    );
+  }
+}
+
+/**
+ * Edits a recurring event in both the calendar and MongoDB: a single instance ("this"),
+ * an instance and every later one ("following"), or the whole series ("all").
+ * A single instance is split off the series as an event of its own (the series gets an
+ * EXDATE); "following" ends the series before the instance and starts a new series there.
+ * @param {ObjectId | string} mongoEventId MongoDB ID of the series.
+ * @param {Date|string} instanceStart Original start of the instance ("YYYY-MM-DD" for all-day series).
+ * @param {Object} eventData Changed fields (e.g. `summary`, or `start` and `end` of the instance).
+ * @param {string} [scope="this"] "this", "following" or "all".
+ * @returns {Promise<Object>} MongoDB and Google IDs of the event created by the edit, if any.
+ */
+async function updateEventInstance(
+  mongoEventId,
+  instanceStart,
+  eventData,
+  scope = "this"
+) {
+  try {
+    validateEditScope(scope);
+    const master = await loadSeries(mongoEventId);
+    const calendar = await calendars.resolveCalendar(master.calendarId);
+    const { timeZone } = await routineProfile.getRoutineProfile();
+
+    if (scope === "all") {
+      await saveSeries(master, eventData);
+      return {};
+    }
 
-    if (eventStart > currentFreeTimeStart) {
-      freeTimeIntervals.push({
-        start: currentFreeTimeStart,
-        end: eventStart,
+    if (scope === "this") {
+      const { occurrenceStart } = recurringEvents.locateInstance(
+        master,
+        instanceStart,
+        timeZone
+      );
+      await saveSeries(master, {
+        recurrence: recurringEvents.excludeInstance(
+          master,
+          instanceStart,
+          timeZone
+        ),
+      });
+      return await insertEvent(
+        {
+          ...recurringEvents.copySeriesFields(master),
+          ...recurringEvents.instanceTimes(master, occurrenceStart, timeZone),
+          ...eventData,
+        },
+        calendar
+      );
+    }
+
+    const { before, after, start, end } = recurringEvents.splitSeries(
+      master,
+      instanceStart,
+      timeZone
+    );
+    if (!before) {
+      // The first instance: the whole series changes
+      await saveSeries(master, eventData);
+      return {};
+    }
+    await saveSeries(master, { recurrence: before });
+    return await insertEvent(
+      {
+        ...recurringEvents.copySeriesFields(master),
+        start,
+        end,
+        recurrence: after,
+        ...eventData,
+      },
+      calendar
+    );
+  } catch (error) {
+    console.error(
+      `Error updating recurring event with ID ${mongoEventId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Deletes a recurring event from both the calendar and MongoDB: a single instance ("this"),
+ * an instance and every later one ("following"), or the whole series ("all").
+ * @param {ObjectId | string} mongoEventId MongoDB ID of the series.
+ * @param {Date|string} instanceStart Original start of the instance ("YYYY-MM-DD" for all-day series).
+ * @param {string} [scope="this"] "this", "following" or "all".
+ * @returns {Promise<void>}
+ */
+async function deleteEventInstance(
+  mongoEventId,
+  instanceStart,
+  scope = "this"
+) {
+  try {
+    validateEditScope(scope);
+    const master = await loadSeries(mongoEventId);
+    const { timeZone } = await routineProfile.getRoutineProfile();
+
+    let before = null;
+    if (scope === "this") {
+      before = recurringEvents.excludeInstance(master, instanceStart, timeZone);
+    } else if (scope === "following") {
+      ({ before } = recurringEvents.splitSeries(
+        master,
+        instanceStart,
+        timeZone
+      ));
+    }
+    if (before) {
+      await saveSeries(master, { recurrence: before });
+      return;
+    }
+
+    // The whole series: drop its modified instances too (imported ones refer to its iCalUID)
+    const seriesIds = [master.googleEventId, master.iCalUID].filter(Boolean);
+    if (seriesIds.length) {
+      const modifiedInstances = await mongoCalendar.fetchEvents({
+        recurringEventId: { $in: seriesIds },
       });
+      for (const instance of modifiedInstances) {
+        await mongoCalendar.deleteEvent(instance._id);
+      }
+    }
+    await deleteEvent(master.googleEventId, master._id);
+  } catch (error) {
+    console.error(
+      `Error deleting recurring event with ID ${mongoEventId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Stamps a week template onto a range: every block of the template becomes an event
+ * (free, so items can be scheduled into it) marked with its block type. Blocks stamped
+ * from the same template before are not created twice.
+ * @param {string} name Name of the week template.
+ * @param {Object} range Range with `start` and `end` (dates or ISO strings).
+ * @param {Object} [options] Stamping options.
+ * @param {string} [options.calendarId] Calendar to stamp onto (defaults to the default calendar).
+ * @param {string} [options.timeZone] Time zone of the block times (defaults to the template's, else the routine profile's).
+ * @returns {Promise<Object>} Counts of `created` and `skipped` blocks.
+ */
+async function applyWeekTemplate(name, range, options = {}) {
+  try {
+    const template = await weekTemplates.getWeekTemplate(name);
+    const timeZone =
+      options.timeZone ||
+      template.timeZone ||
+      (await routineProfile.getRoutineProfile()).timeZone;
+    const calendar = options.calendarId
+      ? await calendars.resolveCalendar(options.calendarId)
+      : await calendars.getDefaultCalendar();
+
+    const stamped = await mongoCalendar.fetchEvents({
+      [`extendedProperties.private.${weekTemplates.TEMPLATE_PROPERTY}`]: name,
+      calendarId: calendar.calendarId,
+      deleted: { $ne: true },
+    });
+    const stampedKeys = new Set(
+      stamped.map(
+        (event) =>
+          `${weekTemplates.getBlockType(event)}|${new Date(
+            event.start.dateTime
+          ).getTime()}`
+      )
+    );
+
+    const counts = { created: 0, skipped: 0 };
+    const blockEvents = weekTemplates.buildBlockEvents(
+      template,
+      { start: new Date(range.start), end: new Date(range.end) },
+      timeZone
+    );
+    for (const event of blockEvents) {
+      const key = `${weekTemplates.getBlockType(event)}|${new Date(
+        event.start.dateTime
+      ).getTime()}`;
+      if (stampedKeys.has(key)) {
+        counts.skipped++;
+        continue;
+      }
+      await insertEvent(event, calendar);
+      counts.created++;
     }
+    return counts;
+  } catch (error) {
+    console.error(`Error applying week template "${name}": ${error.message}`);
+    throw error;
+  }
+}
 
-    currentFreeTimeStart = eventEnd;
+/**
+ * Lists the focus blocks (events stamped from week templates) in a range.
+ * @param {Date} startTime Start of the range.
+ * @param {Date} endTime End of the range.
+ * @param {Object} [options] Options of `listEventInstances`.
+ * @returns {Promise<Array<Object>>} Blocks with `blockType`, `title`, `start` and `end` (Dates), by start time.
+ */
+async function listFocusBlocks(startTime, endTime, options = {}) {
+  try {
+    const timeZone =
+      options.timeZone || (await routineProfile.getRoutineProfile()).timeZone;
+    const events = await listEventInstances(startTime, endTime, {
+      ...options,
+      timeZone,
+    });
+    return events
+      .filter((event) => weekTemplates.getBlockType(event))
+      .map((event) => ({
+        blockType: weekTemplates.getBlockType(event),
+        title: event.summary,
+        ...recurringEvents.getEventBounds(event, timeZone),
+      }));
+  } catch (error) {
+    console.error("Error listing focus blocks:", error.message);
+    throw error;
   }
+}
 
-  // 4. Add the remaining free time at the end of the day
+/**
+ * Calculates free time intervals over a range, based on events and the routine profile.
+ * Free time is the profile's working hours minus its routines and the given events;
+ * gaps shorter than the profile's minimum gap are dropped. Recurring events are expanded,
+ * all-day events block their whole days, and free ("transparent") events block nothing.
+ * @param {Array<Object>} events Array of events.
+ * @param {Object} [range] Range with `start` and `end` (defaults to now until the end of today).
+ * @param {Object} [profile] Routine profile (defaults to every hour being available).
+ * @returns {Array<Object>} Array of free time intervals.
+ */
+function calculateFreeTimeIntervals(
+  events,
+  range,
+  profile = routineProfile.DEFAULT_PROFILE
+) {
   const endOfDay = new Date();
   endOfDay.setHours(23, 59, 59, 999); // Set to the end of the current day
-  if (endOfDay > currentFreeTimeStart) {
-    freeTimeIntervals.push({
-      start: currentFreeTimeStart,
-      end: endOfDay,
-    });
+  const bounds = {
+    start: range ? new Date(range.start) : new Date(),
+    end: range ? new Date(range.end) : endOfDay,
+  };
+
+  // 1. Start from the working hours of every day in the range
+  const { working, blocked } = routineProfile.getProfileIntervals(
+    profile,
+    bounds
+  );
+  let freeTimeIntervals = intervals.clipIntervals(
+    intervals.mergeIntervals(working),
+    bounds
+  );
+
+  // 2. Remove routines and events
+  const busyIntervals = [
+    ...blocked,
+    ...recurringEvents.getBusyIntervals(events, bounds, profile.timeZone),
+  ];
+  for (const busy of intervals.mergeIntervals(busyIntervals)) {
+    freeTimeIntervals = intervals.subtractInterval(freeTimeIntervals, busy);
   }
 
-  return freeTimeIntervals;
+  // 3. Drop gaps that are too short to be useful
+  const minimumGapMs = (profile.minimumGapMinutes || 0) * 60 * 1000;
+  return freeTimeIntervals.filter(
+    (interval) => interval.end - interval.start >= Math.max(minimumGapMs, 1)
+  );
 }
 
 module.exports = {
   syncEvents,
+  syncAllCalendars,
+  handlePushNotification,
+  watchCalendars,
+  renewWatchChannels,
+  startPushSync,
+  stopPushSync,
+  closeConnection: mongoCalendar.closeConnection,
+  listWatchChannels: watchChannels.listChannels,
+  authorizeGoogle: googleAuth.authorize,
+  GoogleAuthError: googleAuth.GoogleAuthError,
+  listConflicts: syncConflicts.listConflicts,
+  resolveConflict: syncConflicts.resolveConflict,
+  fetchEvents,
+  fetchBusyEvents,
   insertEvent,
   updateEvent,
+  updateLocalEvent: mongoCalendar.updateLocalEvent,
   deleteEvent,
+  findMeetingTime: meetingFinder.findMeetingTime,
+  bookMeeting,
+  listEventInstances,
+  updateEventInstance,
+  deleteEventInstance,
+  expandEvents: recurringEvents.expandEvents,
+  getBusyIntervals: recurringEvents.getBusyIntervals,
   calculateFreeTimeIntervals,
+  addCalendar: calendars.addCalendar,
+  listCalendars: calendars.listCalendars,
+  updateCalendar: calendars.updateCalendar,
+  removeCalendar: calendars.removeCalendar,
+  getCalendarForItem: calendars.getCalendarForItem,
+  getRoutineProfile: routineProfile.getRoutineProfile,
+  saveRoutineProfile: routineProfile.saveRoutineProfile,
+  saveWeekTemplate: weekTemplates.saveWeekTemplate,
+  listWeekTemplates: weekTemplates.listWeekTemplates,
+  removeWeekTemplate: weekTemplates.removeWeekTemplate,
+  applyWeekTemplate,
+  listFocusBlocks,
 };
@@ -0,0 +1,76 @@
+// time/intervals.js
+
+/**
+ * Sorts intervals by start and merges the ones that overlap or touch.
+ * @param {Array<Object>} intervals Intervals ({ start, end } as Dates).
+ * @returns {Array<Object>} Merged, sorted intervals.
+ */
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Removes a busy interval from a list of free intervals.
+ * @param {Array<Object>} intervals Free intervals ({ start, end } as Dates).
+ * @param {Object} busy Busy interval ({ start, end } as Dates).
+ * @returns {Array<Object>} Remaining free intervals.
+ */
+function subtractInterval(intervals, busy) {
+  return intervals.flatMap((interval) => {
+    if (busy.end <= interval.start || busy.start >= interval.end) {
+      return [interval];
+    }
+    const remaining = [];
+    if (busy.start > interval.start) {
+      remaining.push({ start: interval.start, end: busy.start });
+    }
+    if (busy.end < interval.end) {
+      remaining.push({ start: busy.end, end: interval.end });
+    }
+    return remaining;
+  });
+}
+
+/**
+ * Clips intervals to a range, dropping the ones entirely outside of it.
+ * @param {Array<Object>} intervals Intervals ({ start, end } as Dates).
+ * @param {Object} range Range ({ start, end } as Dates).
+ * @returns {Array<Object>} Clipped intervals.
+ */
+function clipIntervals(intervals, range) {
+  return intervals
+    .map((interval) => ({
+      start: interval.start < range.start ? range.start : interval.start,
+      end: interval.end > range.end ? range.end : interval.end,
+    }))
+    .filter((interval) => interval.start < interval.end);
+}
+
+/**
+ * Keeps the parts of intervals that fall within any of a second list of intervals.
+ * @param {Array<Object>} intervals Intervals ({ start, end } as Dates).
+ * @param {Array<Object>} within Intervals to keep ({ start, end } as Dates).
+ * @returns {Array<Object>} Merged, sorted intersections.
+ */
+function intersectIntervals(intervals, within) {
+  return mergeIntervals(
+    within.flatMap((range) => clipIntervals(intervals, range))
+  );
+}
+
+module.exports = {
+  mergeIntervals,
+  subtractInterval,
+  clipIntervals,
+  intersectIntervals,
+};
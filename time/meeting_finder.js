@@ -0,0 +1,390 @@
+// time/meeting_finder.js
+
+const moment = require("moment-timezone"); // For time zone handling
+const calendarProvider = require("./calendar_provider");
+const mongoCalendar = require("./mongo_calendar");
+const recurringEvents = require("./recurring_events");
+const routineProfile = require("./routine_profile");
+const intervals = require("./intervals");
+
+const { WEEKDAYS } = routineProfile;
+const OFFICE_HOURS = [{ start: "09:00", end: "17:00" }];
+// Working hours of participants that do not give their own: weekdays from 9 to 5
+const DEFAULT_WORKING_HOURS = Object.fromEntries(
+  WEEKDAYS.map((day) => [
+    day,
+    day === "saturday" || day === "sunday" ? [] : OFFICE_HOURS,
+  ])
+);
+const DEFAULT_STEP_MINUTES = 15;
+const DEFAULT_MAX_RESULTS = 5;
+const MAX_WINDOW_DAYS = 31; // Bounds the number of candidate slots
+const FIT_WEIGHTS = {
+  workingHours: 0.5,
+  optional: 0.2,
+  preferred: 0.2,
+  earliness: 0.1,
+};
+
+/**
+ * Normalizes and validates a meeting participant.
+ * @param {Object|string} participant Participant, or just their calendar ID / email address.
+ * @returns {Object} Participant with `id`, `calendarId`, `email`, `timeZone`, `workingHours`,
+ * `optional`, `source` ("provider" or "mongo") and `provider`.
+ * @throws {Error} If validation fails.
+ */
+function normalizeParticipant(participant) {
+  const data =
+    typeof participant === "string"
+      ? { calendarId: participant }
+      : { ...participant };
+  const calendarId = data.calendarId || data.email;
+  if (!calendarId || typeof calendarId !== "string") {
+    throw new Error("Every participant needs a calendar ID or email address.");
+  }
+
+  const normalized = {
+    id: data.email || calendarId,
+    calendarId,
+    email: data.email || (calendarId.includes("@") ? calendarId : null),
+    timeZone: data.timeZone || "UTC",
+    workingHours: data.workingHours || DEFAULT_WORKING_HOURS,
+    optional: Boolean(data.optional),
+    source: data.source || "provider",
+    provider: data.provider,
+  };
+  if (!["provider", "mongo"].includes(normalized.source)) {
+    throw new Error(
+      `Participant ${normalized.id} source must be "provider" or "mongo".`
+    );
+  }
+  routineProfile.validateRoutineProfile({
+    timeZone: normalized.timeZone,
+    workingHours: normalized.workingHours,
+  });
+  return normalized;
+}
+
+/**
+ * Validates the meeting duration and search window.
+ * @param {number} duration Meeting length in minutes.
+ * @param {Object} window Window with `start` and `end` as Dates.
+ * @throws {Error} If validation fails.
+ */
+function validateSearch(duration, window) {
+  if (typeof duration !== "number" || duration <= 0) {
+    throw new Error("Meeting duration must be a positive number of minutes.");
+  }
+  if (isNaN(window.start) || isNaN(window.end) || window.start >= window.end) {
+    throw new Error("Meeting window needs a valid start before its end.");
+  }
+  if (window.end - window.start > MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(
+      `Meeting window cannot be longer than ${MAX_WINDOW_DAYS} days.`
+    );
+  }
+}
+
+/**
+ * Gathers the busy times of every participant: from the provider's free/busy endpoint
+ * (or its events when it has none), or from the events stored in MongoDB.
+ * A participant whose calendar cannot be read gets an `error` instead.
+ * @param {Array<Object>} participants Normalized participants.
+ * @param {Object} window Window with `start` and `end` as Dates.
+ * @returns {Promise<Map>} `{ busy, error }` by participant ID.
+ */
+async function gatherBusyIntervals(participants, window) {
+  const availability = new Map();
+
+  for (const participant of participants.filter((p) => p.source === "mongo")) {
+    const events = await mongoCalendar.fetchEvents({
+      calendarId: participant.calendarId,
+      deleted: { $ne: true },
+    });
+    availability.set(participant.id, {
+      busy: recurringEvents.getBusyIntervals(
+        events,
+        window,
+        participant.timeZone
+      ),
+      error: null,
+    });
+  }
+
+  // Query each provider once for all of its participants
+  const byProvider = new Map();
+  for (const participant of participants.filter(
+    (p) => p.source === "provider"
+  )) {
+    const provider = calendarProvider.getProvider(participant.provider);
+    if (!byProvider.has(provider.name)) {
+      byProvider.set(provider.name, { provider, participants: [] });
+    }
+    byProvider.get(provider.name).participants.push(participant);
+  }
+
+  for (const { provider, participants: members } of byProvider.values()) {
+    const auth = await provider.authenticate();
+    if (typeof provider.queryFreeBusy === "function") {
+      const results = await provider.queryFreeBusy(
+        auth,
+        members.map((participant) => participant.calendarId),
+        window.start,
+        window.end
+      );
+      for (const participant of members) {
+        availability.set(participant.id, results[participant.calendarId]);
+      }
+      continue;
+    }
+
+    for (const participant of members) {
+      try {
+        const events = await provider.fetchEvents(
+          auth,
+          participant.calendarId,
+          window.start,
+          window.end
+        );
+        availability.set(participant.id, {
+          busy: recurringEvents.getBusyIntervals(
+            events,
+            window,
+            participant.timeZone
+          ),
+          error: null,
+        });
+      } catch (error) {
+        availability.set(participant.id, { busy: [], error: error.message });
+      }
+    }
+  }
+
+  return availability;
+}
+
+/**
+ * Checks whether a slot lies entirely within one of a list of intervals.
+ * @param {Array<Object>} list Intervals ({ start, end } as Dates).
+ * @param {Object} slot Slot ({ start, end } as Dates).
+ * @returns {boolean} True if an interval contains the slot.
+ */
+function containsSlot(list, slot) {
+  return list.some(
+    (interval) => interval.start <= slot.start && interval.end >= slot.end
+  );
+}
+
+/**
+ * Checks whether a slot overlaps any of a list of intervals.
+ * @param {Array<Object>} list Intervals ({ start, end } as Dates).
+ * @param {Object} slot Slot ({ start, end } as Dates).
+ * @returns {boolean} True if they overlap.
+ */
+function overlapsSlot(list, slot) {
+  return list.some(
+    (interval) => interval.start < slot.end && interval.end > slot.start
+  );
+}
+
+/**
+ * Lists the slots of a given length that fit in free intervals, starting on step boundaries.
+ * @param {Array<Object>} freeIntervals Free intervals ({ start, end } as Dates).
+ * @param {number} durationMs Slot length in milliseconds.
+ * @param {number} stepMs Distance between slot starts in milliseconds.
+ * @returns {Array<Object>} Slots ({ start, end } as Dates).
+ */
+function listSlots(freeIntervals, durationMs, stepMs) {
+  const slots = [];
+  for (const interval of freeIntervals) {
+    let start = Math.ceil(interval.start.getTime() / stepMs) * stepMs;
+    for (; start + durationMs <= interval.end.getTime(); start += stepMs) {
+      slots.push({ start: new Date(start), end: new Date(start + durationMs) });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Finds meeting times at which every required participant is free.
+ * Availability is intersected across calendars in absolute time, and candidate slots are
+ * ranked by fit: how many participants have it within their working hours (in their own
+ * time zone), how many optional participants are free, whether it falls in the preferred
+ * hours, and how early it is.
+ * @param {Array<Object|string>} participants People to meet: calendar IDs / email addresses, or objects with
+ * `email` or `calendarId`, and optional `timeZone`, `workingHours` (weekday name to HH:mm windows, as in the
+ * routine profile; defaults to weekdays 09:00-17:00), `optional`, `source` ("provider", the default, or "mongo"
+ * for calendars stored in MongoDB) and `provider`.
+ * @param {number} duration Meeting length in minutes.
+ * @param {Object} window Range to search, with `start` and `end` (at most 31 days; past times are skipped).
+ * @param {Object} [constraints] Search constraints.
+ * @param {string} [constraints.timeZone] Organizer's time zone for `preferredHours` (defaults to the first participant's).
+ * @param {Array<Object>} [constraints.preferredHours] Preferred HH:mm windows (`start`, `end`), e.g. mornings only.
+ * @param {boolean} [constraints.workingHoursOnly] Only suggest slots within every required participant's working hours.
+ * @param {number} [constraints.stepMinutes=15] Distance between candidate start times.
+ * @param {number} [constraints.maxResults=5] Maximum number of (non-overlapping) suggestions.
+ * @returns {Promise<Array<Object>>} Best slots first: `start` and `end` (Dates), `score` (0-1), each participant's
+ * `localTimes`, the participants it is `outsideWorkingHours` for, and the optional participants `unavailable` then.
+ */
+async function findMeetingTime(
+  participants,
+  duration,
+  window,
+  constraints = {}
+) {
+  try {
+    if (!Array.isArray(participants) || !participants.length) {
+      throw new Error("At least one participant is required.");
+    }
+    const people = participants.map(normalizeParticipant);
+    const bounds = {
+      start: new Date(Math.max(new Date(window.start).getTime(), Date.now())),
+      end: new Date(window.end),
+    };
+    validateSearch(duration, bounds);
+    const organizerTimeZone = constraints.timeZone || people[0].timeZone;
+    const stepMs =
+      (constraints.stepMinutes || DEFAULT_STEP_MINUTES) * 60 * 1000;
+    const maxResults = constraints.maxResults || DEFAULT_MAX_RESULTS;
+
+    const availability = await gatherBusyIntervals(people, bounds);
+    const unreadable = people.filter(
+      (person) => !person.optional && availability.get(person.id).error
+    );
+    if (unreadable.length) {
+      throw new Error(
+        `Cannot read the free/busy times of: ${unreadable
+          .map((person) => person.id)
+          .join(", ")}.`
+      );
+    }
+
+    // Free time shared by all required participants
+    let freeIntervals = [bounds];
+    for (const person of people.filter((p) => !p.optional)) {
+      for (const busy of intervals.mergeIntervals(
+        availability.get(person.id).busy
+      )) {
+        freeIntervals = intervals.subtractInterval(freeIntervals, busy);
+      }
+    }
+
+    const workingIntervals = new Map(
+      people.map((person) => [
+        person.id,
+        intervals.mergeIntervals(
+          routineProfile.getProfileIntervals(
+            {
+              timeZone: person.timeZone,
+              workingHours: person.workingHours,
+              routines: [],
+            },
+            bounds
+          ).working
+        ),
+      ])
+    );
+    const preferredIntervals = constraints.preferredHours
+      ? routineProfile.getProfileIntervals(
+          {
+            timeZone: organizerTimeZone,
+            workingHours: Object.fromEntries(
+              WEEKDAYS.map((day) => [day, constraints.preferredHours])
+            ),
+            routines: [],
+          },
+          bounds
+        ).working
+      : null;
+    const optionalPeople = people.filter((person) => person.optional);
+    const windowMs = bounds.end - bounds.start;
+
+    const candidates = [];
+    for (const slot of listSlots(freeIntervals, duration * 60 * 1000, stepMs)) {
+      const outsideWorkingHours = people
+        .filter(
+          (person) => !containsSlot(workingIntervals.get(person.id), slot)
+        )
+        .map((person) => person.id);
+      if (
+        constraints.workingHoursOnly &&
+        people.some(
+          (person) =>
+            !person.optional && outsideWorkingHours.includes(person.id)
+        )
+      ) {
+        continue;
+      }
+      const unavailable = optionalPeople
+        .filter((person) => {
+          const { busy, error } = availability.get(person.id);
+          return error || overlapsSlot(busy, slot);
+        })
+        .map((person) => person.id);
+
+      const score =
+        FIT_WEIGHTS.workingHours *
+          (1 - outsideWorkingHours.length / people.length) +
+        FIT_WEIGHTS.optional *
+          (optionalPeople.length
+            ? 1 - unavailable.length / optionalPeople.length
+            : 1) +
+        FIT_WEIGHTS.preferred *
+          (!preferredIntervals || containsSlot(preferredIntervals, slot)
+            ? 1
+            : 0) +
+        FIT_WEIGHTS.earliness * (1 - (slot.start - bounds.start) / windowMs);
+
+      candidates.push({
+        ...slot,
+        score: Math.round(score * 1000) / 1000,
+        localTimes: Object.fromEntries(
+          people.map((person) => [
+            person.id,
+            {
+              start: moment.tz(slot.start, person.timeZone).format(),
+              end: moment.tz(slot.end, person.timeZone).format(),
+            },
+          ])
+        ),
+        outsideWorkingHours,
+        unavailable,
+      });
+    }
+
+    // Best slots first, skipping slots that overlap a better one
+    const suggestions = [];
+    for (const candidate of candidates.sort(
+      (a, b) => b.score - a.score || a.start - b.start
+    )) {
+      if (suggestions.length >= maxResults) break;
+      if (!overlapsSlot(suggestions, candidate)) suggestions.push(candidate);
+    }
+    return suggestions;
+  } catch (error) {
+    console.error("Error finding meeting time:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Builds the attendee list of a meeting from its participants.
+ * Participants without an email address (e.g. resource calendars) are left out.
+ * @param {Array<Object|string>} participants Participants as passed to `findMeetingTime`.
+ * @returns {Array<Object>} Google Calendar attendees (`email`, `optional`).
+ */
+function toAttendees(participants) {
+  return participants
+    .map(normalizeParticipant)
+    .filter((person) => person.email)
+    .map((person) => {
+      const attendee = { email: person.email };
+      if (person.optional) attendee.optional = true;
+      return attendee;
+    });
+}
+
+module.exports = {
+  findMeetingTime,
+  toAttendees,
+};
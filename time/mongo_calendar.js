@@ -8,6 +8,12 @@ const config = require("../config"); // Import configuration
 const MONGODB_URI = config.mongodb.uri;
 const DATABASE_NAME = config.mongodb.dbName;
 const COLLECTION_NAME = config.mongodb.collectionName;
+const SYNC_STATE_COLLECTION_NAME = "syncState";
+const CONFLICTS_COLLECTION_NAME = "syncConflicts";
+const CALENDARS_COLLECTION_NAME = "calendars";
+const WEEK_TEMPLATES_COLLECTION_NAME = "weekTemplates";
+const WATCH_CHANNELS_COLLECTION_NAME = "watchChannels";
+const AUTH_TOKENS_COLLECTION_NAME = "authTokens";
 
 let client; // MongoDB client instance
 
@@ -86,9 +92,10 @@ async function fetchEvents(query) {
  * Updates an existing event in the MongoDB database.
  * @param {ObjectId | string} eventId ID of the event to update.
  * @param {Object} eventData Updated event details.
+ * @param {Array<string>} [removedFields] Fields to remove from the event.
  * @returns {Promise<Object>} Updated event object.
  */
-async function updateEvent(eventId, eventData) {
+async function updateEvent(eventId, eventData, removedFields = []) {
   try {
     const client = await connectToDatabase();
     const db = client.db(DATABASE_NAME);
@@ -99,9 +106,15 @@ async function updateEvent(eventId, eventData) {
       throw new Error("Invalid eventId provided.");
     }
 
+    const update = { $set: eventData };
+    if (removedFields.length) {
+      update.$unset = Object.fromEntries(
+        removedFields.map((field) => [field, ""])
+      );
+    }
     const result = await collection.updateOne(
       { _id: typeof eventId === "string" ? ObjectId(eventId) : eventId },
-      { $set: eventData }
+      update
     );
     return result;
   } catch (error) {
@@ -135,6 +148,344 @@ async function deleteEvent(eventId) {
   }
 }
 
+/**
+ * Updates an event with a change made locally, marking it for the next sync to push to Google Calendar.
+ * @param {ObjectId | string} eventId ID of the event to update.
+ * @param {Object} eventData Updated event details.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateLocalEvent(eventId, eventData) {
+  return updateEvent(eventId, { ...eventData, localUpdatedAt: new Date() });
+}
+
+/**
+ * Marks an event as deleted instead of removing it, so that the next sync can
+ * propagate the deletion to Google Calendar before purging it.
+ * @param {ObjectId | string} eventId ID of the event to mark.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function markEventDeleted(eventId) {
+  return updateEvent(eventId, { deleted: true, deletedAt: new Date() });
+}
+
+/**
+ * Retrieves the stored sync state of a calendar.
+ * @param {string} calendarId ID of the synchronized calendar.
+ * @returns {Promise<Object|null>} Sync state (`syncToken`, `lastSyncedAt`), or null before the first sync.
+ */
+async function getSyncState(calendarId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(SYNC_STATE_COLLECTION_NAME);
+    return await collection.findOne({ _id: calendarId });
+  } catch (error) {
+    console.error("Error fetching sync state from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores the sync state of a calendar, replacing the previous one.
+ * @param {string} calendarId ID of the synchronized calendar.
+ * @param {Object} state Sync state (`syncToken`, `lastSyncedAt`).
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function saveSyncState(calendarId, state) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(SYNC_STATE_COLLECTION_NAME);
+    return await collection.updateOne(
+      { _id: calendarId },
+      { $set: state },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error("Error saving sync state to MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores a sync conflict that has to be resolved manually.
+ * @param {Object} conflict Conflict details (event IDs and both versions of the event).
+ * @returns {Promise<ObjectId>} ID of the stored conflict.
+ */
+async function insertConflict(conflict) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(CONFLICTS_COLLECTION_NAME);
+    const result = await collection.insertOne(conflict);
+    return result.insertedId;
+  } catch (error) {
+    console.error("Error inserting sync conflict into MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetches sync conflicts.
+ * @param {Object} query Query parameters for filtering conflicts.
+ * @returns {Promise<Array<Object>>} Array of conflicts.
+ */
+async function fetchConflicts(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(CONFLICTS_COLLECTION_NAME);
+    return await collection.find(query).toArray();
+  } catch (error) {
+    console.error("Error fetching sync conflicts from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates a sync conflict.
+ * @param {ObjectId | string} conflictId ID of the conflict to update.
+ * @param {Object} conflictData Updated conflict details.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateConflict(conflictId, conflictData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(CONFLICTS_COLLECTION_NAME);
+
+    // Validate ObjectId
+    if (typeof conflictId === "string" && !ObjectId.isValid(conflictId)) {
+      throw new Error("Invalid conflictId provided.");
+    }
+
+    return await collection.updateOne(
+      {
+        _id: typeof conflictId === "string" ? ObjectId(conflictId) : conflictId,
+      },
+      { $set: conflictData }
+    );
+  } catch (error) {
+    console.error("Error updating sync conflict in MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores a registered calendar, keyed by its name.
+ * @param {Object} calendar Calendar settings (`name`, `provider`, `calendarId`, ...).
+ * @returns {Promise<string>} Name of the stored calendar.
+ */
+async function insertCalendar(calendar) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(CALENDARS_COLLECTION_NAME);
+    const result = await collection.insertOne({
+      _id: calendar.name,
+      ...calendar,
+    });
+    return result.insertedId;
+  } catch (error) {
+    console.error("Error inserting calendar into MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetches registered calendars.
+ * @param {Object} query Query parameters for filtering calendars.
+ * @returns {Promise<Array<Object>>} Array of calendars.
+ */
+async function fetchCalendars(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(CALENDARS_COLLECTION_NAME);
+    return await collection.find(query).toArray();
+  } catch (error) {
+    console.error("Error fetching calendars from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Updates a registered calendar.
+ * @param {string} name Name of the calendar.
+ * @param {Object} calendarData Updated calendar settings.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function updateCalendar(name, calendarData) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(CALENDARS_COLLECTION_NAME);
+    return await collection.updateOne({ _id: name }, { $set: calendarData });
+  } catch (error) {
+    console.error("Error updating calendar in MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a registered calendar (its events are left alone).
+ * @param {string} name Name of the calendar.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function deleteCalendar(name) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(CALENDARS_COLLECTION_NAME);
+    return await collection.deleteOne({ _id: name });
+  } catch (error) {
+    console.error("Error deleting calendar from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores a week template keyed by its name, replacing any template with that name.
+ * @param {Object} template Week template (`name`, `timeZone`, `blocks`).
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function saveWeekTemplate(template) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(WEEK_TEMPLATES_COLLECTION_NAME);
+    return await collection.replaceOne(
+      { _id: template.name },
+      { _id: template.name, ...template },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error("Error saving week template to MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetches week templates.
+ * @param {Object} query Query parameters for filtering templates.
+ * @returns {Promise<Array<Object>>} Array of week templates.
+ */
+async function fetchWeekTemplates(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(WEEK_TEMPLATES_COLLECTION_NAME);
+    return await collection.find(query).toArray();
+  } catch (error) {
+    console.error("Error fetching week templates from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a week template (events already stamped from it are left alone).
+ * @param {string} name Name of the template.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function deleteWeekTemplate(name) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(WEEK_TEMPLATES_COLLECTION_NAME);
+    return await collection.deleteOne({ _id: name });
+  } catch (error) {
+    console.error("Error deleting week template from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores a push notification channel, keyed by its ID.
+ * @param {Object} channel Channel details (`id`, `calendarId`, `resourceId`, `token`, `expiration`).
+ * @returns {Promise<string>} ID of the stored channel.
+ */
+async function insertWatchChannel(channel) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(WATCH_CHANNELS_COLLECTION_NAME);
+    const result = await collection.insertOne({ _id: channel.id, ...channel });
+    return result.insertedId;
+  } catch (error) {
+    console.error("Error inserting watch channel into MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetches push notification channels.
+ * @param {Object} query Query parameters for filtering channels.
+ * @returns {Promise<Array<Object>>} Array of channels.
+ */
+async function fetchWatchChannels(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(WATCH_CHANNELS_COLLECTION_NAME);
+    return await collection.find(query).toArray();
+  } catch (error) {
+    console.error("Error fetching watch channels from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a push notification channel.
+ * @param {string} channelId ID of the channel.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function deleteWatchChannel(channelId) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(WATCH_CHANNELS_COLLECTION_NAME);
+    return await collection.deleteOne({ _id: channelId });
+  } catch (error) {
+    console.error("Error deleting watch channel from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves an OAuth token stored in plaintext, before tokens moved to the vault.
+ * @param {string} name Name the token is stored under (e.g. "google").
+ * @returns {Promise<Object|null>} Token, or null if none is stored.
+ */
+async function getAuthToken(name) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(AUTH_TOKENS_COLLECTION_NAME);
+    const stored = await collection.findOne({ _id: name });
+    return stored ? stored.token : null;
+  } catch (error) {
+    console.error("Error fetching auth token from MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a plaintext OAuth token.
+ * @param {string} name Name the token is stored under.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function deleteAuthToken(name) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(AUTH_TOKENS_COLLECTION_NAME);
+    return await collection.deleteOne({ _id: name });
+  } catch (error) {
+    console.error("Error deleting auth token from MongoDB:", error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   connectToDatabase,
   closeConnection,
@@ -142,4 +493,23 @@ module.exports = {
   fetchEvents,
   updateEvent,
   deleteEvent,
+  updateLocalEvent,
+  markEventDeleted,
+  getSyncState,
+  saveSyncState,
+  insertConflict,
+  fetchConflicts,
+  updateConflict,
+  insertCalendar,
+  fetchCalendars,
+  updateCalendar,
+  deleteCalendar,
+  saveWeekTemplate,
+  fetchWeekTemplates,
+  deleteWeekTemplate,
+  insertWatchChannel,
+  fetchWatchChannels,
+  deleteWatchChannel,
+  getAuthToken,
+  deleteAuthToken,
 };
@@ -0,0 +1,611 @@
+// time/providers/caldav_provider.js
+
+const axios = require("axios");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const ical = require("../ical");
+const recurringEvents = require("../recurring_events");
+const config = require("../../config");
+
+// A calendar ID is either the URL of a CalDAV calendar collection or the path of a local .ics file.
+// On servers, event IDs are the names of the calendar resources (without ".ics"); in local
+// files they are the iCalendar UIDs. The UID itself is always available as `iCalUID`.
+
+const DEFAULT_POLL_SECONDS = 60;
+
+/**
+ * Returns the CalDAV settings, which are optional when only local files are used.
+ * @returns {Object} `url`, `username`, `password`, `icsPath` and `timeZone`.
+ */
+function getSettings() {
+  return config.caldav || {};
+}
+
+/**
+ * Returns the calendar used when none is given.
+ * @returns {string} Configured collection URL, else the configured .ics file.
+ */
+function defaultCalendarId() {
+  const settings = getSettings();
+  return settings.url || settings.icsPath;
+}
+
+/**
+ * Checks whether a calendar ID names a local .ics file rather than a CalDAV collection.
+ * @param {string} calendarId Calendar ID.
+ * @returns {boolean} True for local files.
+ */
+function isLocalFile(calendarId) {
+  return !/^https?:\/\//i.test(calendarId);
+}
+
+/**
+ * Creates an error carrying an HTTP-like status `code`, as Google API errors do.
+ * @param {string} message Error message.
+ * @param {number} code Status code (e.g. 404).
+ * @returns {Error} Error object.
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Prepares a client for the configured CalDAV server.
+ * Local .ics files need no authentication; the same client is returned for them.
+ * @returns {Promise<Object>} Authentication context with an axios `client`.
+ */
+async function authenticate() {
+  const settings = getSettings();
+  const client = axios.create({
+    auth: settings.username
+      ? { username: settings.username, password: settings.password }
+      : undefined,
+    headers: { "Content-Type": "application/xml; charset=utf-8" },
+  });
+  return { client, timeZone: settings.timeZone || "UTC" };
+}
+
+/**
+ * Sends a WebDAV request and turns HTTP failures into errors with a status `code`.
+ * @param {Object} auth Authentication context.
+ * @param {Object} request axios request options.
+ * @returns {Promise<Object>} axios response.
+ */
+async function sendRequest(auth, request) {
+  try {
+    return await auth.client.request(request);
+  } catch (error) {
+    if (error.response) {
+      const wrapped = createError(
+        `CalDAV request failed with status ${error.response.status}.`,
+        error.response.status
+      );
+      wrapped.body = error.response.data;
+      throw wrapped;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Decodes the XML entities of a text node.
+ * @param {string} value XML text.
+ * @returns {string} Decoded text.
+ */
+function decodeXml(value) {
+  return value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Reads the first element with a (namespace-prefixed) local name from an XML fragment.
+ * @param {string} xml XML fragment.
+ * @param {string} name Local element name.
+ * @returns {string|null} Decoded element text, or null if absent.
+ */
+function readElement(xml, name) {
+  const match = xml.match(
+    new RegExp(
+      `<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`
+    )
+  );
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+/**
+ * Splits a WebDAV multistatus body into its responses.
+ * @param {string} xml Multistatus XML.
+ * @returns {Array<Object>} Responses with `href`, `status`, `etag` and `calendarData`.
+ */
+function parseMultistatus(xml) {
+  const responses = [];
+  const pattern =
+    /<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/g;
+  let match;
+  while ((match = pattern.exec(xml))) {
+    const body = match[1];
+    const status = (readElement(body, "status") || "").match(/\s(\d{3})\s/);
+    responses.push({
+      href: readElement(body, "href"),
+      status: status ? parseInt(status[1], 10) : 200,
+      etag: readElement(body, "getetag"),
+      calendarData: readElement(body, "calendar-data"),
+    });
+  }
+  return responses;
+}
+
+/**
+ * Derives an event ID from the href of a calendar resource.
+ * @param {string} href Resource href.
+ * @returns {string} Resource name without ".ics".
+ */
+function eventIdFromHref(href) {
+  return decodeURIComponent(href.replace(/\/$/, "").split("/").pop()).replace(
+    /\.ics$/i,
+    ""
+  );
+}
+
+/**
+ * Builds the URL of an event resource in a collection.
+ * @param {string} calendarId Collection URL.
+ * @param {string} eventId Event ID.
+ * @returns {string} Resource URL.
+ */
+function eventUrl(calendarId, eventId) {
+  return `${calendarId.replace(/\/?$/, "/")}${encodeURIComponent(eventId)}.ics`;
+}
+
+/**
+ * Converts the calendar data of one resource to events carrying the resource's ID and etag.
+ * @param {string} calendarData iCalendar text.
+ * @param {string} eventId Resource event ID.
+ * @param {string} etag Resource etag.
+ * @param {string} timeZone Time zone for floating times.
+ * @returns {Array<Object>} Events.
+ */
+function toEvents(calendarData, eventId, etag, timeZone) {
+  return ical.parseEvents(calendarData, { timeZone }).map((event) => ({
+    ...event,
+    iCalUID: event.id,
+    id: eventId,
+    etag,
+  }));
+}
+
+/**
+ * Computes an etag for an event from its content, independent of property order.
+ * @param {Object} event Parsed event.
+ * @returns {string} Hex digest.
+ */
+function contentEtag(event) {
+  const canonical = (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.keys(value)
+          .sort()
+          .map((key) => [key, canonical(value[key])])
+      : value;
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(canonical(event)))
+    .digest("hex");
+}
+
+/**
+ * Reads the events of a local .ics file, with an etag computed from each event's content.
+ * @param {string} filePath Path of the file.
+ * @param {string} timeZone Time zone for floating times.
+ * @returns {Promise<Array<Object>>} Events (an empty list if the file does not exist yet).
+ */
+async function readFileEvents(filePath, timeZone) {
+  let text;
+  try {
+    text = await fs.promises.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return ical.parseEvents(text, { timeZone }).map((event) => ({
+    ...event,
+    iCalUID: event.id,
+    etag: contentEtag(event),
+  }));
+}
+
+/**
+ * Writes events to a local .ics file, replacing it atomically.
+ * @param {string} filePath Path of the file.
+ * @param {Array<Object>} events Events to write.
+ * @returns {Promise<void>}
+ */
+async function writeFileEvents(filePath, events) {
+  const temporaryPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(
+    temporaryPath,
+    ical.serializeEvents(
+      events.map(({ etag, iCalUID, ...event }) => ({
+        ...event,
+        id: iCalUID || event.id,
+      }))
+    )
+  );
+  await fs.promises.rename(temporaryPath, filePath);
+}
+
+/**
+ * Checks whether an event overlaps a time range.
+ * @param {Object} event Event with `start` and `end`.
+ * @param {Date} startTime Start of the range.
+ * @param {Date} endTime End of the range.
+ * @returns {boolean} True if they overlap.
+ */
+function overlaps(event, startTime, endTime) {
+  if (!event.start) return false;
+  const end = event.end || event.start;
+  return (
+    new Date(event.start.dateTime || event.start.date) < endTime &&
+    new Date(end.dateTime || end.date) > startTime
+  );
+}
+
+/**
+ * Fetches the events of a calendar within a time range.
+ * CalDAV servers expand recurring events into their instances; the events of local files
+ * are expanded the same way.
+ * @param {Object} auth Authentication context.
+ * @param {string} calendarId Collection URL or .ics file path.
+ * @param {Date} startTime Start time for the event range.
+ * @param {Date} endTime End time for the event range.
+ * @returns {Promise<Array<Object>>} Array of events.
+ */
+async function fetchEvents(auth, calendarId, startTime, endTime) {
+  try {
+    if (isLocalFile(calendarId)) {
+      const events = await readFileEvents(calendarId, auth.timeZone);
+      return recurringEvents.expandEvents(
+        events,
+        startTime,
+        endTime,
+        auth.timeZone
+      );
+    }
+
+    const start = startTime.toISOString().replace(/[-:]|\.\d{3}/g, "");
+    const end = endTime.toISOString().replace(/[-:]|\.\d{3}/g, "");
+    const response = await sendRequest(auth, {
+      method: "REPORT",
+      url: calendarId,
+      headers: { Depth: "1" },
+      data: `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data><c:expand start="${start}" end="${end}"/></c:calendar-data>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${start}" end="${end}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`,
+    });
+
+    return parseMultistatus(response.data)
+      .filter((entry) => entry.calendarData)
+      .flatMap((entry) => {
+        const eventId = eventIdFromHref(entry.href);
+        const events = toEvents(
+          entry.calendarData,
+          eventId,
+          entry.etag,
+          auth.timeZone
+        );
+        // Give every expanded instance its own ID, as Google does
+        return events.length > 1
+          ? events.map((event) => ({
+              ...event,
+              id: `${eventId}_${(event.start.dateTime || event.start.date)
+                .replace(/[-:]/g, "")
+                .slice(0, 15)}`,
+              recurringEventId: eventId,
+            }))
+          : events;
+      })
+      .filter(
+        (event) =>
+          event.status !== "cancelled" && overlaps(event, startTime, endTime)
+      );
+  } catch (error) {
+    console.error("Error fetching events:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Lists the events of a calendar that changed since the last sync, including deleted ones
+ * (as events with status "cancelled"). Uses WebDAV sync tokens on CalDAV servers and the
+ * file's modification time for local files. `updatedMin` is not supported, so without a
+ * sync token every event is listed and the result is marked `complete`.
+ * @param {Object} auth Authentication context.
+ * @param {string} calendarId Collection URL or .ics file path.
+ * @param {Object} [options] Sync options.
+ * @param {string} [options.syncToken] Token returned by the previous sync.
+ * @returns {Promise<Object>} Changed `events`, the `nextSyncToken` and whether the listing is `complete`.
+ * @throws {Error} With `syncTokenExpired` set if the server no longer accepts the token.
+ */
+async function listEventChanges(auth, calendarId, options = {}) {
+  try {
+    if (isLocalFile(calendarId)) {
+      let modifiedAt = "0";
+      try {
+        modifiedAt = String((await fs.promises.stat(calendarId)).mtimeMs);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+      if (options.syncToken && options.syncToken === modifiedAt) {
+        return { events: [], nextSyncToken: modifiedAt, complete: false };
+      }
+      return {
+        events: await readFileEvents(calendarId, auth.timeZone),
+        nextSyncToken: modifiedAt,
+        complete: true,
+      };
+    }
+
+    let response;
+    try {
+      response = await sendRequest(auth, {
+        method: "REPORT",
+        url: calendarId,
+        headers: { Depth: "1" },
+        data: `<?xml version="1.0" encoding="utf-8"?>
+<d:sync-collection xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:sync-token>${(options.syncToken || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")}</d:sync-token>
+  <d:sync-level>1</d:sync-level>
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data/>
+  </d:prop>
+</d:sync-collection>`,
+      });
+    } catch (error) {
+      if (
+        options.syncToken &&
+        [403, 409].includes(error.code) &&
+        /valid-sync-token/.test(error.body || "")
+      ) {
+        error.syncTokenExpired = true;
+      }
+      throw error;
+    }
+
+    const events = [];
+    for (const entry of parseMultistatus(response.data)) {
+      const url = new URL(entry.href, calendarId).toString();
+      if (url.replace(/\/$/, "") === calendarId.replace(/\/$/, "")) continue; // The collection itself
+      const eventId = eventIdFromHref(entry.href);
+      if (entry.status === 404) {
+        events.push({ id: eventId, status: "cancelled" });
+        continue;
+      }
+      let calendarData = entry.calendarData;
+      if (!calendarData) {
+        // Some servers only return etags from sync-collection
+        calendarData = (await sendRequest(auth, { method: "GET", url })).data;
+      }
+      const [event] = toEvents(
+        calendarData,
+        eventId,
+        entry.etag,
+        auth.timeZone
+      ); // The master comes first; modified instances are kept inside the resource
+      if (event) events.push(event);
+    }
+
+    return {
+      events,
+      nextSyncToken: readElement(response.data, "sync-token"),
+      complete: !options.syncToken,
+    };
+  } catch (error) {
+    console.error("Error listing event changes:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Creates a new event in a calendar.
+ * @param {Object} auth Authentication context.
+ * @param {string} calendarId Collection URL or .ics file path.
+ * @param {Object} eventData Event details in the Google Calendar format.
+ * @returns {Promise<Object>} Created event object.
+ */
+async function createEvent(auth, calendarId, eventData) {
+  try {
+    const eventId = crypto.randomUUID();
+    const event = {
+      ...eventData,
+      id: eventId,
+      iCalUID: eventData.iCalUID || eventId,
+      status: eventData.status || "confirmed",
+      updated: new Date().toISOString(),
+    };
+
+    if (isLocalFile(calendarId)) {
+      const events = await readFileEvents(calendarId, auth.timeZone);
+      await writeFileEvents(calendarId, [...events, event]);
+      const created = (await readFileEvents(calendarId, auth.timeZone)).find(
+        (stored) => stored.id === event.iCalUID
+      );
+      return { ...created, id: event.iCalUID };
+    }
+
+    const response = await sendRequest(auth, {
+      method: "PUT",
+      url: eventUrl(calendarId, eventId),
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "If-None-Match": "*",
+      },
+      data: ical.serializeEvents([{ ...event, id: event.iCalUID }]),
+    });
+    return { ...event, etag: response.headers.etag || null };
+  } catch (error) {
+    console.error("Error creating event:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replaces an existing event in a calendar.
+ * @param {Object} auth Authentication context.
+ * @param {string} calendarId Collection URL or .ics file path.
+ * @param {string} eventId ID of the event to update.
+ * @param {Object} eventData Updated event details in the Google Calendar format.
+ * @returns {Promise<Object>} Updated event object.
+ */
+async function updateEvent(auth, calendarId, eventId, eventData) {
+  try {
+    const event = {
+      ...eventData,
+      id: eventId,
+      iCalUID: eventData.iCalUID || eventId,
+      updated: new Date().toISOString(),
+    };
+
+    if (isLocalFile(calendarId)) {
+      const events = await readFileEvents(calendarId, auth.timeZone);
+      const index = events.findIndex((stored) => stored.id === eventId);
+      if (index === -1) {
+        throw createError(`Event with ID ${eventId} not found.`, 404);
+      }
+      events[index] = { ...event, iCalUID: events[index].iCalUID };
+      await writeFileEvents(calendarId, events);
+      return (await readFileEvents(calendarId, auth.timeZone))[index];
+    }
+
+    const response = await sendRequest(auth, {
+      method: "PUT",
+      url: eventUrl(calendarId, eventId),
+      headers: { "Content-Type": "text/calendar; charset=utf-8" },
+      data: ical.serializeEvents([{ ...event, id: event.iCalUID }]),
+    });
+    return { ...event, etag: response.headers.etag || null };
+  } catch (error) {
+    console.error("Error updating event:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes an event from a calendar.
+ * @param {Object} auth Authentication context.
+ * @param {string} calendarId Collection URL or .ics file path.
+ * @param {string} eventId ID of the event to delete.
+ * @returns {Promise<void>}
+ * @throws {Error} With `code` 404 if the event does not exist.
+ */
+async function deleteEvent(auth, calendarId, eventId) {
+  try {
+    if (isLocalFile(calendarId)) {
+      const events = await readFileEvents(calendarId, auth.timeZone);
+      const remaining = events.filter((event) => event.id !== eventId);
+      if (remaining.length === events.length) {
+        throw createError(`Event with ID ${eventId} not found.`, 404);
+      }
+      await writeFileEvents(calendarId, remaining);
+      return;
+    }
+
+    await sendRequest(auth, {
+      method: "DELETE",
+      url: eventUrl(calendarId, eventId),
+    });
+  } catch (error) {
+    console.error("Error deleting event:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes an event, treating an event that is already gone as deleted.
+ * @param {Object} auth Authentication context.
+ * @param {string} calendarId Collection URL or .ics file path.
+ * @param {string} eventId ID of the event to delete.
+ * @returns {Promise<void>}
+ */
+async function deleteEventIfExists(auth, calendarId, eventId) {
+  try {
+    await deleteEvent(auth, calendarId, eventId);
+  } catch (error) {
+    if (error.code !== 404 && error.code !== 410) throw error;
+  }
+}
+
+/**
+ * Watches a calendar for changes. CalDAV has no push notifications, so local files are
+ * watched through the file system and servers are polled with sync tokens.
+ * @param {Object} auth Authentication context.
+ * @param {string} calendarId Collection URL or .ics file path.
+ * @param {Object} options Watch options.
+ * @param {Function} options.onChange Called (without arguments) when the calendar changed.
+ * @param {number} [options.intervalSeconds=60] Polling interval for CalDAV servers.
+ * @returns {Promise<Object>} Channel with an `id` and a `stop()` function.
+ */
+async function watch(auth, calendarId, options) {
+  const id = options.id || crypto.randomUUID();
+
+  if (isLocalFile(calendarId)) {
+    // Watch the directory: the file may not exist yet, and every write replaces it
+    // (see writeFileEvents), which a watcher on the file itself would stop following
+    const directory = path.dirname(calendarId);
+    const fileName = path.basename(calendarId);
+    await fs.promises.mkdir(directory, { recursive: true });
+    const watcher = fs.watch(directory, (eventType, changedName) => {
+      if (!changedName || changedName === fileName) options.onChange();
+    });
+    return { id, stop: () => watcher.close() };
+  }
+
+  let { nextSyncToken } = await listEventChanges(auth, calendarId);
+  const timer = setInterval(async () => {
+    try {
+      const changes = await listEventChanges(auth, calendarId, {
+        syncToken: nextSyncToken,
+      });
+      nextSyncToken = changes.nextSyncToken;
+      if (changes.events.length) options.onChange();
+    } catch (error) {
+      console.error("Error polling CalDAV calendar:", error.message);
+    }
+  }, (options.intervalSeconds || DEFAULT_POLL_SECONDS) * 1000);
+  return { id, stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  name: "caldav",
+  defaultCalendarId,
+  authenticate,
+  fetchEvents,
+  listEventChanges,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  deleteEventIfExists,
+  watch,
+};
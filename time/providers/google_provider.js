@@ -0,0 +1,27 @@
+// time/providers/google_provider.js
+
+const googleCalendar = require("../google_calendar");
+const config = require("../../config");
+
+/**
+ * Returns the calendar used when none is given.
+ * @returns {string} Configured Google Calendar ID.
+ */
+function defaultCalendarId() {
+  return config.google.calendarId;
+}
+
+module.exports = {
+  name: "google",
+  defaultCalendarId,
+  authenticate: googleCalendar.authenticate,
+  fetchEvents: googleCalendar.fetchEvents,
+  listEventChanges: googleCalendar.listEventChanges,
+  createEvent: googleCalendar.createEvent,
+  updateEvent: googleCalendar.updateEvent,
+  deleteEvent: googleCalendar.deleteEvent,
+  deleteEventIfExists: googleCalendar.deleteEventIfExists,
+  watch: googleCalendar.watchEvents,
+  stopWatch: googleCalendar.stopChannel,
+  queryFreeBusy: googleCalendar.queryFreeBusy,
+};
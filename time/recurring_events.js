@@ -0,0 +1,377 @@
+// time/recurring_events.js
+
+const moment = require("moment-timezone"); // For time zone handling
+const recurrence = require("../tasks/recurrence");
+
+const EDIT_SCOPES = ["this", "following", "all"];
+
+// Fields copied from a series to an event split off from it
+const SERIES_FIELDS = [
+  "summary",
+  "description",
+  "location",
+  "transparency",
+  "colorId",
+  "attendees",
+  "reminders",
+];
+
+/**
+ * Converts the start or end of an event to a Date. All-day values start at midnight in the time zone.
+ * @param {Object} value `{ date }` or `{ dateTime }`.
+ * @param {string} timeZone Time zone of all-day values.
+ * @returns {Date} Point in time.
+ */
+function toDate(value, timeZone) {
+  return value.date
+    ? moment.tz(value.date, timeZone).toDate()
+    : new Date(value.dateTime);
+}
+
+/**
+ * Returns the start and end of an event as Dates, for timed and all-day events alike.
+ * Events without an end last one day if they are all-day, else no time at all.
+ * @param {Object} event Google Calendar-shaped event.
+ * @param {string} [timeZone="UTC"] Time zone of all-day events.
+ * @returns {Object} Interval with `start` and `end`.
+ */
+function getEventBounds(event, timeZone = "UTC") {
+  const start = toDate(event.start, timeZone);
+  if (event.end) {
+    return { start, end: toDate(event.end, timeZone) };
+  }
+  return {
+    start,
+    end: event.start.date
+      ? moment.tz(event.start.date, timeZone).add(1, "day").toDate()
+      : start,
+  };
+}
+
+/**
+ * Checks whether an event blocks time: it is not cancelled and not marked as free ("transparent").
+ * @param {Object} event Google Calendar-shaped event.
+ * @returns {boolean} True if the event counts as busy time.
+ */
+function isBusy(event) {
+  return event.status !== "cancelled" && event.transparency !== "transparent";
+}
+
+/**
+ * Returns the ID that links a series to its instances and modified instances.
+ * @param {Object} event Event from the calendar provider or MongoDB.
+ * @returns {string} Provider event ID, else the MongoDB ID.
+ */
+function getSeriesId(event) {
+  return event.id || event.googleEventId || String(event._id);
+}
+
+/**
+ * Parses the recurrence rule of a recurring event (series master).
+ * @param {Object} master Event with a `recurrence` field.
+ * @param {string} [timeZone="UTC"] Time zone of all-day and floating series.
+ * @returns {Object|null} Recurrence rule, or null if the event has no RRULE.
+ * @throws {Error} If the rule is not supported by the recurrence module.
+ */
+function getSeriesRule(master, timeZone = "UTC") {
+  if (!master.recurrence) return null;
+  return recurrence.parseRecurrenceLines(
+    master.recurrence,
+    master.start.timeZone || timeZone
+  );
+}
+
+/**
+ * Formats the original start of an instance the way Google Calendar builds instance IDs.
+ * @param {Date} occurrenceStart Original start of the instance.
+ * @param {boolean} allDay Whether the series is all-day.
+ * @param {string} timeZone Time zone of all-day series.
+ * @returns {string} "YYYYMMDD" for all-day series, else "YYYYMMDDTHHmmssZ".
+ */
+function formatInstanceKey(occurrenceStart, allDay, timeZone) {
+  return allDay
+    ? moment.tz(occurrenceStart, timeZone).format("YYYYMMDD")
+    : moment.utc(occurrenceStart).format("YYYYMMDD[T]HHmmss[Z]");
+}
+
+/**
+ * Builds the start and end of the instance of a series starting at a given time.
+ * @param {Object} master Series master.
+ * @param {Date} occurrenceStart Start of the instance.
+ * @param {string} timeZone Time zone of all-day series.
+ * @returns {Object} `start` and `end` in the Google Calendar format.
+ */
+function instanceTimes(master, occurrenceStart, timeZone) {
+  const bounds = getEventBounds(master, timeZone);
+  if (master.start.date) {
+    const day = moment.tz(occurrenceStart, timeZone);
+    const days = Math.max(
+      moment(bounds.end).diff(moment(bounds.start), "days"),
+      1
+    );
+    return {
+      start: { date: day.format("YYYY-MM-DD") },
+      end: { date: day.clone().add(days, "days").format("YYYY-MM-DD") },
+    };
+  }
+
+  const startZone = master.start.timeZone || "UTC";
+  const endZone = (master.end && master.end.timeZone) || startZone;
+  const end = new Date(occurrenceStart.getTime() + (bounds.end - bounds.start));
+  return {
+    start: {
+      dateTime: moment.tz(occurrenceStart, startZone).format(),
+      timeZone: startZone,
+    },
+    end: { dateTime: moment.tz(end, endZone).format(), timeZone: endZone },
+  };
+}
+
+/**
+ * Builds the instance of a series starting at a given time, shaped like Google Calendar instances.
+ * @param {Object} master Series master.
+ * @param {Date} occurrenceStart Start of the instance.
+ * @param {string} timeZone Time zone of all-day series.
+ * @returns {Object} Instance with `recurringEventId` and `originalStartTime`, without `recurrence`.
+ */
+function buildInstance(master, occurrenceStart, timeZone) {
+  const { start, end } = instanceTimes(master, occurrenceStart, timeZone);
+  const seriesId = getSeriesId(master);
+  const instance = {
+    ...master,
+    id: `${seriesId}_${formatInstanceKey(
+      occurrenceStart,
+      Boolean(master.start.date),
+      timeZone
+    )}`,
+    recurringEventId: seriesId,
+    originalStartTime: start,
+    start,
+    end,
+  };
+  delete instance._id;
+  delete instance.recurrence;
+  if (master._id) instance.recurringMongoEventId = master._id;
+  return instance;
+}
+
+/**
+ * Expands events into the single events and series instances that overlap a range.
+ * Recurring events (series masters) are expanded with their RRULE and EXDATEs; modified
+ * instances (events with `recurringEventId` and `originalStartTime`, as listed by Google
+ * Calendar or imported from iCalendar, where `recurringEventId` is the series' `iCalUID`)
+ * replace the instance they modify, and cancelled ones remove it. Events that are
+ * already single instances are passed through, so provider results can be expanded safely.
+ * @param {Array<Object>} events Google Calendar-shaped events.
+ * @param {Date} rangeStart Start of the range.
+ * @param {Date} rangeEnd End of the range.
+ * @param {string} [timeZone="UTC"] Time zone of all-day and floating events.
+ * @returns {Array<Object>} Events and instances in the range (cancelled ones left out), by start time.
+ */
+function expandEvents(events, rangeStart, rangeEnd, timeZone = "UTC") {
+  const start = new Date(rangeStart);
+  const end = new Date(rangeEnd);
+  const overlaps = (event) => {
+    const bounds = getEventBounds(event, timeZone);
+    return (
+      bounds.start < end &&
+      (bounds.end > start || bounds.start.getTime() === start.getTime())
+    );
+  };
+
+  const modifiedInstances = new Set(
+    events
+      .filter((event) => event.recurringEventId && event.originalStartTime)
+      .map(
+        (event) =>
+          `${event.recurringEventId}|${toDate(
+            event.originalStartTime,
+            timeZone
+          ).getTime()}`
+      )
+  );
+
+  const expanded = [];
+  for (const event of events) {
+    if (!event.start || event.status === "cancelled") continue;
+
+    let rule = null;
+    if (event.recurrence && !event.recurringEventId) {
+      try {
+        rule = getSeriesRule(event, timeZone);
+      } catch (error) {
+        console.error(
+          `Cannot expand recurring event "${event.summary}": ${error.message}`
+        );
+      }
+    }
+    if (!rule) {
+      if (overlaps(event)) expanded.push(event);
+      continue;
+    }
+
+    const bounds = getEventBounds(event, timeZone);
+    const seriesId = getSeriesId(event);
+    const isModified = (occurrenceStart) =>
+      [seriesId, event.iCalUID].some((id) =>
+        modifiedInstances.has(`${id}|${occurrenceStart.getTime()}`)
+      );
+    const occurrences = recurrence.generateOccurrences(
+      rule,
+      bounds.start,
+      new Date(start.getTime() - (bounds.end - bounds.start)), // Instances that started before the range
+      end
+    );
+    for (const occurrenceStart of occurrences) {
+      if (isModified(occurrenceStart)) continue;
+      const instance = buildInstance(event, occurrenceStart, timeZone);
+      if (overlaps(instance)) expanded.push(instance);
+    }
+  }
+
+  return expanded.sort(
+    (a, b) => toDate(a.start, timeZone) - toDate(b.start, timeZone)
+  );
+}
+
+/**
+ * Returns the time blocked by events in a range, with recurring events expanded
+ * and cancelled or free ("transparent") events left out.
+ * @param {Array<Object>} events Google Calendar-shaped events.
+ * @param {Object} range Range with `start` and `end`.
+ * @param {string} [timeZone="UTC"] Time zone of all-day and floating events.
+ * @returns {Array<Object>} Busy intervals with `start` and `end` Dates.
+ */
+function getBusyIntervals(events, range, timeZone = "UTC") {
+  return expandEvents(events, range.start, range.end, timeZone)
+    .filter(isBusy)
+    .map((event) => getEventBounds(event, timeZone));
+}
+
+/**
+ * Checks that a time is an instance of a series and returns it as a Date.
+ * @param {Object} master Series master.
+ * @param {Date|string} instanceStart Original start of the instance ("YYYY-MM-DD" for all-day series).
+ * @param {string} timeZone Time zone of all-day series.
+ * @returns {Object} The series `rule`, its `seriesStart` and the instance `occurrenceStart`.
+ * @throws {Error} If the event is not recurring or has no instance at that time.
+ */
+function locateInstance(master, instanceStart, timeZone) {
+  const rule = getSeriesRule(master, timeZone);
+  if (!rule) {
+    throw new Error(`Event "${master.summary}" is not a recurring event.`);
+  }
+  const seriesStart = getEventBounds(master, timeZone).start;
+  const occurrenceStart =
+    master.start.date && typeof instanceStart === "string"
+      ? moment.tz(instanceStart, timeZone).toDate()
+      : new Date(instanceStart);
+  if (!recurrence.isOccurrence(rule, seriesStart, occurrenceStart)) {
+    throw new Error(
+      `Event "${master.summary}" has no instance starting at ${instanceStart}.`
+    );
+  }
+  return { rule, seriesStart, occurrenceStart };
+}
+
+/**
+ * Builds the recurrence of a series without one of its instances.
+ * @param {Object} master Series master.
+ * @param {Date|string} instanceStart Original start of the instance to leave out.
+ * @param {string} [timeZone="UTC"] Time zone of all-day series.
+ * @returns {Array<string>} New `recurrence` lines of the series.
+ */
+function excludeInstance(master, instanceStart, timeZone = "UTC") {
+  const { rule, occurrenceStart } = locateInstance(
+    master,
+    instanceStart,
+    timeZone
+  );
+  return recurrence.toRecurrenceLines(
+    { ...rule, exceptions: [...rule.exceptions, occurrenceStart] },
+    { allDay: Boolean(master.start.date) }
+  );
+}
+
+/**
+ * Splits a series in two at one of its instances, for "this and following" edits.
+ * Exceptions are kept with the part they belong to, and a COUNT is shared between both parts.
+ * @param {Object} master Series master.
+ * @param {Date|string} instanceStart Original start of the first instance of the second part.
+ * @param {string} [timeZone="UTC"] Time zone of all-day series.
+ * @returns {Object} `before` (recurrence lines for the master, or null if the instance is the
+ * first one), `after` (recurrence lines for the new series) and the new series' `start` and `end`.
+ */
+function splitSeries(master, instanceStart, timeZone = "UTC") {
+  const { rule, seriesStart, occurrenceStart } = locateInstance(
+    master,
+    instanceStart,
+    timeZone
+  );
+  const allDay = Boolean(master.start.date);
+  const { count, until, ...baseRule } = rule;
+  const isBefore = (date) => date < occurrenceStart;
+
+  let before = null;
+  let remainingCount = count;
+  if (occurrenceStart.getTime() !== seriesStart.getTime()) {
+    const beforeRule = {
+      ...baseRule,
+      exceptions: rule.exceptions.filter(isBefore),
+    };
+    if (count) {
+      // Exceptions count towards COUNT, so count the instances without them
+      const earlier = recurrence.generateOccurrences(
+        { ...rule, exceptions: [] },
+        seriesStart,
+        seriesStart,
+        new Date(occurrenceStart.getTime() - 1)
+      ).length;
+      beforeRule.count = earlier;
+      remainingCount = count - earlier;
+    } else {
+      beforeRule.until = new Date(occurrenceStart.getTime() - 1000); // Last second before the instance
+    }
+    before = recurrence.toRecurrenceLines(beforeRule, { allDay });
+  }
+
+  const afterRule = {
+    ...baseRule,
+    exceptions: rule.exceptions.filter((date) => !isBefore(date)),
+  };
+  if (remainingCount) afterRule.count = remainingCount;
+  if (until) afterRule.until = until;
+  return {
+    before,
+    after: recurrence.toRecurrenceLines(afterRule, { allDay }),
+    ...instanceTimes(master, occurrenceStart, timeZone),
+  };
+}
+
+/**
+ * Copies the descriptive fields of a series, for an event split off from it.
+ * @param {Object} master Series master.
+ * @returns {Object} Event fields such as `summary`, `description` and `location`.
+ */
+function copySeriesFields(master) {
+  const fields = {};
+  for (const field of SERIES_FIELDS) {
+    if (master[field] !== undefined) fields[field] = master[field];
+  }
+  return fields;
+}
+
+module.exports = {
+  EDIT_SCOPES,
+  getEventBounds,
+  isBusy,
+  getSeriesRule,
+  expandEvents,
+  getBusyIntervals,
+  buildInstance,
+  instanceTimes,
+  locateInstance,
+  excludeInstance,
+  splitSeries,
+  copySeriesFields,
+};
@@ -0,0 +1,249 @@
+// time/routine_profile.js
+
+const { MongoClient } = require("mongodb");
+const moment = require("moment-timezone"); // For time zone handling
+require("dotenv").config();
+
+const config = require("../config"); // Import configuration
+
+const MONGODB_URI = config.mongodb.uri;
+const DATABASE_NAME = config.mongodb.dbName;
+const COLLECTION_NAME = "routineProfiles"; // Collection for availability profiles
+const PROFILE_ID = "default"; // Single-user app: one profile
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+]; // Indexed like moment's day()
+
+// Without a stored profile every hour of every day is available
+const DEFAULT_PROFILE = {
+  timeZone: "UTC",
+  workingHours: Object.fromEntries(
+    WEEKDAYS.map((day) => [day, [{ start: "00:00", end: "24:00" }]])
+  ),
+  routines: [],
+  minimumGapMinutes: 0,
+};
+
+let client; // MongoDB client instance
+
+/**
+ * Connects to the MongoDB database if not already connected.
+ * @returns {Promise<MongoClient>} MongoDB client object.
+ */
+async function connectToDatabase() {
+  try {
+    if (!client || !client.isConnected()) {
+      client = new MongoClient(MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      await client.connect();
+    }
+    return client;
+  } catch (error) {
+    console.error("Error connecting to MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Parses a time of day in "HH:mm" format ("24:00" is allowed as end of day).
+ * @param {string} value Time of day.
+ * @returns {Object|null} Hours and minutes, or null if invalid.
+ */
+function parseTimeOfDay(value) {
+  const match = typeof value === "string" && value.match(/^(\d{2}):(\d{2})$/);
+  if (!match) return null;
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 24 || minute > 59 || (hour === 24 && minute !== 0)) return null;
+  return { hour, minute };
+}
+
+/**
+ * Returns the moment at a time of day on a given day.
+ * @param {moment.Moment} day Day in the profile's time zone.
+ * @param {string} timeOfDay Time of day in "HH:mm" format.
+ * @returns {moment.Moment} Moment at that time.
+ */
+function atTimeOfDay(day, timeOfDay) {
+  const { hour, minute } = parseTimeOfDay(timeOfDay);
+  if (hour === 24) {
+    return day.clone().add(1, "day").startOf("day");
+  }
+  return day.clone().set({ hour, minute, second: 0, millisecond: 0 });
+}
+
+/**
+ * Validates a start/end pair of times of day.
+ * @param {Object} window Window with `start` and `end` in "HH:mm" format.
+ * @param {string} label Description used in error messages.
+ * @throws {Error} If validation fails.
+ */
+function validateTimeWindow(window, label) {
+  if (!window || !parseTimeOfDay(window.start) || !parseTimeOfDay(window.end)) {
+    throw new Error(`${label} must have start and end times in HH:mm format.`);
+  }
+}
+
+/**
+ * Validates a routine profile before storage.
+ * @param {Object} profile Profile (timeZone, workingHours, routines, minimumGapMinutes).
+ * @throws {Error} If validation fails.
+ */
+function validateRoutineProfile(profile) {
+  if (!profile.timeZone || !moment.tz.zone(profile.timeZone)) {
+    throw new Error("Profile time zone is required and must be valid.");
+  }
+  if (!profile.workingHours || typeof profile.workingHours !== "object") {
+    throw new Error("Profile working hours are required.");
+  }
+  for (const [day, windows] of Object.entries(profile.workingHours)) {
+    if (!WEEKDAYS.includes(day)) {
+      throw new Error(`Unknown weekday "${day}" in working hours.`);
+    }
+    if (!Array.isArray(windows)) {
+      throw new Error(`Working hours for ${day} must be an array.`);
+    }
+    windows.forEach((window) =>
+      validateTimeWindow(window, `Working hours for ${day}`)
+    );
+  }
+  for (const routine of profile.routines || []) {
+    if (!routine.title || typeof routine.title !== "string") {
+      throw new Error("Routine title is required and must be a string.");
+    }
+    validateTimeWindow(routine, `Routine "${routine.title}"`);
+    if (
+      !Array.isArray(routine.days) ||
+      routine.days.some((day) => !WEEKDAYS.includes(day))
+    ) {
+      throw new Error(
+        `Routine "${routine.title}" days must be an array of weekday names.`
+      );
+    }
+  }
+  if (
+    profile.minimumGapMinutes !== undefined &&
+    (typeof profile.minimumGapMinutes !== "number" ||
+      profile.minimumGapMinutes < 0)
+  ) {
+    throw new Error("Profile minimum gap must be a non-negative number.");
+  }
+}
+
+/**
+ * Retrieves the stored routine profile, or the default profile if none is stored.
+ * @returns {Promise<Object>} Routine profile.
+ */
+async function getRoutineProfile() {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    const profile = await collection.findOne({ _id: PROFILE_ID });
+    return profile ? { ...DEFAULT_PROFILE, ...profile } : DEFAULT_PROFILE;
+  } catch (error) {
+    console.error("Error retrieving routine profile:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores the routine profile, replacing any previous one.
+ * @param {Object} profile Profile (timeZone, workingHours, routines, minimumGapMinutes).
+ * @returns {Promise<string>} Confirmation message.
+ */
+async function saveRoutineProfile(profile) {
+  try {
+    validateRoutineProfile(profile);
+
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    await collection.replaceOne(
+      { _id: PROFILE_ID },
+      {
+        timeZone: profile.timeZone,
+        workingHours: profile.workingHours,
+        routines: profile.routines || [],
+        minimumGapMinutes: profile.minimumGapMinutes || 0,
+      },
+      { upsert: true }
+    );
+    return "Routine profile saved successfully.";
+  } catch (error) {
+    console.error("Error saving routine profile:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Returns the interval of a time window starting on a given day. A window whose end is
+ * not after its start ends on the next day.
+ * @param {moment.Moment} day Day in the profile's time zone.
+ * @param {Object} window Window with `start` and `end` in "HH:mm" format.
+ * @returns {Object} Interval ({ start, end } as Dates).
+ */
+function getWindowInterval(day, window) {
+  const start = atTimeOfDay(day, window.start);
+  let end = atTimeOfDay(day, window.end);
+  if (!end.isAfter(start)) {
+    end = atTimeOfDay(day.clone().add(1, "day"), window.end);
+  }
+  return { start: start.toDate(), end: end.toDate() };
+}
+
+/**
+ * Lists the working windows and blocked routine intervals of a profile over a range.
+ * Windows and routines whose end is before their start (e.g. a night shift from 22:00 to
+ * 06:00, or sleep from 23:00 to 07:00) run into the next day.
+ * @param {Object} profile Routine profile.
+ * @param {Object} range Range ({ start, end } as Dates).
+ * @returns {Object} `working` and `blocked` intervals ({ start, end } as Dates).
+ */
+function getProfileIntervals(profile, range) {
+  const working = [];
+  const blocked = [];
+
+  // Start a day early so overnight routines from the previous evening are included
+  for (
+    let day = moment
+      .tz(range.start, profile.timeZone)
+      .startOf("day")
+      .subtract(1, "day");
+    day.isBefore(range.end);
+    day.add(1, "day")
+  ) {
+    const weekday = WEEKDAYS[day.day()];
+
+    for (const window of profile.workingHours[weekday] || []) {
+      working.push(getWindowInterval(day, window));
+    }
+
+    for (const routine of profile.routines || []) {
+      if (!routine.days.includes(weekday)) continue;
+      blocked.push(getWindowInterval(day, routine));
+    }
+  }
+
+  return { working, blocked };
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_PROFILE,
+  atTimeOfDay,
+  validateTimeWindow,
+  validateRoutineProfile,
+  getRoutineProfile,
+  saveRoutineProfile,
+  getProfileIntervals,
+};
@@ -0,0 +1,320 @@
+// time/sync_conflicts.js
+
+const { ObjectId } = require("mongodb");
+const calendarProvider = require("./calendar_provider");
+const mongoCalendar = require("./mongo_calendar");
+const config = require("../config");
+
+const POLICIES = ["google", "local", "newest", "manual"];
+const DEFAULT_POLICY = "newest";
+
+// Fields that only exist in MongoDB and are never sent to Google Calendar
+const LOCAL_FIELDS = [
+  "_id",
+  "calendarId",
+  "googleEventId",
+  "localUpdatedAt",
+  "deleted",
+  "deletedAt",
+  "syncConflictId",
+];
+
+/**
+ * Returns the conflict policy to use: the given one, else `config.sync.conflictPolicy`, else "newest".
+ * @param {string} [policy] Policy requested by the caller.
+ * @returns {string} One of POLICIES.
+ * @throws {Error} If the policy is unknown.
+ */
+function getConflictPolicy(policy) {
+  const chosen =
+    policy || (config.sync && config.sync.conflictPolicy) || DEFAULT_POLICY;
+  if (!POLICIES.includes(chosen)) {
+    throw new Error(`Conflict policy must be one of: ${POLICIES.join(", ")}.`);
+  }
+  return chosen;
+}
+
+/**
+ * Builds the MongoDB copy of a Google event, in sync with Google (no pending local change).
+ * @param {Object} googleEvent Google Calendar event object.
+ * @returns {Object} Event data to store in MongoDB, including Google's `etag` and `updated`.
+ */
+function fromGoogle(googleEvent) {
+  return {
+    ...googleEvent,
+    googleEventId: googleEvent.id,
+    localUpdatedAt: null,
+    deleted: false,
+    deletedAt: null,
+    syncConflictId: null,
+  };
+}
+
+/**
+ * Replaces the MongoDB copy of an event with Google's version. Fields that Google's version
+ * no longer has (e.g. a removed description or recurrence) are removed as well, so that
+ * they are not pushed back to Google by the next local edit.
+ * @param {Object} mongoEvent MongoDB event object.
+ * @param {Object} googleEvent Google Calendar event object.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function storeGoogleVersion(mongoEvent, googleEvent) {
+  const eventData = fromGoogle(googleEvent);
+  const removedFields = Object.keys(mongoEvent).filter(
+    (field) => !LOCAL_FIELDS.includes(field) && !(field in eventData)
+  );
+  return mongoCalendar.updateEvent(mongoEvent._id, eventData, removedFields);
+}
+
+/**
+ * Builds the Google Calendar copy of a MongoDB event.
+ * @param {Object} mongoEvent MongoDB event object.
+ * @returns {Object} Event data without MongoDB-only fields.
+ */
+function toGoogle(mongoEvent) {
+  const eventData = { ...mongoEvent };
+  LOCAL_FIELDS.forEach((field) => delete eventData[field]);
+  return eventData;
+}
+
+/**
+ * Checks whether a MongoDB event was changed or deleted locally since the last sync.
+ * @param {Object} mongoEvent MongoDB event object.
+ * @returns {boolean} True if the event has a change to push to Google Calendar.
+ */
+function hasLocalChanges(mongoEvent) {
+  return Boolean(mongoEvent.localUpdatedAt || mongoEvent.deleted);
+}
+
+/**
+ * Picks the side whose version of a conflicting event is kept.
+ * @param {string} policy Conflict policy.
+ * @param {Object} mongoEvent Locally changed MongoDB event.
+ * @param {Object} googleEvent Changed (possibly cancelled) Google event.
+ * @returns {string|null} "google", "local", or null if the conflict must be resolved manually.
+ */
+function chooseWinner(policy, mongoEvent, googleEvent) {
+  if (policy === "manual") return null;
+  if (policy !== "newest") return policy;
+
+  const localChangedAt = new Date(
+    mongoEvent.deleted ? mongoEvent.deletedAt : mongoEvent.localUpdatedAt
+  );
+  return new Date(googleEvent.updated) > localChangedAt ? "google" : "local"; // Unknown Google times lose
+}
+
+/**
+ * Makes both sides hold the winning version of an event.
+ * @param {Object} provider Calendar provider.
+ * @param {Object} auth Authentication context returned by the provider.
+ * @param {string} calendarId ID of the calendar containing the event.
+ * @param {string} winner "google" or "local".
+ * @param {Object} mongoEvent MongoDB event object.
+ * @param {Object} googleEvent Google event object (status "cancelled" if deleted in Google).
+ * @returns {Promise<Object>} The side that was changed (`target`: "local" or "google") and the `change` made.
+ */
+async function applyWinner(
+  provider,
+  auth,
+  calendarId,
+  winner,
+  mongoEvent,
+  googleEvent
+) {
+  const deletedInGoogle = googleEvent.status === "cancelled";
+
+  if (winner === "google") {
+    if (deletedInGoogle) {
+      await mongoCalendar.deleteEvent(mongoEvent._id);
+      return { target: "local", change: "removed" };
+    }
+    await storeGoogleVersion(mongoEvent, googleEvent);
+    return { target: "local", change: "updated" };
+  }
+
+  if (mongoEvent.deleted) {
+    if (!deletedInGoogle) {
+      await provider.deleteEventIfExists(auth, calendarId, googleEvent.id);
+    }
+    await mongoCalendar.deleteEvent(mongoEvent._id);
+    return { target: "google", change: "removed" };
+  }
+
+  if (deletedInGoogle) {
+    // Re-create the event; Google does not reuse the ID of a deleted event
+    const { id, ...eventData } = toGoogle(mongoEvent);
+    const created = await provider.createEvent(auth, calendarId, eventData);
+    await storeGoogleVersion(mongoEvent, created);
+    return { target: "google", change: "added" };
+  }
+
+  const updated = await provider.updateEvent(
+    auth,
+    calendarId,
+    googleEvent.id,
+    toGoogle(mongoEvent)
+  );
+  await storeGoogleVersion(mongoEvent, updated);
+  return { target: "google", change: "updated" };
+}
+
+/**
+ * Queues a conflict for manual resolution, or refreshes the Google version of one already queued.
+ * Events with an open conflict are left alone by the sync until the conflict is resolved.
+ * @param {Object} provider Calendar provider.
+ * @param {string} calendarId ID of the calendar containing the event.
+ * @param {Object} mongoEvent Locally changed MongoDB event.
+ * @param {Object} googleEvent Changed (possibly cancelled) Google event.
+ * @returns {Promise<ObjectId>} ID of the conflict.
+ */
+async function recordConflict(provider, calendarId, mongoEvent, googleEvent) {
+  if (mongoEvent.syncConflictId) {
+    await mongoCalendar.updateConflict(mongoEvent.syncConflictId, {
+      googleVersion: googleEvent,
+      detectedAt: new Date(),
+    });
+    return mongoEvent.syncConflictId;
+  }
+
+  const conflictId = await mongoCalendar.insertConflict({
+    provider: provider.name,
+    calendarId,
+    mongoEventId: mongoEvent._id,
+    googleEventId: googleEvent.id,
+    summary: mongoEvent.summary || googleEvent.summary,
+    localVersion: mongoEvent,
+    googleVersion: googleEvent,
+    status: "open",
+    detectedAt: new Date(),
+  });
+  await mongoCalendar.updateEvent(mongoEvent._id, {
+    syncConflictId: conflictId,
+  });
+  return conflictId;
+}
+
+/**
+ * Handles an event that changed on both sides since the last sync, following the policy.
+ * @param {Object} provider Calendar provider.
+ * @param {Object} auth Authentication context returned by the provider.
+ * @param {string} calendarId ID of the calendar containing the event.
+ * @param {string} policy Conflict policy.
+ * @param {Object} mongoEvent Locally changed MongoDB event.
+ * @param {Object} googleEvent Changed (possibly cancelled) Google event.
+ * @returns {Promise<Object>} Either the applied change (`target`, `change`) or the queued `conflictId`.
+ */
+async function handleConflict(
+  provider,
+  auth,
+  calendarId,
+  policy,
+  mongoEvent,
+  googleEvent
+) {
+  const winner = mongoEvent.syncConflictId
+    ? null // Already waiting for a manual decision
+    : chooseWinner(policy, mongoEvent, googleEvent);
+  if (!winner) {
+    return {
+      conflictId: await recordConflict(
+        provider,
+        calendarId,
+        mongoEvent,
+        googleEvent
+      ),
+    };
+  }
+  return applyWinner(
+    provider,
+    auth,
+    calendarId,
+    winner,
+    mongoEvent,
+    googleEvent
+  );
+}
+
+/**
+ * Lists sync conflicts, by default the ones still waiting to be resolved.
+ * @param {Object} [query] Query parameters for filtering conflicts.
+ * @returns {Promise<Array<Object>>} Conflicts with the local and Google versions of each event.
+ */
+async function listConflicts(query = { status: "open" }) {
+  try {
+    return await mongoCalendar.fetchConflicts(query);
+  } catch (error) {
+    console.error("Error listing sync conflicts:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Resolves a queued conflict by keeping one side's version of the event on both sides.
+ * The local version is the event as it is now in MongoDB; the Google version is the one
+ * seen by the last sync that detected the conflict.
+ * @param {string} conflictId Unique identifier of the conflict.
+ * @param {string} resolution "google" or "local".
+ * @returns {Promise<string>} Confirmation message.
+ */
+async function resolveConflict(conflictId, resolution) {
+  try {
+    if (!["google", "local"].includes(resolution)) {
+      throw new Error('Resolution must be "google" or "local".');
+    }
+
+    if (typeof conflictId === "string" && !ObjectId.isValid(conflictId)) {
+      throw new Error("Invalid conflictId provided.");
+    }
+    const [conflict] = await mongoCalendar.fetchConflicts({
+      _id: typeof conflictId === "string" ? ObjectId(conflictId) : conflictId,
+    });
+    if (!conflict) {
+      throw new Error(`Sync conflict with ID ${conflictId} not found.`);
+    }
+    if (conflict.status !== "open") {
+      throw new Error(
+        `Sync conflict with ID ${conflictId} is already resolved.`
+      );
+    }
+
+    const [mongoEvent] = await mongoCalendar.fetchEvents({
+      _id: conflict.mongoEventId,
+    });
+    if (mongoEvent) {
+      const provider = calendarProvider.getProvider(conflict.provider);
+      const auth = await provider.authenticate();
+      await applyWinner(
+        provider,
+        auth,
+        conflict.calendarId,
+        resolution,
+        mongoEvent,
+        conflict.googleVersion
+      );
+    }
+
+    await mongoCalendar.updateConflict(conflict._id, {
+      status: "resolved",
+      resolution,
+      resolvedAt: new Date(),
+    });
+    return "Conflict resolved successfully.";
+  } catch (error) {
+    console.error(
+      `Error resolving sync conflict with ID ${conflictId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  POLICIES,
+  getConflictPolicy,
+  fromGoogle,
+  storeGoogleVersion,
+  toGoogle,
+  hasLocalChanges,
+  handleConflict,
+  listConflicts,
+  resolveConflict,
+};
@@ -0,0 +1,212 @@
+// time/watch_channels.js
+
+const crypto = require("crypto");
+const calendarProvider = require("./calendar_provider");
+const mongoCalendar = require("./mongo_calendar");
+const config = require("../config");
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60; // Longest lifetime Google grants event channels
+const DEFAULT_RENEW_BEFORE_MINUTES = 60;
+const SYNC_STATE = "sync"; // First notification of a new channel; nothing changed yet
+
+// Channels of providers without push notifications (e.g. CalDAV polling), which live
+// in this process only and report changes through their `onChange` callback
+const localChannels = new Map();
+
+/**
+ * Returns the push notification settings, `config.google.webhook`.
+ * @returns {Object} `address` (public HTTPS URL of the receiver), `port`, `path`,
+ * `ttlSeconds` and `renewBeforeMinutes`.
+ */
+function getWebhookSettings() {
+  return (config.google && config.google.webhook) || {};
+}
+
+/**
+ * Starts watching a calendar for changes. Providers that push notifications (Google)
+ * get a channel pointing at the webhook receiver, stored with a secret token so that
+ * notifications can be verified; other providers report changes to `onChange` directly.
+ * @param {Object} calendar Calendar settings (`provider`, `calendarId`).
+ * @param {Function} onChange Called when a provider without push notifications sees a change.
+ * @returns {Promise<Object>} Channel (`id`, `calendarId`, `provider`, `expiration`).
+ */
+async function watchCalendar(calendar, onChange) {
+  const provider = calendarProvider.getProvider(calendar.provider);
+  const auth = await provider.authenticate();
+  const id = crypto.randomUUID();
+
+  if (typeof provider.stopWatch !== "function") {
+    const watcher = await provider.watch(auth, calendar.calendarId, {
+      id,
+      onChange,
+    });
+    const channel = {
+      id: watcher.id,
+      calendarId: calendar.calendarId,
+      provider: provider.name,
+      expiration: null,
+    };
+    localChannels.set(channel.id, { ...channel, stop: watcher.stop });
+    return channel;
+  }
+
+  const settings = getWebhookSettings();
+  if (!settings.address) {
+    throw new Error(
+      "No webhook address configured (config.google.webhook.address)."
+    );
+  }
+  const token = crypto.randomBytes(24).toString("hex");
+  const response = await provider.watch(auth, calendar.calendarId, {
+    id,
+    address: settings.address,
+    token,
+    ttlSeconds: settings.ttlSeconds || DEFAULT_TTL_SECONDS,
+  });
+  const channel = {
+    id,
+    calendarId: calendar.calendarId,
+    provider: provider.name,
+    resourceId: response.resourceId,
+    token,
+    expiration: response.expiration
+      ? new Date(Number(response.expiration))
+      : null,
+    createdAt: new Date(),
+  };
+  await mongoCalendar.insertWatchChannel(channel);
+  return describeChannel(channel);
+}
+
+/**
+ * Stops a channel and forgets it.
+ * @param {Object} channel Channel returned by `watchCalendar` or `listChannels`.
+ * @returns {Promise<void>}
+ */
+async function stopChannel(channel) {
+  if (localChannels.has(channel.id)) {
+    localChannels.get(channel.id).stop();
+    localChannels.delete(channel.id);
+    return;
+  }
+  const provider = calendarProvider.getProvider(channel.provider);
+  const auth = await provider.authenticate();
+  await provider.stopWatch(auth, channel);
+  await mongoCalendar.deleteWatchChannel(channel.id);
+}
+
+/**
+ * Removes the secret token and the stop function from a channel.
+ * @param {Object} channel Stored or in-process channel.
+ * @returns {Object} Channel details.
+ */
+function describeChannel(channel) {
+  const { _id, token, stop, ...details } = channel;
+  return details;
+}
+
+/**
+ * Lists the active channels, without their secret tokens.
+ * @returns {Promise<Array<Object>>} Stored channels followed by in-process ones.
+ */
+async function listChannels() {
+  const stored = await mongoCalendar.fetchWatchChannels({});
+  return [...stored, ...localChannels.values()].map(describeChannel);
+}
+
+/**
+ * Returns the time from which channels count as expiring soon.
+ * @param {Date} now Current time.
+ * @returns {Date} Now plus `config.google.webhook.renewBeforeMinutes` (default 60).
+ */
+function getRenewalThreshold(now) {
+  const renewBeforeMinutes =
+    getWebhookSettings().renewBeforeMinutes || DEFAULT_RENEW_BEFORE_MINUTES;
+  return new Date(now.getTime() + renewBeforeMinutes * 60000);
+}
+
+/**
+ * Lists the stored channels that expire soon.
+ * @param {Date} [now] Current time.
+ * @returns {Promise<Array<Object>>} Expiring channels.
+ */
+async function getExpiringChannels(now = new Date()) {
+  const channels = await mongoCalendar.fetchWatchChannels({
+    expiration: { $lte: getRenewalThreshold(now) },
+  });
+  return channels.map(describeChannel);
+}
+
+/**
+ * Finds a channel watching a calendar that is not about to expire.
+ * @param {string} calendarId Calendar ID.
+ * @param {Date} [now] Current time.
+ * @returns {Promise<Object|null>} Channel, or null if the calendar needs a new one.
+ */
+async function findCalendarChannel(calendarId, now = new Date()) {
+  const threshold = getRenewalThreshold(now);
+  const channels = await listChannels();
+  return (
+    channels.find(
+      (channel) =>
+        channel.calendarId === calendarId &&
+        (!channel.expiration || channel.expiration > threshold)
+    ) || null
+  );
+}
+
+/**
+ * Compares a received channel token with the stored one in constant time.
+ * @param {string} expected Stored token.
+ * @param {string} [received] Token from the notification.
+ * @returns {boolean} True if they match.
+ */
+function tokensMatch(expected, received) {
+  if (typeof received !== "string") return false;
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return (
+    expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+  );
+}
+
+/**
+ * Checks a push notification against the stored channels, using the headers Google sends
+ * (`X-Goog-Channel-ID`, `X-Goog-Channel-Token`, `X-Goog-Resource-ID`, `X-Goog-Resource-State`).
+ * @param {Object} headers Request headers, with lower-case names.
+ * @returns {Promise<Object>} `valid`, the HTTP `status` to answer with, and for valid
+ * notifications the `channel` and whether the calendar `changed`; else a `reason`.
+ */
+async function verifyNotification(headers) {
+  const channelId = headers["x-goog-channel-id"];
+  if (!channelId) {
+    return { valid: false, status: 400, reason: "Missing channel ID." };
+  }
+  const [channel] = await mongoCalendar.fetchWatchChannels({ _id: channelId });
+  if (!channel) {
+    return { valid: false, status: 404, reason: "Unknown channel." };
+  }
+  if (
+    !tokensMatch(channel.token, headers["x-goog-channel-token"]) ||
+    headers["x-goog-resource-id"] !== channel.resourceId
+  ) {
+    return { valid: false, status: 401, reason: "Channel token mismatch." };
+  }
+  return {
+    valid: true,
+    status: 200,
+    channel,
+    changed: headers["x-goog-resource-state"] !== SYNC_STATE,
+  };
+}
+
+module.exports = {
+  getWebhookSettings,
+  watchCalendar,
+  stopChannel,
+  listChannels,
+  getExpiringChannels,
+  findCalendarChannel,
+  verifyNotification,
+};
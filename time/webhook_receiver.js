@@ -0,0 +1,72 @@
+// time/webhook_receiver.js
+
+const http = require("http");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_PATH = "/calendar/notifications";
+
+let server = null; // Running receiver
+
+/**
+ * Starts a small HTTP server that receives calendar push notifications. Notifications
+ * carry everything in their headers, so the request body is ignored.
+ * @param {Object} options Receiver options.
+ * @param {Function} options.onNotification Called with the request headers; resolves to the HTTP status to answer with.
+ * @param {number} [options.port=8080] Port to listen on.
+ * @param {string} [options.host] Host to bind to (defaults to all interfaces).
+ * @param {string} [options.path="/calendar/notifications"] Path notifications are posted to.
+ * @returns {Promise<http.Server>} Listening server.
+ */
+async function startWebhookReceiver(options) {
+  if (server) {
+    throw new Error("Webhook receiver is already running.");
+  }
+  const receiverPath = options.path || DEFAULT_PATH;
+
+  const receiver = http.createServer(async (req, res) => {
+    req.resume(); // Drain the body
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== receiverPath) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    if (req.method !== "POST") {
+      res.writeHead(405, { Allow: "POST" });
+      res.end();
+      return;
+    }
+    try {
+      res.writeHead(await options.onNotification(req.headers));
+    } catch (error) {
+      console.error("Error handling push notification:", error.message);
+      res.writeHead(500);
+    }
+    res.end();
+  });
+
+  await new Promise((resolve, reject) => {
+    receiver.once("error", reject);
+    receiver.listen(options.port || DEFAULT_PORT, options.host, resolve);
+  });
+  server = receiver;
+  return server;
+}
+
+/**
+ * Stops the webhook receiver.
+ * @returns {Promise<void>}
+ */
+async function stopWebhookReceiver() {
+  if (!server) return;
+  const receiver = server;
+  server = null;
+  await new Promise((resolve, reject) =>
+    receiver.close((error) => (error ? reject(error) : resolve()))
+  );
+}
+
+module.exports = {
+  startWebhookReceiver,
+  stopWebhookReceiver,
+};
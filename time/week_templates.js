@@ -0,0 +1,182 @@
+// time/week_templates.js
+
+const moment = require("moment-timezone"); // For time zone handling
+const mongoCalendar = require("./mongo_calendar");
+const routineProfile = require("./routine_profile");
+
+// Stamped blocks are ordinary events marked in their private extended properties,
+// which Google Calendar keeps, so blocks survive syncs. They are "transparent" (free)
+// so that the scheduler can place items inside them.
+const BLOCK_TYPE_PROPERTY = "blockType";
+const TEMPLATE_PROPERTY = "weekTemplate";
+
+/**
+ * Validates a week template before it is stored.
+ * @param {Object} template Template with `name`, optional `timeZone`, and `blocks`.
+ * @throws {Error} If validation fails.
+ */
+function validateWeekTemplate(template) {
+  if (!template.name || typeof template.name !== "string") {
+    throw new Error("Week template name is required and must be a string.");
+  }
+  if (template.timeZone !== undefined && !moment.tz.zone(template.timeZone)) {
+    throw new Error("Week template time zone must be valid.");
+  }
+  if (!Array.isArray(template.blocks) || !template.blocks.length) {
+    throw new Error("Week template blocks must be a non-empty array.");
+  }
+  for (const block of template.blocks) {
+    if (!block.blockType || typeof block.blockType !== "string") {
+      throw new Error("Block type is required and must be a string.");
+    }
+    const label = `Block "${block.title || block.blockType}"`;
+    if (!routineProfile.WEEKDAYS.includes(block.day)) {
+      throw new Error(`${label} day must be a weekday name.`);
+    }
+    routineProfile.validateTimeWindow(block, label);
+    if (block.end !== "24:00" && block.end <= block.start) {
+      throw new Error(`${label} must end after it starts.`);
+    }
+    if (block.title !== undefined && typeof block.title !== "string") {
+      throw new Error(`${label} title must be a string.`);
+    }
+  }
+}
+
+/**
+ * Saves a week template of typed blocks (e.g. "deep-work" on weekday mornings,
+ * "admin" on Friday afternoon), replacing any template with the same name.
+ * @param {Object} template Includes name, blocks (each with day, start and end in "HH:mm",
+ * blockType and optional title), and optional timeZone (defaults to the routine profile's).
+ * @returns {Promise<string>} Confirmation of the save.
+ */
+async function saveWeekTemplate(template) {
+  try {
+    validateWeekTemplate(template);
+    await mongoCalendar.saveWeekTemplate({
+      name: template.name,
+      timeZone: template.timeZone || null,
+      blocks: template.blocks.map((block) => ({
+        day: block.day,
+        start: block.start,
+        end: block.end,
+        blockType: block.blockType.toLowerCase(),
+        title: block.title || null,
+      })),
+    });
+    return `Week template "${template.name}" saved successfully.`;
+  } catch (error) {
+    console.error(
+      `Error saving week template with data ${JSON.stringify(template)}: ${
+        error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Lists the stored week templates.
+ * @returns {Promise<Array<Object>>} Week templates.
+ */
+async function listWeekTemplates() {
+  try {
+    return await mongoCalendar.fetchWeekTemplates({});
+  } catch (error) {
+    console.error("Error listing week templates:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves a week template by name.
+ * @param {string} name Name of the template.
+ * @returns {Promise<Object>} Week template.
+ * @throws {Error} If no template has that name.
+ */
+async function getWeekTemplate(name) {
+  const [template] = await mongoCalendar.fetchWeekTemplates({ _id: name });
+  if (!template) {
+    throw new Error(`Week template "${name}" not found.`);
+  }
+  return template;
+}
+
+/**
+ * Deletes a week template. Blocks already stamped onto the calendar are kept.
+ * @param {string} name Name of the template.
+ * @returns {Promise<string>} Deletion confirmation.
+ */
+async function removeWeekTemplate(name) {
+  try {
+    const result = await mongoCalendar.deleteWeekTemplate(name);
+    if (!result.deletedCount) {
+      throw new Error(`Week template "${name}" not found.`);
+    }
+    return `Week template "${name}" removed successfully.`;
+  } catch (error) {
+    console.error(`Error removing week template "${name}": ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Lists the blocks of a template on every day of a range, as calendar events.
+ * Blocks that only partly fall within the range are included.
+ * @param {Object} template Week template.
+ * @param {Object} range Range ({ start, end } as Dates).
+ * @param {string} timeZone Time zone of the block times.
+ * @returns {Array<Object>} Google Calendar-shaped events.
+ */
+function buildBlockEvents(template, range, timeZone) {
+  const events = [];
+  for (
+    let day = moment.tz(range.start, timeZone).startOf("day");
+    day.isBefore(range.end);
+    day.add(1, "day")
+  ) {
+    const weekday = routineProfile.WEEKDAYS[day.day()];
+    for (const block of template.blocks) {
+      if (block.day !== weekday) continue;
+      const start = routineProfile.atTimeOfDay(day, block.start);
+      const end = routineProfile.atTimeOfDay(day, block.end);
+      if (!start.isBefore(range.end) || !end.isAfter(range.start)) continue;
+      events.push({
+        summary: block.title || block.blockType,
+        start: { dateTime: start.format(), timeZone },
+        end: { dateTime: end.format(), timeZone },
+        transparency: "transparent",
+        extendedProperties: {
+          private: {
+            [BLOCK_TYPE_PROPERTY]: block.blockType,
+            [TEMPLATE_PROPERTY]: template.name,
+          },
+        },
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Returns the block type of an event stamped from a week template.
+ * @param {Object} event Google Calendar-shaped event.
+ * @returns {string|null} Block type, or null for other events.
+ */
+function getBlockType(event) {
+  const properties =
+    event.extendedProperties && event.extendedProperties.private;
+  return (properties && properties[BLOCK_TYPE_PROPERTY]) || null;
+}
+
+module.exports = {
+  BLOCK_TYPE_PROPERTY,
+  TEMPLATE_PROPERTY,
+  validateWeekTemplate,
+  saveWeekTemplate,
+  listWeekTemplates,
+  getWeekTemplate,
+  removeWeekTemplate,
+  buildBlockEvents,
+  getBlockType,
+};
@@ -0,0 +1,301 @@
+// vault/index.js
+
+const crypto = require("crypto");
+const vaultData = require("./vault_data");
+require("dotenv").config();
+
+// Credentials are encrypted with AES-256-GCM under a key derived from the master key
+// (`VAULT_MASTER_KEY`) and a random salt, generated on first use and stored with the vault.
+// Each entry records which key encrypted it, so that after a new master key is set, entries
+// can still be read with the old one (listed in `VAULT_PREVIOUS_MASTER_KEYS`) until
+// `rotateMasterKey` re-encrypts them.
+const ALGORITHM = "aes-256-gcm";
+const LEGACY_KEY_SALT = "personal-assistant-credential-vault"; // Salt of entries stored before the vault had its own
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const derivedKeys = new Map(); // Salt and master key -> { id, key }
+let keySalt = null; // Promise of the vault's salt
+
+/**
+ * Derives the encryption key of a master key.
+ * @param {string} masterKey Master key or passphrase.
+ * @param {string} salt Salt of the key derivation.
+ * @returns {Object} `key` (32 bytes) and its `id`, a fingerprint stored with entries.
+ */
+function deriveKey(masterKey, salt) {
+  const cacheKey = JSON.stringify([salt, masterKey]);
+  if (!derivedKeys.has(cacheKey)) {
+    const key = crypto.scryptSync(masterKey, salt, 32);
+    const id = crypto
+      .createHash("sha256")
+      .update(key)
+      .digest("hex")
+      .slice(0, 16);
+    derivedKeys.set(cacheKey, { id, key });
+  }
+  return derivedKeys.get(cacheKey);
+}
+
+/**
+ * Returns the salt of the vault, generating and storing it on first use.
+ * @returns {Promise<string>} Salt (base64).
+ */
+function getKeySalt() {
+  if (!keySalt) {
+    keySalt = vaultData
+      .initializeKeySalt(crypto.randomBytes(SALT_BYTES).toString("base64"))
+      .catch((error) => {
+        keySalt = null; // Try again next time
+        throw error;
+      });
+  }
+  return keySalt;
+}
+
+/**
+ * Returns the current master key.
+ * @returns {string} Master key.
+ * @throws {Error} If no master key is set.
+ */
+function getMasterKey() {
+  if (!process.env.VAULT_MASTER_KEY) {
+    throw new Error(
+      "VAULT_MASTER_KEY must be set to read or store credentials."
+    );
+  }
+  return process.env.VAULT_MASTER_KEY;
+}
+
+/**
+ * Returns the key new entries are encrypted with.
+ * @returns {Promise<Object>} Derived key.
+ * @throws {Error} If no master key is set.
+ */
+async function getCurrentKey() {
+  const masterKey = getMasterKey();
+  return deriveKey(masterKey, await getKeySalt());
+}
+
+/**
+ * Finds the key an entry was encrypted with among the current and previous master keys,
+ * with the vault's salt or the fixed salt of earlier entries.
+ * @param {string} keyId Fingerprint stored with the entry.
+ * @returns {Promise<Object>} Derived key.
+ * @throws {Error} If none of the master keys matches.
+ */
+async function findKey(keyId) {
+  const masterKeys = [
+    getMasterKey(),
+    ...(process.env.VAULT_PREVIOUS_MASTER_KEYS || "")
+      .split(",")
+      .map((masterKey) => masterKey.trim())
+      .filter(Boolean),
+  ];
+  for (const salt of [await getKeySalt(), LEGACY_KEY_SALT]) {
+    for (const masterKey of masterKeys) {
+      const derived = deriveKey(masterKey, salt);
+      if (derived.id === keyId) return derived;
+    }
+  }
+  throw new Error(
+    "The credential was encrypted with a master key that is no longer configured."
+  );
+}
+
+/**
+ * Encrypts a secret. The credential name is authenticated along with it, so an entry
+ * cannot be passed off as another one.
+ * @param {string} name Credential name.
+ * @param {*} secret JSON-serializable secret.
+ * @param {Object} derived Key to encrypt with.
+ * @returns {Object} `keyId`, `iv`, `authTag` and `ciphertext` (base64).
+ */
+function encrypt(name, secret, derived) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, derived.key, iv);
+  cipher.setAAD(Buffer.from(name));
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(secret), "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    keyId: derived.id,
+    iv: iv.toString("base64"),
+    authTag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+/**
+ * Decrypts a stored entry.
+ * @param {Object} entry Stored entry.
+ * @returns {Promise<*>} Secret.
+ * @throws {Error} If the entry was tampered with or the key does not match.
+ */
+async function decrypt(entry) {
+  const derived = await findKey(entry.keyId);
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    derived.key,
+    Buffer.from(entry.iv, "base64")
+  );
+  decipher.setAAD(Buffer.from(entry._id));
+  decipher.setAuthTag(Buffer.from(entry.authTag, "base64"));
+  try {
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(entry.ciphertext, "base64")),
+      decipher.final(),
+    ]);
+    return JSON.parse(plaintext.toString("utf8"));
+  } catch (error) {
+    throw new Error(`Credential "${entry._id}" could not be decrypted.`);
+  }
+}
+
+/**
+ * Removes the encrypted secret from an entry.
+ * @param {Object} entry Stored entry.
+ * @param {Date} now Current time.
+ * @returns {Object} Credential `name`, `version`, dates, `metadata` and whether it `expired`.
+ */
+function describeCredential(entry, now) {
+  return {
+    name: entry._id,
+    version: entry.version,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    rotatedAt: entry.rotatedAt,
+    expiresAt: entry.expiresAt,
+    expired: Boolean(entry.expiresAt && entry.expiresAt <= now),
+    metadata: entry.metadata,
+  };
+}
+
+/**
+ * Stores a credential (token, API key...) for a provider. Storing a credential under an
+ * existing name rotates it: the version goes up and `rotatedAt` is set.
+ * @param {string} name Credential name, usually the provider (e.g. "google", "fitbit").
+ * @param {*} secret JSON-serializable secret.
+ * @param {Object} [options]
+ * @param {Date|string} [options.expiresAt] When the secret stops working.
+ * @param {Object} [options.metadata] Non-secret details (scopes, account...), stored in the clear.
+ * @returns {Promise<Object>} Credential details, without the secret.
+ */
+async function setCredential(name, secret, options = {}) {
+  try {
+    if (!name || typeof name !== "string") {
+      throw new Error("Credential name is required and must be a string.");
+    }
+    if (secret === undefined || secret === null) {
+      throw new Error("Credential secret is required.");
+    }
+    const expiresAt = options.expiresAt ? new Date(options.expiresAt) : null;
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      throw new Error("Credential expiry must be a valid date.");
+    }
+
+    const now = new Date();
+    const existing = await vaultData.retrieveCredential(name);
+    const entry = {
+      _id: name,
+      ...encrypt(name, secret, await getCurrentKey()),
+      version: existing ? existing.version + 1 : 1,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      rotatedAt: existing ? now : null,
+      expiresAt,
+      metadata: options.metadata || (existing && existing.metadata) || {},
+    };
+    await vaultData.saveCredential(entry);
+    return describeCredential(entry, now);
+  } catch (error) {
+    console.error(`Error storing credential "${name}":`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves a decrypted credential.
+ * @param {string} name Credential name.
+ * @returns {Promise<*>} Secret, or null if none is stored or it has expired.
+ */
+async function getCredential(name) {
+  try {
+    const entry = await vaultData.retrieveCredential(name);
+    if (!entry || describeCredential(entry, new Date()).expired) {
+      return null;
+    }
+    return await decrypt(entry);
+  } catch (error) {
+    console.error(`Error retrieving credential "${name}":`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Lists the stored credentials, without their secrets.
+ * @returns {Promise<Array<Object>>} Credential details.
+ */
+async function listCredentials() {
+  try {
+    const now = new Date();
+    const entries = await vaultData.retrieveCredentials({});
+    return entries.map((entry) => describeCredential(entry, now));
+  } catch (error) {
+    console.error("Error listing credentials:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a credential.
+ * @param {string} name Credential name.
+ * @returns {Promise<string>} Deletion confirmation.
+ */
+async function deleteCredential(name) {
+  try {
+    const result = await vaultData.deleteCredential(name);
+    if (!result.deletedCount) {
+      throw new Error(`Credential "${name}" not found.`);
+    }
+    return `Credential "${name}" deleted successfully.`;
+  } catch (error) {
+    console.error(`Error deleting credential "${name}":`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Re-encrypts every entry that is not encrypted with the current key. Run it after setting
+ * a new `VAULT_MASTER_KEY` and moving the old one to `VAULT_PREVIOUS_MASTER_KEYS`; the old
+ * key can be dropped afterwards. It also moves entries stored under the fixed salt of
+ * earlier versions to the vault's own salt.
+ * @returns {Promise<string>} Confirmation with the number of re-encrypted entries.
+ */
+async function rotateMasterKey() {
+  try {
+    const current = await getCurrentKey();
+    const entries = await vaultData.retrieveCredentials({
+      keyId: { $ne: current.id },
+    });
+    for (const entry of entries) {
+      await vaultData.saveCredential({
+        ...entry,
+        ...encrypt(entry._id, await decrypt(entry), current),
+      });
+    }
+    return `Re-encrypted ${entries.length} credential(s) with the current master key.`;
+  } catch (error) {
+    console.error("Error rotating the vault master key:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  setCredential,
+  getCredential,
+  listCredentials,
+  deleteCredential,
+  rotateMasterKey,
+};
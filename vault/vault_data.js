@@ -0,0 +1,151 @@
+// vault/vault_data.js
+
+const { MongoClient } = require("mongodb");
+require("dotenv").config();
+
+const config = require("../config"); // Import configuration
+
+const MONGODB_URI = config.mongodb.uri;
+const DATABASE_NAME = config.mongodb.dbName;
+const COLLECTION_NAME = "credentials"; // Collection for encrypted credentials
+const SETTINGS_COLLECTION_NAME = "vaultSettings"; // Collection for the key salt
+
+let client; // MongoDB client instance
+
+/**
+ * Connects to the MongoDB database if not already connected.
+ * @returns {Promise<MongoClient>} MongoDB client object.
+ */
+async function connectToDatabase() {
+  try {
+    if (!client || !client.isConnected()) {
+      client = new MongoClient(MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      await client.connect();
+    }
+    return client;
+  } catch (error) {
+    console.error("Error connecting to MongoDB:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Closes the MongoDB client connection if open.
+ * @returns {Promise<void>}
+ */
+async function closeConnection() {
+  if (client && client.isConnected()) {
+    try {
+      await client.close();
+      console.log("MongoDB connection closed.");
+    } catch (error) {
+      console.error("Error closing MongoDB connection:", error.message);
+    }
+  }
+}
+
+/**
+ * Stores an encrypted credential, replacing the entry with the same name.
+ * @param {Object} entry Entry with `_id` (credential name), ciphertext and metadata.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function saveCredential(entry) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    return await collection.replaceOne({ _id: entry._id }, entry, {
+      upsert: true,
+    });
+  } catch (error) {
+    console.error("Error storing credential:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves an encrypted credential.
+ * @param {string} name Name of the credential.
+ * @returns {Promise<Object|null>} Stored entry, or null if there is none.
+ */
+async function retrieveCredential(name) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    return await collection.findOne({ _id: name });
+  } catch (error) {
+    console.error("Error retrieving credential:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves the encrypted credentials that match a query, sorted by name.
+ * @param {Object} query MongoDB query.
+ * @returns {Promise<Array<Object>>} Stored entries.
+ */
+async function retrieveCredentials(query) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    return await collection.find(query).sort({ _id: 1 }).toArray();
+  } catch (error) {
+    console.error("Error retrieving credentials:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a credential.
+ * @param {string} name Name of the credential.
+ * @returns {Promise<Object>} Database operation result.
+ */
+async function deleteCredential(name) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(COLLECTION_NAME);
+    return await collection.deleteOne({ _id: name });
+  } catch (error) {
+    console.error("Error deleting credential:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stores the salt of the vault's key derivation unless one is stored already.
+ * Concurrent first uses all end up with the same salt.
+ * @param {string} salt Newly generated salt (base64).
+ * @returns {Promise<string>} The stored salt.
+ */
+async function initializeKeySalt(salt) {
+  try {
+    const client = await connectToDatabase();
+    const db = client.db(DATABASE_NAME);
+    const collection = db.collection(SETTINGS_COLLECTION_NAME);
+    await collection.updateOne(
+      { _id: "keySalt" },
+      { $setOnInsert: { salt, createdAt: new Date() } },
+      { upsert: true }
+    );
+    return (await collection.findOne({ _id: "keySalt" })).salt;
+  } catch (error) {
+    console.error("Error initializing the vault key salt:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  connectToDatabase,
+  closeConnection,
+  saveCredential,
+  retrieveCredential,
+  retrieveCredentials,
+  deleteCredential,
+  initializeKeySalt,
+};